@@ -0,0 +1,179 @@
+/**
+ * Zano Quiz - Check Export Round Trips
+ * Exports a sample quiz and every stored quiz in the formats that hold a whole quiz, imports
+ * the files again and reports the quizzes that don't come back the same (title, category,
+ * timer settings and questions).
+ *
+ * Usage: npm run check:roundtrip [-- --sample-only]
+ */
+require("dotenv").config();
+const { getQuizStore } = require("../src/storage");
+const { migrateQuiz, getQuestionType } = require("../src/quizSchema");
+const { QUESTION_TYPES } = require("../src/constants");
+const { FORMATS, exportQuiz, parseQuestions } = require("../src/formats");
+
+/**
+ * Formats that hold a whole quiz, not only its questions
+ */
+const ROUND_TRIP_FORMATS = ["csv", "json"];
+
+/**
+ * Quiz with every question type, checked even when the store is empty
+ */
+const SAMPLE_QUIZ = {
+  id: "sample",
+  title: "Round Trip, \"Sample\"",
+  category: "General Knowledge",
+  settings: { questionTime: 25, intermissionTime: 5 },
+  questions: [
+    {
+      text: "Which planet is known as the Red Planet?",
+      options: ["Venus", "Mars", "Jupiter", "Saturn", "Mercury"],
+      correctAnswer: 1,
+      explanation: "Iron oxide on its surface gives Mars its colour.",
+      sourceUrl: "https://en.wikipedia.org/wiki/Mars",
+    },
+    {
+      type: QUESTION_TYPES.TRUE_FALSE,
+      text: "Water boils at 100 °C at sea level",
+      options: ["True", "False"],
+      correctAnswer: 0,
+    },
+    {
+      type: QUESTION_TYPES.MULTI_SELECT,
+      text: "Which of these are primary colours; pick all",
+      options: ["Red", "Green", "Blue", "Yellow"],
+      correctAnswer: [0, 2, 3],
+      partialCredit: true,
+    },
+    {
+      type: QUESTION_TYPES.MULTI_SELECT,
+      text: "Which of these is a mammal?",
+      options: ["Whale", "Shark"],
+      correctAnswer: [0],
+      partialCredit: false,
+    },
+    {
+      type: QUESTION_TYPES.FREE_TEXT,
+      text: "Who painted the Mona Lisa?",
+      acceptedAnswers: ["Leonardo da Vinci", "da Vinci", "Leonardo"],
+      typoTolerance: 2,
+    },
+    {
+      type: QUESTION_TYPES.FREE_TEXT,
+      text: "What is the chemical symbol for gold?",
+      acceptedAnswers: ["Au"],
+    },
+    {
+      type: QUESTION_TYPES.NUMERIC,
+      text: "How tall is the Eiffel Tower in metres?",
+      correctValue: 330,
+      tolerance: 12.5,
+      closestWins: true,
+    },
+    {
+      type: QUESTION_TYPES.NUMERIC,
+      text: "What is the boiling point of nitrogen in °C?",
+      correctValue: -195.795,
+      tolerance: 0,
+      closestWins: false,
+    },
+    {
+      type: QUESTION_TYPES.ORDERING,
+      text: "Put these planets in order, closest to the Sun first",
+      options: ["Mercury", "Venus", "Earth", "Mars", "Jupiter", "Saturn"],
+      partialCredit: true,
+    },
+    {
+      type: QUESTION_TYPES.ORDERING,
+      text: "Put these events in order, earliest first",
+      options: ["Moon landing", "Fall of the Berlin Wall", "First iPhone"],
+      partialCredit: false,
+    },
+  ],
+};
+
+/**
+ * Reduce a quiz to the parts an export has to keep, in a comparable form
+ * @param {Object} quiz - Quiz data
+ * @param {Array<Object>} questions - Questions to compare
+ * @returns {string} JSON text
+ */
+function comparable(quiz, questions) {
+  const settings = quiz.settings || {};
+  return JSON.stringify({
+    title: quiz.title,
+    category: quiz.category,
+    settings: [settings.questionTime, settings.intermissionTime],
+    questions: questions.map((question) => {
+      // A missing type means multiple choice, and a missing flag means false
+      const fields = { ...question, type: getQuestionType(question) };
+      return Object.keys(fields)
+        .sort()
+        .filter((key) => fields[key] !== undefined && fields[key] !== false)
+        .map((key) => [key, fields[key]]);
+    }),
+  });
+}
+
+/**
+ * Export a quiz and import it again
+ * @param {string} formatId - Format ID
+ * @param {Object} quiz - Quiz data at the current schema version
+ * @returns {Array<string>} Problems found, empty if the quiz came back the same
+ */
+function checkQuiz(formatId, quiz) {
+  const format = FORMATS[formatId];
+  const exported = format.exportTypes
+    ? quiz.questions.filter((question) => format.exportTypes.includes(getQuestionType(question)))
+    : quiz.questions;
+  if (exported.length === 0) return [];
+
+  const content = exportQuiz(formatId, quiz).content.toString("utf8").replace(/^\uFEFF/, "");
+  const parsed = parseQuestions(formatId, content);
+
+  const problems = parsed.errors.map((error) => `import error: ${error.message}`);
+  const before = comparable(quiz, exported);
+  const after = comparable(parsed, parsed.questions);
+  if (before !== after) {
+    problems.push(`changed\n    before: ${before}\n    after:  ${after}`);
+  }
+  return problems;
+}
+
+async function check(sampleOnly) {
+  const quizzes = [SAMPLE_QUIZ];
+  if (!sampleOnly) {
+    const store = getQuizStore();
+    await store.init();
+    quizzes.push(...(await store.listAll()));
+    await store.close();
+  }
+
+  let failed = 0;
+  for (const quiz of quizzes) {
+    migrateQuiz(quiz);
+
+    for (const formatId of ROUND_TRIP_FORMATS) {
+      const problems = checkQuiz(formatId, quiz);
+      if (problems.length > 0) {
+        failed++;
+        console.error(`Quiz ${quiz.id} (${FORMATS[formatId].name}):`);
+        problems.forEach((problem) => console.error(`  ${problem}`));
+      }
+    }
+  }
+
+  console.log(
+    `Checked ${quizzes.length} quizzes in ${ROUND_TRIP_FORMATS.length} formats, ` +
+      `${failed} round trips changed the quiz.`
+  );
+  return failed === 0;
+}
+
+check(process.argv.includes("--sample-only"))
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error("Check failed:", error);
+    process.exit(1);
+  });
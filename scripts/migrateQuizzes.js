@@ -0,0 +1,59 @@
+/**
+ * Zano Quiz - Upgrade Stored Quizzes
+ * Rewrites every quiz in the configured store at the current schema version.
+ * Quizzes are also upgraded when loaded, so this only saves the work on later reads
+ * and makes the stored data uniform.
+ *
+ * Usage: npm run migrate:quizzes [-- --dry-run]
+ */
+require("dotenv").config();
+const { getQuizStore } = require("../src/storage");
+const { migrateQuiz, getSchemaVersion, CURRENT_SCHEMA_VERSION } = require("../src/quizSchema");
+
+async function migrate(dryRun) {
+  const store = getQuizStore();
+  await store.init();
+
+  const quizzes = await store.listAll();
+  const upgradedFrom = {};
+  let failed = 0;
+
+  for (const quiz of quizzes) {
+    const version = getSchemaVersion(quiz);
+
+    try {
+      if (!migrateQuiz(quiz)) continue;
+
+      // updatedAt is kept, an upgrade isn't an edit
+      if (!dryRun) {
+        await store.save(quiz);
+      }
+      upgradedFrom[version] = (upgradedFrom[version] || 0) + 1;
+    } catch (error) {
+      failed++;
+      console.error(`Skipped quiz ${quiz.id || "(no id)"}: ${error.message}`);
+    }
+  }
+
+  await store.close();
+
+  const upgraded = Object.values(upgradedFrom).reduce((sum, count) => sum + count, 0);
+  console.log(
+    `${dryRun ? "Would upgrade" : "Upgraded"} ${upgraded} of ${quizzes.length} quizzes ` +
+      `to schema version ${CURRENT_SCHEMA_VERSION}.`
+  );
+  Object.keys(upgradedFrom).forEach((version) => {
+    console.log(`  from version ${version}: ${upgradedFrom[version]}`);
+  });
+  if (failed > 0) {
+    console.log(`${failed} quizzes could not be upgraded, see the messages above.`);
+  }
+  return failed === 0;
+}
+
+migrate(process.argv.includes("--dry-run"))
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,50 @@
+/**
+ * Zano Quiz - Migrate Quizzes to SQLite
+ * Copies every JSON quiz from data/quizzes into the SQLite store.
+ *
+ * Usage: npm run migrate:sqlite
+ * The JSON files are left in place; set QUIZ_STORAGE=sqlite once the copy looks right.
+ * Running it again is safe, existing rows are overwritten with the file contents.
+ */
+require("dotenv").config();
+const { createStore } = require("../src/storage");
+
+async function migrate() {
+  const source = createStore("file");
+  const target = createStore("sqlite");
+
+  await target.init();
+
+  const quizzes = await source.listAll();
+  let migrated = 0;
+  let failed = 0;
+
+  for (const quiz of quizzes) {
+    try {
+      if (!quiz.id || !quiz.creator) {
+        throw new Error("missing id or creator");
+      }
+
+      await target.save(quiz);
+      migrated++;
+    } catch (error) {
+      failed++;
+      console.error(`Skipped quiz ${quiz.id || "(no id)"}: ${error.message}`);
+    }
+  }
+
+  await target.close();
+
+  console.log(`Migrated ${migrated} of ${quizzes.length} quizzes to SQLite.`);
+  if (failed > 0) {
+    console.log(`${failed} quizzes could not be migrated, see the messages above.`);
+  }
+  return failed === 0;
+}
+
+migrate()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,171 @@
+/**
+ * Zano Quiz - Answer Matching Module
+ * Compares typed answers with the accepted answers of free-text and numeric questions
+ */
+
+/**
+ * Characters an answer needs per typo it may contain, so short answers such as
+ * "Au" or "1969" have to be spelled exactly
+ */
+const CHARACTERS_PER_TYPO = 4;
+
+/**
+ * Normalize an answer for comparison: lowercase, without accents, punctuation
+ * and repeated whitespace
+ * @param {string} text - Answer text
+ * @returns {string} Normalized answer
+ */
+function normalizeAnswer(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/\p{P}/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Levenshtein distance between two strings, giving up once it exceeds a limit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Distance, or limit + 1 if the strings are further apart
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Check a typed answer against the accepted answers of a question
+ * @param {string} text - Typed answer
+ * @param {Array<string>} acceptedAnswers - Accepted answers
+ * @param {number} typoTolerance - Most typos (edits) allowed in an answer
+ * @returns {boolean} Whether the answer matches one of the accepted answers
+ */
+function matchesAnswer(text, acceptedAnswers, typoTolerance) {
+  const answer = normalizeAnswer(text);
+  if (!answer) return false;
+
+  return acceptedAnswers.some((accepted) => {
+    const expected = normalizeAnswer(accepted);
+    const allowed = Math.min(typoTolerance, Math.floor(expected.length / CHARACTERS_PER_TYPO));
+    return editDistance(answer, expected, allowed) <= allowed;
+  });
+}
+
+/**
+ * Join a whole number written with thousands separators, such as "1,000,000"
+ * @param {string} text - Whole number
+ * @param {string} separator - Thousands separator
+ * @returns {string|null} The number without separators, or null if a group after the first
+ *   doesn't have exactly three digits
+ */
+function joinDigitGroups(text, separator) {
+  const groups = text.split(separator);
+  return /^[-+]?\d{1,3}$/.test(groups[0]) && groups.slice(1).every((group) => /^\d{3}$/.test(group))
+    ? groups.join("")
+    : null;
+}
+
+/**
+ * Read a number typed by a player, such as "324", "-1.5", "3,14", "1,000,000",
+ * "1.234,5" or "330 m". Several commas or dots separate thousands, and the last of two
+ * different separators is the decimal point. A single separator before exactly three digits
+ * ("1,500" or "1.500") could be either; it's read as the one closer to the expected value
+ * when there is one, otherwise a comma separates thousands and a dot is the decimal point.
+ * @param {string} text - Typed answer
+ * @param {number} [expected] - Value the answer is compared with, such as the correct value
+ * @returns {number|null} The number, or null if the text isn't a number
+ */
+function parseNumber(text, expected) {
+  let number = String(text || "")
+    .trim()
+    .replace(/\s*[\p{L}%°]+\.?$/u, "") // Unit after the number
+    .replace(/\u2212/g, "-")
+    .replace(/(\d)[\s'’_](?=\d)/g, "$1"); // Digit group separators such as "1 000"
+
+  const commas = (number.match(/,/g) || []).length;
+  const dots = (number.match(/\./g) || []).length;
+  if (commas > 0 && dots > 0) {
+    // The last separator is the decimal point: "1,234.5" or "1.234,5"
+    const decimal = number.lastIndexOf(",") > number.lastIndexOf(".") ? "," : ".";
+    const point = number.lastIndexOf(decimal);
+    const whole = joinDigitGroups(number.substring(0, point), decimal === "," ? "." : ",");
+    if (whole === null) {
+      return null;
+    }
+    number = `${whole}.${number.substring(point + 1)}`;
+  } else if (commas + dots > 1) {
+    // Several separators of one kind are thousands, anything else such as "12.5.3" isn't a number
+    number = joinDigitGroups(number, commas > 0 ? "," : ".");
+    if (number === null) {
+      return null;
+    }
+  } else if (commas + dots === 1) {
+    const separator = commas > 0 ? "," : ".";
+    const whole = /^[-+]?0*[.,]/.test(number) ? null : joinDigitGroups(number, separator);
+    const decimal = toNumber(number.replace(",", "."));
+    if (whole === null || decimal === null) {
+      return decimal;
+    }
+
+    const thousands = toNumber(whole);
+    if (typeof expected === "number") {
+      return Math.abs(thousands - expected) < Math.abs(decimal - expected) ? thousands : decimal;
+    }
+    return separator === "," ? thousands : decimal;
+  }
+
+  return toNumber(number);
+}
+
+/**
+ * Convert a number written with digits and an optional decimal point
+ * @param {string} text - Number such as "-1.5"
+ * @returns {number|null} The number, or null if the text isn't one
+ */
+function toNumber(text) {
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+    return null;
+  }
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Distance between a guess and the correct value, without floating point noise
+ * @param {number} value - Guess
+ * @param {number} correctValue - Correct value
+ * @returns {number} Absolute difference
+ */
+function numberDistance(value, correctValue) {
+  return Math.round(Math.abs(value - correctValue) * 1e9) / 1e9;
+}
+
+module.exports = {
+  normalizeAnswer,
+  editDistance,
+  matchesAnswer,
+  parseNumber,
+  numberDistance,
+};
@@ -4,7 +4,11 @@
  */
 const { Telegraf, Scenes, session } = require("telegraf");
 const handlers = require("./handlers");
-const { quizCreationScene } = require("./scenes");
+const { quizCreationScene, questionEditorScene } = require("./scenes");
+const quiz = require("./quiz");
+const quizManager = require("./quizManager");
+const scheduler = require("./scheduler");
+const groupSettings = require("./groupSettings");
 const logger = require("./logger");
 
 /**
@@ -49,7 +53,10 @@ async function adminRequiredMiddleware(ctx, next) {
     'end_quiz',
     'schedule_quiz',
     'cancel_quiz',
+    'recurring_quiz',
     'skip_question',
+    'pause_quiz',
+    'resume_quiz',
     'settings'
   ];
   
@@ -57,6 +64,14 @@ async function adminRequiredMiddleware(ctx, next) {
   if (ctx.message && ctx.message.text && ctx.message.text.startsWith('/')) {
     const command = ctx.message.text.split(' ')[0].substring(1).split('@')[0];
     
+    // Groups can let members start quizzes from /settings
+    if (command === 'start_quiz') {
+      const settings = await groupSettings.getGroupSettings(ctx.chat.id);
+      if (settings.allowMemberStart) {
+        return next();
+      }
+    }
+
     // If this is an admin command, check permissions
     if (adminCommands.includes(command)) {
       const isAdmin = await isGroupAdmin(ctx, ctx.from.id, ctx.chat.id);
@@ -82,8 +97,8 @@ async function adminRequiredMiddleware(ctx, next) {
  * Setup scenes and middleware
  */
 function setupMiddleware() {
-  // Set up scenes for quiz creation wizard
-  const stage = new Scenes.Stage([quizCreationScene]);
+  // Set up scenes for quiz creation wizard and question editor
+  const stage = new Scenes.Stage([quizCreationScene, questionEditorScene]);
   bot.use(session());
   bot.use(stage.middleware());
   
@@ -111,8 +126,28 @@ function registerHandlers() {
         description: "Start a quiz in a group (admin only)",
       },
       { command: "end_quiz", description: "End the current quiz (admin only)" },
+      {
+        command: "skip_question",
+        description: "Skip the current question (admin only)",
+      },
+      { command: "pause_quiz", description: "Pause the current question (admin only)" },
+      { command: "resume_quiz", description: "Resume a paused quiz (admin only)" },
+      {
+        command: "schedule_quiz",
+        description: "Schedule a quiz to start later (admin only)",
+      },
+      {
+        command: "recurring_quiz",
+        description: "Set up recurring quiz nights (admin only)",
+      },
+      {
+        command: "cancel_quiz",
+        description: "Cancel a scheduled quiz (admin only)",
+      },
+      { command: "settings", description: "Change group quiz settings (admin only)" },
       { command: "my_quizzes", description: "Manage your created quizzes" },
       { command: "shared_quizzes", description: "See quizzes shared with you" },
+      { command: "import", description: "Import questions from a file or message" },
     ])
     .catch((err) => {
       logger.error("Failed to set commands:", err);
@@ -124,11 +159,20 @@ function registerHandlers() {
   bot.command("create_quiz", handlers.createQuizHandler);
   bot.command("start_quiz", handlers.startQuizHandler);
   bot.command("end_quiz", handlers.endQuizHandler);
+  bot.command("skip_question", handlers.skipQuestionHandler);
+  bot.command("pause_quiz", handlers.pauseQuizHandler);
+  bot.command("resume_quiz", handlers.resumeQuizHandler);
+  bot.command("schedule_quiz", handlers.scheduleQuizHandler);
+  bot.command("cancel_quiz", handlers.cancelQuizHandler);
+  bot.command("recurring_quiz", handlers.recurringQuizHandler);
+  bot.command("settings", handlers.settingsHandler);
   bot.command("my_quizzes", handlers.myQuizzesHandler);
   bot.command("shared_quizzes", handlers.sharedWithMeHandler);
+  bot.command("import", handlers.importHandler);
 
   // Register button action handlers
   bot.action(/answer_(\d+)_(\d+)/, handlers.answerHandler);
+  bot.action(/^msub_(\d+)$/, handlers.submitAnswerHandler);
   bot.action(/start_quiz_(.+)/, handlers.startQuizFromIdHandler);
   bot.action(/delete_quiz_(.+)/, handlers.deleteQuizHandler);
   bot.action(/edit_quiz_(.+)/, handlers.editQuizHandler);
@@ -139,6 +183,9 @@ function registerHandlers() {
   // Handle text input (if not in scene)
   bot.on("text", handlers.textHandler);
 
+  // Handle uploaded question files
+  bot.on("document", handlers.documentHandler);
+
   logger.info("Bot commands and handlers registered");
 }
 
@@ -153,6 +200,16 @@ function init() {
     // Register handlers
     registerHandlers();
 
+    // Load the quiz index, resume games interrupted by a restart,
+    // then re-arm scheduled quizzes
+    quizManager
+      .initStorage()
+      .then(() => quiz.restoreActiveQuizzes(bot.telegram))
+      .finally(() => scheduler.init(bot.telegram, handlers.startQuizById));
+
+    // Permanently remove deleted quizzes once their retention runs out
+    quizManager.startTrashSweep();
+
     // Global error handler
     bot.catch((err, ctx) => {
       const updateType = ctx.updateType || "unknown";
@@ -30,7 +30,45 @@ module.exports = {
         BACK: 'Back',
       }
     },
+    // Limits for quiz content, shared by the wizard, the editor and imports
+    QUIZ_CONSTRAINTS: {
+      TITLE_MIN_LENGTH: 3,
+      TITLE_MAX_LENGTH: 100,
+      MIN_TIMER: 5,
+      MAX_TIMER: 60,
+      MIN_QUESTIONS: 1,
+      MAX_QUESTIONS: 50,
+      MIN_OPTIONS: 2,
+      MAX_OPTIONS: 8,
+      QUESTION_MIN_LENGTH: 5,
+      QUESTION_MAX_LENGTH: 255,
+      OPTION_MAX_LENGTH: 100,
+      EXPLANATION_MAX_LENGTH: 500,
+      SOURCE_URL_MAX_LENGTH: 300,
+      CATEGORY_MAX_LENGTH: 50,
+      MAX_ACCEPTED_ANSWERS: 10,
+      MAX_TYPO_TOLERANCE: 3,
+      MIN_ORDER_ITEMS: 3,
+      MAX_ORDER_ITEMS: 6,
+    },
     // Other constants can go here too
-    ANSWER_LABELS: ['A', 'B', 'C', 'D'],
+    ANSWER_LABELS: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'],
+    // Color marker for each answer option, by position
+    OPTION_COLORS: ['🔴', '🔵', '🟢', '🟡', '🟣', '🟠', '🟤', '⚫'],
+    // Question types; questions without a type are multiple choice
+    QUESTION_TYPES: {
+      MULTIPLE_CHOICE: 'multiple_choice',
+      TRUE_FALSE: 'true_false',
+      MULTI_SELECT: 'multi_select',
+      FREE_TEXT: 'free_text',
+      NUMERIC: 'numeric',
+      ORDERING: 'ordering',
+    },
+    // Question types answered by replying in the chat instead of tapping an option
+    TYPED_ANSWER_TYPES: ['free_text', 'numeric'],
+    // Options stored for true/false questions, in this order
+    TRUE_FALSE_OPTIONS: ['True', 'False'],
+    // Typos allowed in free-text answers when a question doesn't set its own tolerance
+    DEFAULT_TYPO_TOLERANCE: 1,
     // etc...
   };
\ No newline at end of file
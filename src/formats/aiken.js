@@ -0,0 +1,133 @@
+/**
+ * Zano Quiz - Aiken Question Format (Moodle)
+ *
+ *   What is the capital of France?
+ *   A. Lyon
+ *   B. Paris
+ *   C. Nice
+ *   D. Nantes
+ *   ANSWER: B
+ *
+ * Aiken only has multiple choice questions, with the question on a single line.
+ */
+const { ANSWER_LABELS } = require("../constants");
+const { validateQuestion } = require("./common");
+
+const OPTION_LINE = /^([A-Z])\s*[.)]\s+(.*)$/;
+const ANSWER_LINE = /^ANSWER\s*:\s*([A-Z])\s*$/i;
+
+/**
+ * Parse questions in Aiken format
+ * @param {string} input - File contents
+ * @returns {Object} { questions, errors, skipped } where errors are { line, message }
+ */
+function parseAikenQuestions(input) {
+  const lines = String(input || "").replace(/\r\n?/g, "\n").split("\n");
+  const result = { questions: [], errors: [], skipped: {} };
+  let block = null;
+
+  const closeBlock = (answerLetter) => {
+    const answerIndex = block.options.findIndex((option) => option.letter === answerLetter);
+    let problem = null;
+
+    if (block.problem) {
+      problem = block.problem;
+    } else if (answerIndex === -1) {
+      problem = `ANSWER ${answerLetter} doesn't match an option`;
+    }
+
+    const question = {
+      text: block.textLines.join(" "),
+      options: block.options.map((option) => option.text),
+      correctAnswer: answerIndex,
+    };
+    problem = problem || validateQuestion(question);
+
+    if (problem) {
+      result.errors.push({ line: block.line, message: `Question skipped: ${problem}` });
+    } else {
+      result.questions.push(question);
+    }
+    block = null;
+  };
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const answerMatch = line.match(ANSWER_LINE);
+    if (answerMatch) {
+      if (!block || block.options.length === 0) {
+        result.errors.push({ line: lineNumber, message: "ANSWER line without a question and options" });
+        block = null;
+        return;
+      }
+      closeBlock(answerMatch[1].toUpperCase());
+      return;
+    }
+
+    const optionMatch = line.match(OPTION_LINE);
+    if (block && optionMatch) {
+      const expected = String.fromCharCode(65 + block.options.length);
+      if (optionMatch[1] !== expected && !block.problem) {
+        block.problem = `line ${lineNumber} should be option ${expected}`;
+      }
+      block.options.push({ letter: optionMatch[1], text: optionMatch[2].trim() });
+      return;
+    }
+
+    if (block && block.options.length > 0) {
+      // Text after the options without an ANSWER line starts a new question
+      result.errors.push({ line: block.line, message: "Question skipped: missing ANSWER line" });
+      block = null;
+    }
+
+    if (block) {
+      block.textLines.push(line);
+    } else {
+      block = { line: lineNumber, textLines: [line], options: [], problem: null };
+    }
+  });
+
+  if (block) {
+    result.errors.push({ line: block.line, message: "Question skipped: missing ANSWER line" });
+  }
+
+  return result;
+}
+
+/**
+ * Check whether text looks like Aiken questions
+ * @param {string} content - File contents
+ * @returns {boolean} Whether the text contains an ANSWER line after options
+ */
+function looksLikeAiken(content) {
+  return /^\s*[A-Z]\s*[.)]\s+.+\n(?:\s*[A-Z]\s*[.)]\s+.+\n)*\s*ANSWER\s*:\s*[A-Z]\s*$/im.test(
+    String(content || "").replace(/\r\n?/g, "\n")
+  );
+}
+
+/**
+ * Write questions in Aiken format
+ * @param {Object} quiz - Quiz data
+ * @returns {string} Aiken text (explanations and the category aren't part of the format)
+ */
+function formatAikenQuiz(quiz) {
+  return quiz.questions
+    .map((question) => {
+      const lines = [question.text.replace(/\s*\n\s*/g, " ")];
+      question.options.forEach((option, index) => {
+        lines.push(`${ANSWER_LABELS[index]}. ${option.replace(/\s*\n\s*/g, " ")}`);
+      });
+      lines.push(`ANSWER: ${ANSWER_LABELS[question.correctAnswer]}`);
+      return lines.join("\n");
+    })
+    .join("\n\n") + "\n";
+}
+
+module.exports = {
+  parseAikenQuestions,
+  looksLikeAiken,
+  formatAikenQuiz,
+};
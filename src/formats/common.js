@@ -0,0 +1,292 @@
+/**
+ * Zano Quiz - Shared helpers for quiz import and export formats
+ */
+const {
+  QUIZ_CONSTRAINTS,
+  ANSWER_LABELS,
+  QUESTION_TYPES,
+  TRUE_FALSE_OPTIONS,
+} = require("../constants");
+const {
+  getQuestionType,
+  hasValidCorrectAnswer,
+  checkFreeTextAnswers,
+  checkNumericAnswer,
+  checkOrderItems,
+  checkQuestionNotes,
+  parseSourceUrl,
+} = require("../quizSchema");
+
+/**
+ * Check an imported question against the quiz content limits
+ * @param {Object} question - Question with text, options and correctAnswer
+ * @returns {string|null} Problem description, or null if the question is valid
+ */
+function validateQuestion(question) {
+  const text = question.text || "";
+
+  if (text.length < QUIZ_CONSTRAINTS.QUESTION_MIN_LENGTH) {
+    return `question text is shorter than ${QUIZ_CONSTRAINTS.QUESTION_MIN_LENGTH} characters`;
+  }
+  if (text.length > QUIZ_CONSTRAINTS.QUESTION_MAX_LENGTH) {
+    return `question text is longer than ${QUIZ_CONSTRAINTS.QUESTION_MAX_LENGTH} characters`;
+  }
+
+  const type = getQuestionType(question);
+  if (!Object.values(QUESTION_TYPES).includes(type)) {
+    return `unknown question type "${type}"`;
+  }
+  if (type === QUESTION_TYPES.FREE_TEXT) {
+    const problem = checkFreeTextAnswers(question);
+    if (problem) {
+      return `the question ${problem}`;
+    }
+    const tooLong = question.acceptedAnswers.find(
+      (answer) => answer.length > QUIZ_CONSTRAINTS.OPTION_MAX_LENGTH
+    );
+    if (tooLong) {
+      return `an accepted answer is longer than ${QUIZ_CONSTRAINTS.OPTION_MAX_LENGTH} characters`;
+    }
+    return checkNotes(question);
+  }
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const problem = checkNumericAnswer(question);
+    return problem ? `the question ${problem}` : checkNotes(question);
+  }
+  if (type === QUESTION_TYPES.TRUE_FALSE && (question.options || []).length !== TRUE_FALSE_OPTIONS.length) {
+    return "a true/false question needs exactly 2 options";
+  }
+
+  if (!Array.isArray(question.options)) {
+    return "the question has no options";
+  }
+  if (question.options.length < QUIZ_CONSTRAINTS.MIN_OPTIONS) {
+    return `a question needs at least ${QUIZ_CONSTRAINTS.MIN_OPTIONS} options`;
+  }
+  if (question.options.length > QUIZ_CONSTRAINTS.MAX_OPTIONS) {
+    return `has ${question.options.length} options, at most ${QUIZ_CONSTRAINTS.MAX_OPTIONS} are allowed`;
+  }
+
+  for (let i = 0; i < question.options.length; i++) {
+    const option = question.options[i] || "";
+    if (!option) {
+      return `option ${ANSWER_LABELS[i]} is empty`;
+    }
+    if (option.length > QUIZ_CONSTRAINTS.OPTION_MAX_LENGTH) {
+      return `option ${ANSWER_LABELS[i]} is longer than ${QUIZ_CONSTRAINTS.OPTION_MAX_LENGTH} characters`;
+    }
+  }
+
+  if (type === QUESTION_TYPES.ORDERING) {
+    const problem = checkOrderItems(question);
+    return problem ? `the question ${problem}` : checkNotes(question);
+  }
+  if (!hasValidCorrectAnswer(question)) {
+    return "the correct answer is missing or doesn't match an option";
+  }
+
+  return checkNotes(question);
+}
+
+/**
+ * Check a question's explanation and source link
+ * @param {Object} question - Question data
+ * @returns {string|null} Problem description, or null if they're valid
+ */
+function checkNotes(question) {
+  const problem = checkQuestionNotes(question);
+  if (problem) {
+    return `the question ${problem}`;
+  }
+  if (
+    question.explanation &&
+    question.explanation.length > QUIZ_CONSTRAINTS.EXPLANATION_MAX_LENGTH
+  ) {
+    return `explanation is longer than ${QUIZ_CONSTRAINTS.EXPLANATION_MAX_LENGTH} characters`;
+  }
+  if (question.sourceUrl && question.sourceUrl.length > QUIZ_CONSTRAINTS.SOURCE_URL_MAX_LENGTH) {
+    return `source link is longer than ${QUIZ_CONSTRAINTS.SOURCE_URL_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Last line of a feedback text that holds the source link, in formats with a single
+ * feedback field such as GIFT and Moodle XML
+ */
+const SOURCE_LINE = /(?:^|\n)\s*Source:\s*(\S+)\s*$/i;
+
+/**
+ * Write a question's explanation and source link as one feedback text
+ * @param {Object} question - Question data
+ * @returns {string} Feedback text, empty if the question has neither
+ */
+function formatFeedback(question) {
+  return [question.explanation, question.sourceUrl && `Source: ${question.sourceUrl}`]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Read a feedback text written by formatFeedback into a question's explanation and source link
+ * @param {Object} question - Question to update
+ * @param {string} text - Feedback text
+ */
+function readFeedback(question, text) {
+  let explanation = String(text || "").trim();
+
+  const match = explanation.match(SOURCE_LINE);
+  const sourceUrl = match && parseSourceUrl(match[1]);
+  if (sourceUrl) {
+    question.sourceUrl = sourceUrl;
+    explanation = explanation.substring(0, match.index).trim();
+  }
+  if (explanation) {
+    question.explanation = explanation;
+  }
+}
+
+/**
+ * Suffix after a list of correct options that marks a multi-select question's scoring
+ */
+const SCORING_SUFFIX = /\(\s*(partial(?:\s+credit)?|all(?:\s+or\s+nothing)?)\s*\)\s*$/i;
+
+/**
+ * Read a correct answer cell such as "B", "2", "A, C" or "A, C (partial credit)"
+ * @param {string} value - Correct answer text
+ * @returns {Object|null} { correctAnswer, order, multiSelect, partialCredit } where order
+ *   lists the options as given, or null if a letter or number can't be read
+ */
+function parseCorrectAnswers(value) {
+  let text = String(value || "").trim();
+  let scoring = null;
+
+  const suffix = text.match(SCORING_SUFFIX);
+  if (suffix) {
+    scoring = suffix[1].toLowerCase().startsWith("partial") ? "partial" : "all";
+    text = text.substring(0, suffix.index).trim();
+  }
+
+  const answers = [];
+  for (const part of text.toUpperCase().split(/[\s,;]+/).filter(Boolean)) {
+    const index = ANSWER_LABELS.includes(part)
+      ? ANSWER_LABELS.indexOf(part)
+      : /^\d+$/.test(part) ? parseInt(part) - 1 : -1;
+    if (index === -1) return null;
+    if (!answers.includes(index)) answers.push(index);
+  }
+  if (answers.length === 0) return null;
+
+  // A list of answers or a scoring suffix makes a multi-select question
+  const multiSelect = answers.length > 1 || scoring !== null;
+  return {
+    correctAnswer: multiSelect ? [...answers].sort((a, b) => a - b) : answers[0],
+    order: answers,
+    multiSelect,
+    partialCredit: scoring === "partial",
+  };
+}
+
+/**
+ * Write the correct answer of a question as letters, in the form read by parseCorrectAnswers
+ * @param {Object} question - Question data
+ * @returns {string} Correct answer text
+ */
+function formatCorrectAnswers(question) {
+  if (getQuestionType(question) !== QUESTION_TYPES.MULTI_SELECT) {
+    return ANSWER_LABELS[question.correctAnswer];
+  }
+
+  const letters = question.correctAnswer.map((index) => ANSWER_LABELS[index]).join(", ");
+  if (question.partialCredit) {
+    return `${letters} (partial credit)`;
+  }
+  // A single letter needs the suffix to stay a multi-select question
+  return question.correctAnswer.length === 1 ? `${letters} (all or nothing)` : letters;
+}
+
+/**
+ * Answer weights (percent) used for multi-select questions in Moodle formats. Every correct
+ * option is worth an equal share; a wrong pick costs one share with partial credit, and the
+ * whole mark otherwise, which makes the question all or nothing.
+ * @param {Object} question - Multi-select question
+ * @returns {Object} { correct, wrong } weights
+ */
+function multiSelectWeights(question) {
+  const correct = Number((100 / question.correctAnswer.length).toFixed(5));
+  return { correct, wrong: question.partialCredit ? -correct : -100 };
+}
+
+/**
+ * Build a multi-select question from Moodle answer weights
+ * @param {string} text - Question text
+ * @param {Array<string>} options - Option texts
+ * @param {Array<number>} weights - Weight of each option
+ * @returns {Object} Question
+ */
+function multiSelectFromWeights(text, options, weights) {
+  return {
+    type: QUESTION_TYPES.MULTI_SELECT,
+    text,
+    options,
+    correctAnswer: weights.map((weight, index) => (weight > 0 ? index : -1)).filter((index) => index !== -1),
+    // A wrong pick that cancels the whole mark means the question is all or nothing
+    partialCredit: !weights.some((weight) => weight <= -100),
+  };
+}
+
+/**
+ * Format parse errors as lines for a message
+ * @param {Array<Object>} errors - Errors with line and message
+ * @param {number} limit - Maximum number of errors listed
+ * @returns {string} One error per line
+ */
+function formatImportErrors(errors, limit = 10) {
+  const lines = errors
+    .slice(0, limit)
+    .map((error) => (error.line ? `Line ${error.line}: ${error.message}` : error.message));
+
+  if (errors.length > limit) {
+    lines.push(`…and ${errors.length - limit} more`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Record a question that was left out because its type isn't supported
+ * @param {Object} result - Parse result being built ({ errors, skipped })
+ * @param {string} type - Question type, as shown to the user
+ * @param {number} line - Line the question starts on
+ */
+function skipUnsupported(result, type, line) {
+  result.skipped[type] = (result.skipped[type] || 0) + 1;
+  result.errors.push({ line, message: `Skipped ${type} question, this question type isn't supported` });
+}
+
+/**
+ * Get a category name from an LMS category path such as "$course$/top/Geography"
+ * @param {string} categoryPath - Category path
+ * @returns {string|null} Last path segment, or null if there is none
+ */
+function categoryFromPath(categoryPath) {
+  const segments = String(categoryPath || "")
+    .split("/")
+    .map((segment) => segment.trim())
+    .filter((segment) => segment && !/^\$\w+\$$/.test(segment) && segment !== "top");
+
+  const category = segments.pop();
+  return category ? category.substring(0, QUIZ_CONSTRAINTS.CATEGORY_MAX_LENGTH) : null;
+}
+
+module.exports = {
+  validateQuestion,
+  parseCorrectAnswers,
+  formatCorrectAnswers,
+  formatFeedback,
+  readFeedback,
+  multiSelectWeights,
+  multiSelectFromWeights,
+  formatImportErrors,
+  skipUnsupported,
+  categoryFromPath,
+};
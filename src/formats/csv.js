@@ -0,0 +1,461 @@
+/**
+ * Zano Quiz - CSV Question Format
+ *
+ * One question per row, with a header row:
+ *   question,option_a,option_b,option_c,option_d,correct,explanation,category,title,source,
+ *   type,question_time,intermission_time
+ *
+ * Questions have 2 to 8 options in the columns option_a to option_h. Only option_a and
+ * option_b are required, and empty option cells at the end of a row are ignored.
+ * The explanation, category, title, source (a link shown with the explanation), type and
+ * timer columns are optional; category, title and the timers (in seconds) apply
+ * to the whole quiz, so exports repeat them on every row. Files without a header row
+ * are read in the column order above. Commas, semicolons and tabs are accepted as
+ * delimiters, since spreadsheet programs export either depending on the locale.
+ *
+ * The correct column holds a letter or option number. Several of them ("A,C") make a
+ * multi-select question, scored all or nothing unless followed by "(partial credit)".
+ * Without a type the question type follows from the correct column; exports write it so
+ * true/false questions come back as such.
+ *
+ * Free-text questions (type free_text) list their answers in the accepted_answers column,
+ * separated by "|", and may give the number of typos allowed in the tolerance column.
+ * Numeric questions (type numeric) have the number in the correct column, followed by
+ * "(closest guess)" when the closest guess wins the bonus point, and the margin an answer
+ * may be off by in the tolerance column.
+ * Ordering questions (type ordering) list the letters of their items in the right order in
+ * the correct column ("C, A, B"), followed by "(partial credit)" to score each item in its
+ * place.
+ */
+const { ANSWER_LABELS, QUIZ_CONSTRAINTS, QUESTION_TYPES } = require("../constants");
+const { parseSourceUrl, checkTimerSetting, getQuestionType } = require("../quizSchema");
+const { parseNumber } = require("../answerMatching");
+const { validateQuestion, parseCorrectAnswers, formatCorrectAnswers } = require("./common");
+
+const OPTION_COLUMNS = ANSWER_LABELS.map((label) => `option_${label.toLowerCase()}`);
+const QUIZ_COLUMNS = [
+  "correct",
+  "explanation",
+  "category",
+  "title",
+  "source",
+  "type",
+  "question_time",
+  "intermission_time",
+  "accepted_answers",
+  "tolerance",
+];
+const REQUIRED_COLUMNS = ["question", "option_a", "option_b", "correct"];
+const DELIMITERS = [",", ";", "\t"];
+
+/**
+ * Quiz setting held by each timer column
+ */
+const TIMER_COLUMNS = {
+  question_time: "questionTime",
+  intermission_time: "intermissionTime",
+};
+
+/**
+ * Separator between the answers in the accepted_answers column
+ */
+const ANSWER_SEPARATOR = "|";
+
+/**
+ * Suffix after a numeric answer that says who gets the bonus point
+ */
+const BONUS_SUFFIX = /\(\s*(closest(?:\s+guess)?|first(?:\s+correct)?)\s*\)\s*$/i;
+
+/**
+ * Options written for every question, so exported files keep the familiar layout
+ */
+const EXPORT_MIN_OPTIONS = 4;
+
+/**
+ * Header names accepted for each column, normalized to lowercase letters and digits
+ */
+const COLUMN_ALIASES = {
+  question: ["question", "questiontext", "text"],
+  ...Object.fromEntries(
+    ANSWER_LABELS.map((label, index) => {
+      const letter = label.toLowerCase();
+      return [OPTION_COLUMNS[index], [`option${letter}`, letter, `answer${letter}`]];
+    })
+  ),
+  correct: ["correct", "correctanswer", "answer"],
+  explanation: ["explanation"],
+  category: ["category"],
+  title: ["title", "quiztitle", "quiz"],
+  source: ["source", "sourceurl", "sourcelink", "link", "url"],
+  type: ["type", "questiontype"],
+  question_time: ["questiontime", "timer", "time"],
+  intermission_time: ["intermissiontime", "intermission"],
+  accepted_answers: ["acceptedanswers", "answers"],
+  tolerance: ["tolerance", "typotolerance", "typos", "margin"],
+};
+
+/**
+ * Column names for a given number of options
+ * @param {number} optionCount - Number of option columns
+ * @returns {Array<string>} Column names in file order
+ */
+function columnsFor(optionCount) {
+  return ["question", ...OPTION_COLUMNS.slice(0, optionCount), ...QUIZ_COLUMNS];
+}
+
+/**
+ * Pick the delimiter used in the first line of the file
+ * @param {string} content - File contents
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(content) {
+  let firstLine = "";
+  let inQuotes = false;
+  for (const char of content) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === "\n" && !inQuotes) break;
+    firstLine += inQuotes ? "" : char;
+  }
+
+  return DELIMITERS.reduce((best, delimiter) =>
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  );
+}
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may contain delimiters,
+ * line breaks and doubled quotes)
+ * @param {string} content - File contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Object>} Records as { line, fields }
+ */
+function readRecords(content, delimiter) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    // Skip empty lines
+    if (fields.length > 1 || fields[0].trim() !== "") {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === "") {
+      field = "";
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n") {
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Map header names to column positions
+ * @param {Array<string>} header - Header row fields
+ * @returns {Object|null} Column name to index, or null if the row isn't a header
+ */
+function readHeader(header) {
+  const normalized = header.map((name) => name.toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const columns = {};
+
+  Object.keys(COLUMN_ALIASES).forEach((column) => {
+    const index = normalized.findIndex((name) => COLUMN_ALIASES[column].includes(name));
+    if (index !== -1) {
+      columns[column] = index;
+    }
+  });
+
+  return columns.question !== undefined ? columns : null;
+}
+
+/**
+ * Read a number cell; numbers written by exports are read as they are, others the way
+ * numeric answers are ("1,5", "1 000")
+ * @param {string} text - Cell text
+ * @returns {number|null} The number, or null if the text isn't one
+ */
+function readNumber(text) {
+  const value = text === "" ? NaN : Number(text);
+  return Number.isFinite(value) ? value : parseNumber(text);
+}
+
+/**
+ * Build a question from the cells of a row
+ * @param {Function} cell - Returns the trimmed text of a column
+ * @returns {Object} { question, problem } where problem describes a row that can't be read,
+ *   and the question is still to be checked with validateQuestion
+ */
+function readQuestion(cell) {
+  const correct = cell("correct");
+  const parsedCorrect = parseCorrectAnswers(correct);
+  // "True/False" and "free text" are read as true_false and free_text
+  const type = cell("type").toLowerCase().replace(/[\s/-]+/g, "_");
+
+  if (type === QUESTION_TYPES.FREE_TEXT) {
+    const question = {
+      type,
+      text: cell("question"),
+      acceptedAnswers: cell("accepted_answers")
+        .split(ANSWER_SEPARATOR)
+        .map((answer) => answer.trim())
+        .filter(Boolean),
+    };
+    if (cell("tolerance")) {
+      question.typoTolerance = Number(cell("tolerance"));
+    }
+    // Free-text answers have a column of their own
+    return { question, problem: null };
+  }
+  if (!correct) {
+    return { question: null, problem: "the correct column is empty" };
+  }
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const bonus = correct.match(BONUS_SUFFIX);
+    const question = {
+      type,
+      text: cell("question"),
+      correctValue: readNumber(bonus ? correct.substring(0, bonus.index).trim() : correct),
+      tolerance: cell("tolerance") ? readNumber(cell("tolerance")) : 0,
+      closestWins: Boolean(bonus) && bonus[1].toLowerCase().startsWith("closest"),
+    };
+    return { question, problem: null };
+  }
+
+  const options = OPTION_COLUMNS.map(cell);
+  while (options.length > 0 && options[options.length - 1] === "") {
+    options.pop();
+  }
+
+  if (type === QUESTION_TYPES.ORDERING) {
+    const order = parsedCorrect ? parsedCorrect.order : [];
+    if (order.length !== options.length || order.some((index) => index >= options.length)) {
+      return { question: null, problem: "the correct column must list every item once, in order" };
+    }
+    const question = {
+      type,
+      text: cell("question"),
+      options: order.map((index) => options[index]),
+      partialCredit: parsedCorrect.partialCredit,
+    };
+    return { question, problem: null };
+  }
+
+  const question = {
+    text: cell("question"),
+    options,
+    correctAnswer: parsedCorrect ? parsedCorrect.correctAnswer : -1,
+  };
+  if (type === QUESTION_TYPES.MULTI_SELECT || (!type && parsedCorrect && parsedCorrect.multiSelect)) {
+    question.type = QUESTION_TYPES.MULTI_SELECT;
+    question.correctAnswer = parsedCorrect ? [].concat(parsedCorrect.correctAnswer) : [];
+    question.partialCredit = Boolean(parsedCorrect && parsedCorrect.partialCredit);
+  } else if (type && type !== QUESTION_TYPES.MULTIPLE_CHOICE) {
+    question.type = type;
+  }
+  return { question, problem: null };
+}
+
+/**
+ * Parse a quiz from CSV
+ * @param {string} input - CSV text
+ * @returns {Object} { questions, errors, category, title, settings } where errors are
+ *   { line, message }
+ */
+function parseCsvQuestions(input) {
+  const content = String(input || "").replace(/\r\n?/g, "\n");
+  const records = readRecords(content, detectDelimiter(content));
+  const questions = [];
+  const errors = [];
+  const settings = {};
+  const timersRead = new Set();
+  let category = null;
+  let title = null;
+
+  if (records.length === 0) {
+    return {
+      questions,
+      errors: [{ line: 1, message: "The file is empty" }],
+      category,
+      title,
+      settings: null,
+    };
+  }
+
+  let columns = readHeader(records[0].fields);
+  if (columns) {
+    records.shift();
+
+    const missing = REQUIRED_COLUMNS.filter((column) => columns[column] === undefined);
+    if (missing.length > 0) {
+      return {
+        questions,
+        errors: [{ line: 1, message: `Header is missing the column(s): ${missing.join(", ")}` }],
+        category,
+        title,
+        settings: null,
+      };
+    }
+  } else {
+    columns = {};
+    columnsFor(EXPORT_MIN_OPTIONS).forEach((column, index) => {
+      columns[column] = index;
+    });
+  }
+
+  records.forEach(({ line, fields }) => {
+    const cell = (column) =>
+      columns[column] !== undefined ? (fields[columns[column]] || "").trim() : "";
+
+    const { question, problem: rowProblem } = readQuestion(cell);
+
+    if (question) {
+      const explanation = cell("explanation");
+      if (explanation) {
+        question.explanation = explanation;
+      }
+      const source = cell("source");
+      if (source) {
+        question.sourceUrl = parseSourceUrl(source) || source;
+      }
+    }
+
+    const problem = rowProblem || validateQuestion(question);
+    if (problem) {
+      errors.push({ line, message: `Row skipped: ${problem}` });
+      return;
+    }
+
+    // The quiz takes the first category and title given
+    category = category || cell("category").substring(0, QUIZ_CONSTRAINTS.CATEGORY_MAX_LENGTH) || null;
+    title = title || cell("title").substring(0, QUIZ_CONSTRAINTS.TITLE_MAX_LENGTH) || null;
+    // and the first timers, which are left at their defaults if they're out of range
+    Object.keys(TIMER_COLUMNS).forEach((column) => {
+      const setting = TIMER_COLUMNS[column];
+      const seconds = cell(column);
+      if (seconds === "" || timersRead.has(column)) return;
+      timersRead.add(column);
+
+      const problem = checkTimerSetting(setting, seconds);
+      if (problem) {
+        errors.push({ line, message: `The ${column} column was ignored: ${problem}` });
+      } else {
+        settings[setting] = Number(seconds);
+      }
+    });
+    questions.push(question);
+  });
+
+  if (title && title.length < QUIZ_CONSTRAINTS.TITLE_MIN_LENGTH) {
+    title = null;
+  }
+
+  return {
+    questions,
+    errors,
+    category,
+    title,
+    settings: Object.keys(settings).length > 0 ? settings : null,
+  };
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {string} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",;\t\n\r]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write the correct column of a question, in the form read by readQuestion
+ * @param {Object} question - Question data
+ * @returns {string} Correct column text
+ */
+function formatCorrectCell(question) {
+  const type = getQuestionType(question);
+  if (type === QUESTION_TYPES.FREE_TEXT) {
+    return "";
+  }
+  if (type === QUESTION_TYPES.NUMERIC) {
+    return `${question.correctValue}${question.closestWins ? " (closest guess)" : ""}`;
+  }
+  if (type === QUESTION_TYPES.ORDERING) {
+    const letters = ANSWER_LABELS.slice(0, question.options.length).join(", ");
+    return question.partialCredit ? `${letters} (partial credit)` : letters;
+  }
+  return formatCorrectAnswers(question);
+}
+
+/**
+ * Write a quiz as CSV
+ * @param {Object} quiz - Quiz data
+ * @returns {string} CSV text with a header row
+ */
+function formatCsvQuiz(quiz) {
+  const settings = quiz.settings || {};
+  const optionCount = Math.max(
+    EXPORT_MIN_OPTIONS,
+    ...quiz.questions.map((question) => (question.options || []).length)
+  );
+  const rows = [columnsFor(optionCount)];
+
+  quiz.questions.forEach((question) => {
+    rows.push([
+      question.text,
+      ...OPTION_COLUMNS.slice(0, optionCount).map((column, index) => (question.options || [])[index]),
+      formatCorrectCell(question),
+      question.explanation,
+      quiz.category,
+      quiz.title,
+      question.sourceUrl,
+      getQuestionType(question),
+      settings.questionTime,
+      settings.intermissionTime,
+      question.acceptedAnswers && question.acceptedAnswers.join(` ${ANSWER_SEPARATOR} `),
+      getQuestionType(question) === QUESTION_TYPES.NUMERIC ? question.tolerance : question.typoTolerance,
+    ]);
+  });
+
+  // The byte order mark makes spreadsheet programs read the file as UTF-8
+  return "\uFEFF" + rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  parseCsvQuestions,
+  formatCsvQuiz,
+};
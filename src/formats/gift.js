@@ -0,0 +1,393 @@
+/**
+ * Zano Quiz - GIFT Question Format (Moodle)
+ *
+ *   $CATEGORY: $course$/top/Geography
+ *
+ *   ::Q1:: What is the capital of France? {
+ *     ~Lyon
+ *     =Paris
+ *     ~Nice
+ *     ~Nantes
+ *     ####Paris has been the capital since 987.
+ *   }
+ *
+ * Questions are separated by blank lines. Multiple choice, multiple answer (answers with
+ * %weight% markers, imported as multi-select), short answer ({=Paris =Paris, France},
+ * imported as typed answers), numerical ({#330:5} or {#325..335}) and true/false questions
+ * ({T} or {F}) are imported; other GIFT question types are reported as skipped.
+ * The general feedback (####) holds the explanation, followed by a "Source: <link>" line
+ * when the question has a source link.
+ */
+const { QUESTION_TYPES, TRUE_FALSE_OPTIONS } = require("../constants");
+const { getQuestionType } = require("../quizSchema");
+const {
+  validateQuestion,
+  skipUnsupported,
+  categoryFromPath,
+  multiSelectWeights,
+  multiSelectFromWeights,
+  formatFeedback,
+  readFeedback,
+} = require("./common");
+
+const SPECIAL_CHARS = /[~=#{}:]/g;
+
+/**
+ * Find the first unescaped occurrence of a string
+ * @param {string} text - Text to search
+ * @param {string} search - String to find
+ * @param {number} from - Start position
+ * @returns {number} Position or -1
+ */
+function findUnescaped(text, search, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text.startsWith(search, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Resolve GIFT escapes (\~ \= \# \{ \} \: and \n); line breaks in the file are spaces
+ * @param {string} text - GIFT text
+ * @returns {string} Plain text
+ */
+function unescapeGift(text) {
+  return text
+    .replace(/\s*\n\s*/g, " ")
+    .replace(/\\n/g, "\n")
+    .replace(/\\([~=#{}:])/g, "$1")
+    .replace(/[ \t]*\n[ \t]*/g, "\n")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
+
+/**
+ * Escape text for use in GIFT
+ * @param {string} text - Plain text
+ * @returns {string} GIFT text
+ */
+function escapeGift(text) {
+  return String(text).replace(SPECIAL_CHARS, "\\$&").replace(/\n/g, "\\n");
+}
+
+/**
+ * Split an answer block into answers
+ * @param {string} body - Text between the braces
+ * @returns {Array<Object>} Answers as { marker, weight, text }
+ */
+function readAnswers(body) {
+  const answers = [];
+  let current = null;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+
+    if (char === "\\") {
+      if (current) current.raw += body.substring(i, i + 2);
+      i++;
+    } else if (char === "=" || char === "~") {
+      current = { marker: char, raw: "" };
+      answers.push(current);
+    } else if (current) {
+      current.raw += char;
+    }
+  }
+
+  return answers.map(({ marker, raw }) => {
+    // Per-answer feedback follows an unescaped #
+    const feedbackAt = findUnescaped(raw, "#");
+    let text = (feedbackAt === -1 ? raw : raw.substring(0, feedbackAt)).trim();
+
+    let weight = null;
+    const weightMatch = text.match(/^%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = parseFloat(weightMatch[1]);
+      text = text.substring(weightMatch[0].length).trim();
+    }
+
+    return { marker, weight, text };
+  });
+}
+
+/**
+ * Read the answer of a numerical question: {#330:5}, {#325..335} or several answers such
+ * as {#=330:5 =%50%330:20}, of which the first one worth full marks is used
+ * @param {string} body - Text between the braces, without general feedback
+ * @returns {Object|null} { correctValue, tolerance }, or null if the answer can't be read
+ */
+function readNumericalAnswer(body) {
+  const content = body.trim().substring(1);
+  const answers = readAnswers(content);
+
+  let spec = content;
+  if (answers.length > 0) {
+    const full = answers.find(
+      (answer) => answer.marker === "=" && (answer.weight === null || answer.weight >= 100)
+    );
+    if (!full) return null;
+    spec = full.text;
+  } else if (findUnescaped(spec, "#") !== -1) {
+    spec = spec.substring(0, findUnescaped(spec, "#"));
+  }
+  spec = spec.trim();
+
+  const number = "(-?\\d*\\.?\\d+)";
+  const exact = spec.match(new RegExp(`^${number}(?::${number})?$`));
+  if (exact) {
+    return {
+      correctValue: parseFloat(exact[1]),
+      tolerance: exact[2] ? Math.abs(parseFloat(exact[2])) : 0,
+    };
+  }
+
+  const range = spec.match(new RegExp(`^${number}\\.\\.${number}$`));
+  if (range) {
+    const min = parseFloat(range[1]);
+    const max = parseFloat(range[2]);
+    return {
+      correctValue: parseFloat(((min + max) / 2).toPrecision(12)),
+      tolerance: parseFloat((Math.abs(max - min) / 2).toPrecision(12)),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Work out the GIFT question type of an answer block
+ * @param {string} body - Text between the braces, without general feedback
+ * @param {Array<Object>} answers - Answers in the block
+ * @returns {string} Question type
+ */
+function questionType(body, answers) {
+  const trimmed = body.trim();
+
+  if (trimmed === "") return "essay";
+  if (/^(T|F|TRUE|FALSE)\b/i.test(trimmed)) return "true/false";
+  if (trimmed.startsWith("#")) return "numerical";
+  if (answers.some((answer) => findUnescaped(answer.text, "->") !== -1)) return "matching";
+  if (!answers.some((answer) => answer.marker === "~")) return "short answer";
+
+  const correct = answers.filter(
+    (answer) => answer.marker === "=" || (answer.weight !== null && answer.weight > 0)
+  );
+  const penalized = answers.some((answer) => answer.weight !== null && answer.weight < 0);
+  return correct.length === 1 && !penalized ? "multiple choice" : "multiple answer";
+}
+
+/**
+ * Parse one question chunk
+ * @param {string} chunk - Question text, possibly spanning several lines
+ * @param {number} line - Line the question starts on
+ * @param {Object} result - Parse result being built
+ */
+function parseQuestion(chunk, line, result) {
+  let text = chunk.trim();
+
+  // Question name
+  if (text.startsWith("::")) {
+    const nameEnd = findUnescaped(text, "::", 2);
+    if (nameEnd === -1) {
+      result.errors.push({ line, message: "Question skipped: the question name isn't closed with ::" });
+      return;
+    }
+    text = text.substring(nameEnd + 2);
+  }
+
+  // Text format marker such as [html] or [markdown]
+  text = text.trim().replace(/^\[(html|moodle|plain|markdown)\]/i, "");
+
+  const open = findUnescaped(text, "{");
+  if (open === -1) {
+    skipUnsupported(result, "description", line);
+    return;
+  }
+
+  const close = findUnescaped(text, "}", open);
+  if (close === -1) {
+    result.errors.push({ line, message: "Question skipped: the answers aren't closed with }" });
+    return;
+  }
+
+  let body = text.substring(open + 1, close);
+  let feedback = "";
+  const generalFeedbackAt = findUnescaped(body, "####");
+  if (generalFeedbackAt !== -1) {
+    feedback = unescapeGift(body.substring(generalFeedbackAt + 4));
+    body = body.substring(0, generalFeedbackAt);
+  }
+
+  const answers = readAnswers(body);
+  const type = questionType(body, answers);
+  if (!["multiple choice", "multiple answer", "short answer", "numerical", "true/false"].includes(type)) {
+    skipUnsupported(result, type, line);
+    return;
+  }
+
+  // Text after the answers makes a fill-in-the-blank question
+  const before = unescapeGift(text.substring(0, open));
+  const after = unescapeGift(text.substring(close + 1));
+  const questionText = after ? `${before} _____ ${after}`.trim() : before;
+
+  const options = answers.map((answer) => unescapeGift(answer.text));
+  let question;
+  if (type === "true/false") {
+    question = {
+      type: QUESTION_TYPES.TRUE_FALSE,
+      text: questionText,
+      options: [...TRUE_FALSE_OPTIONS],
+      correctAnswer: /^T/i.test(body.trim()) ? 0 : 1,
+    };
+  } else if (type === "short answer") {
+    // Answers with partial credit don't count as correct
+    question = {
+      type: QUESTION_TYPES.FREE_TEXT,
+      text: questionText,
+      acceptedAnswers: answers
+        .filter((answer) => answer.weight === null || answer.weight >= 100)
+        .map((answer) => unescapeGift(answer.text)),
+    };
+  } else if (type === "numerical") {
+    const numerical = readNumericalAnswer(body);
+    question = {
+      type: QUESTION_TYPES.NUMERIC,
+      text: questionText,
+      correctValue: numerical ? numerical.correctValue : null,
+      tolerance: numerical ? numerical.tolerance : 0,
+    };
+  } else if (type === "multiple answer") {
+    question = multiSelectFromWeights(
+      questionText,
+      options,
+      answers.map((answer) => (answer.marker === "=" ? 100 : answer.weight || 0))
+    );
+  } else {
+    question = {
+      text: questionText,
+      options,
+      correctAnswer: answers.findIndex(
+        (answer) => answer.marker === "=" || (answer.weight !== null && answer.weight > 0)
+      ),
+    };
+  }
+  readFeedback(question, feedback);
+
+  const problem = validateQuestion(question);
+
+  if (problem) {
+    result.errors.push({ line, message: `Question skipped: ${problem}` });
+  } else {
+    result.questions.push(question);
+  }
+}
+
+/**
+ * Parse questions in GIFT format
+ * @param {string} input - File contents
+ * @returns {Object} { questions, errors, skipped, category } where errors are { line, message }
+ */
+function parseGiftQuestions(input) {
+  const lines = String(input || "").replace(/\r\n?/g, "\n").split("\n");
+  const result = { questions: [], errors: [], skipped: {}, category: null };
+  let chunk = [];
+  let chunkLine = 0;
+
+  const closeChunk = () => {
+    if (chunk.length > 0) {
+      parseQuestion(chunk.join("\n"), chunkLine, result);
+    }
+    chunk = [];
+  };
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+
+    if (line.startsWith("//")) return;
+
+    const categoryMatch = line.match(/^\$CATEGORY:\s*(.+)$/i);
+    if (categoryMatch) {
+      closeChunk();
+      result.category = result.category || categoryFromPath(categoryMatch[1]);
+      return;
+    }
+
+    // A blank line ends a question, unless it's inside the answer braces
+    const text = chunk.join("\n");
+    const open = findUnescaped(text, "{");
+    const insideAnswers = open !== -1 && findUnescaped(text, "}", open) === -1;
+    if (!line && !insideAnswers) {
+      closeChunk();
+      return;
+    }
+
+    if (chunk.length === 0) {
+      chunkLine = index + 1;
+    }
+    chunk.push(rawLine);
+  });
+
+  closeChunk();
+  return result;
+}
+
+/**
+ * Check whether text looks like GIFT questions
+ * @param {string} content - File contents
+ * @returns {boolean} Whether the text contains a GIFT answer block
+ */
+function looksLikeGift(content) {
+  const text = String(content || "");
+  return /\{\s*[=~]/.test(text) || /^\s*::.+::/m.test(text);
+}
+
+/**
+ * Write a quiz in GIFT format
+ * @param {Object} quiz - Quiz data
+ * @returns {string} GIFT text
+ */
+function formatGiftQuiz(quiz) {
+  const blocks = [`$CATEGORY: ${quiz.category}`];
+
+  quiz.questions.forEach((question, index) => {
+    const lines = [`::Q${index + 1}:: ${escapeGift(question.text)} {`];
+    const type = getQuestionType(question);
+    if (type === QUESTION_TYPES.TRUE_FALSE) {
+      lines.push(question.correctAnswer === 0 ? "\tTRUE" : "\tFALSE");
+    } else if (type === QUESTION_TYPES.FREE_TEXT) {
+      question.acceptedAnswers.forEach((answer) => {
+        lines.push(`\t=${escapeGift(answer)}`);
+      });
+    } else if (type === QUESTION_TYPES.NUMERIC) {
+      lines.push(`\t#${question.correctValue}:${question.tolerance}`);
+    } else if (type === QUESTION_TYPES.MULTI_SELECT) {
+      const weights = multiSelectWeights(question);
+      question.options.forEach((option, optionIndex) => {
+        const weight = question.correctAnswer.includes(optionIndex) ? weights.correct : weights.wrong;
+        lines.push(`\t~%${weight}%${escapeGift(option)}`);
+      });
+    } else {
+      question.options.forEach((option, optionIndex) => {
+        const marker = optionIndex === question.correctAnswer ? "=" : "~";
+        lines.push(`\t${marker}${escapeGift(option)}`);
+      });
+    }
+    const feedback = formatFeedback(question);
+    if (feedback) {
+      lines.push(`\t####${escapeGift(feedback)}`);
+    }
+    lines.push("}");
+    blocks.push(lines.join("\n"));
+  });
+
+  return blocks.join("\n\n") + "\n";
+}
+
+module.exports = {
+  parseGiftQuestions,
+  looksLikeGift,
+  formatGiftQuiz,
+};
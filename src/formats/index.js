@@ -0,0 +1,160 @@
+/**
+ * Zano Quiz - Import and Export Formats
+ *
+ * Every format parses file contents into { questions, errors }, where questions are
+ * { text, options, correctAnswer } and errors are { line, message } for the parts that
+ * couldn't be imported. Formats that carry quiz details also return them (title, category,
+ * settings),
+ * and formats with several question types count the ones they skipped in skipped.
+ * Formats with an export function can write a quiz back in the same format; exportTypes
+ * lists the question types a format can hold, when it can't hold all of them.
+ */
+const path = require("path");
+const { QUESTION_TYPES } = require("../constants");
+const { getQuestionType } = require("../quizSchema");
+const text = require("./text");
+const csv = require("./csv");
+const gift = require("./gift");
+const aiken = require("./aiken");
+const moodleXml = require("./moodleXml");
+const json = require("./json");
+const { formatImportErrors } = require("./common");
+
+/**
+ * Supported formats, keyed by ID
+ */
+const FORMATS = {
+  text: {
+    name: "Text",
+    extensions: [".txt"],
+    parse: text.parseTextQuestions,
+  },
+  csv: {
+    name: "CSV",
+    extensions: [".csv"],
+    parse: csv.parseCsvQuestions,
+    export: csv.formatCsvQuiz,
+  },
+  gift: {
+    name: "GIFT",
+    extensions: [".gift", ".txt"],
+    sniff: gift.looksLikeGift,
+    parse: gift.parseGiftQuestions,
+    export: gift.formatGiftQuiz,
+    exportTypes: [
+      QUESTION_TYPES.MULTIPLE_CHOICE,
+      QUESTION_TYPES.TRUE_FALSE,
+      QUESTION_TYPES.MULTI_SELECT,
+      QUESTION_TYPES.FREE_TEXT,
+      QUESTION_TYPES.NUMERIC,
+    ],
+  },
+  aiken: {
+    name: "Aiken",
+    extensions: [".txt", ".aiken"],
+    sniff: aiken.looksLikeAiken,
+    parse: aiken.parseAikenQuestions,
+    export: aiken.formatAikenQuiz,
+    exportTypes: [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.TRUE_FALSE],
+  },
+  moodle: {
+    name: "Moodle XML",
+    extensions: [".xml"],
+    parse: moodleXml.parseMoodleXmlQuestions,
+    export: moodleXml.formatMoodleXmlQuiz,
+  },
+  json: {
+    name: "JSON",
+    extensions: [".json"],
+    parse: json.parseJsonQuiz,
+    export: json.formatJsonQuiz,
+  },
+};
+
+/**
+ * Largest file accepted for import
+ */
+const MAX_IMPORT_FILE_SIZE = 1024 * 1024; // 1 MB
+
+/**
+ * Find the format of a file from its name, and its contents where several formats
+ * share an extension
+ * @param {string} fileName - File name
+ * @param {string|null} content - File contents, if already downloaded
+ * @returns {string|null} Format ID or null if the file type isn't supported
+ */
+function detectFormat(fileName, content = null) {
+  const extension = path.extname(fileName || "").toLowerCase();
+  const candidates = Object.keys(FORMATS).filter((id) =>
+    FORMATS[id].extensions.includes(extension)
+  );
+
+  if (candidates.length <= 1 || content === null) {
+    return candidates[0] || null;
+  }
+
+  // Formats that can recognize their contents are tried first, the others are the fallback
+  return (
+    candidates.find((id) => FORMATS[id].sniff && FORMATS[id].sniff(content)) ||
+    candidates.find((id) => !FORMATS[id].sniff)
+  );
+}
+
+/**
+ * Parse file contents in the given format
+ * @param {string} formatId - Format ID
+ * @param {string} content - File contents
+ * @returns {Object} { questions, errors }
+ */
+function parseQuestions(formatId, content) {
+  const format = FORMATS[formatId];
+  if (!format) {
+    throw new Error(`Unknown import format: ${formatId}`);
+  }
+  return format.parse(content);
+}
+
+/**
+ * Write a quiz as a file in the given format
+ * @param {string} formatId - Format ID
+ * @param {Object} quiz - Quiz data
+ * @returns {Object} { content, fileName, exported, left } where content is a Buffer, exported
+ *   is the number of questions written and left the number the format can't hold
+ */
+function exportQuiz(formatId, quiz) {
+  const format = FORMATS[formatId];
+  if (!format || !format.export) {
+    throw new Error(`Quizzes can't be exported as ${formatId}`);
+  }
+
+  const baseName = quiz.title.replace(/[\\/:*?"<>|\x00-\x1f]/g, "_").trim() || "quiz";
+  const questions = format.exportTypes
+    ? quiz.questions.filter((question) => format.exportTypes.includes(getQuestionType(question)))
+    : quiz.questions;
+
+  return {
+    content: Buffer.from(format.export({ ...quiz, questions }), "utf8"),
+    fileName: `${baseName}${format.extensions[0]}`,
+    exported: questions.length,
+    left: quiz.questions.length - questions.length,
+  };
+}
+
+/**
+ * File extensions that can be imported
+ * @returns {Array<string>} Extensions including the dot
+ */
+function supportedExtensions() {
+  return [...new Set(Object.values(FORMATS).flatMap((format) => format.extensions))];
+}
+
+module.exports = {
+  FORMATS,
+  MAX_IMPORT_FILE_SIZE,
+  detectFormat,
+  parseQuestions,
+  exportQuiz,
+  supportedExtensions,
+  formatImportErrors,
+  looksLikeTextQuestions: text.looksLikeTextQuestions,
+};
@@ -0,0 +1,147 @@
+/**
+ * Zano Quiz - JSON Quiz Bundle
+ *
+ *   { "format": "zano-quiz", "version": 1, "exportedAt": ..., "quiz": { ...quiz document } }
+ *
+ * A bundle holds the whole quiz document, so it can be used for backups or to move a quiz
+ * to another bot instance. Plain quiz documents (as stored in data/quizzes) are accepted too.
+ * On import the quiz always gets a new ID and owner.
+ */
+const {
+  migrateQuiz,
+  validateQuiz,
+  getSchemaVersion,
+  CURRENT_SCHEMA_VERSION,
+} = require("../quizSchema");
+const { QUIZ_CONSTRAINTS } = require("../constants");
+const { validateQuestion } = require("./common");
+
+const BUNDLE_FORMAT = "zano-quiz";
+const BUNDLE_VERSION = 1;
+
+/**
+ * Fields that belong to the quiz's place in this bot rather than its content
+ */
+const INSTANCE_FIELDS = ["id", "creator", "creatorName", "creatorUsername", "shared", "sharedWith"];
+
+/**
+ * Question fields kept on import; anything else, such as game state left in a hand-edited
+ * file, is dropped
+ */
+const QUESTION_FIELDS = [
+  "type",
+  "text",
+  "options",
+  "correctAnswer",
+  "partialCredit",
+  "acceptedAnswers",
+  "typoTolerance",
+  "correctValue",
+  "tolerance",
+  "closestWins",
+  "explanation",
+  "sourceUrl",
+];
+
+/**
+ * Parse a JSON quiz bundle
+ * @param {string} input - File contents
+ * @returns {Object} { questions, errors, title, category, settings } where errors are { line, message }
+ */
+function parseJsonQuiz(input) {
+  const result = { questions: [], errors: [], title: null, category: null, settings: null };
+
+  let data;
+  try {
+    data = JSON.parse(input);
+  } catch (error) {
+    result.errors.push({ line: null, message: `The file isn't valid JSON: ${error.message}` });
+    return result;
+  }
+
+  if (data && data.format === BUNDLE_FORMAT && data.version > BUNDLE_VERSION) {
+    result.errors.push({
+      line: null,
+      message: `The bundle has version ${data.version}, this bot reads up to version ${BUNDLE_VERSION}`,
+    });
+    return result;
+  }
+
+  const quiz = data && data.format === BUNDLE_FORMAT ? data.quiz : data;
+  if (!quiz || typeof quiz !== "object" || Array.isArray(quiz)) {
+    result.errors.push({ line: null, message: "The file doesn't contain a quiz" });
+    return result;
+  }
+
+  if (getSchemaVersion(quiz) > CURRENT_SCHEMA_VERSION) {
+    result.errors.push({
+      line: null,
+      message:
+        `The quiz has schema version ${getSchemaVersion(quiz)}, ` +
+        `this bot supports up to version ${CURRENT_SCHEMA_VERSION}`,
+    });
+    return result;
+  }
+
+  // Older documents are upgraded the same way stored quizzes are
+  migrateQuiz(quiz);
+
+  const problems = validateQuiz(quiz);
+  if (problems.length > 0) {
+    problems.forEach((problem) => result.errors.push({ line: null, message: problem }));
+    return result;
+  }
+
+  quiz.questions.forEach((question, index) => {
+    const problem = validateQuestion(question);
+    if (problem) {
+      result.errors.push({ line: null, message: `Question ${index + 1} skipped: ${problem}` });
+    } else {
+      result.questions.push(
+        Object.fromEntries(
+          QUESTION_FIELDS.filter((field) => question[field] !== undefined).map((field) => [
+            field,
+            question[field],
+          ])
+        )
+      );
+    }
+  });
+
+  result.title = quiz.title.trim().substring(0, QUIZ_CONSTRAINTS.TITLE_MAX_LENGTH);
+  result.category = String(quiz.category).substring(0, QUIZ_CONSTRAINTS.CATEGORY_MAX_LENGTH);
+  // Only known settings are kept, unknown keys in the file are dropped
+  result.settings = {
+    questionTime: quiz.settings.questionTime,
+    intermissionTime: quiz.settings.intermissionTime,
+  };
+  return result;
+}
+
+/**
+ * Write a quiz as a JSON bundle
+ * @param {Object} quiz - Quiz data
+ * @returns {string} JSON text
+ */
+function formatJsonQuiz(quiz) {
+  const document = { ...quiz };
+  INSTANCE_FIELDS.forEach((field) => {
+    delete document[field];
+  });
+
+  return JSON.stringify(
+    {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      quiz: document,
+    },
+    null,
+    2
+  ) + "\n";
+}
+
+module.exports = {
+  parseJsonQuiz,
+  formatJsonQuiz,
+};
@@ -0,0 +1,380 @@
+/**
+ * Zano Quiz - Moodle XML Question Format
+ *
+ *   <quiz>
+ *     <question type="category"><category><text>$course$/top/Geography</text></category></question>
+ *     <question type="multichoice">
+ *       <questiontext format="html"><text>What is the capital of France?</text></questiontext>
+ *       <generalfeedback format="html"><text>...</text></generalfeedback>
+ *       <single>true</single>
+ *       <answer fraction="100"><text>Paris</text></answer>
+ *       <answer fraction="0"><text>Lyon</text></answer>
+ *       ...
+ *     </question>
+ *   </quiz>
+ *
+ * Multichoice questions (single answer, or <single>false</single> imported as multi-select),
+ * shortanswer questions (imported as typed answers, from the answers worth full marks),
+ * numerical questions (the first answer worth full marks and its tolerance; units are
+ * ignored), ordering questions (from the qtype_ordering plugin, scored all or nothing or
+ * with partial credit for items in the right position) and truefalse questions are
+ * imported; other question types are reported as skipped. The general feedback holds the
+ * explanation, followed by a "Source: <link>" line when the question has a source link.
+ */
+const { XMLParser, XMLBuilder, XMLValidator } = require("fast-xml-parser");
+const { QUESTION_TYPES, TRUE_FALSE_OPTIONS } = require("../constants");
+const { getQuestionType } = require("../quizSchema");
+const {
+  validateQuestion,
+  skipUnsupported,
+  categoryFromPath,
+  multiSelectWeights,
+  multiSelectFromWeights,
+  formatFeedback,
+  readFeedback,
+} = require("./common");
+
+/**
+ * Names used for Moodle question types in skip reports
+ */
+const TYPE_NAMES = {
+  matching: "matching",
+  essay: "essay",
+  description: "description",
+  multianswer: "embedded answers (cloze)",
+  calculated: "calculated",
+  calculatedsimple: "calculated",
+  calculatedmulti: "calculated multichoice",
+  ddwtos: "drag and drop",
+  ddimageortext: "drag and drop",
+  ddmarker: "drag and drop",
+  gapselect: "select missing words",
+  randomsamatch: "random matching",
+};
+
+/**
+ * Grading types of Moodle ordering questions that give no partial credit; the others are
+ * imported as partial credit for items in the right position
+ */
+const ALL_OR_NOTHING_GRADING = ["ALL_OR_NOTHING", "-1"];
+
+/**
+ * Answer texts of a Moodle truefalse question, in the order of TRUE_FALSE_OPTIONS
+ */
+const TRUE_FALSE_ANSWERS = ["true", "false"];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  isArray: (name) => name === "question" || name === "answer",
+  parseTagValue: false,
+  htmlEntities: true,
+});
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  format: true,
+  indentBy: "  ",
+});
+
+/**
+ * Get the text of a Moodle text element such as <questiontext>, as plain text
+ * @param {Object|string|undefined} node - Parsed element
+ * @returns {string} Plain text
+ */
+function readText(node) {
+  if (node === undefined || node === null) return "";
+
+  const raw = typeof node === "object" ? node.text : node;
+  let text = typeof raw === "object" && raw !== null ? raw["#text"] || "" : String(raw || "");
+
+  if (typeof node === "object" && node["@_format"] !== "plain_text") {
+    // HTML or Moodle auto-format: keep line breaks, drop markup
+    text = text
+      .replace(/<br\s*\/?>|<\/p>|<\/div>|<\/li>/gi, "\n")
+      .replace(/<[^>]*>/g, "")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&#0*39;|&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+  }
+
+  return text
+    .replace(/[ \t]*\n[ \t]*/g, "\n")
+    .replace(/\n{2,}/g, "\n")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+}
+
+/**
+ * Line numbers of the <question> elements, in document order
+ * @param {string} content - XML text
+ * @returns {Array<number>} Line number of each question element
+ */
+function questionLines(content) {
+  // Blank out comments so commented-out questions aren't counted
+  const visible = content.replace(/<!--[\s\S]*?-->/g, (comment) => comment.replace(/[^\n]/g, " "));
+  const lines = [];
+  const pattern = /<question[\s>]/g;
+  let match;
+
+  while ((match = pattern.exec(visible)) !== null) {
+    lines.push(visible.substring(0, match.index).split("\n").length);
+  }
+  return lines;
+}
+
+/**
+ * Parse questions in Moodle XML format
+ * @param {string} input - File contents
+ * @returns {Object} { questions, errors, skipped, category } where errors are { line, message }
+ */
+function parseMoodleXmlQuestions(input) {
+  const content = String(input || "");
+  const result = { questions: [], errors: [], skipped: {}, category: null };
+
+  const validation = XMLValidator.validate(content);
+  if (validation !== true) {
+    result.errors.push({
+      line: validation.err.line,
+      message: `The file isn't valid XML: ${validation.err.msg}`,
+    });
+    return result;
+  }
+
+  const document = parser.parse(content);
+
+  if (!document.quiz) {
+    result.errors.push({ line: null, message: "The file has no <quiz> element" });
+    return result;
+  }
+
+  const lines = questionLines(content);
+  const questions = document.quiz.question || [];
+
+  questions.forEach((node, index) => {
+    const line = lines[index] || null;
+    const type = node["@_type"];
+
+    if (type === "category") {
+      result.category = result.category || categoryFromPath(readText(node.category));
+      return;
+    }
+
+    if (!["multichoice", "truefalse", "shortanswer", "numerical", "ordering"].includes(type)) {
+      skipUnsupported(result, TYPE_NAMES[type] || type || "unknown", line);
+      return;
+    }
+
+    const answers = node.answer || [];
+    const correct = answers.filter((answer) => parseFloat(answer["@_fraction"]) > 0);
+    const multipleAnswer = type === "multichoice" && String(node.single).trim() === "false";
+    if (type === "multichoice" && !multipleAnswer && correct.length !== 1) {
+      // Several answers that each give full marks don't fit a question type here
+      skipUnsupported(result, "multiple answer", line);
+      return;
+    }
+
+    let question;
+    if (type === "ordering") {
+      // Each answer's fraction is its position in the correct order
+      const items = answers
+        .map((answer, position) => ({ answer, position: parseFloat(answer["@_fraction"]) || position }))
+        .sort((a, b) => a.position - b.position)
+        .map(({ answer }) => readText(answer));
+      question = {
+        type: QUESTION_TYPES.ORDERING,
+        text: readText(node.questiontext),
+        options: items,
+        partialCredit: !ALL_OR_NOTHING_GRADING.includes(String(node.gradingtype).trim()),
+      };
+    } else if (type === "numerical") {
+      const full = answers.find((answer) => parseFloat(answer["@_fraction"]) >= 100);
+      const correctValue = full ? parseFloat(readText(full)) : NaN;
+      question = {
+        type: QUESTION_TYPES.NUMERIC,
+        text: readText(node.questiontext),
+        correctValue: Number.isFinite(correctValue) ? correctValue : null,
+        tolerance: full ? Math.abs(parseFloat(full.tolerance)) || 0 : 0,
+      };
+    } else if (type === "shortanswer") {
+      question = {
+        type: QUESTION_TYPES.FREE_TEXT,
+        text: readText(node.questiontext),
+        acceptedAnswers: answers
+          .filter((answer) => parseFloat(answer["@_fraction"]) >= 100)
+          .map((answer) => readText(answer)),
+      };
+    } else if (type === "truefalse") {
+      question = {
+        type: QUESTION_TYPES.TRUE_FALSE,
+        text: readText(node.questiontext),
+        options: [...TRUE_FALSE_OPTIONS],
+        correctAnswer:
+          correct.length === 1 ? TRUE_FALSE_ANSWERS.indexOf(readText(correct[0]).toLowerCase()) : -1,
+      };
+    } else if (multipleAnswer) {
+      question = multiSelectFromWeights(
+        readText(node.questiontext),
+        answers.map((answer) => readText(answer)),
+        answers.map((answer) => parseFloat(answer["@_fraction"]) || 0)
+      );
+    } else {
+      question = {
+        text: readText(node.questiontext),
+        options: answers.map((answer) => readText(answer)),
+        correctAnswer: answers.indexOf(correct[0]),
+      };
+    }
+
+    readFeedback(question, readText(node.generalfeedback));
+
+    const problem = validateQuestion(question);
+
+    if (problem) {
+      result.errors.push({ line, message: `Question skipped: ${problem}` });
+    } else {
+      result.questions.push(question);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Build a Moodle text element
+ * @param {string} text - Plain text
+ * @returns {Object} Element for the XML builder
+ */
+function textElement(text) {
+  return { "@_format": "plain_text", text: text || "" };
+}
+
+/**
+ * Write a quiz in Moodle XML format
+ * @param {Object} quiz - Quiz data
+ * @returns {string} XML text
+ */
+function formatMoodleXmlQuiz(quiz) {
+  const questions = [
+    {
+      "@_type": "category",
+      category: { text: `$course$/top/${quiz.category}` },
+    },
+  ];
+
+  quiz.questions.forEach((question, index) => {
+    if (getQuestionType(question) === QUESTION_TYPES.FREE_TEXT) {
+      questions.push({
+        "@_type": "shortanswer",
+        name: { text: `Q${index + 1}` },
+        questiontext: textElement(question.text),
+        generalfeedback: textElement(formatFeedback(question)),
+        defaultgrade: 1,
+        penalty: 0,
+        hidden: 0,
+        usecase: 0,
+        answer: question.acceptedAnswers.map((answer) => ({
+          "@_fraction": 100,
+          ...textElement(answer),
+        })),
+      });
+      return;
+    }
+
+    if (getQuestionType(question) === QUESTION_TYPES.ORDERING) {
+      questions.push({
+        "@_type": "ordering",
+        name: { text: `Q${index + 1}` },
+        questiontext: textElement(question.text),
+        generalfeedback: textElement(formatFeedback(question)),
+        defaultgrade: 1,
+        penalty: 0,
+        hidden: 0,
+        layouttype: "VERTICAL",
+        selecttype: "ALL",
+        selectcount: 0,
+        gradingtype: question.partialCredit ? "ABSOLUTE_POSITION" : "ALL_OR_NOTHING",
+        answer: question.options.map((option, position) => ({
+          "@_fraction": position + 1,
+          ...textElement(option),
+        })),
+      });
+      return;
+    }
+
+    if (getQuestionType(question) === QUESTION_TYPES.NUMERIC) {
+      questions.push({
+        "@_type": "numerical",
+        name: { text: `Q${index + 1}` },
+        questiontext: textElement(question.text),
+        generalfeedback: textElement(formatFeedback(question)),
+        defaultgrade: 1,
+        penalty: 0,
+        hidden: 0,
+        answer: [
+          {
+            "@_fraction": 100,
+            ...textElement(String(question.correctValue)),
+            tolerance: question.tolerance,
+          },
+        ],
+      });
+      return;
+    }
+
+    if (getQuestionType(question) === QUESTION_TYPES.TRUE_FALSE) {
+      questions.push({
+        "@_type": "truefalse",
+        name: { text: `Q${index + 1}` },
+        questiontext: textElement(question.text),
+        generalfeedback: textElement(formatFeedback(question)),
+        defaultgrade: 1,
+        penalty: 1,
+        hidden: 0,
+        answer: TRUE_FALSE_ANSWERS.map((value, optionIndex) => ({
+          "@_fraction": optionIndex === question.correctAnswer ? 100 : 0,
+          "@_format": "moodle_auto_format",
+          text: value,
+        })),
+      });
+      return;
+    }
+
+    const multiSelect = getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT;
+    const weights = multiSelect ? multiSelectWeights(question) : null;
+
+    questions.push({
+      "@_type": "multichoice",
+      name: { text: `Q${index + 1}` },
+      questiontext: textElement(question.text),
+      generalfeedback: textElement(formatFeedback(question)),
+      defaultgrade: 1,
+      penalty: 0,
+      hidden: 0,
+      single: multiSelect ? "false" : "true",
+      shuffleanswers: "false",
+      answernumbering: "ABCD",
+      answer: question.options.map((option, optionIndex) => {
+        let fraction = optionIndex === question.correctAnswer ? 100 : 0;
+        if (multiSelect) {
+          fraction = question.correctAnswer.includes(optionIndex) ? weights.correct : weights.wrong;
+        }
+        return { "@_fraction": fraction, ...textElement(option) };
+      }),
+    });
+  });
+
+  return builder.build({
+    "?xml": { "@_version": "1.0", "@_encoding": "UTF-8" },
+    quiz: { question: questions },
+  });
+}
+
+module.exports = {
+  parseMoodleXmlQuestions,
+  formatMoodleXmlQuiz,
+};
@@ -0,0 +1,187 @@
+/**
+ * Zano Quiz - Plain Text Question Format
+ *
+ *   Question: Who invented the telephone?
+ *   A. Thomas Edison
+ *   B. Alexander Graham Bell
+ *   C. Nikola Tesla
+ *   D. Guglielmo Marconi
+ *   Correct: B
+ *
+ * Blocks may be separated by blank lines; a question may span several lines.
+ * Several correct letters ("Correct: A, C") make a multi-select question, scored all
+ * or nothing unless the line ends with "(partial credit)".
+ */
+const { ANSWER_LABELS, QUESTION_TYPES } = require("../constants");
+const { validateQuestion, parseCorrectAnswers, formatCorrectAnswers } = require("./common");
+
+const QUESTION_LINE = /^question\s*\d*\s*[:.)-]\s*(.*)$/i;
+const OPTION_LINE = /^([a-z])\s*[.)]\s*(.*)$/i;
+const CORRECT_LINE = /^correct(?:\s+answers?)?\s*[:=-]\s*([a-z](?:[\s,;]+[a-z])*\s*(?:\([a-z ]+\))?)\s*$/i;
+
+/**
+ * Turn a finished block into a question or an error
+ * @param {Object} block - Block collected while parsing
+ * @returns {Object} { question } or { error }
+ */
+function finishBlock(block) {
+  if (block.problems.length > 0) {
+    return { error: block.problems[0] };
+  }
+
+  if (block.correctAnswer === null) {
+    return { error: 'missing "Correct:" line' };
+  }
+
+  const question = {
+    text: block.textLines.join(" ").trim(),
+    options: block.options,
+    correctAnswer: block.correctAnswer,
+  };
+  if (block.multiSelect) {
+    question.type = QUESTION_TYPES.MULTI_SELECT;
+    question.partialCredit = block.partialCredit;
+  }
+
+  const problem = validateQuestion(question);
+  return problem ? { error: problem } : { question };
+}
+
+/**
+ * Parse any number of question blocks
+ * @param {string} input - Text to parse
+ * @returns {Object} { questions, errors } where errors are { line, message }
+ */
+function parseTextQuestions(input) {
+  const lines = String(input || "").replace(/\r\n?/g, "\n").split("\n");
+  const questions = [];
+  const errors = [];
+  let block = null;
+  let strayReported = false;
+
+  const closeBlock = () => {
+    if (!block) return;
+
+    const result = finishBlock(block);
+    if (result.question) {
+      questions.push(result.question);
+    } else {
+      errors.push({ line: block.line, message: `Question block skipped: ${result.error}` });
+    }
+    block = null;
+  };
+
+  lines.forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const questionMatch = line.match(QUESTION_LINE);
+    if (questionMatch) {
+      closeBlock();
+      strayReported = false;
+      block = {
+        line: lineNumber,
+        textLines: questionMatch[1] ? [questionMatch[1]] : [],
+        options: [],
+        correctAnswer: null,
+        problems: [],
+      };
+      return;
+    }
+
+    // A block ends with its "Correct:" line
+    if (block && block.correctAnswer !== null && !CORRECT_LINE.test(line)) {
+      closeBlock();
+    }
+
+    if (!block) {
+      // Report only the first line of a run of text outside any block
+      if (!strayReported) {
+        errors.push({ line: lineNumber, message: 'Expected a line starting with "Question:"' });
+        strayReported = true;
+      }
+      return;
+    }
+
+    const correctMatch = line.match(CORRECT_LINE);
+    if (correctMatch) {
+      const parsed = parseCorrectAnswers(correctMatch[1]);
+      const answers = parsed ? [].concat(parsed.correctAnswer) : [];
+      const missing = answers.find((answerIndex) => answerIndex >= block.options.length);
+
+      if (block.correctAnswer !== null) {
+        block.problems.push(`line ${lineNumber} is a second "Correct:" line`);
+      } else if (!parsed) {
+        block.problems.push(`line ${lineNumber} doesn't say which option is correct`);
+      } else if (missing !== undefined) {
+        const letter = ANSWER_LABELS[missing];
+        block.problems.push(`line ${lineNumber} marks ${letter} correct, but there is no option ${letter}`);
+      } else {
+        block.correctAnswer = parsed.correctAnswer;
+        block.multiSelect = parsed.multiSelect;
+        block.partialCredit = parsed.partialCredit;
+      }
+      return;
+    }
+
+    const optionMatch = line.match(OPTION_LINE);
+    const expectedLetter = ANSWER_LABELS[block.options.length];
+    if (optionMatch && block.correctAnswer === null && optionMatch[1].toUpperCase() === expectedLetter) {
+      block.options.push(optionMatch[2].trim());
+      return;
+    }
+
+    // Text before the first option continues the question
+    if (block.options.length === 0 && block.correctAnswer === null) {
+      block.textLines.push(line);
+      return;
+    }
+
+    if (optionMatch) {
+      block.problems.push(
+        expectedLetter
+          ? `line ${lineNumber} should be option ${expectedLetter}`
+          : `line ${lineNumber} adds more than ${ANSWER_LABELS.length} options`
+      );
+    } else {
+      block.problems.push(`line ${lineNumber} isn't an option or "Correct:" line`);
+    }
+  });
+
+  closeBlock();
+  return { questions, errors };
+}
+
+/**
+ * Quick check whether a message looks like question blocks
+ * @param {string} text - Message text
+ * @returns {boolean} Whether the text contains a "Question:" line
+ */
+function looksLikeTextQuestions(text) {
+  return /^\s*question\s*\d*\s*[:.)-]/im.test(text || "");
+}
+
+/**
+ * Write questions in the plain text format
+ * @param {Array<Object>} questions - Questions to write
+ * @returns {string} Text in the import format
+ */
+function formatTextQuestions(questions) {
+  return questions
+    .map((question) => {
+      const lines = [`Question: ${question.text}`];
+      question.options.forEach((option, index) => {
+        lines.push(`${ANSWER_LABELS[index]}. ${option}`);
+      });
+      lines.push(`Correct: ${formatCorrectAnswers(question)}`);
+      return lines.join("\n");
+    })
+    .join("\n\n");
+}
+
+module.exports = {
+  parseTextQuestions,
+  looksLikeTextQuestions,
+  formatTextQuestions,
+};
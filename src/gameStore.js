@@ -0,0 +1,121 @@
+/**
+ * Zano Quiz - Game State Storage
+ * Snapshots running games to the filesystem so they survive a restart
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const logger = require("./logger");
+
+/**
+ * Constants for Game Storage
+ */
+const GAME_DIR = path.join(__dirname, "../data/games");
+
+/**
+ * Last write per chat, so snapshots are written in order (chatId -> Promise)
+ */
+const pendingWrites = new Map();
+
+/**
+ * Create necessary directories if they don't exist
+ * @returns {Promise<void>}
+ */
+async function ensureGameDir() {
+  try {
+    await fs.mkdir(GAME_DIR, { recursive: true });
+  } catch (error) {
+    logger.error("Error creating game directory:", error);
+    throw new Error("Failed to create game directory. Check file permissions.");
+  }
+}
+
+/**
+ * Run a write for a chat after any write already queued for it
+ * @param {number} chatId - Chat ID
+ * @param {Function} write - Async function performing the write
+ * @returns {Promise<void>}
+ */
+function queueWrite(chatId, write) {
+  const previous = pendingWrites.get(chatId) || Promise.resolve();
+  const next = previous.then(write).catch((error) => {
+    logger.error(`Error writing game state for chat ${chatId}:`, error);
+  });
+
+  pendingWrites.set(chatId, next);
+  next.then(() => {
+    if (pendingWrites.get(chatId) === next) {
+      pendingWrites.delete(chatId);
+    }
+  });
+  return next;
+}
+
+/**
+ * Save a game snapshot, replacing the previous one atomically
+ * @param {number} chatId - Chat ID
+ * @param {Object} snapshot - Serializable game state
+ * @returns {Promise<void>}
+ */
+function saveGame(chatId, snapshot) {
+  const data = JSON.stringify(snapshot);
+
+  return queueWrite(chatId, async () => {
+    await ensureGameDir();
+    const gamePath = path.join(GAME_DIR, `${chatId}.json`);
+    const tempPath = `${gamePath}.tmp`;
+
+    // Write then rename so a crash never leaves a half-written snapshot
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, gamePath);
+  });
+}
+
+/**
+ * Delete the snapshot of a finished game
+ * @param {number} chatId - Chat ID
+ * @returns {Promise<void>}
+ */
+function deleteGame(chatId) {
+  return queueWrite(chatId, async () => {
+    try {
+      await fs.unlink(path.join(GAME_DIR, `${chatId}.json`));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  });
+}
+
+/**
+ * Load all saved game snapshots
+ * @returns {Promise<Array<Object>>} Game snapshots
+ */
+async function loadGames() {
+  try {
+    await ensureGameDir();
+    const files = await fs.readdir(GAME_DIR);
+    const games = [];
+
+    for (const file of files) {
+      if (!file.endsWith(".json")) continue;
+
+      try {
+        const data = await fs.readFile(path.join(GAME_DIR, file), "utf8");
+        games.push(JSON.parse(data));
+      } catch (fileErr) {
+        logger.error(`Error reading game file ${file}:`, fileErr);
+        // Continue to next file
+      }
+    }
+
+    return games;
+  } catch (error) {
+    logger.error("Error loading saved games:", error);
+    return [];
+  }
+}
+
+module.exports = {
+  saveGame,
+  deleteGame,
+  loadGames,
+};
@@ -0,0 +1,147 @@
+/**
+ * Zano Quiz - Group Settings Module
+ * Persists per-group settings that override quiz defaults
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const { LANGUAGES } = require("./i18n");
+const logger = require("./logger");
+
+/**
+ * Constants for Group Settings
+ */
+const GROUP_DIR = path.join(__dirname, "../data/groups");
+
+/**
+ * Settings used when a group hasn't changed anything.
+ * A null time means "use the quiz's own setting".
+ */
+const DEFAULT_GROUP_SETTINGS = {
+  questionTime: null,
+  intermissionTime: null,
+  firstCorrectBonus: true,
+  streakBonus: true,
+  allowMemberStart: false,
+  cleanupMessages: false,
+  language: "en",
+  leaderboardSize: 10,
+};
+
+/**
+ * Allowed values for settings picked from a list
+ */
+const SETTING_CHOICES = {
+  questionTime: [null, 10, 15, 20, 30, 45, 60],
+  intermissionTime: [null, 3, 5, 10, 15],
+  leaderboardSize: [3, 5, 10, 20],
+  language: Object.keys(LANGUAGES),
+};
+
+/**
+ * Settings switched on and off
+ */
+const TOGGLE_SETTINGS = [
+  "firstCorrectBonus",
+  "streakBonus",
+  "allowMemberStart",
+  "cleanupMessages",
+];
+
+/**
+ * Loaded settings (chatId -> settings)
+ */
+const settingsCache = new Map();
+
+/**
+ * Create necessary directories if they don't exist
+ * @returns {Promise<void>}
+ */
+async function ensureGroupDir() {
+  try {
+    await fs.mkdir(GROUP_DIR, { recursive: true });
+  } catch (error) {
+    logger.error("Error creating group settings directory:", error);
+    throw new Error("Failed to create group settings directory. Check file permissions.");
+  }
+}
+
+/**
+ * Get the settings of a group, with defaults for anything not set
+ * @param {number} chatId - Chat ID
+ * @returns {Promise<Object>} Group settings
+ */
+async function getGroupSettings(chatId) {
+  if (settingsCache.has(chatId)) {
+    return { ...settingsCache.get(chatId) };
+  }
+
+  let stored = {};
+  try {
+    const data = await fs.readFile(path.join(GROUP_DIR, `${chatId}.json`), "utf8");
+    stored = JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error(`Error reading settings for chat ${chatId}:`, error);
+    }
+  }
+
+  // Only known settings are kept, so removed options don't linger
+  const settings = { ...DEFAULT_GROUP_SETTINGS };
+  Object.keys(DEFAULT_GROUP_SETTINGS).forEach((key) => {
+    if (stored[key] !== undefined) {
+      settings[key] = stored[key];
+    }
+  });
+  settingsCache.set(chatId, settings);
+  return { ...settings };
+}
+
+/**
+ * Update one setting of a group
+ * @param {number} chatId - Chat ID
+ * @param {string} key - Setting name
+ * @param {*} value - New value
+ * @returns {Promise<Object>} Result object with success flag, message and settings
+ */
+async function updateGroupSetting(chatId, key, value) {
+  try {
+    if (SETTING_CHOICES[key]) {
+      if (!SETTING_CHOICES[key].includes(value)) {
+        return { success: false, message: "That value isn't allowed." };
+      }
+    } else if (TOGGLE_SETTINGS.includes(key)) {
+      if (typeof value !== "boolean") {
+        return { success: false, message: "That value isn't allowed." };
+      }
+    } else {
+      return { success: false, message: "Unknown setting." };
+    }
+
+    const settings = await getGroupSettings(chatId);
+    settings[key] = value;
+
+    await ensureGroupDir();
+    await fs.writeFile(
+      path.join(GROUP_DIR, `${chatId}.json`),
+      JSON.stringify({ ...settings, chatId, updatedAt: Date.now() }, null, 2)
+    );
+    settingsCache.set(chatId, settings);
+
+    logger.info(`Group ${chatId} setting ${key} changed to ${value}`);
+    return { success: true, message: "Setting saved", settings };
+  } catch (error) {
+    logger.error(`Error updating settings for chat ${chatId}:`, error);
+    return {
+      success: false,
+      message: "Error saving settings. Please try again later.",
+    };
+  }
+}
+
+module.exports = {
+  getGroupSettings,
+  updateGroupSetting,
+  DEFAULT_GROUP_SETTINGS,
+  SETTING_CHOICES,
+  TOGGLE_SETTINGS,
+};
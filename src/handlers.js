@@ -5,7 +5,15 @@
 const { Markup } = require("telegraf");
 const quiz = require("./quiz");
 const quizManager = require("./quizManager");
+const scheduler = require("./scheduler");
+const groupSettings = require("./groupSettings");
+const i18n = require("./i18n");
+const utils = require("./utils");
 const logger = require("./logger");
+const importFormats = require("./formats");
+const { QUIZ_CONSTRAINTS, QUESTION_TYPES } = require("./constants");
+const { getQuestionType } = require("./quizSchema");
+const fetch = require("node-fetch");
 
 /**
  * Constants for UI elements
@@ -62,6 +70,36 @@ function formatMessage(title, content, icon = "") {
   return `<b>${titleText}</b>\n\n${content}`;
 }
 
+/**
+ * Number of quizzes shown per page in quiz lists
+ */
+const QUIZZES_PER_PAGE = 5;
+
+/**
+ * Send an HTML message, or edit the current one when paging through a list
+ * @param {Object} ctx - Telegram context
+ * @param {string} message - HTML message text
+ * @param {Object} keyboard - Inline keyboard markup
+ * @param {boolean} edit - Whether to edit the callback's message
+ */
+async function replyOrEditHTML(ctx, message, keyboard, edit = false) {
+  if (edit && ctx.callbackQuery && ctx.callbackQuery.message) {
+    try {
+      return await ctx.editMessageText(message, {
+        parse_mode: "HTML",
+        ...keyboard,
+      });
+    } catch (error) {
+      if (error.description && error.description.includes("message is not modified")) {
+        return;
+      }
+      logger.warn("Failed to edit list message, sending a new one:", error);
+    }
+  }
+
+  return await ctx.replyWithHTML(message, keyboard);
+}
+
 /**
  * Start command handler - Welcome message
  * @param {Object} ctx - Telegram context
@@ -167,9 +205,9 @@ async function handleDeepLinkQuiz(ctx, quizId) {
     let message = formatMessage(
       `Quiz: ${quiz.title}`,
       `${UI.ICONS.INFO} <b>Details:</b>\n` +
-      `• Category: ${quiz.category || "Uncategorized"}\n` +
+      `• Category: ${quiz.category}\n` +
       `• Questions: ${quiz.questions.length}\n` +
-      `• Time: ${quiz.settings?.questionTime || 15} seconds per question\n` +
+      `• Time: ${quiz.settings.questionTime} seconds per question\n` +
       `• Created: ${createdDate}\n` +
       `• By: ${isCreator ? "You" : creatorName}\n\n` +
       `To play this quiz in a group, add me to the group and use:\n` +
@@ -202,6 +240,7 @@ async function handleDeepLinkQuiz(ctx, quizId) {
             `delete_quiz_${quizId}`
           ),
         ],
+        ...exportButtonRows(quizId),
       ];
     } else {
       buttons = [
@@ -235,6 +274,28 @@ async function handleDeepLinkQuiz(ctx, quizId) {
   }
 }
 
+/**
+ * Export buttons for a quiz, one per format that can be exported
+ * @param {string} quizId - Quiz ID
+ * @returns {Array<Array>} Keyboard rows
+ */
+function exportButtonRows(quizId) {
+  const buttons = Object.keys(importFormats.FORMATS)
+    .filter((formatId) => importFormats.FORMATS[formatId].export)
+    .map((formatId) =>
+      Markup.button.callback(
+        `📤 Export ${importFormats.FORMATS[formatId].name}`,
+        `qexp_${formatId}_${quizId}`
+      )
+    );
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  return rows;
+}
+
 /**
  * Help command handler - Shows comprehensive help information
  * @param {Object} ctx - Telegram context
@@ -246,10 +307,17 @@ async function helpHandler(ctx) {
       `${UI.ICONS.CREATE} <b>Creating Quizzes:</b>\n` +
         `/create_quiz - Start the quiz creation wizard\n` +
         `/my_quizzes - View and manage your quizzes\n` +
-        `/shared_quizzes - See quizzes shared with you\n\n` +
+        `/shared_quizzes - See quizzes shared with you\n` +
+        `/import - Add many questions at once from a file or message\n\n` +
         `${UI.ICONS.PLAY} <b>Playing Quizzes:</b>\n` +
         `/start_quiz - Start a quiz in a group (admin only)\n` +
-        `/end_quiz - End the current quiz (admin only)\n\n` +
+        `/end_quiz - End the current quiz (admin only)\n` +
+        `/skip_question - Skip the current question (admin only)\n` +
+        `/pause_quiz, /resume_quiz - Pause or resume the timer (admin only)\n` +
+        `/schedule_quiz - Schedule a quiz to start later (admin only)\n` +
+        `/recurring_quiz - Set up weekly or daily quiz nights (admin only)\n` +
+        `/cancel_quiz - Cancel a scheduled quiz (admin only)\n` +
+        `/settings - Change this group's quiz settings (admin only)\n\n` +
         `${UI.ICONS.SHARE} <b>Sharing Quizzes:</b>\n` +
         `• Share publicly or with specific users\n` +
         `• Generate shareable links\n` +
@@ -319,8 +387,6 @@ async function createQuizHandler(ctx) {
  */
 async function myQuizzesHandler(ctx) {
   try {
-    const userId = ctx.from.id;
-    
     // Check for query parameters in commands like "/my_quizzes search=test" or "/my_quizzes category=Science"
     let searchQuery = "";
     let categoryFilter = "";
@@ -341,243 +407,404 @@ async function myQuizzesHandler(ctx) {
       }
     }
     
-    // Get quizzes with optional filtering
-    let quizzes;
+    // Remember the filters so they stay applied while paging
+    ctx.session.quizListFilter = { searchQuery, categoryFilter };
+
+    await showMyQuizzesPage(ctx, 1);
+  } catch (error) {
+    logger.error("Error in myQuizzesHandler:", error);
+    await ctx.reply(
+      `${UI.COLORS.ERROR} Couldn't retrieve your quizzes. Please try again later.`
+    );
+  }
+}
+
+/**
+ * Page navigation handler for My Quizzes
+ * @param {Object} ctx - Telegram context
+ */
+async function myQuizzesPageHandler(ctx) {
+  try {
+    const page = parseInt(ctx.callbackQuery.data.replace("myq_page_", ""));
+    await ctx.answerCbQuery(`Loading page ${page}...`);
+    await showMyQuizzesPage(ctx, page, true);
+  } catch (error) {
+    logger.error("Error in myQuizzesPageHandler:", error);
+    await ctx.answerCbQuery("Failed to load page");
+  }
+}
+
+/**
+ * Show one page of the user's quizzes using the filters stored in session
+ * @param {Object} ctx - Telegram context
+ * @param {number} page - Page number (1-based)
+ * @param {boolean} edit - Whether to edit the current message instead of replying
+ */
+async function showMyQuizzesPage(ctx, page, edit = false) {
+  const userId = ctx.from.id;
+  const { searchQuery = "", categoryFilter = "" } =
+    ctx.session.quizListFilter || {};
+
+  // Get quizzes with optional filtering
+  let quizzes;
+  
+  if (searchQuery) {
+    quizzes = await quizManager.searchQuizzes(searchQuery, userId);
+  } else if (categoryFilter) {
+    quizzes = await quizManager.getQuizzesByCategory(categoryFilter, userId);
+  } else {
+    quizzes = await quizManager.getQuizzesByCreator(userId);
+  }
+
+  // If no quizzes found
+  if (quizzes.length === 0) {
+    let noQuizzesMessage;
     
     if (searchQuery) {
-      quizzes = await quizManager.searchQuizzes(searchQuery, userId);
+      noQuizzesMessage = formatMessage(
+        "No Matching Quizzes",
+        `No quizzes found matching "${searchQuery}".\n\n` +
+        "Try a different search term or create a new quiz.",
+        UI.COLORS.INFO
+      );
     } else if (categoryFilter) {
-      quizzes = await quizManager.getQuizzesByCategory(categoryFilter, userId);
+      noQuizzesMessage = formatMessage(
+        "No Quizzes in Category",
+        `You haven't created any quizzes in the "${categoryFilter}" category.\n\n` +
+        "Create your first quiz in this category or view all quizzes.",
+        UI.COLORS.INFO
+      );
     } else {
-      quizzes = await quizManager.getQuizzesByCreator(userId);
+      noQuizzesMessage = formatMessage(
+        "No Quizzes Found",
+        "You haven't created any quizzes yet!\n\n" +
+        "Create your first quiz by clicking the button below.",
+        UI.COLORS.INFO
+      );
     }
 
-    // If no quizzes found
-    if (quizzes.length === 0) {
-      let noQuizzesMessage;
-      
-      if (searchQuery) {
-        noQuizzesMessage = formatMessage(
-          "No Matching Quizzes",
-          `No quizzes found matching "${searchQuery}".\n\n` +
-          "Try a different search term or create a new quiz.",
-          UI.COLORS.INFO
-        );
-      } else if (categoryFilter) {
-        noQuizzesMessage = formatMessage(
-          "No Quizzes in Category",
-          `You haven't created any quizzes in the "${categoryFilter}" category.\n\n` +
-          "Create your first quiz in this category or view all quizzes.",
-          UI.COLORS.INFO
-        );
-      } else {
-        noQuizzesMessage = formatMessage(
-          "No Quizzes Found",
-          "You haven't created any quizzes yet!\n\n" +
-          "Create your first quiz by clicking the button below.",
-          UI.COLORS.INFO
-        );
-      }
+    return await replyOrEditHTML(
+      ctx,
+      noQuizzesMessage,
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback(
+            `${UI.ICONS.CREATE} Create New Quiz`,
+            "create_quiz"
+          ),
+        ],
+        searchQuery || categoryFilter ? [
+          Markup.button.callback(
+            `${UI.ICONS.LIST} View All Quizzes`,
+            "my_quizzes"
+          ),
+        ] : [],
+        await recentlyDeletedRow(userId),
+      ].filter(row => row.length > 0)),
+      edit
+    );
+  }
 
-      return await ctx.replyWithHTML(
-        noQuizzesMessage,
-        Markup.inlineKeyboard([
-          [
-            Markup.button.callback(
-              `${UI.ICONS.CREATE} Create New Quiz`,
-              "create_quiz"
-            ),
-          ],
-          searchQuery || categoryFilter ? [
-            Markup.button.callback(
-              `${UI.ICONS.LIST} View All Quizzes`,
-              "my_quizzes"
-            ),
-          ] : [],
-        ].filter(row => row.length > 0))
-      );
+  // Group quizzes by category
+  const quizzesByCategory = {};
+  quizzes.forEach(quiz => {
+    const category = quiz.category;
+    if (!quizzesByCategory[category]) {
+      quizzesByCategory[category] = [];
     }
-
-    // Group quizzes by category
-    const quizzesByCategory = {};
-    quizzes.forEach(quiz => {
-      const category = quiz.category || "Uncategorized";
-      if (!quizzesByCategory[category]) {
-        quizzesByCategory[category] = [];
-      }
-      quizzesByCategory[category].push(quiz);
+    quizzesByCategory[category].push(quiz);
+  });
+  
+  // Build message title
+  let titlePrefix = "Your Quizzes";
+  if (searchQuery) {
+    titlePrefix = `Search Results for "${searchQuery}"`;
+  } else if (categoryFilter) {
+    titlePrefix = `Quizzes in "${categoryFilter}"`;
+  }
+  
+  // Create message content
+  let message = formatMessage(
+    titlePrefix,
+    searchQuery || categoryFilter
+      ? `Found ${quizzes.length} quiz${quizzes.length !== 1 ? 'zes' : ''}.`
+      : "Here are all the quizzes you've created, organized by category:",
+    UI.ICONS.LIST
+  );
+
+  // List categories with quiz counts
+  if (!searchQuery && !categoryFilter) {
+    message += "\n\n<b>Categories:</b>";
+    Object.keys(quizzesByCategory).forEach(category => {
+      message += `\n• ${category} (${quizzesByCategory[category].length})`;
     });
-    
-    // Build message title
-    let titlePrefix = "Your Quizzes";
-    if (searchQuery) {
-      titlePrefix = `Search Results for "${searchQuery}"`;
-    } else if (categoryFilter) {
-      titlePrefix = `Quizzes in "${categoryFilter}"`;
-    }
-    
-    // Create message content
-    let message = formatMessage(
-      titlePrefix,
-      searchQuery || categoryFilter
-        ? `Found ${quizzes.length} quiz${quizzes.length !== 1 ? 'zes' : ''}.`
-        : "Here are all the quizzes you've created, organized by category:",
-      UI.ICONS.LIST
-    );
-
-    // List categories with quiz counts
-    if (!searchQuery && !categoryFilter) {
-      message += "\n\n<b>Categories:</b>";
-      Object.keys(quizzesByCategory).forEach(category => {
-        message += `\n• ${category} (${quizzesByCategory[category].length})`;
-      });
-      message += "\n";
-    }
-    
-    // Show the top 5 quizzes
-    const displayQuizzes = quizzes.slice(0, 5);
-    
-    message += "\n<b>Quizzes:</b>";
-    displayQuizzes.forEach((quiz, index) => {
-      // Format creation date
-      const createdDate = new Date(quiz.createdAt).toLocaleDateString("en-US", {
-        year: "numeric",
-        month: "short",
-        day: "numeric",
-      });
-
-      message +=
-        `\n\n<b>${index + 1}. ${quiz.title}</b>\n` +
-        `${UI.ICONS.INFO} Questions: ${quiz.questions.length}\n` +
-        `📂 Category: ${quiz.category || "Uncategorized"}\n` +
-        `📅 Created: ${createdDate}`;
-        
-      // Add sharing status if shared
-      if (quiz.shared) {
-        message += `\n🔗 Shared: Public`;
-      } else if (Array.isArray(quiz.sharedWith) && quiz.sharedWith.length > 0) {
-        message += `\n🔗 Shared: With ${quiz.sharedWith.length} user(s)`;
-      }
+    message += "\n";
+  }
+  
+  // Show the quizzes for the requested page
+  const { items: displayQuizzes, page: currentPage, totalPages, offset } =
+    utils.paginate(quizzes, page, QUIZZES_PER_PAGE);
+  
+  message += `\n<b>Quizzes</b> (page ${currentPage} of ${totalPages}):`;
+  displayQuizzes.forEach((quiz, index) => {
+    // Format creation date
+    const createdDate = new Date(quiz.createdAt).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
     });
-    
-    // Add indication if there are more quizzes
-    if (quizzes.length > 5) {
-      message += `\n\n<i>...and ${quizzes.length - 5} more quiz${quizzes.length - 5 !== 1 ? 'zes' : ''}.</i>`;
+
+    message +=
+      `\n\n<b>${offset + index + 1}. ${utils.escapeHTML(quiz.title)}</b>\n` +
+      `${UI.ICONS.INFO} Questions: ${quiz.questions.length}\n` +
+      `📂 Category: ${quiz.category}\n` +
+      `📅 Created: ${createdDate}`;
+      
+    // Add sharing status if shared
+    if (quiz.shared) {
+      message += `\n🔗 Shared: Public`;
+    } else if (quiz.sharedWith.length > 0) {
+      message += `\n🔗 Shared: With ${quiz.sharedWith.length} user(s)`;
     }
+  });
 
-    // Create quiz action buttons
-    const quizButtons = [];
+  // Create quiz action buttons
+  const quizButtons = [];
 
-    // Create buttons for displayed quizzes
-    displayQuizzes.forEach((quiz) => {
-      quizButtons.push([
-        Markup.button.callback(
-          `${UI.ICONS.PLAY} Start "${quiz.title.substring(0, 15)}${quiz.title.length > 15 ? '...' : ''}"`,
-          `start_quiz_${quiz.id}`
-        ),
-      ]);
-      
-      quizButtons.push([
-        Markup.button.callback(
-          `${UI.ICONS.EDIT} Edit`,
-          `edit_quiz_${quiz.id}`
-        ),
-        Markup.button.callback(
-          `${UI.ICONS.SHARE} Share`,
-          `share_quiz_${quiz.id}`
-        ),
-        Markup.button.callback(
-          `${UI.ICONS.DELETE} Delete`,
-          `delete_quiz_${quiz.id}`
-        ),
-      ]);
-    });
+  // Create buttons for displayed quizzes
+  displayQuizzes.forEach((quiz) => {
+    quizButtons.push([
+      Markup.button.callback(
+        `${UI.ICONS.PLAY} Start "${quiz.title.substring(0, 15)}${quiz.title.length > 15 ? '...' : ''}"`,
+        `start_quiz_${quiz.id}`
+      ),
+    ]);
     
-    // Show category filter buttons
-    const categoryButtons = [];
+    quizButtons.push([
+      Markup.button.callback(
+        `${UI.ICONS.EDIT} Edit`,
+        `edit_quiz_${quiz.id}`
+      ),
+      Markup.button.callback(
+        `${UI.ICONS.SHARE} Share`,
+        `share_quiz_${quiz.id}`
+      ),
+      Markup.button.callback(
+        `${UI.ICONS.DELETE} Delete`,
+        `delete_quiz_${quiz.id}`
+      ),
+    ]);
+  });
+
+  // Page navigation
+  if (totalPages > 1) {
+    quizButtons.push(
+      utils.createPaginationButtons("myq_page", currentPage, totalPages)
+    );
+  }
+  
+  // Show category filter buttons
+  const categoryButtons = [];
+  
+  if (!searchQuery) {
+    // Get unique categories
+    const categories = await quizManager.getUserCategories(userId);
     
-    if (!searchQuery) {
-      // Get unique categories
-      const categories = await quizManager.getUserCategories(userId);
+    // Add category filter buttons (up to 4 per row)
+    if (categories.length > 0) {
+      const rows = [];
+      const buttonsPerRow = 2;
       
-      // Add category filter buttons (up to 4 per row)
-      if (categories.length > 0) {
-        const rows = [];
-        const buttonsPerRow = 2;
-        
-        for (let i = 0; i < categories.length; i += buttonsPerRow) {
-          const row = [];
-          for (let j = 0; j < buttonsPerRow && i + j < categories.length; j++) {
-            const category = categories[i + j];
-            row.push(
-              Markup.button.callback(
-                `${category.category} (${category.count})`,
-                `filter_category_${category.category}`
-              )
-            );
-          }
-          if (row.length > 0) {
-            rows.push(row);
-          }
+      for (let i = 0; i < categories.length; i += buttonsPerRow) {
+        const row = [];
+        for (let j = 0; j < buttonsPerRow && i + j < categories.length; j++) {
+          const category = categories[i + j];
+          row.push(
+            Markup.button.callback(
+              `${category.category} (${category.count})`,
+              `filter_category_${category.category}`
+            )
+          );
         }
-        
-        if (rows.length > 0) {
-          categoryButtons.push(...rows);
+        if (row.length > 0) {
+          rows.push(row);
         }
       }
+      
+      if (rows.length > 0) {
+        categoryButtons.push(...rows);
+      }
     }
-    
-    // Navigation and action buttons
-    const navigationButtons = [
-      [
-        Markup.button.callback(
-          `${UI.ICONS.CREATE} Create New Quiz`,
-          "create_quiz"
-        ),
-        searchQuery || categoryFilter ? 
-          Markup.button.callback(
-            `${UI.ICONS.LIST} View All`,
-            "my_quizzes"
-          ) : 
-          Markup.button.callback(
-            `${UI.ICONS.SEARCH} Search`,
-            "search_quizzes"
-          ),
-      ],
-    ];
-    
-    if (searchQuery || categoryFilter) {
-      navigationButtons[0].push(
+  }
+  
+  // Navigation and action buttons
+  const navigationButtons = [
+    [
+      Markup.button.callback(
+        `${UI.ICONS.CREATE} Create New Quiz`,
+        "create_quiz"
+      ),
+      searchQuery || categoryFilter ? 
         Markup.button.callback(
-          `${UI.ICONS.CATEGORY} Categories`,
-          "show_categories"
-        )
-      );
-    }
-    
-    // If there are more quizzes than shown, add pagination
-    if (quizzes.length > 5) {
-      navigationButtons.push([
+          `${UI.ICONS.LIST} View All`,
+          "my_quizzes"
+        ) : 
         Markup.button.callback(
-          `Show More Quizzes (${quizzes.length - 5} remaining)`,
-          "show_more_quizzes"
+          `${UI.ICONS.SEARCH} Search`,
+          "search_quizzes"
         ),
-      ]);
-    }
-    
-    // Combine all button sections
-    const allButtons = [
-      ...quizButtons,
-      ...categoryButtons,
-      ...navigationButtons,
-    ];
+    ],
+  ];
+  
+  if (searchQuery || categoryFilter) {
+    navigationButtons[0].push(
+      Markup.button.callback(
+        `${UI.ICONS.CATEGORY} Categories`,
+        "show_categories"
+      )
+    );
+  }
+  
+  const trashRow = await recentlyDeletedRow(userId);
+  if (trashRow.length > 0) {
+    navigationButtons.push(trashRow);
+  }
+
+  // Combine all button sections
+  const allButtons = [
+    ...quizButtons,
+    ...categoryButtons,
+    ...navigationButtons,
+  ];
+
+  await replyOrEditHTML(ctx, message, Markup.inlineKeyboard(allButtons), edit);
+}
+
+/**
+ * Button row linking to the user's deleted quizzes, empty if there are none
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Keyboard row
+ */
+async function recentlyDeletedRow(userId) {
+  const deleted = await quizManager.getDeletedQuizzes(userId);
+  if (deleted.length === 0) {
+    return [];
+  }
+
+  return [
+    Markup.button.callback(
+      `${UI.ICONS.DELETE} Recently Deleted (${deleted.length})`,
+      "trash_list"
+    ),
+  ];
+}
+
+/**
+ * Show the quizzes the user deleted in the last 30 days
+ * @param {Object} ctx - Telegram context
+ * @param {boolean} edit - Whether to edit the current message instead of replying
+ */
+async function showRecentlyDeleted(ctx, edit = false) {
+  const entries = await quizManager.getDeletedQuizzes(ctx.from.id);
+  const backRow = [
+    Markup.button.callback(`${UI.ICONS.LIST} My Quizzes`, "my_quizzes"),
+  ];
+
+  if (entries.length === 0) {
+    return await replyOrEditHTML(
+      ctx,
+      formatMessage(
+        "Recently Deleted",
+        "Your trash is empty.\n\nDeleted quizzes stay here for 30 days before they're removed for good.",
+        UI.ICONS.DELETE
+      ),
+      Markup.inlineKeyboard([backRow]),
+      edit
+    );
+  }
+
+  let message = formatMessage(
+    "Recently Deleted",
+    "These quizzes can be restored until they expire. " +
+      "Deleted quizzes don't count towards your quiz limit.",
+    UI.ICONS.DELETE
+  );
+
+  const buttons = [];
+  const now = Date.now();
+  entries.forEach((entry, index) => {
+    const daysLeft = Math.max(1, Math.ceil((entry.expiresAt - now) / (24 * 60 * 60 * 1000)));
+
+    message +=
+      `\n\n<b>${index + 1}. ${utils.escapeHTML(entry.quiz.title)}</b>\n` +
+      `${UI.ICONS.INFO} Questions: ${entry.quiz.questions.length}\n` +
+      `📅 Deleted: ${utils.formatDateTime(entry.deletedAt)}\n` +
+      `⏳ Removed for good in ${daysLeft} day${daysLeft !== 1 ? "s" : ""}`;
+
+    buttons.push([
+      Markup.button.callback(`♻️ Restore ${index + 1}`, `trash_restore_${entry.quiz.id}`),
+      Markup.button.callback(`${UI.ICONS.DELETE} Delete Forever ${index + 1}`, `trash_purge_${entry.quiz.id}`),
+    ]);
+  });
+  buttons.push(backRow);
+
+  return await replyOrEditHTML(ctx, message, Markup.inlineKeyboard(buttons), edit);
+}
 
-    await ctx.replyWithHTML(message, Markup.inlineKeyboard(allButtons));
+/**
+ * Handler for the "Recently deleted" view
+ * @param {Object} ctx - Telegram context
+ */
+async function recentlyDeletedHandler(ctx) {
+  try {
+    await ctx.answerCbQuery();
+    await showRecentlyDeleted(ctx, true);
   } catch (error) {
-    logger.error("Error in myQuizzesHandler:", error);
-    await ctx.reply(
-      `${UI.COLORS.ERROR} Couldn't retrieve your quizzes. Please try again later.`
+    logger.error("Error in recentlyDeletedHandler:", error);
+    await ctx.answerCbQuery("Failed to load deleted quizzes");
+  }
+}
+
+/**
+ * Handler for restore and delete-forever actions on deleted quizzes
+ * @param {Object} ctx - Telegram context
+ */
+async function trashActionHandler(ctx) {
+  try {
+    const [, action, quizId] = ctx.callbackQuery.data.match(
+      /^trash_(restore|purge|purgeok)_(.+)$/
     );
+    const userId = ctx.from.id;
+
+    if (action === "purge") {
+      await ctx.answerCbQuery();
+      return await replyOrEditHTML(
+        ctx,
+        formatMessage(
+          "Delete Forever?",
+          "This quiz and its version history will be removed permanently. This action cannot be undone.",
+          UI.COLORS.DANGER
+        ),
+        Markup.inlineKeyboard([
+          [
+            Markup.button.callback(`${UI.ICONS.DELETE} Yes, Delete Forever`, `trash_purgeok_${quizId}`),
+            Markup.button.callback("Cancel", "trash_list"),
+          ],
+        ]),
+        true
+      );
+    }
+
+    const result =
+      action === "restore"
+        ? await quizManager.restoreDeletedQuiz(quizId, userId)
+        : await quizManager.deleteQuizForever(quizId, userId);
+
+    await ctx.answerCbQuery(result.message, { show_alert: !result.success });
+    await showRecentlyDeleted(ctx, true);
+  } catch (error) {
+    logger.error("Error in trashActionHandler:", error);
+    await ctx.answerCbQuery("Failed to update your trash");
   }
 }
 
@@ -675,15 +902,9 @@ async function filterCategoryHandler(ctx) {
     const category = ctx.callbackQuery.data.replace("filter_category_", "");
     await ctx.answerCbQuery(`Showing quizzes in "${category}" category`);
     
-    // Create a mock message to simulate a command with category parameter
-    ctx.message = { 
-      text: `/my_quizzes category=${category}`,
-      from: ctx.from,
-      chat: ctx.chat
-    };
-    
-    // Call the main handler with the filter
-    await myQuizzesHandler(ctx);
+    // Apply the category filter and show the first page
+    ctx.session.quizListFilter = { searchQuery: "", categoryFilter: category };
+    await showMyQuizzesPage(ctx, 1);
   } catch (error) {
     logger.error("Error in filterCategoryHandler:", error);
     await ctx.answerCbQuery("Failed to filter by category");
@@ -728,85 +949,121 @@ async function searchQuizzesHandler(ctx) {
  */
 async function sharedWithMeHandler(ctx) {
   try {
-    const userId = ctx.from.id;
-    const sharedQuizzes = await quizManager.getQuizzesSharedWithUser(userId);
-
-    if (sharedQuizzes.length === 0) {
-      const noQuizzesMessage = formatMessage(
-        "No Shared Quizzes",
-        "You don't have any quizzes shared with you yet!\n\n" +
-          "When other users share their quizzes with you, they will appear here.",
-        UI.COLORS.INFO
-      );
-
-      return await ctx.replyWithHTML(
-        noQuizzesMessage,
-        Markup.innoQuizzesMessage,
-        Markup.inlineKeyboard([
-          [
-            Markup.button.callback(
-              `${UI.ICONS.LIST} My Quizzes`,
-              "my_quizzes"
-            ),
-          ],
-        ])
-      );
-    }
+    await showSharedQuizzesPage(ctx, 1);
+  } catch (error) {
+    logger.error("Error in sharedWithMeHandler:", error);
+    await ctx.reply(
+      `${UI.COLORS.ERROR} Couldn't retrieve shared quizzes. Please try again later.`
+    );
+  }
+}
 
-    let message = formatMessage(
-      "Quizzes Shared With You",
-      "Here are the quizzes that have been shared with you:",
-      UI.ICONS.SHARE
+/**
+ * Page navigation handler for shared quizzes
+ * @param {Object} ctx - Telegram context
+ */
+async function sharedQuizzesPageHandler(ctx) {
+  try {
+    const page = parseInt(ctx.callbackQuery.data.replace("sharedq_page_", ""));
+    await ctx.answerCbQuery(`Loading page ${page}...`);
+    await showSharedQuizzesPage(ctx, page, true);
+  } catch (error) {
+    logger.error("Error in sharedQuizzesPageHandler:", error);
+    await ctx.answerCbQuery("Failed to load page");
+  }
+}
+
+/**
+ * Show one page of the quizzes shared with the user
+ * @param {Object} ctx - Telegram context
+ * @param {number} page - Page number (1-based)
+ * @param {boolean} edit - Whether to edit the current message instead of replying
+ */
+async function showSharedQuizzesPage(ctx, page, edit = false) {
+  const userId = ctx.from.id;
+  const sharedQuizzes = await quizManager.getQuizzesSharedWithUser(userId);
+
+  if (sharedQuizzes.length === 0) {
+    const noQuizzesMessage = formatMessage(
+      "No Shared Quizzes",
+      "You don't have any quizzes shared with you yet!\n\n" +
+        "When other users share their quizzes with you, they will appear here.",
+      UI.COLORS.INFO
     );
 
-    const quizButtons = [];
+    return await replyOrEditHTML(
+      ctx,
+      noQuizzesMessage,
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback(
+            `${UI.ICONS.LIST} My Quizzes`,
+            "my_quizzes"
+          ),
+        ],
+      ]),
+      edit
+    );
+  }
 
-    sharedQuizzes.forEach((quiz, index) => {
-      // Format creation date
-      const createdDate = new Date(quiz.createdAt).toLocaleDateString("en-US", {
-        year: "numeric",
-        month: "short",
-        day: "numeric",
-      });
+  const { items: displayQuizzes, page: currentPage, totalPages, offset } =
+    utils.paginate(sharedQuizzes, page, QUIZZES_PER_PAGE);
 
-      // Get creator name if available
-      const creatorName = quiz.creatorName || `User ${quiz.creator}`;
+  let message = formatMessage(
+    "Quizzes Shared With You",
+    `Here are the quizzes that have been shared with you (page ${currentPage} of ${totalPages}):`,
+    UI.ICONS.SHARE
+  );
 
-      message +=
-        `\n\n<b>${index + 1}. ${quiz.title}</b>\n` +
-        `${UI.ICONS.INFO} Questions: ${quiz.questions.length}\n` +
-        `📂 Category: ${quiz.category || "Uncategorized"}\n` +
-        `👤 Created by: ${creatorName}\n` +
-        `📅 Created: ${createdDate}`;
+  const quizButtons = [];
 
-      // Add buttons for each quiz (in groups of 2)
-      quizButtons.push([
-        Markup.button.callback(
-          `${UI.ICONS.PLAY} Start`,
-          `start_quiz_${quiz.id}`
-        ),
-        Markup.button.callback(
-          `${UI.ICONS.CREATE} Copy to My Quizzes`,
-          `copy_quiz_${quiz.id}`
-        ),
-      ]);
+  displayQuizzes.forEach((quiz, index) => {
+    // Format creation date
+    const createdDate = new Date(quiz.createdAt).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
     });
 
-    // Add navigation buttons at bottom
+    // Get creator name if available
+    const creatorName = quiz.creatorName || `User ${quiz.creator}`;
+
+    message +=
+      `\n\n<b>${offset + index + 1}. ${utils.escapeHTML(quiz.title)}</b>\n` +
+      `${UI.ICONS.INFO} Questions: ${quiz.questions.length}\n` +
+      `📂 Category: ${quiz.category}\n` +
+      `👤 Created by: ${creatorName}\n` +
+      `📅 Created: ${createdDate}`;
+
+    // Add buttons for each quiz (in groups of 2)
     quizButtons.push([
       Markup.button.callback(
-        `${UI.ICONS.LIST} My Quizzes`,
-        "my_quizzes"
+        `${UI.ICONS.PLAY} Start`,
+        `start_quiz_${quiz.id}`
+      ),
+      Markup.button.callback(
+        `${UI.ICONS.CREATE} Copy to My Quizzes`,
+        `copy_quiz_${quiz.id}`
       ),
     ]);
+  });
 
-    await ctx.replyWithHTML(message, Markup.inlineKeyboard(quizButtons));
-  } catch (error) {
-    logger.error("Error in sharedWithMeHandler:", error);
-    await ctx.reply(
-      `${UI.COLORS.ERROR} Couldn't retrieve shared quizzes. Please try again later.`
+  // Page navigation
+  if (totalPages > 1) {
+    quizButtons.push(
+      utils.createPaginationButtons("sharedq_page", currentPage, totalPages)
     );
   }
+
+  // Add navigation buttons at bottom
+  quizButtons.push([
+    Markup.button.callback(
+      `${UI.ICONS.LIST} My Quizzes`,
+      "my_quizzes"
+    ),
+  ]);
+
+  await replyOrEditHTML(ctx, message, Markup.inlineKeyboard(quizButtons), edit);
 }
 
 /**
@@ -1050,7 +1307,7 @@ async function shareSettingsHandler(ctx) {
     let shareStatus = "Private (not shared)";
     if (quiz.shared) {
       shareStatus = "Public (anyone can access)";
-    } else if (Array.isArray(quiz.sharedWith) && quiz.sharedWith.length > 0) {
+    } else if (quiz.sharedWith.length > 0) {
       shareStatus = `Shared with ${quiz.sharedWith.length} specific user(s)`;
     }
 
@@ -1074,7 +1331,7 @@ async function shareSettingsHandler(ctx) {
             `share_link_${quizId}`
           ),
         ],
-        quiz.shared || (Array.isArray(quiz.sharedWith) && quiz.sharedWith.length > 0)
+        quiz.shared || quiz.sharedWith.length > 0
           ? [
               Markup.button.callback(
                 `${UI.ICONS.LOCK} Make Private (Remove All Sharing)`,
@@ -1328,9 +1585,9 @@ async function startQuizHandler(ctx) {
       );
     }
 
-    // Check if user is admin
-    const isAdmin = await quiz.isAdmin(ctx, chatId, userId);
-    if (!isAdmin) {
+    // Check if user may start quizzes here
+    const canStart = await canStartQuiz(ctx, chatId, userId);
+    if (!canStart) {
       return await ctx.replyWithHTML(
         formatMessage(
           "Permission Denied",
@@ -1344,52 +1601,7 @@ async function startQuizHandler(ctx) {
     const args = ctx.message.text.split(" ");
     if (args.length < 2) {
       // No quiz ID provided, show user's quizzes
-      const quizzes = await quizManager.getQuizzesByCreator(userId);
-
-      if (quizzes.length === 0) {
-        return await ctx.replyWithHTML(
-          formatMessage(
-            "No Quizzes Available",
-            "You need to create a quiz first!\n\n" +
-              "Use /create_quiz in a private chat with me to create a quiz.",
-            UI.COLORS.WARNING
-          ),
-          Markup.inlineKeyboard([
-            [
-              Markup.button.url(
-                `${UI.ICONS.CREATE} Create Quiz`,
-                `https://t.me/${ctx.botInfo.username}`
-              ),
-            ],
-          ])
-        );
-      }
-
-      let message = formatMessage(
-        "Select a Quiz",
-        "Choose a quiz to start in this group:",
-        UI.ICONS.PLAY
-      );
-
-      const quizButtons = [];
-      quizzes.forEach((quiz, index) => {
-        message +=
-          `\n\n<b>${index + 1}. ${quiz.title}</b>\n` +
-          `${UI.ICONS.INFO} ${quiz.questions.length} questions\n` +
-          `📂 Category: ${quiz.category || "Uncategorized"}`;
-
-        quizButtons.push([
-          Markup.button.callback(
-            `${UI.ICONS.PLAY} Start "${quiz.title.substring(0, 20)}${quiz.title.length > 20 ? '...' : ''}"`,
-            `start_quiz_${quiz.id}`
-          ),
-        ]);
-      });
-
-      return await ctx.replyWithHTML(
-        message,
-        Markup.inlineKeyboard(quizButtons)
-      );
+      return await showQuizPickerPage(ctx, userId, 1);
     }
 
     // Quiz ID provided
@@ -1403,6 +1615,100 @@ async function startQuizHandler(ctx) {
   }
 }
 
+/**
+ * Page navigation handler for the group quiz picker
+ * @param {Object} ctx - Telegram context
+ */
+async function quizPickerPageHandler(ctx) {
+  try {
+    const match = ctx.callbackQuery.data.match(/^pickq_(\d+)_(\d+)$/);
+    const ownerId = parseInt(match[1]);
+    const page = parseInt(match[2]);
+
+    // Only the admin who opened the picker can browse it
+    if (ctx.from.id !== ownerId) {
+      await ctx.answerCbQuery("Only the admin who opened this list can browse it.");
+      return;
+    }
+
+    await ctx.answerCbQuery(`Loading page ${page}...`);
+    await showQuizPickerPage(ctx, ownerId, page, true);
+  } catch (error) {
+    logger.error("Error in quizPickerPageHandler:", error);
+    await ctx.answerCbQuery("Failed to load page");
+  }
+}
+
+/**
+ * Show one page of the group quiz picker
+ * @param {Object} ctx - Telegram context
+ * @param {number} userId - ID of the admin whose quizzes are listed
+ * @param {number} page - Page number (1-based)
+ * @param {boolean} edit - Whether to edit the current message instead of replying
+ */
+async function showQuizPickerPage(ctx, userId, page, edit = false) {
+  const quizzes = await quizManager.getQuizzesByCreator(userId);
+
+  if (quizzes.length === 0) {
+    return await replyOrEditHTML(
+      ctx,
+      formatMessage(
+        "No Quizzes Available",
+        "You need to create a quiz first!\n\n" +
+          "Use /create_quiz in a private chat with me to create a quiz.",
+        UI.COLORS.WARNING
+      ),
+      Markup.inlineKeyboard([
+        [
+          Markup.button.url(
+            `${UI.ICONS.CREATE} Create Quiz`,
+            `https://t.me/${ctx.botInfo.username}`
+          ),
+        ],
+      ]),
+      edit
+    );
+  }
+
+  const { items: displayQuizzes, page: currentPage, totalPages, offset } =
+    utils.paginate(quizzes, page, QUIZZES_PER_PAGE);
+
+  let message = formatMessage(
+    "Select a Quiz",
+    `Choose a quiz to start in this group (page ${currentPage} of ${totalPages}):`,
+    UI.ICONS.PLAY
+  );
+
+  const quizButtons = [];
+  displayQuizzes.forEach((quiz, index) => {
+    message +=
+      `\n\n<b>${offset + index + 1}. ${utils.escapeHTML(quiz.title)}</b>\n` +
+      `${UI.ICONS.INFO} ${quiz.questions.length} questions\n` +
+      `📂 Category: ${quiz.category}`;
+
+    quizButtons.push([
+      Markup.button.callback(
+        `${UI.ICONS.PLAY} Start "${quiz.title.substring(0, 20)}${quiz.title.length > 20 ? '...' : ''}"`,
+        `start_quiz_${quiz.id}`
+      ),
+    ]);
+  });
+
+  // Page navigation, bound to the admin who opened the picker
+  if (totalPages > 1) {
+    quizButtons.push(
+      utils.createPaginationButtons(`pickq_${userId}`, currentPage, totalPages)
+    );
+  }
+
+  return await replyOrEditHTML(
+    ctx,
+    message,
+    Markup.inlineKeyboard(quizButtons),
+    edit
+  );
+}
+
 /**
  * Start quiz from button callback
  * @param {Object} ctx - Telegram context
@@ -1427,9 +1733,9 @@ async function startQuizFromIdHandler(ctx) {
       );
     }
 
-    // Check if user is admin
-    const isAdmin = await quiz.isAdmin(ctx, chatId, ctx.from.id);
-    if (!isAdmin) {
+    // Check if user may start quizzes here
+    const canStart = await canStartQuiz(ctx, chatId, ctx.from.id);
+    if (!canStart) {
       return await ctx.replyWithHTML(
         formatMessage(
           "Permission Denied",
@@ -1565,111 +1871,1006 @@ async function endQuizHandler(ctx) {
 }
 
 /**
- * Delete quiz handler
+ * Skip question command handler - Skips the current question mid-game
  * @param {Object} ctx - Telegram context
  */
-async function deleteQuizHandler(ctx) {
+async function skipQuestionHandler(ctx) {
   try {
-    // Extract quiz ID from callback data
-    const quizId = ctx.callbackQuery.data.replace("delete_quiz_", "");
+    const chatId = ctx.chat.id;
     const userId = ctx.from.id;
 
-    // Get quiz title for confirmation
-    const quizData = await quizManager.getQuiz(quizId, userId);
+    // Check if in a group
+    if (ctx.chat.type === "private") {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Group Quizzes Only",
+          "Questions can only be skipped in groups.",
+          UI.COLORS.WARNING
+        )
+      );
+    }
 
-    if (!quizData) {
-      await ctx.answerCbQuery("Quiz not found!");
-      return await ctx.reply(`${UI.COLORS.ERROR} This quiz no longer exists.`);
+    // Check if user is admin
+    const isAdmin = await quiz.isAdmin(ctx, chatId, userId);
+    if (!isAdmin) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Permission Denied",
+          "Only group administrators can skip questions in this group.",
+          UI.COLORS.DANGER
+        )
+      );
     }
 
-    // Confirm deletion
-    await ctx.answerCbQuery("Confirming deletion...");
+    // Skip the current question
+    const result = await quiz.skipQuestion(ctx, chatId);
 
-    await ctx.replyWithHTML(
-      formatMessage(
-        "Confirm Deletion",
-        `Are you sure you want to delete the quiz "<b>${quizData.title}</b>"?\n\nThis action cannot be undone.`,
-        UI.COLORS.DANGER
-      ),
-      Markup.inlineKeyboard([
-        [
-          Markup.button.callback(
-            `${UI.ICONS.DELETE} Yes, Delete Quiz`,
-            `confirm_delete_${quizId}`
-          ),
-          Markup.button.callback("Cancel", "my_quizzes"),
-        ],
-      ])
-    );
+    if (!result.success) {
+      await ctx.replyWithHTML(
+        formatMessage("Skip Question Error", result.message, UI.COLORS.WARNING)
+      );
+    }
+
+    return result;
   } catch (error) {
-    logger.error("Error in deleteQuizHandler:", error);
-    await ctx.answerCbQuery(
-      `${UI.COLORS.ERROR} Failed to process deletion request`
-    );
+    logger.error("Error in skipQuestionHandler:", error);
     await ctx.reply(
-      `${UI.COLORS.ERROR} An error occurred while processing your request.`
+      `${UI.ICONS.ERROR} Failed to skip question. Please try again later.`
     );
   }
 }
 
 /**
- * Confirm quiz deletion handler
+ * Pause quiz command handler - Freezes the current question timer
  * @param {Object} ctx - Telegram context
  */
-async function confirmDeleteQuizHandler(ctx) {
-  try {
-    // Extract quiz ID from callback data
-    const quizId = ctx.callbackQuery.data.replace("confirm_delete_", "");
-    const userId = ctx.from.id;
+async function pauseQuizHandler(ctx) {
+  return await hostControlCommand(ctx, "pause");
+}
 
-    await ctx.answerCbQuery("Deleting quiz...");
+/**
+ * Resume quiz command handler - Continues a paused question
+ * @param {Object} ctx - Telegram context
+ */
+async function resumeQuizHandler(ctx) {
+  return await hostControlCommand(ctx, "resume");
+}
 
-    // Delete the quiz
-    const result = await quizManager.deleteQuiz(quizId, userId);
+/**
+ * Shared implementation of the host control commands
+ * @param {Object} ctx - Telegram context
+ * @param {string} action - "pause" or "resume"
+ */
+async function hostControlCommand(ctx, action) {
+  try {
+    const chatId = ctx.chat.id;
 
-    if (result.success) {
-      await ctx.replyWithHTML(
+    // Check if in a group
+    if (ctx.chat.type === "private") {
+      return await ctx.replyWithHTML(
         formatMessage(
-          "Quiz Deleted",
-          "Your quiz has been successfully deleted.",
-          UI.COLORS.SUCCESS
+          "Group Quizzes Only",
+          `Quizzes can only be ${action}d in groups.`,
+          UI.COLORS.WARNING
         )
       );
-      // Refresh my quizzes view
-      await myQuizzesHandler(ctx);
-    } else {
-      await ctx.replyWithHTML(
-        formatMessage("Deletion Error", result.message, UI.COLORS.ERROR)
+    }
+
+    // Check if user is admin
+    const isAdmin = await quiz.isAdmin(ctx, chatId, ctx.from.id);
+    if (!isAdmin) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Permission Denied",
+          `Only group administrators can ${action} quizzes in this group.`,
+          UI.COLORS.DANGER
+        )
       );
     }
+
+    const result =
+      action === "pause"
+        ? await quiz.pauseQuiz(ctx, chatId)
+        : await quiz.resumeQuiz(ctx, chatId);
+
+    await ctx.replyWithHTML(
+      result.success
+        ? formatMessage(
+            action === "pause" ? "Quiz Paused" : "Quiz Resumed",
+            action === "pause"
+              ? "The timer is frozen. Use /resume_quiz or the Resume button to continue."
+              : "Back to the action. The timer is running again!",
+            action === "pause" ? "⏸️" : "▶️"
+          )
+        : formatMessage(
+            action === "pause" ? "Pause Quiz Error" : "Resume Quiz Error",
+            result.message,
+            UI.COLORS.WARNING
+          )
+    );
+
+    return result;
   } catch (error) {
-    logger.error("Error in confirmDeleteQuizHandler:", error);
-    await ctx.answerCbQuery(`${UI.COLORS.ERROR} Failed to delete quiz`);
+    logger.error(`Error in ${action}QuizHandler:`, error);
     await ctx.reply(
-      `${UI.COLORS.ERROR} An error occurred while deleting the quiz.`
+      `${UI.ICONS.ERROR} Failed to ${action} quiz. Please try again later.`
     );
   }
 }
 
 /**
- * Check if a user is an admin in a Telegram group
+ * Host control buttons on the question message (pause, resume, +10s)
  * @param {Object} ctx - Telegram context
- * @param {number} userId - User ID to check
- * @param {number} chatId - Chat ID to check in
- * @returns {Promise<boolean>} Whether the user is an admin
  */
-async function isGroupAdmin(ctx, userId, chatId) {
+async function questionControlHandler(ctx) {
   try {
-    // Get chat member info
-    const member = await ctx.telegram.getChatMember(chatId, userId);
-    
-    // Check if the user is an admin or the creator
-    return ['creator', 'administrator'].includes(member.status);
-  } catch (error) {
-    logger.error(`Error checking admin status: ${error.message}`, error);
-    return false;
-  }
-}
+    const [, action, index] = ctx.callbackQuery.data.match(
+      /^qctl_(pause|resume|extend)_(\d+)$/
+    );
+    const chatId = ctx.chat.id;
+
+    // Check if user is admin
+    const isAdmin = await quiz.isAdmin(ctx, chatId, ctx.from.id);
+    if (!isAdmin) {
+      return await ctx.answerCbQuery("Only group administrators can use host controls.");
+    }
+
+    const activeQuiz = quiz.getQuizStatus(chatId);
+    if (!activeQuiz || activeQuiz.currentQuestionIndex !== parseInt(index)) {
+      return await ctx.answerCbQuery("This question is no longer active.");
+    }
+
+    let result;
+    if (action === "pause") {
+      result = await quiz.pauseQuiz(ctx, chatId);
+    } else if (action === "resume") {
+      result = await quiz.resumeQuiz(ctx, chatId);
+    } else {
+      result = await quiz.extendQuestion(ctx, chatId);
+    }
+
+    await ctx.answerCbQuery(result.message);
+  } catch (error) {
+    logger.error("Error in questionControlHandler:", error);
+    await ctx.answerCbQuery("Failed to update the quiz");
+  }
+}
+
+/**
+ * Labels for the group settings menu
+ */
+const GROUP_SETTING_LABELS = {
+  questionTime: "⏱️ Question time",
+  intermissionTime: "⏳ Intermission",
+  firstCorrectBonus: "🎯 First-correct bonus",
+  streakBonus: "🔥 Streak bonus",
+  allowMemberStart: "👥 Members can start quizzes",
+  cleanupMessages: "🧹 Clean up quiz messages",
+  language: "🌐 Language",
+  leaderboardSize: "🏆 Leaderboard size",
+};
+
+/**
+ * Format a group setting value for display
+ * @param {string} key - Setting name
+ * @param {*} value - Setting value
+ * @returns {string} Display value
+ */
+function formatGroupSettingValue(key, value) {
+  if (groupSettings.TOGGLE_SETTINGS.includes(key)) {
+    return value ? "On" : "Off";
+  }
+  if (key === "questionTime" || key === "intermissionTime") {
+    return value ? `${value}s` : "Quiz default";
+  }
+  if (key === "language") {
+    return i18n.LANGUAGES[value] || value;
+  }
+  if (key === "leaderboardSize") {
+    return `Top ${value}`;
+  }
+  return String(value);
+}
+
+/**
+ * Settings command handler - Shows the group settings menu
+ * @param {Object} ctx - Telegram context
+ */
+async function settingsHandler(ctx) {
+  try {
+    const chatId = ctx.chat.id;
+
+    // Check if in a group
+    if (ctx.chat.type === "private") {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Group Settings Only",
+          "Settings apply to groups. Use /settings in a group where you're an administrator.",
+          UI.COLORS.WARNING
+        )
+      );
+    }
+
+    // Check if user is admin
+    const isAdmin = await quiz.isAdmin(ctx, chatId, ctx.from.id);
+    if (!isAdmin) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Permission Denied",
+          "Only group administrators can change group settings.",
+          UI.COLORS.DANGER
+        )
+      );
+    }
+
+    await showGroupSettings(ctx);
+  } catch (error) {
+    logger.error("Error in settingsHandler:", error);
+    await ctx.reply(
+      `${UI.ICONS.ERROR} Failed to load settings. Please try again later.`
+    );
+  }
+}
+
+/**
+ * Show the group settings menu
+ * @param {Object} ctx - Telegram context
+ * @param {boolean} edit - Whether to edit the current message instead of replying
+ */
+async function showGroupSettings(ctx, edit = false) {
+  const settings = await groupSettings.getGroupSettings(ctx.chat.id);
+
+  let content = "These settings apply to every quiz played in this group:\n\n";
+  Object.keys(GROUP_SETTING_LABELS).forEach((key) => {
+    content += `${GROUP_SETTING_LABELS[key]}: <b>${formatGroupSettingValue(key, settings[key])}</b>\n`;
+  });
+  content += "\nTap a setting to change it.";
+
+  // Toggles flip in place, the others open a list of choices
+  const buttons = Object.keys(GROUP_SETTING_LABELS).map((key) => [
+    Markup.button.callback(
+      GROUP_SETTING_LABELS[key],
+      groupSettings.TOGGLE_SETTINGS.includes(key)
+        ? `gset_toggle_${key}`
+        : `gset_pick_${key}`
+    ),
+  ]);
+
+  return await replyOrEditHTML(
+    ctx,
+    formatMessage("Group Settings", content, "⚙️"),
+    Markup.inlineKeyboard(buttons),
+    edit
+  );
+}
+
+/**
+ * Show the choices for a group setting
+ * @param {Object} ctx - Telegram context
+ * @param {string} key - Setting name
+ */
+async function showGroupSettingChoices(ctx, key) {
+  const settings = await groupSettings.getGroupSettings(ctx.chat.id);
+  const choices = groupSettings.SETTING_CHOICES[key];
+
+  const choiceButtons = choices.map((value) =>
+    Markup.button.callback(
+      `${value === settings[key] ? "✅ " : ""}${formatGroupSettingValue(key, value)}`,
+      `gset_set_${key}_${value === null ? "default" : value}`
+    )
+  );
+
+  // Two choices per row
+  const buttons = [];
+  for (let i = 0; i < choiceButtons.length; i += 2) {
+    buttons.push(choiceButtons.slice(i, i + 2));
+  }
+  buttons.push([Markup.button.callback(`${UI.ICONS.BACK} Back`, "gset_menu")]);
+
+  return await replyOrEditHTML(
+    ctx,
+    formatMessage(
+      GROUP_SETTING_LABELS[key],
+      `Current: <b>${formatGroupSettingValue(key, settings[key])}</b>\n\nChoose a new value:`
+    ),
+    Markup.inlineKeyboard(buttons),
+    true
+  );
+}
+
+/**
+ * Group settings button handler (menu, pick, set and toggle)
+ * @param {Object} ctx - Telegram context
+ */
+async function groupSettingsActionHandler(ctx) {
+  try {
+    const chatId = ctx.chat.id;
+    const data = ctx.callbackQuery.data;
+
+    // Check if user is admin
+    const isAdmin = await quiz.isAdmin(ctx, chatId, ctx.from.id);
+    if (!isAdmin) {
+      return await ctx.answerCbQuery("Only group administrators can change settings.");
+    }
+
+    if (data === "gset_menu") {
+      await ctx.answerCbQuery();
+      return await showGroupSettings(ctx, true);
+    }
+
+    const pickMatch = data.match(/^gset_pick_(\w+)$/);
+    if (pickMatch && groupSettings.SETTING_CHOICES[pickMatch[1]]) {
+      await ctx.answerCbQuery();
+      return await showGroupSettingChoices(ctx, pickMatch[1]);
+    }
+
+    let result;
+    const toggleMatch = data.match(/^gset_toggle_(\w+)$/);
+    const setMatch = data.match(/^gset_set_([a-zA-Z]+)_(\w+)$/);
+
+    if (toggleMatch) {
+      const settings = await groupSettings.getGroupSettings(chatId);
+      result = await groupSettings.updateGroupSetting(
+        chatId,
+        toggleMatch[1],
+        !settings[toggleMatch[1]]
+      );
+    } else if (setMatch) {
+      const [, key, rawValue] = setMatch;
+      let value = rawValue;
+      if (rawValue === "default") {
+        value = null;
+      } else if (/^\d+$/.test(rawValue)) {
+        value = parseInt(rawValue);
+      }
+      result = await groupSettings.updateGroupSetting(chatId, key, value);
+    } else {
+      return await ctx.answerCbQuery("Unknown setting");
+    }
+
+    await ctx.answerCbQuery(result.message);
+    if (result.success) {
+      await showGroupSettings(ctx, true);
+    }
+  } catch (error) {
+    logger.error("Error in groupSettingsActionHandler:", error);
+    await ctx.answerCbQuery("Failed to update settings");
+  }
+}
+
+/**
+ * Check whether a user may start quizzes in a group
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} Whether the user may start quizzes
+ */
+async function canStartQuiz(ctx, chatId, userId) {
+  const settings = await groupSettings.getGroupSettings(chatId);
+  return settings.allowMemberStart || (await quiz.isAdmin(ctx, chatId, userId));
+}
+
+/**
+ * Schedule quiz command handler - Schedules a quiz to start automatically
+ * Usage: /schedule_quiz <quiz_id> [YYYY-MM-DD] HH:MM [Time/Zone]
+ * @param {Object} ctx - Telegram context
+ */
+async function scheduleQuizHandler(ctx) {
+  try {
+    const chatId = ctx.chat.id;
+    const userId = ctx.from.id;
+
+    // Check if in a group
+    if (ctx.chat.type === "private") {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Group Quizzes Only",
+          "Quizzes can only be scheduled in groups. Add me to a group and try again!",
+          UI.COLORS.WARNING
+        )
+      );
+    }
+
+    // Check if user is admin
+    const isAdmin = await quiz.isAdmin(ctx, chatId, userId);
+    if (!isAdmin) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Permission Denied",
+          "Only group administrators can schedule quizzes in this group.",
+          UI.COLORS.DANGER
+        )
+      );
+    }
+
+    const args = ctx.message.text.split(" ").filter((arg) => arg.length > 0);
+    if (args.length < 3) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Schedule a Quiz",
+          "Usage:\n" +
+            "<code>/schedule_quiz quiz_id YYYY-MM-DD HH:MM</code>\n" +
+            "<code>/schedule_quiz quiz_id HH:MM</code> (next occurrence)\n\n" +
+            "Add a time zone at the end to override the default, e.g. " +
+            "<code>Europe/London</code>.\n\n" +
+            `Default time zone: <b>${scheduler.DEFAULT_TIMEZONE}</b>\n` +
+            `Current time: ${utils.formatDateTime(Date.now(), scheduler.DEFAULT_TIMEZONE)}\n\n` +
+            "Quiz IDs are shown in /my_quizzes.",
+          UI.ICONS.TIMER
+        )
+      );
+    }
+
+    const quizId = args[1];
+    const timeArgs = args.slice(2);
+
+    // Optional time zone argument (anything that isn't a date or time)
+    let timeZone = scheduler.DEFAULT_TIMEZONE;
+    const zoneArg = timeArgs.find((arg) => !/^[\d:-]+$/.test(arg));
+    if (zoneArg) {
+      if (!scheduler.isValidTimeZone(zoneArg)) {
+        return await ctx.replyWithHTML(
+          formatMessage(
+            "Invalid Time Zone",
+            `"${zoneArg}" is not a recognized time zone. Use a name like <code>Europe/Berlin</code> or <code>UTC</code>.`,
+            UI.COLORS.WARNING
+          )
+        );
+      }
+      timeZone = zoneArg;
+    }
+
+    // Get quiz data with access check
+    const quizData = await quizManager.getQuiz(quizId, userId);
+    if (!quizData) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Quiz Not Found",
+          "The requested quiz could not be found or you don't have permission to access it.",
+          UI.COLORS.DANGER
+        )
+      );
+    }
+
+    const time = scheduler.parseScheduleTime(timeArgs, timeZone);
+    if (!time.success) {
+      return await ctx.replyWithHTML(
+        formatMessage("Invalid Start Time", time.message, UI.COLORS.WARNING)
+      );
+    }
+
+    const result = await scheduler.createSchedule({
+      chatId,
+      quiz: quizData,
+      startAt: time.startAt,
+      timeZone,
+      user: ctx.from,
+    });
+
+    if (!result.success) {
+      return await ctx.replyWithHTML(
+        formatMessage("Scheduling Failed", result.message, UI.COLORS.DANGER)
+      );
+    }
+
+    return await ctx.replyWithHTML(
+      formatMessage(
+        "Quiz Scheduled",
+        `"<b>${quizData.title}</b>" will start automatically in this group.\n\n` +
+          `🕒 ${utils.formatDateTime(time.startAt, timeZone)}\n` +
+          `${UI.ICONS.INFO} ${quizData.questions.length} questions\n\n` +
+          "Reminders will be posted before it starts. Use /cancel_quiz to see or cancel scheduled quizzes.",
+        UI.ICONS.TIMER
+      ),
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback(
+            `${UI.ICONS.DELETE} Cancel Schedule`,
+            `cancel_schedule_${result.schedule.id}`
+          ),
+        ],
+      ])
+    );
+  } catch (error) {
+    logger.error("Error in scheduleQuizHandler:", error);
+    await ctx.reply(
+      `${UI.ICONS.ERROR} Failed to schedule quiz. Please try again later.`
+    );
+  }
+}
+
+/**
+ * Recurring quiz command handler - Creates a recurring schedule, or lists
+ * the group's recurring quizzes when called without arguments
+ * Usage: /recurring_quiz <days> HH:MM [Time/Zone] <quiz_id[,quiz_id...] | category Name>
+ * @param {Object} ctx - Telegram context
+ */
+async function recurringQuizHandler(ctx) {
+  try {
+    const chatId = ctx.chat.id;
+    const userId = ctx.from.id;
+
+    // Check if in a group
+    if (ctx.chat.type === "private") {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Group Quizzes Only",
+          "Recurring quizzes can only be set up in groups. Add me to a group and try again!",
+          UI.COLORS.WARNING
+        )
+      );
+    }
+
+    // Check if user is admin
+    const isAdmin = await quiz.isAdmin(ctx, chatId, userId);
+    if (!isAdmin) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Permission Denied",
+          "Only group administrators can manage recurring quizzes in this group.",
+          UI.COLORS.DANGER
+        )
+      );
+    }
+
+    const args = ctx.message.text.split(" ").filter((arg) => arg.length > 0);
+    if (args.length === 1) {
+      return await showRecurringSchedules(ctx);
+    }
+
+    const usage =
+      "Usage:\n" +
+      "<code>/recurring_quiz days HH:MM quiz_id</code>\n" +
+      "<code>/recurring_quiz days HH:MM id1,id2,id3</code> (rotate)\n" +
+      "<code>/recurring_quiz days HH:MM category Name</code> (rotate)\n\n" +
+      "Days: <code>daily</code>, <code>weekdays</code>, <code>weekends</code>, " +
+      "<code>sun</code>, <code>mon,wed,fri</code>, <code>mon-fri</code>. Day names can be " +
+      "written in full or shortened to two or three letters (<code>mo</code>, <code>mon</code>, " +
+      "<code>monday</code>), or given as numbers from 0 (Sunday) to 6\n\n" +
+      "Add a time zone after the time to override the default " +
+      `(<b>${scheduler.DEFAULT_TIMEZONE}</b>), e.g. <code>Europe/London</code>.`;
+
+    if (args.length < 4) {
+      return await ctx.replyWithHTML(
+        formatMessage("Recurring Quizzes", usage, UI.ICONS.TIMER)
+      );
+    }
+
+    const days = scheduler.parseRecurrenceDays(args[1]);
+    if (!days) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Invalid Days",
+          `"${args[1]}" is not a valid day specification.\n\n${usage}`,
+          UI.COLORS.WARNING
+        )
+      );
+    }
+
+    const timeMatch = args[2].match(/^(\d{1,2}):(\d{2})$/);
+    const hour = timeMatch ? parseInt(timeMatch[1]) : -1;
+    const minute = timeMatch ? parseInt(timeMatch[2]) : -1;
+    if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Invalid Start Time",
+          "Please provide a start time in 24-hour HH:MM format.",
+          UI.COLORS.WARNING
+        )
+      );
+    }
+
+    let rest = args.slice(3);
+    let timeZone = scheduler.DEFAULT_TIMEZONE;
+    if (rest.length > 1 && scheduler.isValidTimeZone(rest[0])) {
+      timeZone = rest[0];
+      rest = rest.slice(1);
+    }
+
+    // Work out which quizzes the recurrence rotates through
+    let source;
+    if (rest[0].toLowerCase() === "category") {
+      const category = rest.slice(1).join(" ");
+      const categoryQuizzes = await quizManager.getQuizzesByCategory(category, userId);
+
+      if (!category || categoryQuizzes.length === 0) {
+        return await ctx.replyWithHTML(
+          formatMessage(
+            "Category Empty",
+            `You don't have any quizzes in the category "${category}".`,
+            UI.COLORS.WARNING
+          )
+        );
+      }
+      source = { type: "category", category };
+    } else {
+      const quizIds = rest.join(",").split(",").filter((id) => id.length > 0);
+
+      for (const quizId of quizIds) {
+        if (!(await quizManager.getQuiz(quizId, userId))) {
+          return await ctx.replyWithHTML(
+            formatMessage(
+              "Quiz Not Found",
+              `The quiz <code>${quizId}</code> could not be found or you don't have permission to access it.`,
+              UI.COLORS.DANGER
+            )
+          );
+        }
+      }
+      source = { type: "quizzes", quizIds };
+    }
+
+    const result = await scheduler.createRecurringSchedule({
+      chatId,
+      recurrence: { days, hour, minute },
+      timeZone,
+      source,
+      user: ctx.from,
+    });
+
+    if (!result.success) {
+      return await ctx.replyWithHTML(
+        formatMessage("Scheduling Failed", result.message, UI.COLORS.DANGER)
+      );
+    }
+
+    const schedule = result.schedule;
+    return await ctx.replyWithHTML(
+      formatMessage(
+        "Recurring Quiz Scheduled",
+        `<b>${scheduler.describeRecurrence(schedule.recurrence)}</b> (${timeZone})\n` +
+          `${describeScheduleSource(schedule)}\n\n` +
+          `🕒 First run: ${utils.formatDateTime(schedule.startAt, timeZone)}\n\n` +
+          "Use /recurring_quiz to pause, resume or delete recurring quizzes.",
+        UI.ICONS.TIMER
+      ),
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback("⏸️ Pause", `recur_pause_${schedule.id}`),
+          Markup.button.callback(
+            `${UI.ICONS.DELETE} Delete`,
+            `recur_delete_${schedule.id}`
+          ),
+        ],
+      ])
+    );
+  } catch (error) {
+    logger.error("Error in recurringQuizHandler:", error);
+    await ctx.reply(
+      `${UI.ICONS.ERROR} Failed to set up recurring quiz. Please try again later.`
+    );
+  }
+}
+
+/**
+ * Describe which quizzes a recurring schedule starts
+ * @param {Object} schedule - Recurring schedule
+ * @returns {string} Description of the quiz source
+ */
+function describeScheduleSource(schedule) {
+  if (schedule.source.type === "category") {
+    return `${UI.ICONS.CATEGORY} Rotating category "${schedule.source.category}" (next: ${schedule.quizTitle})`;
+  }
+
+  if (schedule.source.quizIds.length > 1) {
+    return `🔁 Rotating ${schedule.source.quizIds.length} quizzes (next: ${schedule.quizTitle})`;
+  }
+
+  return `${UI.ICONS.PLAY} Quiz: ${schedule.quizTitle}`;
+}
+
+/**
+ * Show the recurring quizzes of a group with pause/resume and delete buttons
+ * @param {Object} ctx - Telegram context
+ * @param {boolean} edit - Whether to edit the current message instead of replying
+ */
+async function showRecurringSchedules(ctx, edit = false) {
+  const recurring = scheduler
+    .getSchedulesForChat(ctx.chat.id)
+    .filter((schedule) => schedule.type === "recurring");
+
+  if (recurring.length === 0) {
+    return await replyOrEditHTML(
+      ctx,
+      formatMessage(
+        "No Recurring Quizzes",
+        "There are no recurring quizzes in this group.\n\n" +
+          "Example: <code>/recurring_quiz weekdays 20:00 quiz_id</code>\n" +
+          "Send /recurring_quiz help for all options.",
+        UI.ICONS.INFO
+      ),
+      Markup.inlineKeyboard([]),
+      edit
+    );
+  }
+
+  let message = formatMessage(
+    "Recurring Quizzes",
+    "Recurring quizzes in this group:",
+    UI.ICONS.TIMER
+  );
+
+  const buttons = [];
+  recurring.forEach((schedule, index) => {
+    message +=
+      `\n\n<b>${index + 1}. ${scheduler.describeRecurrence(schedule.recurrence)}</b> (${schedule.timeZone})\n` +
+      `${describeScheduleSource(schedule)}\n` +
+      (schedule.paused
+        ? "⏸️ Paused"
+        : `🕒 Next: ${utils.formatDateTime(schedule.startAt, schedule.timeZone)}`);
+
+    buttons.push([
+      schedule.paused
+        ? Markup.button.callback(`▶️ Resume ${index + 1}`, `recur_resume_${schedule.id}`)
+        : Markup.button.callback(`⏸️ Pause ${index + 1}`, `recur_pause_${schedule.id}`),
+      Markup.button.callback(
+        `${UI.ICONS.DELETE} Delete ${index + 1}`,
+        `recur_delete_${schedule.id}`
+      ),
+    ]);
+  });
+
+  return await replyOrEditHTML(ctx, message, Markup.inlineKeyboard(buttons), edit);
+}
+
+/**
+ * Pause, resume or delete a recurring quiz from button callback
+ * @param {Object} ctx - Telegram context
+ */
+async function recurringScheduleActionHandler(ctx) {
+  try {
+    const [, action, scheduleId] = ctx.callbackQuery.data.match(
+      /^recur_(pause|resume|delete)_(.+)$/
+    );
+    const chatId = ctx.chat.id;
+
+    // Check if user is admin
+    const isAdmin = await quiz.isAdmin(ctx, chatId, ctx.from.id);
+    if (!isAdmin) {
+      return await ctx.answerCbQuery(
+        "Only group administrators can manage recurring quizzes."
+      );
+    }
+
+    const result =
+      action === "delete"
+        ? await scheduler.cancelSchedule(scheduleId, chatId)
+        : await scheduler.setSchedulePaused(scheduleId, chatId, action === "pause");
+
+    if (!result.success) {
+      return await ctx.answerCbQuery(result.message);
+    }
+
+    await ctx.answerCbQuery(action === "delete" ? "Recurring quiz deleted" : result.message);
+    await showRecurringSchedules(ctx, true);
+  } catch (error) {
+    logger.error("Error in recurringScheduleActionHandler:", error);
+    await ctx.answerCbQuery("Failed to update recurring quiz");
+  }
+}
+
+/**
+ * Cancel quiz command handler - Lists scheduled quizzes with cancel buttons
+ * @param {Object} ctx - Telegram context
+ */
+async function cancelQuizHandler(ctx) {
+  try {
+    const chatId = ctx.chat.id;
+
+    // Check if in a group
+    if (ctx.chat.type === "private") {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Group Quizzes Only",
+          "Scheduled quizzes are managed in the group they were scheduled in.",
+          UI.COLORS.WARNING
+        )
+      );
+    }
+
+    // Check if user is admin
+    const isAdmin = await quiz.isAdmin(ctx, chatId, ctx.from.id);
+    if (!isAdmin) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Permission Denied",
+          "Only group administrators can cancel scheduled quizzes.",
+          UI.COLORS.DANGER
+        )
+      );
+    }
+
+    const pending = scheduler.getSchedulesForChat(chatId);
+    if (pending.length === 0) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "No Scheduled Quizzes",
+          "There are no quizzes scheduled in this group.\n\n" +
+            "Use /schedule_quiz to schedule one.",
+          UI.ICONS.INFO
+        )
+      );
+    }
+
+    let message = formatMessage(
+      "Scheduled Quizzes",
+      "Tap a quiz to cancel it:",
+      UI.ICONS.TIMER
+    );
+
+    const buttons = [];
+    pending.forEach((schedule, index) => {
+      if (schedule.type === "recurring") {
+        message +=
+          `\n\n<b>${index + 1}. 🔁 ${scheduler.describeRecurrence(schedule.recurrence)}</b>\n` +
+          `${describeScheduleSource(schedule)}` +
+          (schedule.paused ? "\n⏸️ Paused" : "");
+      } else {
+        message +=
+          `\n\n<b>${index + 1}. ${schedule.quizTitle}</b>\n` +
+          `🕒 ${utils.formatDateTime(schedule.startAt, schedule.timeZone)}`;
+      }
+
+      const label =
+        schedule.type === "recurring"
+          ? scheduler.describeRecurrence(schedule.recurrence)
+          : schedule.quizTitle;
+
+      buttons.push([
+        Markup.button.callback(
+          `${UI.ICONS.DELETE} Cancel ${index + 1}. "${label.substring(0, 20)}${label.length > 20 ? '...' : ''}"`,
+          `cancel_schedule_${schedule.id}`
+        ),
+      ]);
+    });
+
+    return await ctx.replyWithHTML(message, Markup.inlineKeyboard(buttons));
+  } catch (error) {
+    logger.error("Error in cancelQuizHandler:", error);
+    await ctx.reply(
+      `${UI.ICONS.ERROR} Failed to load scheduled quizzes. Please try again later.`
+    );
+  }
+}
+
+/**
+ * Cancel a scheduled quiz from button callback
+ * @param {Object} ctx - Telegram context
+ */
+async function cancelScheduleHandler(ctx) {
+  try {
+    const scheduleId = ctx.callbackQuery.data.replace("cancel_schedule_", "");
+    const chatId = ctx.chat.id;
+
+    // Check if user is admin
+    const isAdmin = await quiz.isAdmin(ctx, chatId, ctx.from.id);
+    if (!isAdmin) {
+      return await ctx.answerCbQuery(
+        "Only group administrators can cancel scheduled quizzes."
+      );
+    }
+
+    const result = await scheduler.cancelSchedule(scheduleId, chatId);
+    if (!result.success) {
+      return await ctx.answerCbQuery(result.message);
+    }
+
+    await ctx.answerCbQuery("Schedule cancelled");
+    await ctx.replyWithHTML(
+      formatMessage("Schedule Cancelled", result.message, UI.ICONS.SUCCESS)
+    );
+  } catch (error) {
+    logger.error("Error in cancelScheduleHandler:", error);
+    await ctx.answerCbQuery("Failed to cancel schedule");
+  }
+}
+
+/**
+ * Delete quiz handler
+ * @param {Object} ctx - Telegram context
+ */
+async function deleteQuizHandler(ctx) {
+  try {
+    // Extract quiz ID from callback data
+    const quizId = ctx.callbackQuery.data.replace("delete_quiz_", "");
+    const userId = ctx.from.id;
+
+    // Get quiz title for confirmation
+    const quizData = await quizManager.getQuiz(quizId, userId);
+
+    if (!quizData) {
+      await ctx.answerCbQuery("Quiz not found!");
+      return await ctx.reply(`${UI.COLORS.ERROR} This quiz no longer exists.`);
+    }
+
+    // Confirm deletion
+    await ctx.answerCbQuery("Confirming deletion...");
+
+    await ctx.replyWithHTML(
+      formatMessage(
+        "Confirm Deletion",
+        `Are you sure you want to delete the quiz "<b>${quizData.title}</b>"?\n\n` +
+          "It will be kept in Recently deleted for 30 days in case you change your mind.",
+        UI.COLORS.DANGER
+      ),
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback(
+            `${UI.ICONS.DELETE} Yes, Delete Quiz`,
+            `confirm_delete_${quizId}`
+          ),
+          Markup.button.callback("Cancel", "my_quizzes"),
+        ],
+      ])
+    );
+  } catch (error) {
+    logger.error("Error in deleteQuizHandler:", error);
+    await ctx.answerCbQuery(
+      `${UI.COLORS.ERROR} Failed to process deletion request`
+    );
+    await ctx.reply(
+      `${UI.COLORS.ERROR} An error occurred while processing your request.`
+    );
+  }
+}
+
+/**
+ * Confirm quiz deletion handler
+ * @param {Object} ctx - Telegram context
+ */
+async function confirmDeleteQuizHandler(ctx) {
+  try {
+    // Extract quiz ID from callback data
+    const quizId = ctx.callbackQuery.data.replace("confirm_delete_", "");
+    const userId = ctx.from.id;
+
+    await ctx.answerCbQuery("Deleting quiz...");
+
+    // Delete the quiz
+    const result = await quizManager.deleteQuiz(quizId, userId);
+
+    if (result.success) {
+      await ctx.replyWithHTML(
+        formatMessage("Quiz Deleted", result.message, UI.COLORS.SUCCESS),
+        Markup.inlineKeyboard([
+          [Markup.button.callback("↩️ Undo", `trash_restore_${quizId}`)],
+        ])
+      );
+      // Refresh my quizzes view
+      await myQuizzesHandler(ctx);
+    } else {
+      await ctx.replyWithHTML(
+        formatMessage("Deletion Error", result.message, UI.COLORS.ERROR)
+      );
+    }
+  } catch (error) {
+    logger.error("Error in confirmDeleteQuizHandler:", error);
+    await ctx.answerCbQuery(`${UI.COLORS.ERROR} Failed to delete quiz`);
+    await ctx.reply(
+      `${UI.COLORS.ERROR} An error occurred while deleting the quiz.`
+    );
+  }
+}
+
+/**
+ * Check if a user is an admin in a Telegram group
+ * @param {Object} ctx - Telegram context
+ * @param {number} userId - User ID to check
+ * @param {number} chatId - Chat ID to check in
+ * @returns {Promise<boolean>} Whether the user is an admin
+ */
+async function isGroupAdmin(ctx, userId, chatId) {
+  try {
+    // Get chat member info
+    const member = await ctx.telegram.getChatMember(chatId, userId);
+    
+    // Check if the user is an admin or the creator
+    return ['creator', 'administrator'].includes(member.status);
+  } catch (error) {
+    logger.error(`Error checking admin status: ${error.message}`, error);
+    return false;
+  }
+}
 
 /**
  * Middleware to check if user is an admin for group commands
@@ -1748,9 +2949,9 @@ async function editQuizHandler(ctx) {
         `Edit Quiz: ${quiz.title}`,
         `What would you like to edit?\n\n` +
         `• Title: "${quiz.title}"\n` +
-        `• Category: ${quiz.category || "Uncategorized"}\n` +
+        `• Category: ${quiz.category}\n` +
         `• Questions: ${quiz.questions.length}\n` +
-        `• Time per question: ${quiz.settings?.questionTime || 15} seconds`,
+        `• Time per question: ${quiz.settings.questionTime} seconds`,
         UI.ICONS.EDIT
       ),
       Markup.inlineKeyboard([
@@ -1774,6 +2975,12 @@ async function editQuizHandler(ctx) {
             `edit_questions_${quizId}`
           ),
         ],
+        [
+          Markup.button.callback(
+            "🕘 History",
+            `qhist_${quizId}`
+          ),
+        ],
         [
           Markup.button.callback(
             `${UI.ICONS.BACK} Back to My Quizzes`,
@@ -1783,12 +2990,125 @@ async function editQuizHandler(ctx) {
       ])
     );
   } catch (error) {
-    logger.error("Error in editQuizHandler:", error);
-    await ctx.answerCbQuery(`${UI.COLORS.ERROR} Failed to process request`);
-    await ctx.reply(
-      `${UI.COLORS.ERROR} An error occurred while processing your request.`
+    logger.error("Error in editQuizHandler:", error);
+    await ctx.answerCbQuery(`${UI.COLORS.ERROR} Failed to process request`);
+    await ctx.reply(
+      `${UI.COLORS.ERROR} An error occurred while processing your request.`
+    );
+  }
+}
+
+/**
+ * Number of revisions listed in the history view
+ */
+const HISTORY_PAGE_SIZE = 10;
+
+/**
+ * Show the revision history of a quiz
+ * @param {Object} ctx - Telegram context
+ */
+async function quizHistoryHandler(ctx) {
+  try {
+    const quizId = ctx.callbackQuery.data.replace("qhist_", "");
+    const result = await quizManager.getQuizHistory(quizId, ctx.from.id);
+
+    if (!result.success) {
+      return await ctx.answerCbQuery(result.message, { show_alert: true });
+    }
+
+    await ctx.answerCbQuery();
+    await showQuizHistory(ctx, result.quiz, result.revisions);
+  } catch (error) {
+    logger.error("Error in quizHistoryHandler:", error);
+    await ctx.answerCbQuery("Failed to load history");
+  }
+}
+
+/**
+ * Send the history view of a quiz
+ * @param {Object} ctx - Telegram context
+ * @param {Object} quizData - Quiz data
+ * @param {Array<Object>} revisions - Revisions, newest first
+ */
+async function showQuizHistory(ctx, quizData, revisions) {
+  const backRow = [
+    Markup.button.callback(`${UI.ICONS.BACK} Back to Editing`, `edit_quiz_${quizData.id}`),
+  ];
+
+  if (revisions.length === 0) {
+    return await ctx.replyWithHTML(
+      formatMessage(
+        `History: ${quizData.title}`,
+        "This quiz hasn't been changed since it was created.\n\n" +
+          "Edits to the title, category, timer and questions will show up here.",
+        "🕘"
+      ),
+      Markup.inlineKeyboard([backRow])
     );
   }
+
+  const shown = revisions.slice(0, HISTORY_PAGE_SIZE);
+  let message = formatMessage(
+    `History: ${quizData.title}`,
+    `Showing the latest ${shown.length} of ${revisions.length} saved versions. ` +
+      "Restoring a version saves it as a new version, nothing is lost.",
+    "🕘"
+  );
+
+  shown.forEach((revision, index) => {
+    const label = index === 0 ? " (current)" : "";
+    message += `\n\n<b>Version ${revision.version}</b>${label}\n`;
+    message += `📅 ${utils.formatDateTime(revision.createdAt)}`;
+    if (revision.note) {
+      message += `\n<i>${revision.note}</i>`;
+    }
+    revision.changes.forEach((change) => {
+      message += `\n• ${change}`;
+    });
+  });
+
+  // Restore buttons for every listed version except the current one
+  const restoreButtons = shown.slice(1).map((revision) =>
+    Markup.button.callback(
+      `↩️ v${revision.version}`,
+      `qrestore_${quizData.id}_${revision.version}`
+    )
+  );
+
+  const rows = [];
+  for (let i = 0; i < restoreButtons.length; i += 3) {
+    rows.push(restoreButtons.slice(i, i + 3));
+  }
+  rows.push(backRow);
+
+  await ctx.replyWithHTML(message, Markup.inlineKeyboard(rows));
+}
+
+/**
+ * Restore an earlier version of a quiz
+ * @param {Object} ctx - Telegram context
+ */
+async function restoreQuizRevisionHandler(ctx) {
+  try {
+    const [, quizId, version] = ctx.callbackQuery.data.match(/^qrestore_(.+)_(\d+)$/);
+    const userId = ctx.from.id;
+
+    const result = await quizManager.restoreQuizRevision(quizId, parseInt(version), userId);
+
+    if (!result.success) {
+      return await ctx.answerCbQuery(result.message, { show_alert: true });
+    }
+
+    await ctx.answerCbQuery(result.message);
+
+    const history = await quizManager.getQuizHistory(quizId, userId);
+    if (history.success) {
+      await showQuizHistory(ctx, history.quiz, history.revisions);
+    }
+  } catch (error) {
+    logger.error("Error in restoreQuizRevisionHandler:", error);
+    await ctx.answerCbQuery("Failed to restore this version");
+  }
 }
 
 /**
@@ -1975,7 +3295,7 @@ async function editCategoryHandler(ctx) {
     await ctx.replyWithHTML(
       formatMessage(
         "Edit Quiz Category",
-        `Current category: <b>${quiz.category || "Uncategorized"}</b>\n\n` +
+        `Current category: <b>${quiz.category}</b>\n\n` +
         `Select a new category for your quiz:`,
         UI.ICONS.CATEGORY
       ),
@@ -2067,7 +3387,7 @@ async function editTimerHandler(ctx) {
       );
     }
     
-    const currentTimer = quiz.settings?.questionTime || 15;
+    const currentTimer = quiz.settings.questionTime;
     
     await ctx.replyWithHTML(
       formatMessage(
@@ -2276,31 +3596,25 @@ async function editQuestionsHandler(ctx) {
   try {
     // Extract quiz ID from callback data
     const quizId = ctx.callbackQuery.data.replace("edit_questions_", "");
-    
+    const userId = ctx.from.id;
+
+    // Get quiz to verify ownership
+    const quiz = await quizManager.getQuiz(quizId, userId);
+
+    if (!quiz) {
+      await ctx.answerCbQuery("Quiz not found!");
+      return await ctx.reply(`${UI.ICONS.ERROR} This quiz no longer exists.`);
+    }
+
+    if (quiz.creator !== userId) {
+      await ctx.answerCbQuery("Permission denied!");
+      return await ctx.reply(`${UI.ICONS.ERROR} You can only edit quizzes that you've created.`);
+    }
+
     await ctx.answerCbQuery("Loading question editor...");
-    
-    await ctx.replyWithHTML(
-      formatMessage(
-        "Edit Questions",
-        `The question editing feature will be available in a future update.\n\n` +
-        `For now, if you need to make significant changes to your questions, we recommend creating a new quiz.`,
-        UI.ICONS.INFO
-      ),
-      Markup.inlineKeyboard([
-        [
-          Markup.button.callback(
-            `${UI.ICONS.BACK} Back to Edit Menu`,
-            `edit_quiz_${quizId}`
-          ),
-        ],
-        [
-          Markup.button.callback(
-            `${UI.ICONS.CREATE} Create New Quiz`,
-            "create_quiz"
-          ),
-        ],
-      ])
-    );
+
+    // Open the question editor scene for this quiz
+    await ctx.scene.enter("edit_questions", { quizId });
   } catch (error) {
     logger.error("Error in editQuestionsHandler:", error);
     await ctx.answerCbQuery("Failed to load question editor");
@@ -2309,40 +3623,422 @@ async function editQuestionsHandler(ctx) {
 
 /**
  * Show more quizzes handler for pagination
+ * Kept for "Show More" buttons on older My Quizzes messages
  * @param {Object} ctx - Telegram context
  */
 async function showMoreQuizzesHandler(ctx) {
   try {
     await ctx.answerCbQuery("Loading more quizzes...");
-    
-    // For now, just redirect to my quizzes with a message that this feature is coming soon
-    // In a full implementation, you'd store the current page in session and load more quizzes
-    
+    await showMyQuizzesPage(ctx, 2);
+  } catch (error) {
+    logger.error("Error in showMoreQuizzesHandler:", error);
+    await ctx.answerCbQuery("Failed to load more quizzes");
+  }
+}
+
+/**
+ * Number of imported questions shown in the import preview
+ */
+const IMPORT_PREVIEW_SIZE = 3;
+
+/**
+ * Import command handler - explains how to import questions in bulk
+ * @param {Object} ctx - Telegram context
+ */
+async function importHandler(ctx) {
+  try {
+    if (ctx.chat.type !== "private") {
+      return await ctx.reply(
+        `${UI.ICONS.INFO} Importing questions is only available in private chats. Please message me directly.`
+      );
+    }
+
     await ctx.replyWithHTML(
       formatMessage(
-        "Coming Soon",
-        `Enhanced quiz pagination will be available in a future update.\n\n` +
-        `For now, you can use category filters or search to find specific quizzes.`,
+        "Import Questions",
+        `Send me a file (${importFormats.supportedExtensions().join(", ")}) or paste the questions in a message, ` +
+          `one block per question:\n\n` +
+          `<code>Question: Who invented the telephone?\n` +
+          `A. Thomas Edison\n` +
+          `B. Alexander Graham Bell\n` +
+          `C. Nikola Tesla\n` +
+          `D. Guglielmo Marconi\n` +
+          `Correct: B</code>\n\n` +
+          `Questions can have ${QUIZ_CONSTRAINTS.MIN_OPTIONS} to ${QUIZ_CONSTRAINTS.MAX_OPTIONS} options. ` +
+          `List several letters (<code>Correct: A, C</code>) for a multi-select question, and add ` +
+          `<code>(partial credit)</code> to give points for partly correct picks.\n\n` +
+          `CSV files need a header row with the columns <code>question, option_a, option_b, ` +
+          `correct</code>, up to <code>option_h</code> for more options, and optionally ` +
+          `<code>explanation, category, title, source, type, question_time, intermission_time</code>. ` +
+          `Free-text questions (type <code>free_text</code>) list their answers in ` +
+          `<code>accepted_answers</code>, separated by <code>|</code>, and the typos allowed in ` +
+          `<code>tolerance</code>. Numeric questions (type <code>numeric</code>) have the number in ` +
+          `<code>correct</code>, with <code>(closest guess)</code> if the closest guess wins the bonus, ` +
+          `and the margin in <code>tolerance</code>. Ordering questions (type <code>ordering</code>) ` +
+          `list the item letters in the right order in <code>correct</code>, such as <code>C, A, B</code>. ` +
+          `Quizzes exported as CSV can be imported again as they are.\n\n` +
+          `Question banks from Moodle can be imported as GIFT (.gift or .txt), Aiken (.txt) ` +
+          `or Moodle XML (.xml) files. Multiple choice, multiple answer, short answer, numerical, ` +
+          `ordering and true/false questions are imported, other question types are listed as skipped.\n\n` +
+          `JSON files exported from a quiz (📤 Export JSON) bring back its title, category, ` +
+          `settings and questions, as a new quiz owned by you.\n\n` +
+          `You'll see a preview before anything is saved, and can save the questions ` +
+          `as a new quiz or add them to one of your quizzes.`,
+        UI.ICONS.CREATE
+      )
+    );
+  } catch (error) {
+    logger.error("Error in importHandler:", error);
+    await ctx.reply(`${UI.ICONS.ERROR} Something went wrong. Please try again later.`);
+  }
+}
+
+/**
+ * Document handler - imports questions from an uploaded file
+ * @param {Object} ctx - Telegram context
+ */
+async function documentHandler(ctx) {
+  try {
+    if (ctx.chat.type !== "private") {
+      return;
+    }
+
+    const document = ctx.message.document;
+    const formatId = importFormats.detectFormat(document.file_name);
+
+    if (!formatId) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "Unsupported File",
+          `I can import questions from ${importFormats.supportedExtensions().join(", ")} files.\n\n` +
+            "Use /import to see the expected format.",
+          UI.COLORS.WARNING
+        )
+      );
+    }
+
+    if (document.file_size > importFormats.MAX_IMPORT_FILE_SIZE) {
+      return await ctx.replyWithHTML(
+        formatMessage(
+          "File Too Large",
+          `Import files can be at most ${Math.round(importFormats.MAX_IMPORT_FILE_SIZE / 1024)} KB.`,
+          UI.COLORS.WARNING
+        )
+      );
+    }
+
+    const fileLink = await ctx.telegram.getFileLink(document.file_id);
+    const response = await fetch(fileLink.href);
+    if (!response.ok) {
+      throw new Error(`File download failed with status ${response.status}`);
+    }
+
+    // Drop the byte order mark some editors put at the start of text files
+    const content = (await response.text()).replace(/^\uFEFF/, "");
+
+    // .txt files can be in several formats, the contents tell which
+    await showImportPreview(
+      ctx,
+      importFormats.parseQuestions(importFormats.detectFormat(document.file_name, content), content),
+      document.file_name
+    );
+  } catch (error) {
+    logger.error("Error in documentHandler:", error);
+    await ctx.reply(`${UI.ICONS.ERROR} Couldn't read that file. Please try again later.`);
+  }
+}
+
+/**
+ * Build a quiz title from the name of an imported file
+ * @param {string|null} sourceName - File name, or null for pasted text
+ * @returns {string} Quiz title
+ */
+function importedQuizTitle(sourceName) {
+  const title = (sourceName || "")
+    .replace(/\.[^.]+$/, "")
+    .trim()
+    .substring(0, QUIZ_CONSTRAINTS.TITLE_MAX_LENGTH);
+
+  return title.length >= QUIZ_CONSTRAINTS.TITLE_MIN_LENGTH
+    ? title
+    : `Imported Quiz ${utils.formatDate(Date.now())}`;
+}
+
+/**
+ * Show what an import would add and keep it in the session until it's saved
+ * @param {Object} ctx - Telegram context
+ * @param {Object} parsed - Parse result with questions and errors
+ * @param {string|null} sourceName - File name, or null for pasted text
+ */
+async function showImportPreview(ctx, parsed, sourceName = null) {
+  const { questions, errors } = parsed;
+  const source = sourceName ? `<b>${utils.escapeHTML(sourceName)}</b>` : "your message";
+
+  let message = formatMessage(
+    "Import Preview",
+    `Found <b>${questions.length}</b> valid question${questions.length !== 1 ? "s" : ""} in ${source}.`,
+    UI.ICONS.CREATE
+  );
+
+  if (parsed.title) {
+    message += `\n${UI.ICONS.EDIT} Title: ${utils.escapeHTML(parsed.title)}`;
+  }
+  if (parsed.category) {
+    message += `\n📂 Category: ${utils.escapeHTML(parsed.category)}`;
+  }
+
+  const skippedTypes = Object.keys(parsed.skipped || {});
+  if (skippedTypes.length > 0) {
+    message +=
+      `\n\n${UI.ICONS.INFO} Unsupported question types skipped: ` +
+      skippedTypes.map((type) => `${type} (${parsed.skipped[type]})`).join(", ");
+  }
+
+  if (errors.length > 0) {
+    message +=
+      `\n\n${UI.COLORS.WARNING} <b>Skipped (${errors.length}):</b>\n` +
+      `<code>${utils.escapeHTML(importFormats.formatImportErrors(errors))}</code>`;
+  }
+
+  if (questions.length === 0) {
+    delete ctx.session.pendingImport;
+    message += "\n\nNothing to import. Fix the problems above and send it again, or use /import to see the expected format.";
+    return await ctx.replyWithHTML(message);
+  }
+
+  questions.slice(0, IMPORT_PREVIEW_SIZE).forEach((question, index) => {
+    let answer;
+    if (getQuestionType(question) === QUESTION_TYPES.FREE_TEXT) {
+      answer = question.acceptedAnswers.join(" / ");
+    } else if (getQuestionType(question) === QUESTION_TYPES.NUMERIC) {
+      answer = question.tolerance > 0
+        ? `${question.correctValue} (± ${question.tolerance})`
+        : String(question.correctValue);
+    } else if (getQuestionType(question) === QUESTION_TYPES.ORDERING) {
+      answer = question.options.join(" → ");
+    } else {
+      answer = [].concat(question.correctAnswer).map((index) => question.options[index]).join(", ");
+    }
+    message +=
+      `\n\n<b>${index + 1}. ${utils.escapeHTML(question.text)}</b>\n` +
+      `${UI.ICONS.SUCCESS} ${utils.escapeHTML(answer)}`;
+  });
+  if (questions.length > IMPORT_PREVIEW_SIZE) {
+    message += `\n\n…and ${questions.length - IMPORT_PREVIEW_SIZE} more.`;
+  }
+
+  if (questions.length > QUIZ_CONSTRAINTS.MAX_QUESTIONS) {
+    message +=
+      `\n\n${UI.COLORS.WARNING} A quiz can have at most ${QUIZ_CONSTRAINTS.MAX_QUESTIONS} questions. ` +
+      "Split the file into smaller parts to import all of them.";
+  }
+
+  ctx.session.pendingImport = {
+    title: parsed.title || importedQuizTitle(sourceName),
+    category: parsed.category || null,
+    settings: parsed.settings || null,
+    questions,
+  };
+
+  await ctx.replyWithHTML(
+    message,
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback(`${UI.ICONS.SUCCESS} Save as New Quiz`, "imp_new"),
+        Markup.button.callback("➕ Add to a Quiz", "imp_append"),
+      ],
+      [Markup.button.callback("Cancel", "imp_cancel")],
+    ])
+  );
+}
+
+/**
+ * Show one page of the user's quizzes to add imported questions to
+ * @param {Object} ctx - Telegram context
+ * @param {number} page - Page number (1-based)
+ */
+async function showImportTargets(ctx, page) {
+  const quizzes = await quizManager.getQuizzesByCreator(ctx.from.id);
+
+  if (quizzes.length === 0) {
+    return await replyOrEditHTML(
+      ctx,
+      formatMessage(
+        "No Quizzes Yet",
+        "You don't have a quiz to add these questions to. Save them as a new quiz instead.",
         UI.ICONS.INFO
       ),
+      Markup.inlineKeyboard([
+        [Markup.button.callback(`${UI.ICONS.SUCCESS} Save as New Quiz`, "imp_new")],
+        [Markup.button.callback("Cancel", "imp_cancel")],
+      ]),
+      true
+    );
+  }
+
+  const { items, page: currentPage, totalPages, offset } =
+    utils.paginate(quizzes, page, QUIZZES_PER_PAGE);
+  const { questions } = ctx.session.pendingImport;
+
+  let message = formatMessage(
+    "Add to a Quiz",
+    `Which quiz should the ${questions.length} question${questions.length !== 1 ? "s" : ""} be added to? ` +
+      `(page ${currentPage} of ${totalPages})`,
+    UI.ICONS.LIST
+  );
+
+  const buttons = items.map((quiz, index) => {
+    message += `\n\n<b>${offset + index + 1}. ${utils.escapeHTML(quiz.title)}</b> (${quiz.questions.length} questions)`;
+    return [
+      Markup.button.callback(
+        `${offset + index + 1}. ${quiz.title.substring(0, 25)}${quiz.title.length > 25 ? "..." : ""}`,
+        `imp_to_${quiz.id}`
+      ),
+    ];
+  });
+
+  if (totalPages > 1) {
+    buttons.push(utils.createPaginationButtons("imp_page", currentPage, totalPages));
+  }
+  buttons.push([Markup.button.callback("Cancel", "imp_cancel")]);
+
+  return await replyOrEditHTML(ctx, message, Markup.inlineKeyboard(buttons), true);
+}
+
+/**
+ * Handler for the import preview buttons
+ * @param {Object} ctx - Telegram context
+ */
+async function importActionHandler(ctx) {
+  try {
+    const [, action, argument] = ctx.callbackQuery.data.match(
+      /^imp_(new|append|cancel|page|to)(?:_(.+))?$/
+    );
+    const pending = ctx.session.pendingImport;
+
+    if (action === "cancel") {
+      delete ctx.session.pendingImport;
+      await ctx.answerCbQuery("Import cancelled");
+      return await replyOrEditHTML(
+        ctx,
+        formatMessage("Import Cancelled", "Nothing was saved.", UI.ICONS.INFO),
+        Markup.inlineKeyboard([]),
+        true
+      );
+    }
+
+    if (!pending) {
+      return await ctx.answerCbQuery(
+        "This import has expired. Please send the questions again.",
+        { show_alert: true }
+      );
+    }
+
+    if (action === "append" || action === "page") {
+      await ctx.answerCbQuery();
+      return await showImportTargets(ctx, parseInt(argument) || 1);
+    }
+
+    // Take the import out of the session while saving, so a second tap can't save it twice
+    delete ctx.session.pendingImport;
+    const result =
+      action === "new"
+        ? await quizManager.createImportedQuiz(
+            {
+              id: ctx.from.id,
+              firstName: ctx.from.first_name,
+              username: ctx.from.username,
+            },
+            {
+              title: pending.title,
+              category: pending.category,
+              settings: pending.settings,
+              questions: pending.questions,
+            }
+          )
+        : await quizManager.appendQuestions(argument, pending.questions, ctx.from.id);
+
+    if (!result.success) {
+      ctx.session.pendingImport = pending;
+      return await ctx.answerCbQuery(result.message, { show_alert: true });
+    }
+
+    const quizId = action === "new" ? result.quizId : argument;
+    await ctx.answerCbQuery(`${UI.ICONS.SUCCESS} Questions imported`);
+
+    await replyOrEditHTML(
+      ctx,
+      formatMessage(
+        "Questions Imported",
+        action === "new"
+          ? `Created <b>${utils.escapeHTML(pending.title)}</b> with ${pending.questions.length} questions.\n\n` +
+              "You can rename it, pick a category or change the timer from the editor."
+          : `Added ${pending.questions.length} questions. The quiz now has ${result.questionCount} questions.`,
+        UI.COLORS.SUCCESS
+      ),
       Markup.inlineKeyboard([
         [
-          Markup.button.callback(
-            `${UI.ICONS.LIST} Back to My Quizzes`,
-            "my_quizzes"
-          ),
-        ],
-        [
-          Markup.button.callback(
-            `${UI.ICONS.SEARCH} Search Quizzes`,
-            "search_quizzes"
-          ),
+          Markup.button.callback(`${UI.ICONS.EDIT} Edit Quiz`, `edit_quiz_${quizId}`),
+          Markup.button.callback(`${UI.ICONS.LIST} My Quizzes`, "my_quizzes"),
         ],
-      ])
+      ]),
+      true
     );
   } catch (error) {
-    logger.error("Error in showMoreQuizzesHandler:", error);
-    await ctx.answerCbQuery("Failed to load more quizzes");
+    logger.error("Error in importActionHandler:", error);
+    await ctx.answerCbQuery("Failed to import questions");
+  }
+}
+
+/**
+ * Handler for exporting a quiz as a file
+ * @param {Object} ctx - Telegram context
+ */
+async function exportQuizHandler(ctx) {
+  try {
+    const [, formatId, quizId] = ctx.callbackQuery.data.match(/^qexp_([a-z]+)_(.+)$/);
+    const format = importFormats.FORMATS[formatId];
+    if (!format || !format.export) {
+      return await ctx.answerCbQuery("This export format isn't available.", { show_alert: true });
+    }
+
+    const quiz = await quizManager.getQuiz(quizId, ctx.from.id);
+
+    // Exports include the answers, so only the creator gets them
+    if (!quiz || quiz.creator !== ctx.from.id) {
+      return await ctx.answerCbQuery("You can only export quizzes you've created.", {
+        show_alert: true,
+      });
+    }
+
+    const formatName = format.name;
+    const { content, fileName, exported, left } = importFormats.exportQuiz(formatId, quiz);
+    if (exported === 0) {
+      return await ctx.answerCbQuery(
+        `${formatName} can't hold the question types used in this quiz. Try another format.`,
+        { show_alert: true }
+      );
+    }
+
+    await ctx.answerCbQuery("Preparing export...");
+    await ctx.replyWithDocument(
+      { source: content, filename: fileName },
+      {
+        caption:
+          `${quiz.title} (${exported} questions, ${formatName}). ` +
+          (left > 0
+            ? `${left} question${left === 1 ? " was" : "s were"} left out, ${formatName} can't hold their question type. `
+            : "") +
+          "Send this file back to me to import it again.",
+      }
+    );
+  } catch (error) {
+    logger.error("Error in exportQuizHandler:", error);
+    // The query is already answered if sending the file failed
+    await ctx
+      .answerCbQuery("Couldn't export this quiz")
+      .catch((answerError) => logger.error("Failed to answer export query:", answerError));
+    await ctx.reply(`${UI.ICONS.ERROR} Couldn't export this quiz. Please try again later.`);
   }
 }
 
@@ -2367,7 +4063,7 @@ async function answerHandler(ctx) {
     const answerIndex = parseInt(match[2]);
 
     // Process answer with user info
-    const result = await quiz.processAnswer(
+    const result = await quiz.handleAnswerButton(
       ctx,
       chatId,
       userId,
@@ -2390,14 +4086,29 @@ async function answerHandler(ctx) {
   }
 }
 
+/**
+ * Submit button handler for multi-select questions
+ * @param {Object} ctx - Telegram context
+ */
+async function submitAnswerHandler(ctx) {
+  try {
+    const questionIndex = parseInt(ctx.match[1]);
+    await quiz.submitSelection(ctx, ctx.chat.id, ctx.from.id, questionIndex);
+  } catch (error) {
+    logger.error("Error in submitAnswerHandler:", error);
+    await ctx.answerCbQuery(`${UI.ICONS.ERROR} Error processing answer`);
+  }
+}
+
 /**
  * Text handler for general input (including search queries)
  * @param {Object} ctx - Telegram context
  */
 async function textHandler(ctx) {
   try {
-    // Only process in private chats for direct input
+    // In groups, messages only matter as typed answers to a running quiz
     if (ctx.chat.type !== "private") {
+      await quiz.handleTextAnswer(ctx);
       return;
     }
     
@@ -2416,11 +4127,9 @@ async function textHandler(ctx) {
       // Clear waiting state
       ctx.scene.state.waitingForSearch = false;
       
-      // Create a mock message to simulate a command with search parameter
-      ctx.message.text = `/my_quizzes search=${searchQuery}`;
-      
-      // Call the main handler with the search
-      await myQuizzesHandler(ctx);
+      // Apply the search filter and show the first page
+      ctx.session.quizListFilter = { searchQuery, categoryFilter: "" };
+      await showMyQuizzesPage(ctx, 1);
       return;
     }
     
@@ -2436,6 +4145,12 @@ async function textHandler(ctx) {
       return;
     }
 
+    // Pasted question blocks are imported like a text file
+    if (importFormats.looksLikeTextQuestions(ctx.message.text)) {
+      await showImportPreview(ctx, importFormats.parseQuestions("text", ctx.message.text));
+      return;
+    }
+
     // Default help if no special handling needed
     await ctx.replyWithHTML(
       formatMessage(
@@ -2508,6 +4223,12 @@ function setupButtonActions(bot) {
   bot.action(/filter_category_(.+)/, filterCategoryHandler);
   bot.action("search_quizzes", searchQuizzesHandler);
   bot.action("show_more_quizzes", showMoreQuizzesHandler);
+
+  // List pagination actions
+  bot.action(/^myq_page_(\d+)$/, myQuizzesPageHandler);
+  bot.action(/^sharedq_page_(\d+)$/, sharedQuizzesPageHandler);
+  bot.action(/^pickq_(\d+)_(\d+)$/, quizPickerPageHandler);
+  bot.action("noop", (ctx) => ctx.answerCbQuery());
   
   // Quiz editing actions
   bot.action(/edit_quiz_(.+)/, editQuizHandler);
@@ -2518,6 +4239,13 @@ function setupButtonActions(bot) {
   bot.action(/set_timer_(.+)_(\d+)/, setTimerHandler);
   bot.action(/custom_timer_(.+)/, customTimerHandler);
   bot.action(/edit_questions_(.+)/, editQuestionsHandler);
+  bot.action(/^qhist_(.+)$/, quizHistoryHandler);
+  bot.action(/^qrestore_(.+)_(\d+)$/, restoreQuizRevisionHandler);
+
+  // Bulk question import
+  bot.action(/^imp_(new|append|cancel)$/, importActionHandler);
+  bot.action(/^imp_(page|to)_(.+)$/, importActionHandler);
+  bot.action(/^qexp_([a-z]+)_(.+)$/, exportQuizHandler);
   
   // Quiz sharing actions
   bot.action(/share_quiz_(.+)/, shareQuizHandler);
@@ -2531,6 +4259,20 @@ function setupButtonActions(bot) {
   // Quiz deletion confirmation
   bot.action(/confirm_delete_(.+)/, confirmDeleteQuizHandler);
 
+  // Recently deleted quizzes
+  bot.action("trash_list", recentlyDeletedHandler);
+  bot.action(/^trash_(restore|purge|purgeok)_(.+)$/, trashActionHandler);
+
+  // Group settings menu
+  bot.action(/^gset_(.+)$/, groupSettingsActionHandler);
+
+  // Host controls on question messages
+  bot.action(/^qctl_(pause|resume|extend)_(\d+)$/, questionControlHandler);
+
+  // Scheduled quiz actions
+  bot.action(/^cancel_schedule_(.+)$/, cancelScheduleHandler);
+  bot.action(/^recur_(pause|resume|delete)_(.+)$/, recurringScheduleActionHandler);
+
   return bot;
 }
 
@@ -2540,14 +4282,36 @@ module.exports = {
   helpHandler,
   createQuizHandler,
   startQuizHandler,
+  startQuizById,
   endQuizHandler,
+  skipQuestionHandler,
+  pauseQuizHandler,
+  resumeQuizHandler,
+  questionControlHandler,
+  settingsHandler,
+  groupSettingsActionHandler,
+  canStartQuiz,
+  scheduleQuizHandler,
+  cancelQuizHandler,
+  cancelScheduleHandler,
+  recurringQuizHandler,
+  recurringScheduleActionHandler,
   myQuizzesHandler,
   sharedWithMeHandler,
+  myQuizzesPageHandler,
+  sharedQuizzesPageHandler,
+  quizPickerPageHandler,
   answerHandler,
+  submitAnswerHandler,
   startQuizFromIdHandler,
   deleteQuizHandler,
+  recentlyDeletedHandler,
+  trashActionHandler,
   editQuizHandler,
   textHandler,
+  importHandler,
+  documentHandler,
+  exportQuizHandler,
 
   // Quiz sharing handlers
   shareQuizHandler,
@@ -2573,6 +4337,8 @@ module.exports = {
   customTimerHandler,
   processTimerUpdateHandler,
   editQuestionsHandler,
+  quizHistoryHandler,
+  restoreQuizRevisionHandler,
 
 
     // Admin middleware
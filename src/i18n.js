@@ -0,0 +1,361 @@
+/**
+ * Zano Quiz - Translations
+ * Group-facing gameplay messages in each supported language
+ */
+
+/**
+ * Supported languages (code -> display name)
+ */
+const LANGUAGES = {
+  en: "English",
+  es: "Español",
+  fr: "Français",
+  de: "Deutsch",
+};
+
+/**
+ * Message templates by language. Placeholders use {name} syntax.
+ */
+const STRINGS = {
+  en: {
+    announce_title: '🎮 QUIZ STARTING: "{title}" 🎮',
+    announce_questions: "{count} Questions",
+    announce_time: "{seconds} Seconds Per Question",
+    announce_first_bonus: "First correct answer gets +1 point",
+    announce_no_bonus: "Every correct answer scores 1 point",
+    announce_streak: "Answer streaks earn a +1 bonus",
+    announce_countdown: "Starting in 5 seconds...",
+    announce_go: "🔥 GO! 🔥",
+    question_progress: "Question {number}/{total}",
+    question_time: "Time: {seconds} seconds",
+    question_paused: "PAUSED - {seconds} seconds left when play resumes",
+    question_first_bonus: "⚡ First correct answer gets +1 point! ⚡",
+    question_no_bonus: "⚡ Every correct answer scores! ⚡",
+    question_closest_bonus: "⚡ Closest guess gets +1 point! ⚡",
+    question_true_false: "True or false?",
+    true_label: "True",
+    false_label: "False",
+    question_multi_select: "Choose all that apply, then tap Submit.",
+    question_free_text: "Reply to this message with your answer.",
+    question_numeric: "Reply to this message with a number.",
+    question_ordering: "Tap the items in the right order, then tap Submit.",
+    submit_label: "Submit",
+    times_up: "TIME'S UP!",
+    correct_answer: "Correct Answer:",
+    correct_answers: "Correct Answers:",
+    correct_order: "Correct Order:",
+    explanation: "Explanation:",
+    source_link: "Source",
+    first_correct: "First Correct:",
+    nobody_correct: "No one got it right!",
+    closest_guess: "Closest Guess:",
+    closest_guesses: "Closest guesses:",
+    points_short: "pts",
+    next_question: "Next question in {seconds} seconds...",
+    skipped_title: "QUESTION {number} SKIPPED",
+    skipped_body: "The host skipped this question. Any points earned on it have been voided.",
+    answer_paused: "⏸️ The quiz is paused. Hold on!",
+    answer_already: "You already answered this question!",
+    answer_first: "🎯 First & Correct! +{points} pts",
+    answer_correct: "✅ Correct! +{points} pts",
+    answer_streak: " ({streak} streak!)",
+    answer_wrong: "❌ Wrong answer! Streak reset.",
+    answer_partial: "🟨 Partly correct! +{points} pts. Streak reset.",
+    selection_picked: "Your picks: {options}. Tap Submit when you're done.",
+    selection_none: "No options picked yet.",
+    selection_empty: "Pick at least one option before submitting.",
+    selection_order: "Your order: {items}. Tap an item again to take it back.",
+    selection_incomplete: "Put all {count} items in order before submitting.",
+    leaderboard_title: "LEADERBOARD",
+    leaderboard_after: "After Question {number}",
+    leaderboard_empty: "No participants have answered yet!",
+    leaderboard_streak: "{count}-question streak!",
+    leaderboard_hot_streak: "Hot Streak:",
+    leaderboard_in_a_row: "{count} in a row!",
+    leaderboard_players: "{count} players competing",
+    results_title: "QUIZ COMPLETE!",
+    results_champion: "CHAMPION",
+    results_points: "{score} points ({correct}/{total} correct)",
+    results_win_rate: "Win rate: {percent}%",
+    results_best_streak: "Best streak: {count} questions",
+    results_podium: "PODIUM FINISHERS",
+    results_others: "OTHER FINISHERS",
+    results_streak: "({count} streak)",
+    results_empty: "😢 No participants in this quiz!",
+    results_stats: "QUIZ STATS",
+    results_players: "Players:",
+    results_avg_score: "Avg Score:",
+    results_points_word: "points",
+    results_avg_correct: "Avg Correct:",
+    results_longest_streak: "Longest Streak:",
+    results_questions_word: "questions",
+    results_time: "Quiz Time:",
+    results_thanks: "🎊 Thanks for playing! Use /start_quiz to play again.",
+    restored_title: "QUIZ RESUMED",
+    restored_body: 'The bot restarted, but "{title}" picks up right where it left off!',
+    restored_paused: "The quiz is still paused. An admin can use /resume_quiz to continue.",
+    restored_expired_title: "QUIZ ENDED",
+    restored_expired_body: '"{title}" could not be resumed after the bot restarted. Use /start_quiz to play again.',
+  },
+  es: {
+    announce_title: '🎮 COMIENZA EL QUIZ: "{title}" 🎮',
+    announce_questions: "{count} preguntas",
+    announce_time: "{seconds} segundos por pregunta",
+    announce_first_bonus: "La primera respuesta correcta gana +1 punto",
+    announce_no_bonus: "Cada respuesta correcta suma 1 punto",
+    announce_streak: "Las rachas de aciertos dan +1 de bonificación",
+    announce_countdown: "Empezamos en 5 segundos...",
+    announce_go: "🔥 ¡YA! 🔥",
+    question_progress: "Pregunta {number}/{total}",
+    question_time: "Tiempo: {seconds} segundos",
+    question_paused: "EN PAUSA - quedan {seconds} segundos al reanudar",
+    question_first_bonus: "⚡ ¡La primera respuesta correcta gana +1 punto! ⚡",
+    question_no_bonus: "⚡ ¡Cada respuesta correcta suma! ⚡",
+    question_closest_bonus: "⚡ ¡La respuesta más cercana gana +1 punto! ⚡",
+    question_true_false: "¿Verdadero o falso?",
+    true_label: "Verdadero",
+    false_label: "Falso",
+    question_multi_select: "Elige todas las que correspondan y pulsa Enviar.",
+    question_free_text: "Responde a este mensaje con tu respuesta.",
+    question_numeric: "Responde a este mensaje con un número.",
+    question_ordering: "Pulsa los elementos en el orden correcto y luego Enviar.",
+    submit_label: "Enviar",
+    times_up: "¡SE ACABÓ EL TIEMPO!",
+    correct_answer: "Respuesta correcta:",
+    correct_answers: "Respuestas correctas:",
+    correct_order: "Orden correcto:",
+    explanation: "Explicación:",
+    source_link: "Fuente",
+    first_correct: "Primer acierto:",
+    nobody_correct: "¡Nadie acertó!",
+    closest_guess: "Más cercano:",
+    closest_guesses: "Respuestas más cercanas:",
+    points_short: "pts",
+    next_question: "Siguiente pregunta en {seconds} segundos...",
+    skipped_title: "PREGUNTA {number} OMITIDA",
+    skipped_body: "El anfitrión omitió esta pregunta. Los puntos obtenidos en ella se han anulado.",
+    answer_paused: "⏸️ El quiz está en pausa. ¡Espera!",
+    answer_already: "¡Ya respondiste esta pregunta!",
+    answer_first: "🎯 ¡Primero y correcto! +{points} pts",
+    answer_correct: "✅ ¡Correcto! +{points} pts",
+    answer_streak: " (¡racha de {streak}!)",
+    answer_wrong: "❌ ¡Respuesta incorrecta! Racha reiniciada.",
+    answer_partial: "🟨 ¡Parcialmente correcto! +{points} pts. Racha reiniciada.",
+    selection_picked: "Tu selección: {options}. Pulsa Enviar cuando termines.",
+    selection_none: "Aún no has elegido ninguna opción.",
+    selection_empty: "Elige al menos una opción antes de enviar.",
+    selection_order: "Tu orden: {items}. Pulsa un elemento otra vez para quitarlo.",
+    selection_incomplete: "Ordena los {count} elementos antes de enviar.",
+    leaderboard_title: "CLASIFICACIÓN",
+    leaderboard_after: "Tras la pregunta {number}",
+    leaderboard_empty: "¡Nadie ha respondido todavía!",
+    leaderboard_streak: "¡racha de {count} preguntas!",
+    leaderboard_hot_streak: "Racha en llamas:",
+    leaderboard_in_a_row: "¡{count} seguidas!",
+    leaderboard_players: "{count} jugadores compitiendo",
+    results_title: "¡QUIZ TERMINADO!",
+    results_champion: "CAMPEÓN",
+    results_points: "{score} puntos ({correct}/{total} correctas)",
+    results_win_rate: "Aciertos: {percent}%",
+    results_best_streak: "Mejor racha: {count} preguntas",
+    results_podium: "PODIO",
+    results_others: "OTROS PARTICIPANTES",
+    results_streak: "(racha de {count})",
+    results_empty: "😢 ¡Nadie participó en este quiz!",
+    results_stats: "ESTADÍSTICAS",
+    results_players: "Jugadores:",
+    results_avg_score: "Puntuación media:",
+    results_points_word: "puntos",
+    results_avg_correct: "Aciertos medios:",
+    results_longest_streak: "Racha más larga:",
+    results_questions_word: "preguntas",
+    results_time: "Duración:",
+    results_thanks: "🎊 ¡Gracias por jugar! Usa /start_quiz para jugar otra vez.",
+    restored_title: "QUIZ REANUDADO",
+    restored_body: 'El bot se reinició, pero "{title}" continúa justo donde se quedó.',
+    restored_paused: "El quiz sigue en pausa. Un administrador puede usar /resume_quiz para continuar.",
+    restored_expired_title: "QUIZ TERMINADO",
+    restored_expired_body: 'No se pudo reanudar "{title}" tras reiniciar el bot. Usa /start_quiz para jugar otra vez.',
+  },
+  fr: {
+    announce_title: '🎮 LE QUIZ COMMENCE : "{title}" 🎮',
+    announce_questions: "{count} questions",
+    announce_time: "{seconds} secondes par question",
+    announce_first_bonus: "La première bonne réponse rapporte +1 point",
+    announce_no_bonus: "Chaque bonne réponse rapporte 1 point",
+    announce_streak: "Les séries de bonnes réponses donnent +1 bonus",
+    announce_countdown: "Début dans 5 secondes...",
+    announce_go: "🔥 C'EST PARTI ! 🔥",
+    question_progress: "Question {number}/{total}",
+    question_time: "Temps : {seconds} secondes",
+    question_paused: "EN PAUSE - {seconds} secondes restantes à la reprise",
+    question_first_bonus: "⚡ La première bonne réponse rapporte +1 point ! ⚡",
+    question_no_bonus: "⚡ Chaque bonne réponse compte ! ⚡",
+    question_closest_bonus: "⚡ La réponse la plus proche rapporte +1 point ! ⚡",
+    question_true_false: "Vrai ou faux ?",
+    true_label: "Vrai",
+    false_label: "Faux",
+    question_multi_select: "Choisissez toutes les bonnes réponses, puis appuyez sur Valider.",
+    question_free_text: "Répondez à ce message avec votre réponse.",
+    question_numeric: "Répondez à ce message avec un nombre.",
+    question_ordering: "Appuyez sur les éléments dans le bon ordre, puis sur Valider.",
+    submit_label: "Valider",
+    times_up: "TEMPS ÉCOULÉ !",
+    correct_answer: "Bonne réponse :",
+    correct_answers: "Bonnes réponses :",
+    correct_order: "Bon ordre :",
+    explanation: "Explication :",
+    source_link: "Source",
+    first_correct: "Premier à trouver :",
+    nobody_correct: "Personne n'a trouvé !",
+    closest_guess: "Le plus proche :",
+    closest_guesses: "Réponses les plus proches :",
+    points_short: "pts",
+    next_question: "Question suivante dans {seconds} secondes...",
+    skipped_title: "QUESTION {number} PASSÉE",
+    skipped_body: "L'animateur a passé cette question. Les points gagnés dessus ont été annulés.",
+    answer_paused: "⏸️ Le quiz est en pause. Patience !",
+    answer_already: "Vous avez déjà répondu à cette question !",
+    answer_first: "🎯 Premier et correct ! +{points} pts",
+    answer_correct: "✅ Correct ! +{points} pts",
+    answer_streak: " (série de {streak} !)",
+    answer_wrong: "❌ Mauvaise réponse ! Série remise à zéro.",
+    answer_partial: "🟨 En partie correct ! +{points} pts. Série remise à zéro.",
+    selection_picked: "Votre choix : {options}. Appuyez sur Valider quand vous avez fini.",
+    selection_none: "Aucune option choisie pour l'instant.",
+    selection_empty: "Choisissez au moins une option avant de valider.",
+    selection_order: "Votre ordre : {items}. Appuyez à nouveau sur un élément pour le retirer.",
+    selection_incomplete: "Placez les {count} éléments avant de valider.",
+    leaderboard_title: "CLASSEMENT",
+    leaderboard_after: "Après la question {number}",
+    leaderboard_empty: "Personne n'a encore répondu !",
+    leaderboard_streak: "série de {count} questions !",
+    leaderboard_hot_streak: "Série en feu :",
+    leaderboard_in_a_row: "{count} d'affilée !",
+    leaderboard_players: "{count} joueurs en lice",
+    results_title: "QUIZ TERMINÉ !",
+    results_champion: "CHAMPION",
+    results_points: "{score} points ({correct}/{total} correctes)",
+    results_win_rate: "Réussite : {percent}%",
+    results_best_streak: "Meilleure série : {count} questions",
+    results_podium: "PODIUM",
+    results_others: "AUTRES JOUEURS",
+    results_streak: "(série de {count})",
+    results_empty: "😢 Personne n'a participé à ce quiz !",
+    results_stats: "STATISTIQUES",
+    results_players: "Joueurs :",
+    results_avg_score: "Score moyen :",
+    results_points_word: "points",
+    results_avg_correct: "Bonnes réponses moyennes :",
+    results_longest_streak: "Plus longue série :",
+    results_questions_word: "questions",
+    results_time: "Durée :",
+    results_thanks: "🎊 Merci d'avoir joué ! Utilisez /start_quiz pour rejouer.",
+    restored_title: "QUIZ REPRIS",
+    restored_body: 'Le bot a redémarré, mais "{title}" reprend exactement où il s\'était arrêté !',
+    restored_paused: "Le quiz est toujours en pause. Un administrateur peut utiliser /resume_quiz pour continuer.",
+    restored_expired_title: "QUIZ TERMINÉ",
+    restored_expired_body: '"{title}" n\'a pas pu reprendre après le redémarrage du bot. Utilisez /start_quiz pour rejouer.',
+  },
+  de: {
+    announce_title: '🎮 QUIZ STARTET: "{title}" 🎮',
+    announce_questions: "{count} Fragen",
+    announce_time: "{seconds} Sekunden pro Frage",
+    announce_first_bonus: "Die erste richtige Antwort bekommt +1 Punkt",
+    announce_no_bonus: "Jede richtige Antwort zählt 1 Punkt",
+    announce_streak: "Serien richtiger Antworten geben +1 Bonus",
+    announce_countdown: "Start in 5 Sekunden...",
+    announce_go: "🔥 LOS! 🔥",
+    question_progress: "Frage {number}/{total}",
+    question_time: "Zeit: {seconds} Sekunden",
+    question_paused: "PAUSIERT - noch {seconds} Sekunden nach dem Fortsetzen",
+    question_first_bonus: "⚡ Die erste richtige Antwort bekommt +1 Punkt! ⚡",
+    question_no_bonus: "⚡ Jede richtige Antwort zählt! ⚡",
+    question_closest_bonus: "⚡ Die genaueste Schätzung bekommt +1 Punkt! ⚡",
+    question_true_false: "Wahr oder falsch?",
+    true_label: "Wahr",
+    false_label: "Falsch",
+    question_multi_select: "Wähle alle zutreffenden Antworten und tippe dann auf Absenden.",
+    question_free_text: "Antworte auf diese Nachricht mit deiner Antwort.",
+    question_numeric: "Antworte auf diese Nachricht mit einer Zahl.",
+    question_ordering: "Tippe die Elemente in der richtigen Reihenfolge an, dann auf Absenden.",
+    submit_label: "Absenden",
+    times_up: "ZEIT ABGELAUFEN!",
+    correct_answer: "Richtige Antwort:",
+    correct_answers: "Richtige Antworten:",
+    correct_order: "Richtige Reihenfolge:",
+    explanation: "Erklärung:",
+    source_link: "Quelle",
+    first_correct: "Als Erstes richtig:",
+    nobody_correct: "Niemand lag richtig!",
+    closest_guess: "Am nächsten dran:",
+    closest_guesses: "Die besten Schätzungen:",
+    points_short: "Pkt.",
+    next_question: "Nächste Frage in {seconds} Sekunden...",
+    skipped_title: "FRAGE {number} ÜBERSPRUNGEN",
+    skipped_body: "Der Host hat diese Frage übersprungen. Dafür vergebene Punkte wurden gestrichen.",
+    answer_paused: "⏸️ Das Quiz ist pausiert. Einen Moment!",
+    answer_already: "Du hast diese Frage schon beantwortet!",
+    answer_first: "🎯 Erster und richtig! +{points} Pkt.",
+    answer_correct: "✅ Richtig! +{points} Pkt.",
+    answer_streak: " ({streak}er-Serie!)",
+    answer_wrong: "❌ Falsche Antwort! Serie zurückgesetzt.",
+    answer_partial: "🟨 Teilweise richtig! +{points} Pkt. Serie zurückgesetzt.",
+    selection_picked: "Deine Auswahl: {options}. Tippe auf Absenden, wenn du fertig bist.",
+    selection_none: "Noch keine Option ausgewählt.",
+    selection_empty: "Wähle mindestens eine Option, bevor du absendest.",
+    selection_order: "Deine Reihenfolge: {items}. Tippe ein Element erneut an, um es zu entfernen.",
+    selection_incomplete: "Bringe alle {count} Elemente in eine Reihenfolge, bevor du absendest.",
+    leaderboard_title: "RANGLISTE",
+    leaderboard_after: "Nach Frage {number}",
+    leaderboard_empty: "Noch hat niemand geantwortet!",
+    leaderboard_streak: "Serie von {count} Fragen!",
+    leaderboard_hot_streak: "Heiße Serie:",
+    leaderboard_in_a_row: "{count} in Folge!",
+    leaderboard_players: "{count} Spieler im Rennen",
+    results_title: "QUIZ BEENDET!",
+    results_champion: "CHAMPION",
+    results_points: "{score} Punkte ({correct}/{total} richtig)",
+    results_win_rate: "Trefferquote: {percent}%",
+    results_best_streak: "Beste Serie: {count} Fragen",
+    results_podium: "PODESTPLÄTZE",
+    results_others: "WEITERE PLATZIERUNGEN",
+    results_streak: "({count}er-Serie)",
+    results_empty: "😢 Niemand hat an diesem Quiz teilgenommen!",
+    results_stats: "QUIZ-STATISTIK",
+    results_players: "Spieler:",
+    results_avg_score: "Ø Punkte:",
+    results_points_word: "Punkte",
+    results_avg_correct: "Ø Richtig:",
+    results_longest_streak: "Längste Serie:",
+    results_questions_word: "Fragen",
+    results_time: "Quizdauer:",
+    results_thanks: "🎊 Danke fürs Mitspielen! Mit /start_quiz geht's nochmal los.",
+    restored_title: "QUIZ FORTGESETZT",
+    restored_body: 'Der Bot wurde neu gestartet, aber "{title}" geht genau dort weiter, wo es aufgehört hat!',
+    restored_paused: "Das Quiz ist noch pausiert. Ein Admin kann es mit /resume_quiz fortsetzen.",
+    restored_expired_title: "QUIZ BEENDET",
+    restored_expired_body: '"{title}" konnte nach dem Neustart des Bots nicht fortgesetzt werden. Mit /start_quiz geht es von vorne los.',
+  },
+};
+
+/**
+ * Translate a message key, falling back to English
+ * @param {string} language - Language code (e.g. "en")
+ * @param {string} key - Message key
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string} Translated message
+ */
+function t(language, key, params = {}) {
+  const table = STRINGS[language] || STRINGS.en;
+  const template = table[key] || STRINGS.en[key] || key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name] : match
+  );
+}
+
+module.exports = {
+  LANGUAGES,
+  t,
+};
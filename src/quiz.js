@@ -5,13 +5,90 @@
 const { Markup } = require("telegraf");
 const utils = require("./utils");
 const logger = require("./logger");
-const { UI } = require("./constants");
+const i18n = require("./i18n");
+const groupSettings = require("./groupSettings");
+const gameStore = require("./gameStore");
+const {
+  UI,
+  ANSWER_LABELS,
+  OPTION_COLORS,
+  QUESTION_TYPES,
+  TYPED_ANSWER_TYPES,
+  DEFAULT_TYPO_TOLERANCE,
+} = require("./constants");
+const { getQuestionType } = require("./quizSchema");
+const { matchesAnswer, parseNumber, numberDistance } = require("./answerMatching");
+const { parseTextQuestions } = require("./formats/text");
 
 /**
  * In-memory storage for active quizzes (chatId -> quizState)
  */
 const activeQuizzes = new Map();
 
+/**
+ * Seconds added to a question by the host's extend control
+ */
+const EXTEND_SECONDS = 10;
+
+/**
+ * Saved games older than this are not resumed after a restart
+ */
+const MAX_RESTORE_AGE = 30 * 60 * 1000;
+
+/**
+ * Guesses listed when the answer to a numeric question is revealed
+ */
+const CLOSEST_GUESSES_SHOWN = 3;
+
+/**
+ * Question types whose answers are picked option by option and then submitted
+ */
+const SELECTION_TYPES = [QUESTION_TYPES.MULTI_SELECT, QUESTION_TYPES.ORDERING];
+
+/**
+ * Translate a gameplay message into the quiz's language
+ * @param {Object} quiz - Quiz state object
+ * @param {string} key - Message key
+ * @param {Object} params - Values for placeholders
+ * @returns {string} Translated message
+ */
+function tr(quiz, key, params) {
+  return i18n.t(quiz.settings.language, key, params);
+}
+
+/**
+ * Remember a message sent during the game so it can be cleaned up later
+ * @param {Object} quiz - Quiz state object
+ * @param {Object} message - Sent Telegram message
+ * @returns {Object} The same message
+ */
+function trackMessage(quiz, message) {
+  if (message && message.message_id) {
+    quiz.messages.sent.push(message.message_id);
+  }
+  return message;
+}
+
+/**
+ * Delete the game messages of a quiz if the group asked for cleanup
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @param {Object} quiz - Quiz state object
+ */
+async function cleanupQuizMessages(ctx, chatId, quiz) {
+  if (!quiz.settings.cleanupMessages) return;
+
+  for (const messageId of quiz.messages.sent) {
+    try {
+      await ctx.telegram.deleteMessage(chatId, messageId);
+    } catch (error) {
+      // Message already deleted or too old to delete
+      logger.warn(`Could not delete message ${messageId} in chat ${chatId}`);
+    }
+  }
+  quiz.messages.sent = [];
+}
+
 /**
  * Quiz state object template
  * @param {number} adminId - Admin user ID
@@ -32,11 +109,18 @@ function createNewQuiz(adminId) {
     messages: {
       question: null,
       timer: null,
+      sent: [], // Game messages removed by the cleanup setting
     },
     settings: {
+      ...groupSettings.DEFAULT_GROUP_SETTINGS,
       questionTime: 10,
       intermissionTime: 5,
     },
+    questionDeadline: null, // When the current question times out
+    questionPostedAt: null, // Telegram date (seconds) of the current question message
+    intermissionDeadline: null, // When the next question is sent
+    remainingTime: null, // Milliseconds left on the question while paused
+    extendedSeconds: 0, // Extra time added to the current question
     quizId: null,
     title: "",
     startTime: null,
@@ -162,27 +246,14 @@ function addQuestion(chatId, questionText, options, correctAnswer) {
  */
 function parseQuestionInput(text) {
   try {
-    const questionMatch = text.match(/Question:\s*(.+?)(?=\nA\.|\n$)/s);
-    if (!questionMatch) return null;
-    const questionText = questionMatch[1].trim();
-
-    const optionA = text.match(/A\.\s*(.+?)(?=\nB\.|\n|$)/s)?.[1]?.trim();
-    const optionB = text.match(/B\.\s*(.+?)(?=\nC\.|\n|$)/s)?.[1]?.trim();
-    const optionC = text.match(/C\.\s*(.+?)(?=\nD\.|\n|$)/s)?.[1]?.trim();
-    const optionD = text.match(/D\.\s*(.+?)(?=\nCorrect:|\n|$)/s)?.[1]?.trim();
-
-    if (!optionA || !optionB || !optionC || !optionD) return null;
-
-    const correctMatch = text.match(/Correct:\s*([A-D])/i);
-    if (!correctMatch) return null;
-
-    const correctLetter = correctMatch[1].toUpperCase();
-    const correctIndex = correctLetter.charCodeAt(0) - "A".charCodeAt(0);
+    const { questions, errors } = parseTextQuestions(text);
+    if (questions.length !== 1 || errors.length > 0) return null;
 
+    const [question] = questions;
     return {
-      questionText,
-      options: [optionA, optionB, optionC, optionD],
-      correctAnswer: correctIndex,
+      questionText: question.text,
+      options: question.options,
+      correctAnswer: question.correctAnswer,
     };
   } catch (error) {
     logger.error("Error parsing question:", error);
@@ -203,20 +274,35 @@ async function loadAndStartQuiz(ctx, chatId, quizData) {
 
     const quiz = createNewQuiz(ctx.from.id);
     quiz.questions = [...quizData.questions];
-    quiz.settings = { ...quizData.settings };
     quiz.quizId = quizData.id;
     quiz.title = quizData.title;
     quiz.startTime = Date.now();
 
+    // Group settings override the quiz's own timing
+    const groupConfig = await groupSettings.getGroupSettings(chatId);
+    quiz.settings = {
+      ...quiz.settings,
+      ...quizData.settings,
+      firstCorrectBonus: groupConfig.firstCorrectBonus,
+      streakBonus: groupConfig.streakBonus,
+      cleanupMessages: groupConfig.cleanupMessages,
+      language: groupConfig.language,
+      leaderboardSize: groupConfig.leaderboardSize,
+    };
+    if (groupConfig.questionTime) {
+      quiz.settings.questionTime = groupConfig.questionTime;
+    }
+    if (groupConfig.intermissionTime) {
+      quiz.settings.intermissionTime = groupConfig.intermissionTime;
+    }
+
     activeQuizzes.set(chatId, quiz);
+    persistQuiz(chatId, quiz);
 
     // Send announcement with minimal animations
-    const announcementMsg = await ctx.replyWithHTML(
-      `<b>🎮 QUIZ STARTING: "${quiz.title}" 🎮</b>\n\n` +
-        `<b>• ${quiz.questions.length} Questions</b>\n` +
-        `<b>• ${quiz.settings.questionTime} Seconds Per Question</b>\n` +
-        `<b>• First correct answer gets +1 point</b>\n\n` +
-        `<b>Starting in 5 seconds...</b>`
+    const announcementMsg = trackMessage(
+      quiz,
+      await ctx.replyWithHTML(formatAnnouncement(quiz, false))
     );
 
     // Use a single setTimeout instead of multiple updates
@@ -227,11 +313,7 @@ async function loadAndStartQuiz(ctx, chatId, quizData) {
           chatId,
           announcementMsg.message_id,
           null,
-          `<b>🎮 QUIZ STARTING: "${quiz.title}" 🎮</b>\n\n` +
-            `<b>• ${quiz.questions.length} Questions</b>\n` +
-            `<b>• ${quiz.settings.questionTime} Seconds Per Question</b>\n` +
-            `<b>• First correct answer gets +1 point</b>\n\n` +
-            `<b>🔥 GO! 🔥</b>`,
+          formatAnnouncement(quiz, true),
           { parse_mode: "HTML" }
         );
       } catch (error) {
@@ -253,6 +335,29 @@ async function loadAndStartQuiz(ctx, chatId, quizData) {
   }
 }
 
+/**
+ * Format the quiz start announcement
+ * @param {Object} quiz - Quiz state object
+ * @param {boolean} go - Whether the countdown has finished
+ * @returns {string} Announcement in HTML
+ */
+function formatAnnouncement(quiz, go) {
+  let rules =
+    `<b>• ${tr(quiz, "announce_questions", { count: quiz.questions.length })}</b>\n` +
+    `<b>• ${tr(quiz, "announce_time", { seconds: quiz.settings.questionTime })}</b>\n` +
+    `<b>• ${tr(quiz, quiz.settings.firstCorrectBonus ? "announce_first_bonus" : "announce_no_bonus")}</b>\n`;
+
+  if (quiz.settings.streakBonus) {
+    rules += `<b>• ${tr(quiz, "announce_streak")}</b>\n`;
+  }
+
+  return (
+    `<b>${tr(quiz, "announce_title", { title: utils.escapeHTML(quiz.title) })}</b>\n\n` +
+    `${rules}\n` +
+    `<b>${tr(quiz, go ? "announce_go" : "announce_countdown")}</b>`
+  );
+}
+
 /**
  * Send the next question with HTML formatting - Fixed to properly handle quiz end
  * @param {Object} ctx - Telegram context
@@ -285,48 +390,33 @@ async function nextQuestion(ctx, chatId) {
 
     // Get current question data
     const questionIndex = quiz.currentQuestionIndex;
-    const question = quiz.questions[questionIndex];
-    const totalQuestions = quiz.questions.length;
     const timerSeconds = quiz.settings.questionTime;
 
-    // Format question text with embedded timer information
-    const questionNumber = questionIndex + 1;
-    const progressInfo = `Question ${questionNumber}/${totalQuestions}`;
-
-    // Include the time in the question message
-    const questionText =
-      `<b>🔸 ${progressInfo} 🔸</b>\n\n` +
-      `<b>${question.text}</b>\n\n` +
-      `🔴 A. ${question.options[0]}\n` +
-      `🔵 B. ${question.options[1]}\n` +
-      `🟢 C. ${question.options[2]}\n` +
-      `🟡 D. ${question.options[3]}\n\n` +
-      `⏱️ <b>Time: ${timerSeconds} seconds</b>\n` +
-      `<i>⚡ First correct answer gets +1 point! ⚡</i>`;
-
-    // Create a keyboard with answer buttons
-    const keyboard = Markup.inlineKeyboard([
-      [
-        Markup.button.callback("🔴 A", `answer_${questionIndex}_0`),
-        Markup.button.callback("🔵 B", `answer_${questionIndex}_1`),
-      ],
-      [
-        Markup.button.callback("🟢 C", `answer_${questionIndex}_2`),
-        Markup.button.callback("🟡 D", `answer_${questionIndex}_3`),
-      ],
-    ]);
+    // Ordering questions are stored in the correct order, so show their items shuffled
+    const question = quiz.questions[questionIndex];
+    if (getQuestionType(question) === QUESTION_TYPES.ORDERING) {
+      question.displayOrder = shuffledOrder(question.options.length);
+    }
+    quiz.extendedSeconds = 0;
+    quiz.remainingTime = null;
+    quiz.intermissionDeadline = null;
 
     // Send question with answer buttons
-    const sentMsg = await ctx.replyWithHTML(questionText, keyboard);
+    const sentMsg = trackMessage(
+      quiz,
+      await ctx.replyWithHTML(
+        formatQuestionMessage(quiz, questionIndex),
+        createQuestionKeyboard(quiz, questionIndex)
+      )
+    );
 
     // Store message ID for later reference
     quiz.messages.question = sentMsg.message_id;
+    quiz.questionPostedAt = sentMsg.date;
 
     // Set timeout for question end
-    quiz.timers.question = setTimeout(
-      () => handleQuestionTimeout(ctx, chatId, quiz.currentQuestionIndex),
-      timerSeconds * 1000
-    );
+    armQuestionTimer(ctx, chatId, quiz, timerSeconds * 1000);
+    persistQuiz(chatId, quiz);
 
     return { success: true };
   } catch (error) {
@@ -338,115 +428,282 @@ async function nextQuestion(ctx, chatId) {
   }
 }
 /**
- * Run a visual countdown timer for the current question
+ * Shuffle the positions of a list, never leaving it in its original order
+ * @param {number} length - Number of items, at least 2
+ * @returns {Array<number>} Original index of the item shown at each position
+ */
+function shuffledOrder(length) {
+  const order = Array.from({ length }, (_, i) => i);
+  do {
+    for (let i = length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+  } while (order.every((item, position) => item === position));
+  return order;
+}
+
+/**
+ * Format the group message for a question, including its timer or paused state
+ * @param {Object} quiz - Quiz state object
+ * @param {number} questionIndex - Question index
+ * @returns {string} Question message in HTML
+ */
+function formatQuestionMessage(quiz, questionIndex) {
+  const question = quiz.questions[questionIndex];
+  const progressInfo = tr(quiz, "question_progress", {
+    number: questionIndex + 1,
+    total: quiz.questions.length,
+  });
+
+  let timeLine;
+  if (quiz.status === "paused") {
+    const secondsLeft = Math.ceil(quiz.remainingTime / 1000);
+    timeLine = `⏸️ <b>${tr(quiz, "question_paused", { seconds: secondsLeft })}</b>`;
+  } else {
+    const extension = quiz.extendedSeconds > 0 ? ` (+${quiz.extendedSeconds}s)` : "";
+    timeLine = `⏱️ <b>${tr(quiz, "question_time", { seconds: quiz.settings.questionTime })}${extension}</b>`;
+  }
+
+  const type = getQuestionType(question);
+  let optionLines;
+  if (type === QUESTION_TYPES.TRUE_FALSE) {
+    optionLines = `<i>${tr(quiz, "question_true_false")}</i>`;
+  } else if (type === QUESTION_TYPES.FREE_TEXT) {
+    optionLines = `✍️ <i>${tr(quiz, "question_free_text")}</i>`;
+  } else if (type === QUESTION_TYPES.NUMERIC) {
+    optionLines = `🔢 <i>${tr(quiz, "question_numeric")}</i>`;
+  } else if (type === QUESTION_TYPES.ORDERING) {
+    optionLines =
+      question.displayOrder
+        .map((item, position) => `${OPTION_COLORS[position]} ${ANSWER_LABELS[position]}. ${utils.escapeHTML(question.options[item])}`)
+        .join("\n") + `\n\n<i>${tr(quiz, "question_ordering")}</i>`;
+  } else {
+    optionLines = question.options
+      .map((option, index) => `${OPTION_COLORS[index]} ${ANSWER_LABELS[index]}. ${utils.escapeHTML(option)}`)
+      .join("\n");
+  }
+  if (type === QUESTION_TYPES.MULTI_SELECT) {
+    optionLines += `\n\n<i>${tr(quiz, "question_multi_select")}</i>`;
+  }
+
+  let bonusKey = "question_no_bonus";
+  if (quiz.settings.firstCorrectBonus) {
+    bonusKey = question.closestWins ? "question_closest_bonus" : "question_first_bonus";
+  }
+
+  // Include the time in the question message
+  return (
+    `<b>🔸 ${progressInfo} 🔸</b>\n\n` +
+    `<b>${utils.escapeHTML(question.text)}</b>\n\n` +
+    `${optionLines}\n\n` +
+    `${timeLine}\n` +
+    `<i>${tr(quiz, bonusKey)}</i>`
+  );
+}
+
+/**
+ * Label of a true/false answer in the quiz language
+ * @param {Object} quiz - Quiz state object
+ * @param {number} answerIndex - 0 for true, 1 for false
+ * @returns {string} Translated label
+ */
+function trueFalseLabel(quiz, answerIndex) {
+  return tr(quiz, answerIndex === 0 ? "true_label" : "false_label");
+}
+
+/**
+ * Create the keyboard for a question: answer buttons plus host controls
+ * While paused only the host controls are shown
+ * @param {Object} quiz - Quiz state object
+ * @param {number} questionIndex - Question index
+ * @returns {Object} Inline keyboard markup
+ */
+function createQuestionKeyboard(quiz, questionIndex) {
+  const controls = [
+    quiz.status === "paused"
+      ? Markup.button.callback("▶️ Resume", `qctl_resume_${questionIndex}`)
+      : Markup.button.callback("⏸️ Pause", `qctl_pause_${questionIndex}`),
+    Markup.button.callback(
+      `⏱️ +${EXTEND_SECONDS}s`,
+      `qctl_extend_${questionIndex}`
+    ),
+  ];
+
+  if (quiz.status === "paused") {
+    return Markup.inlineKeyboard([controls]);
+  }
+
+  const question = quiz.questions[questionIndex];
+
+  // Typed answers are sent in the chat, so only the host controls are shown
+  if (TYPED_ANSWER_TYPES.includes(getQuestionType(question))) {
+    return Markup.inlineKeyboard([controls]);
+  }
+
+  // True/false questions get one wide button per answer
+  if (getQuestionType(question) === QUESTION_TYPES.TRUE_FALSE) {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback(`✅ ${trueFalseLabel(quiz, 0)}`, `answer_${questionIndex}_0`)],
+      [Markup.button.callback(`❌ ${trueFalseLabel(quiz, 1)}`, `answer_${questionIndex}_1`)],
+      controls,
+    ]);
+  }
+
+  // Two answers per row, four per row for questions with more than four options
+  const options = question.options;
+  const perRow = options.length > 4 ? 4 : 2;
+  const answerRows = [];
+  for (let i = 0; i < options.length; i += perRow) {
+    answerRows.push(
+      options.slice(i, i + perRow).map((option, offset) =>
+        Markup.button.callback(
+          `${OPTION_COLORS[i + offset]} ${ANSWER_LABELS[i + offset]}`,
+          `answer_${questionIndex}_${i + offset}`
+        )
+      )
+    );
+  }
+
+  // Multi-select and ordering answers are only counted once the player submits their picks
+  // (the buttons of ordering questions stand for the shuffled positions, not the items)
+  if (SELECTION_TYPES.includes(getQuestionType(question))) {
+    answerRows.push([
+      Markup.button.callback(`📨 ${tr(quiz, "submit_label")}`, `msub_${questionIndex}`),
+    ]);
+  }
+
+  return Markup.inlineKeyboard([...answerRows, controls]);
+}
+
+/**
+ * Start (or restart) the timer that ends the current question
  * @param {Object} ctx - Telegram context
  * @param {number} chatId - Chat ID
  * @param {Object} quiz - Quiz state object
+ * @param {number} delay - Milliseconds until the question times out
  */
-async function runVisualTimer(ctx, chatId, quiz) {
+function armQuestionTimer(ctx, chatId, quiz, delay) {
+  if (quiz.timers.question) {
+    clearTimeout(quiz.timers.question);
+  }
+
+  const questionIndex = quiz.currentQuestionIndex;
+  quiz.questionDeadline = Date.now() + delay;
+  quiz.timers.question = setTimeout(
+    () => handleQuestionTimeout(ctx, chatId, questionIndex),
+    delay
+  );
+}
+
+/**
+ * Refresh the current question message after a pause, resume or extension
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @param {Object} quiz - Quiz state object
+ */
+async function updateQuestionMessage(ctx, chatId, quiz) {
   try {
-    const totalTime = quiz.settings.questionTime;
-    let timeRemaining = totalTime;
+    await ctx.telegram.editMessageText(
+      chatId,
+      quiz.messages.question,
+      null,
+      formatQuestionMessage(quiz, quiz.currentQuestionIndex),
+      {
+        parse_mode: "HTML",
+        ...createQuestionKeyboard(quiz, quiz.currentQuestionIndex),
+      }
+    );
+  } catch (error) {
+    if (
+      !error.description ||
+      !error.description.includes("message is not modified")
+    ) {
+      logger.error("Failed to update question message:", error);
+    }
+  }
+}
 
-    // Send initial timer
-    const initialTimer = utils.createTimerDisplay(timeRemaining, totalTime);
-    const timerMsg = await ctx.replyWithHTML(initialTimer);
-    quiz.messages.timer = timerMsg.message_id;
+/**
+ * Pause the current question, preserving its remaining time
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @returns {Promise<Object>} Result object
+ */
+async function pauseQuiz(ctx, chatId) {
+  const quiz = activeQuizzes.get(chatId);
+  if (!quiz || quiz.status !== "running") {
+    return {
+      success: false,
+      message:
+        quiz && quiz.status === "paused"
+          ? "The quiz is already paused."
+          : "The quiz can only be paused while a question is running.",
+    };
+  }
 
-    // Update function with optimizations to reduce lag
-    const updateTimer = async () => {
-      try {
-        timeRemaining--;
-
-        // Only update at specific intervals to reduce API calls and lag
-        // Update more frequently in critical moments
-        const shouldUpdate =
-          timeRemaining <= 5 || // Update every second when ≤ 5 seconds
-          timeRemaining % 3 === 0 || // Update every 3 seconds otherwise
-          timeRemaining === Math.floor(totalTime / 2); // Update at halfway point
-
-        if (shouldUpdate) {
-          const timerDisplay = utils.createTimerDisplay(
-            timeRemaining,
-            totalTime
-          );
+  clearTimeout(quiz.timers.question);
+  quiz.timers.question = null;
+  quiz.remainingTime = Math.max(1000, quiz.questionDeadline - Date.now());
+  quiz.status = "paused";
+  persistQuiz(chatId, quiz);
 
-          // Add a zero-width space to make each message unique
-          // This prevents "message not modified" errors
-          const zeroWidthSpace = "\u200B";
-          const uniqueSpaces = zeroWidthSpace.repeat(
-            Math.floor(Math.random() * 10) + 1
-          );
+  await updateQuestionMessage(ctx, chatId, quiz);
 
-          await ctx.telegram.editMessageText(
-            chatId,
-            quiz.messages.timer,
-            null,
-            timerDisplay + uniqueSpaces,
-            { parse_mode: "HTML" }
-          );
-        }
+  logger.info(`Quiz paused in chat ${chatId} with ${quiz.remainingTime}ms left`);
+  return { success: true, message: "Quiz paused" };
+}
 
-        if (timeRemaining > 0) {
-          // Use setTimeout instead of setInterval for better timing
-          quiz.timers.question = setTimeout(updateTimer, 1000);
-        } else {
-          // Time's up
-          await ctx.telegram.editMessageText(
-            chatId,
-            quiz.messages.timer,
-            null,
-            `⚠️ <b>TIME'S UP!</b> ⚠️`,
-            { parse_mode: "HTML" }
-          );
-          await handleQuestionTimeout(ctx, chatId, quiz.currentQuestionIndex);
-        }
-      } catch (error) {
-        // Handle common error types
-        if (
-          error.description &&
-          error.description.includes("message is not modified")
-        ) {
-          // Ignore "message not modified" errors and continue
-          if (timeRemaining > 0) {
-            quiz.timers.question = setTimeout(updateTimer, 1000);
-          } else {
-            await handleQuestionTimeout(ctx, chatId, quiz.currentQuestionIndex);
-          }
-        } else if (error.code === 429) {
-          // Handle rate limiting by backing off
-          const retryAfter =
-            (error.response?.parameters?.retry_after || 5) * 1000;
-          logger.warn(
-            `Rate limited in runVisualTimer. Retry after ${retryAfter}ms`
-          );
-          quiz.timers.question = setTimeout(updateTimer, retryAfter);
-        } else {
-          // Log other errors but continue timer
-          logger.error("Error updating timer:", error);
-          if (timeRemaining > 0) {
-            quiz.timers.question = setTimeout(updateTimer, 1000);
-          } else {
-            setTimeout(
-              () =>
-                handleQuestionTimeout(ctx, chatId, quiz.currentQuestionIndex),
-              1000
-            );
-          }
-        }
-      }
+/**
+ * Resume a paused question with the time it had left
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @returns {Promise<Object>} Result object
+ */
+async function resumeQuiz(ctx, chatId) {
+  const quiz = activeQuizzes.get(chatId);
+  if (!quiz || quiz.status !== "paused") {
+    return { success: false, message: "The quiz is not paused." };
+  }
+
+  quiz.status = "running";
+  armQuestionTimer(ctx, chatId, quiz, quiz.remainingTime);
+  quiz.remainingTime = null;
+  persistQuiz(chatId, quiz);
+
+  await updateQuestionMessage(ctx, chatId, quiz);
+
+  logger.info(`Quiz resumed in chat ${chatId}`);
+  return { success: true, message: "Quiz resumed" };
+}
+
+/**
+ * Give players more time on the current question
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @param {number} seconds - Seconds to add
+ * @returns {Promise<Object>} Result object
+ */
+async function extendQuestion(ctx, chatId, seconds = EXTEND_SECONDS) {
+  const quiz = activeQuizzes.get(chatId);
+  if (!quiz || (quiz.status !== "running" && quiz.status !== "paused")) {
+    return {
+      success: false,
+      message: "There is no question in progress to extend.",
     };
+  }
 
-    // Start the timer update loop
-    quiz.timers.question = setTimeout(updateTimer, 1000);
-  } catch (error) {
-    logger.error("Error in runVisualTimer:", error);
-    // Ensure quiz advances even if timer fails
-    setTimeout(
-      () => handleQuestionTimeout(ctx, chatId, quiz.currentQuestionIndex),
-      quiz.settings.questionTime * 1000
-    );
+  if (quiz.status === "paused") {
+    quiz.remainingTime += seconds * 1000;
+  } else {
+    armQuestionTimer(ctx, chatId, quiz, quiz.questionDeadline - Date.now() + seconds * 1000);
   }
+  quiz.extendedSeconds += seconds;
+  persistQuiz(chatId, quiz);
+
+  await updateQuestionMessage(ctx, chatId, quiz);
+
+  return { success: true, message: `Added ${seconds} seconds` };
 }
 
 function createEnhancedAnswerKeyboard(questionIndex, options) {
@@ -538,167 +795,41 @@ async function withRateLimitRetry(apiCall, maxRetries = 3) {
 }
 
 /**
- * Handle question timeout with no timer updates
- * @param {Object} ctx - Telegram context
- * @param {number} chatId - Chat ID
- * @param {number} questionIndex - Question index
- */
-
-/**
- * Updated handleQuestionTimeout - no "next question" message when quiz ends
+ * Run a precise visual timer with accurate timing
  * @param {Object} ctx - Telegram context
  * @param {number} chatId - Chat ID
- * @param {number} questionIndex - Question index
+ * @param {Object} quiz - Quiz state object
  */
-async function handleQuestionTimeout(ctx, chatId, questionIndex) {
+async function runVisualTimer(ctx, chatId, quiz) {
   try {
-    const quiz = activeQuizzes.get(chatId);
-    if (
-      !quiz ||
-      quiz.status !== "running" ||
-      quiz.currentQuestionIndex !== questionIndex
-    ) {
-      return;
-    }
+    const totalTime = quiz.settings.questionTime;
 
-    // Update quiz status
-    quiz.status = "intermission";
+    // Important: Store the exact start time for the timer
+    const timerStartTime = Date.now();
 
-    // Disable keyboard buttons
-    try {
-      await ctx.telegram.editMessageReplyMarkup(
-        chatId,
-        quiz.messages.question,
-        null,
-        { inline_keyboard: [] }
-      );
-    } catch (error) {
-      logger.error("Failed to disable keyboard:", error);
-    }
+    // Send initial timer display
+    const initialTimer = utils.createTimerDisplay
+      ? utils.createTimerDisplay(totalTime, totalTime)
+      : utils.createProgressBar(totalTime, totalTime);
 
-    // Get question data
-    const question = quiz.questions[questionIndex];
-    if (!question) {
-      logger.error(`Question index ${questionIndex} not found`);
-      setTimeout(() => nextQuestion(ctx, chatId), 3000);
-      return;
-    }
+    const timerMsg = await ctx.replyWithHTML(initialTimer);
+    quiz.messages.timer = timerMsg.message_id;
 
-    // Define correct answer info
-    const correctAnswer = question.correctAnswer;
-    const correctLetter = ["A", "B", "C", "D"][correctAnswer];
-    const correctOption = question.options[correctAnswer];
+    // Schedule updates at specific times for visual display
+    // We'll use a different approach to ensure accurate timing
+    const updateTimes = [
+      Math.floor(totalTime * 0.75), // 75% of time remaining
+      Math.floor(totalTime * 0.5), // 50% of time remaining
+      Math.floor(totalTime * 0.25), // 25% of time remaining
+      5, // 5 seconds remaining
+      3, // 3 seconds remaining
+      1, // 1 second remaining
+    ];
 
-    // Format first winner message
-    let winnerMessage = "";
-    if (question.firstCorrectAnswer) {
-      const winner = question.firstCorrectAnswer;
-      const displayName = winner.username
-        ? `@${winner.username}`
-        : winner.firstName;
-
-      winnerMessage = `\n\n🎯 <b>First Correct:</b> ${displayName} (+2 pts)`;
-    } else {
-      winnerMessage = "\n\n❌ <b>No one got it right!</b>";
-    }
-
-    // Create answer summary message
-    const answerMessage =
-      `<b>⏱️ TIME'S UP! ⏱️</b>\n\n` +
-      `✅ <b>Correct Answer:</b> ${correctLetter}. ${correctOption}` +
-      winnerMessage;
-
-    // Send answer summary
-    await ctx.replyWithHTML(answerMessage);
-
-    // Check if this was the last question
-    const isLastQuestion = questionIndex + 1 >= quiz.questions.length;
-
-    // Small delay before next action
-    setTimeout(async () => {
-      try {
-        // Create and send leaderboard
-        const leaderboard = createQuestionLeaderboard(quiz, questionIndex);
-        await ctx.replyWithHTML(leaderboard);
-
-        if (isLastQuestion) {
-          // This was the last question - end the quiz
-          await endQuiz(ctx, chatId);
-        } else {
-          // More questions remaining - show countdown
-          await ctx.replyWithHTML(
-            `<b>⏳ Next question in ${quiz.settings.intermissionTime} seconds...</b>`
-          );
-
-          // Schedule next question
-          quiz.timers.intermission = setTimeout(
-            () => nextQuestion(ctx, chatId),
-            quiz.settings.intermissionTime * 1000
-          );
-        }
-      } catch (error) {
-        logger.error("Error in timeout handler:", error);
-        // Continue to next question or end quiz
-        if (isLastQuestion) {
-          await endQuiz(ctx, chatId);
-        } else {
-          setTimeout(() => nextQuestion(ctx, chatId), 3000);
-        }
-      }
-    }, 1000); // 1 second delay for better UX
-  } catch (error) {
-    logger.error("Error in handleQuestionTimeout:", error);
-
-    // Check if last question for error handling too
-    const quiz = activeQuizzes.get(chatId);
-    const isLastQuestion = quiz && questionIndex >= quiz.questions.length - 1;
-
-    if (isLastQuestion) {
-      await endQuiz(ctx, chatId);
-    } else {
-      setTimeout(
-        () => nextQuestion(ctx, chatId),
-        quiz?.settings?.intermissionTime * 1000 + 3000 || 8000
-      );
-    }
-  }
-}
-/**
- * Run a precise visual timer with accurate timing
- * @param {Object} ctx - Telegram context
- * @param {number} chatId - Chat ID
- * @param {Object} quiz - Quiz state object
- */
-async function runVisualTimer(ctx, chatId, quiz) {
-  try {
-    const totalTime = quiz.settings.questionTime;
-
-    // Important: Store the exact start time for the timer
-    const timerStartTime = Date.now();
-
-    // Send initial timer display
-    const initialTimer = utils.createTimerDisplay
-      ? utils.createTimerDisplay(totalTime, totalTime)
-      : utils.createProgressBar(totalTime, totalTime);
-
-    const timerMsg = await ctx.replyWithHTML(initialTimer);
-    quiz.messages.timer = timerMsg.message_id;
-
-    // Schedule updates at specific times for visual display
-    // We'll use a different approach to ensure accurate timing
-    const updateTimes = [
-      Math.floor(totalTime * 0.75), // 75% of time remaining
-      Math.floor(totalTime * 0.5), // 50% of time remaining
-      Math.floor(totalTime * 0.25), // 25% of time remaining
-      5, // 5 seconds remaining
-      3, // 3 seconds remaining
-      1, // 1 second remaining
-    ];
-
-    // Set up timeout for each update point
-    updateTimes.forEach((updateTime) => {
-      if (updateTime < totalTime) {
-        const delay = (totalTime - updateTime) * 1000;
+    // Set up timeout for each update point
+    updateTimes.forEach((updateTime) => {
+      if (updateTime < totalTime) {
+        const delay = (totalTime - updateTime) * 1000;
 
         setTimeout(async () => {
           try {
@@ -835,7 +966,7 @@ function createQuestionLeaderboard(quiz, questionIndex) {
       });
 
     if (sortedParticipants.length === 0) {
-      return "No participants have answered yet!";
+      return tr(quiz, "leaderboard_empty");
     }
 
     // Update positions and track changes
@@ -850,49 +981,49 @@ function createQuestionLeaderboard(quiz, questionIndex) {
     // Get top 3 for podium display
     const topThree = sortedParticipants.slice(0, 3);
 
-    let leaderboard = `🏆 <b>LEADERBOARD</b> 🏆\n`;
-    leaderboard += `<i>After Question ${questionIndex + 1}</i>\n\n`;
+    let leaderboard = `🏆 <b>${tr(quiz, "leaderboard_title")}</b> 🏆\n`;
+    leaderboard += `<i>${tr(quiz, "leaderboard_after", { number: questionIndex + 1 })}</i>\n\n`;
 
     // Podium display
     if (topThree.length >= 1) {
       const first = topThree[0];
-      const displayName = first.username
-        ? `@${first.username}`
-        : first.firstName;
+      const displayName = utils.escapeHTML(
+        first.username ? `@${first.username}` : first.firstName
+      );
       const positionIcon = getPositionChangeIcon(first.positionChange);
 
-      leaderboard += `🥇 <b>${displayName}</b> - ${first.score} pts ${positionIcon}\n`;
+      leaderboard += `🥇 <b>${displayName}</b> - ${first.score} ${tr(quiz, "points_short")} ${positionIcon}\n`;
 
       if (first.streak > 1) {
-        leaderboard += `   🔥 ${first.streak}-question streak!\n`;
+        leaderboard += `   🔥 ${tr(quiz, "leaderboard_streak", { count: first.streak })}\n`;
       }
     }
 
     if (topThree.length >= 2) {
       const second = topThree[1];
-      const displayName = second.username
-        ? `@${second.username}`
-        : second.firstName;
+      const displayName = utils.escapeHTML(
+        second.username ? `@${second.username}` : second.firstName
+      );
       const positionIcon = getPositionChangeIcon(second.positionChange);
 
-      leaderboard += `🥈 <b>${displayName}</b> - ${second.score} pts ${positionIcon}\n`;
+      leaderboard += `🥈 <b>${displayName}</b> - ${second.score} ${tr(quiz, "points_short")} ${positionIcon}\n`;
 
       if (second.streak > 1) {
-        leaderboard += `   🔥 ${second.streak}-question streak!\n`;
+        leaderboard += `   🔥 ${tr(quiz, "leaderboard_streak", { count: second.streak })}\n`;
       }
     }
 
     if (topThree.length >= 3) {
       const third = topThree[2];
-      const displayName = third.username
-        ? `@${third.username}`
-        : third.firstName;
+      const displayName = utils.escapeHTML(
+        third.username ? `@${third.username}` : third.firstName
+      );
       const positionIcon = getPositionChangeIcon(third.positionChange);
 
-      leaderboard += `🥉 <b>${displayName}</b> - ${third.score} pts ${positionIcon}\n`;
+      leaderboard += `🥉 <b>${displayName}</b> - ${third.score} ${tr(quiz, "points_short")} ${positionIcon}\n`;
 
       if (third.streak > 1) {
-        leaderboard += `   🔥 ${third.streak}-question streak!\n`;
+        leaderboard += `   🔥 ${tr(quiz, "leaderboard_streak", { count: third.streak })}\n`;
       }
     }
 
@@ -902,15 +1033,15 @@ function createQuestionLeaderboard(quiz, questionIndex) {
     );
 
     if (highestStreakPlayer.streak >= 3) {
-      const streakName = highestStreakPlayer.username
-        ? `@${highestStreakPlayer.username}`
-        : highestStreakPlayer.firstName;
-      leaderboard += `\n🔥 <b>Hot Streak:</b> ${streakName} (${highestStreakPlayer.streak} in a row!)`;
+      const streakName = utils.escapeHTML(
+        highestStreakPlayer.username ? `@${highestStreakPlayer.username}` : highestStreakPlayer.firstName
+      );
+      leaderboard += `\n🔥 <b>${tr(quiz, "leaderboard_hot_streak")}</b> ${streakName} (${tr(quiz, "leaderboard_in_a_row", { count: highestStreakPlayer.streak })})`;
     }
 
     // Show total participants
     if (sortedParticipants.length > 3) {
-      leaderboard += `\n\n👥 <i>${sortedParticipants.length} players competing</i>`;
+      leaderboard += `\n\n👥 <i>${tr(quiz, "leaderboard_players", { count: sortedParticipants.length })}</i>`;
     }
 
     return leaderboard;
@@ -930,6 +1061,41 @@ function getPositionChangeIcon(change) {
   }
 }
 
+/**
+ * Guesses made on a numeric question, closest to the correct value first
+ * Equally close guesses are ranked by who answered first
+ * @param {Object} question - Numeric question
+ * @returns {Array<Object>} Responses with a guessed value
+ */
+function rankGuesses(question) {
+  const distance = (response) => numberDistance(response.value, question.correctValue);
+
+  return (question.responses || [])
+    .filter((response) => response.value !== undefined)
+    .sort((a, b) => distance(a) - distance(b) || a.time - b.time);
+}
+
+/**
+ * Give the bonus point of a closest-wins question to the closest guess
+ * @param {Object} quiz - Quiz state object
+ * @param {Object} question - Numeric question
+ * @returns {Object|null} The closest guess, or null if nobody guessed
+ */
+function awardClosestGuess(quiz, question) {
+  const closest = rankGuesses(question)[0];
+  if (!closest) {
+    return null;
+  }
+
+  closest.isFirst = true;
+  const participant = quiz.participants.get(closest.userId);
+  if (quiz.settings.firstCorrectBonus && participant) {
+    closest.points = roundPoints(closest.points + 1);
+    participant.score = roundPoints(participant.score + 1);
+  }
+  return closest;
+}
+
 /**
  * Updated handleQuestionTimeout with leaderboard display
  * @param {Object} ctx - Telegram context
@@ -949,6 +1115,7 @@ async function handleQuestionTimeout(ctx, chatId, questionIndex) {
 
     // Update quiz status
     quiz.status = "intermission";
+    persistQuiz(chatId, quiz);
 
     // Disable keyboard buttons
     try {
@@ -972,37 +1139,112 @@ async function handleQuestionTimeout(ctx, chatId, questionIndex) {
 
     // Define correct answer info
     const correctAnswer = question.correctAnswer;
-    const correctLetter = ["A", "B", "C", "D"][correctAnswer];
-    const correctOption = question.options[correctAnswer];
+    const type = getQuestionType(question);
+    let correctText;
+    if (type === QUESTION_TYPES.TRUE_FALSE) {
+      correctText = trueFalseLabel(quiz, correctAnswer);
+    } else if (type === QUESTION_TYPES.FREE_TEXT) {
+      correctText = question.acceptedAnswers.map(utils.escapeHTML).join(" / ");
+    } else if (type === QUESTION_TYPES.NUMERIC) {
+      correctText =
+        question.tolerance > 0
+          ? `${question.correctValue} (± ${question.tolerance})`
+          : `${question.correctValue}`;
+    } else if (type === QUESTION_TYPES.MULTI_SELECT) {
+      correctText = correctAnswer
+        .map((index) => `\n${ANSWER_LABELS[index]}. ${utils.escapeHTML(question.options[index])}`)
+        .join("");
+    } else if (type === QUESTION_TYPES.ORDERING) {
+      correctText = question.options
+        .map((item, index) => `\n${index + 1}. ${utils.escapeHTML(item)}`)
+        .join("");
+    } else {
+      correctText = `${ANSWER_LABELS[correctAnswer]}. ${utils.escapeHTML(question.options[correctAnswer])}`;
+    }
 
     // Format first winner message
     let winnerMessage = "";
-    if (question.firstCorrectAnswer) {
+    if (question.closestWins) {
+      const closest = awardClosestGuess(quiz, question);
+      persistQuiz(chatId, quiz);
+
+      if (closest) {
+        const displayName = utils.escapeHTML(
+          closest.username ? `@${closest.username}` : closest.firstName
+        );
+        const bonus = quiz.settings.firstCorrectBonus ? `, +1 ${tr(quiz, "points_short")}` : "";
+
+        winnerMessage = `\n\n🎯 <b>${tr(quiz, "closest_guess")}</b> ${displayName} (${closest.value}${bonus})`;
+      } else {
+        winnerMessage = `\n\n❌ <b>${tr(quiz, "nobody_correct")}</b>`;
+      }
+    } else if (question.firstCorrectAnswer) {
       const winner = question.firstCorrectAnswer;
-      const displayName = winner.username
-        ? `@${winner.username}`
-        : winner.firstName;
+      const displayName = utils.escapeHTML(
+        winner.username ? `@${winner.username}` : winner.firstName
+      );
 
-      winnerMessage = `\n\n🎯 <b>First Correct:</b> ${displayName} (+2 pts)`;
+      const firstPoints = quiz.settings.firstCorrectBonus ? 2 : 1;
+
+      winnerMessage = `\n\n🎯 <b>${tr(quiz, "first_correct")}</b> ${displayName} (+${firstPoints} ${tr(quiz, "points_short")})`;
     } else {
-      winnerMessage = "\n\n❌ <b>No one got it right!</b>";
+      winnerMessage = `\n\n❌ <b>${tr(quiz, "nobody_correct")}</b>`;
+    }
+
+    // Numeric questions list the closest guesses and how far off they were
+    let guessesMessage = "";
+    const guesses = type === QUESTION_TYPES.NUMERIC ? rankGuesses(question) : [];
+    if (guesses.length > 0) {
+      guessesMessage =
+        `\n\n📏 <b>${tr(quiz, "closest_guesses")}</b>` +
+        guesses
+          .slice(0, CLOSEST_GUESSES_SHOWN)
+          .map((guess, index) => {
+            const displayName = utils.escapeHTML(
+              guess.username ? `@${guess.username}` : guess.firstName
+            );
+            const difference = numberDistance(guess.value, question.correctValue);
+            const offBy = guess.value > question.correctValue ? `+${difference}` : `-${difference}`;
+            return `\n${index + 1}. ${displayName}: ${guess.value} (${difference === 0 ? "🎯" : offBy})`;
+          })
+          .join("");
+    }
+
+    let correctAnswerKey = "correct_answer";
+    if (type === QUESTION_TYPES.MULTI_SELECT) {
+      correctAnswerKey = "correct_answers";
+    } else if (type === QUESTION_TYPES.ORDERING) {
+      correctAnswerKey = "correct_order";
+    }
+
+    // The creator's explanation and source link, if any
+    let explanationMessage = "";
+    if (question.explanation) {
+      explanationMessage += `\n\n💡 <b>${tr(quiz, "explanation")}</b> ${utils.escapeHTML(question.explanation)}`;
+    }
+    if (question.sourceUrl) {
+      explanationMessage +=
+        `${question.explanation ? "\n" : "\n\n"}🔗 ` +
+        `<a href="${utils.escapeHTML(question.sourceUrl)}">${tr(quiz, "source_link")}</a>`;
     }
 
     // Create answer summary message
     const answerMessage =
-      `<b>⏱️ TIME'S UP! ⏱️</b>\n\n` +
-      `✅ <b>Correct Answer:</b> ${correctLetter}. ${correctOption}` +
-      winnerMessage;
+      `<b>⏱️ ${tr(quiz, "times_up")} ⏱️</b>\n\n` +
+      `✅ <b>${tr(quiz, correctAnswerKey)}</b> ${correctText}` +
+      explanationMessage +
+      winnerMessage +
+      guessesMessage;
 
-    // Send answer summary
-    await ctx.replyWithHTML(answerMessage);
+    // Send answer summary, without a preview of the source link
+    trackMessage(quiz, await ctx.replyWithHTML(answerMessage, { disable_web_page_preview: true }));
 
     // Small delay before leaderboard
     setTimeout(async () => {
       try {
         // Create and send leaderboard
         const leaderboard = createQuestionLeaderboard(quiz, questionIndex);
-        await ctx.replyWithHTML(leaderboard);
+        trackMessage(quiz, await ctx.replyWithHTML(leaderboard));
 
         const isLastQuestion = questionIndex + 1 >= quiz.questions.length;
         // Show next question countdown
@@ -1011,22 +1253,22 @@ async function handleQuestionTimeout(ctx, chatId, questionIndex) {
           await endQuiz(ctx, chatId);
         } else {
           // More questions remaining - show countdown
-          await ctx.replyWithHTML(
-            `<b>⏳ Next question in ${quiz.settings.intermissionTime} seconds...</b>`
+          trackMessage(
+            quiz,
+            await ctx.replyWithHTML(
+              `<b>⏳ ${tr(quiz, "next_question", { seconds: quiz.settings.intermissionTime })}</b>`
+            )
           );
 
           // Schedule next question
+          quiz.intermissionDeadline =
+            Date.now() + quiz.settings.intermissionTime * 1000;
           quiz.timers.intermission = setTimeout(
             () => nextQuestion(ctx, chatId),
             quiz.settings.intermissionTime * 1000
           );
+          persistQuiz(chatId, quiz);
         }
-
-        // Schedule next question
-        quiz.timers.intermission = setTimeout(
-          () => nextQuestion(ctx, chatId),
-          quiz.settings.intermissionTime * 1000
-        );
       } catch (error) {
         logger.error("Error sending leaderboard:", error);
         // Continue to next question even if leaderboard fails
@@ -1041,18 +1283,120 @@ async function handleQuestionTimeout(ctx, chatId, questionIndex) {
     );
   }
 }
+/**
+ * Round a score to two decimals, so partial credit doesn't pile up float noise
+ * @param {number} points - Points
+ * @returns {number} Rounded points
+ */
+function roundPoints(points) {
+  return Math.round(points * 100) / 100;
+}
+
+/**
+ * Check an answer against a question
+ * @param {Object} question - Question data
+ * @param {number|Array<number>|string} answer - Option index, option indexes for multi-select
+ *   questions, option indexes in the player's order for ordering questions, or the typed text
+ *   for free-text and numeric questions
+ * @returns {Object|null} { correct, credit } with credit from 0 to 1, plus the guessed value
+ *   for numeric questions, or null if the answer doesn't fit the question
+ */
+function gradeAnswer(question, answer) {
+  if (getQuestionType(question) === QUESTION_TYPES.NUMERIC) {
+    const value = parseNumber(answer, question.correctValue);
+    if (value === null) {
+      return null;
+    }
+    const correct = numberDistance(value, question.correctValue) <= question.tolerance;
+    return { correct, credit: correct ? 1 : 0, value };
+  }
+
+  if (getQuestionType(question) === QUESTION_TYPES.FREE_TEXT) {
+    if (typeof answer !== "string" || answer.trim() === "") {
+      return null;
+    }
+    const tolerance =
+      question.typoTolerance !== undefined ? question.typoTolerance : DEFAULT_TYPO_TOLERANCE;
+    const correct = matchesAnswer(answer, question.acceptedAnswers, tolerance);
+    return { correct, credit: correct ? 1 : 0 };
+  }
+
+  const isOptionIndex = (value) =>
+    Number.isInteger(value) && value >= 0 && value < question.options.length;
+
+  if (getQuestionType(question) === QUESTION_TYPES.ORDERING) {
+    if (
+      !Array.isArray(answer) ||
+      answer.length !== question.options.length ||
+      !answer.every(isOptionIndex) ||
+      new Set(answer).size !== answer.length
+    ) {
+      return null;
+    }
+
+    // Partial credit: a share of the point for each item in the right position
+    const inPlace = answer.filter((item, position) => item === position).length;
+    const correct = inPlace === answer.length;
+    const credit = correct ? 1 : question.partialCredit ? inPlace / answer.length : 0;
+    return { correct, credit };
+  }
+
+  if (getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT) {
+    if (!Array.isArray(answer) || answer.length === 0 || !answer.every(isOptionIndex)) {
+      return null;
+    }
+
+    // Partial credit: correct picks minus wrong picks, out of all correct options
+    const hits = answer.filter((index) => question.correctAnswer.includes(index)).length;
+    const misses = answer.length - hits;
+    const correct = hits === question.correctAnswer.length && misses === 0;
+    const credit = correct
+      ? 1
+      : question.partialCredit
+        ? Math.max(0, hits - misses) / question.correctAnswer.length
+        : 0;
+    return { correct, credit };
+  }
+
+  if (!isOptionIndex(answer)) {
+    return null;
+  }
+  const correct = answer === question.correctAnswer;
+  return { correct, credit: correct ? 1 : 0 };
+}
+
+/**
+ * Tell a player how their answer went: as a callback answer for buttons, or as a reply
+ * to the message for typed answers
+ * @param {Object} ctx - Telegram context
+ * @param {string} text - Feedback text
+ */
+async function sendAnswerFeedback(ctx, text) {
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(text);
+  } else {
+    await ctx.reply(text, { reply_parameters: { message_id: ctx.message.message_id } });
+  }
+}
+
 /**
  * Process answer with no update to timer display
  * @param {Object} ctx - Telegram context
  * @param {number} chatId - Chat ID
  * @param {number} userId - User ID
  * @param {number} questionIndex - Question index
- * @param {number} answerIndex - Answer index
+ * @param {number|Array<number>|string} answer - Option index, the picked option indexes for
+ *   multi-select and ordering questions, or the typed text for free-text and numeric questions
  * @returns {Promise<Object>} Result object
  */
-async function processAnswer(ctx, chatId, userId, questionIndex, answerIndex) {
+async function processAnswer(ctx, chatId, userId, questionIndex, answer) {
   try {
     const quiz = activeQuizzes.get(chatId);
+    if (quiz && quiz.status === "paused") {
+      await sendAnswerFeedback(ctx, tr(quiz, "answer_paused"));
+      return { success: false, message: "Quiz paused" };
+    }
+
     if (
       !quiz ||
       quiz.status !== "running" ||
@@ -1067,6 +1411,13 @@ async function processAnswer(ctx, chatId, userId, questionIndex, answerIndex) {
       return { success: false };
     }
 
+    // Ignore buttons for options this question doesn't have, and messages that aren't numbers
+    // while a numeric question is running
+    const grade = gradeAnswer(question, answer);
+    if (!grade) {
+      return { success: false };
+    }
+
     // Initialize responses array if needed
     if (!question.responses) {
       question.responses = [];
@@ -1093,24 +1444,29 @@ async function processAnswer(ctx, chatId, userId, questionIndex, answerIndex) {
       (r) => r.questionIndex === questionIndex
     );
     if (alreadyAnswered) {
-      await ctx.answerCbQuery("You already answered this question!");
+      await sendAnswerFeedback(ctx, tr(quiz, "answer_already"));
       return { success: false, message: "Already answered" };
     }
 
     // Check if answer is correct
-    const isCorrect = answerIndex === question.correctAnswer;
+    const isCorrect = grade.correct;
     const responseTime = Date.now();
 
-    // Create response record
+    // Create response record (previous streaks allow voiding a skipped question)
     const response = {
       questionIndex,
-      answerIndex,
+      answerIndex: answer,
       time: responseTime,
       isCorrect,
       userId,
       username,
       firstName,
+      previousStreak: participant.streak,
+      previousMaxStreak: participant.maxStreak,
     };
+    if (grade.value !== undefined) {
+      response.value = grade.value;
+    }
 
     // Update participant stats
     participant.responses.push(response);
@@ -1126,18 +1482,21 @@ async function processAnswer(ctx, chatId, userId, questionIndex, answerIndex) {
       // Base point for correct answer
       pointsEarned = 1;
 
-      // Check if this is the first correct answer for this question
-      if (!question.firstCorrectAnswer) {
+      // Check if this is the first correct answer for this question (the bonus of
+      // closest-wins questions is awarded when time runs out instead)
+      if (!question.firstCorrectAnswer && !question.closestWins) {
         question.firstCorrectAnswer = {
           userId,
           username,
           firstName,
           time: responseTime,
         };
-
-        // Bonus point for being first
-        pointsEarned += 1; // Total: 2 points for first correct
         isFirst = true;
+
+        // Bonus point for being first, unless the group turned it off
+        if (quiz.settings.firstCorrectBonus) {
+          pointsEarned += 1; // Total: 2 points for first correct
+        }
       }
 
       // Handle streak
@@ -1148,14 +1507,18 @@ async function processAnswer(ctx, chatId, userId, questionIndex, answerIndex) {
       );
 
       // Streak bonus (starts from 2nd consecutive correct answer)
-      if (participant.streak >= 2) {
+      if (quiz.settings.streakBonus && participant.streak >= 2) {
         streakBonus = 1;
         pointsEarned += streakBonus;
       }
 
       // Add points to participant's score
-      participant.score += pointsEarned;
+      participant.score = roundPoints(participant.score + pointsEarned);
     } else {
+      // Partly right multi-select answers keep their share of the base point
+      pointsEarned = roundPoints(grade.credit);
+      participant.score = roundPoints(participant.score + pointsEarned);
+
       // Wrong answer - reset streak
       participant.streak = 0;
     }
@@ -1167,26 +1530,29 @@ async function processAnswer(ctx, chatId, userId, questionIndex, answerIndex) {
 
     // Add to question responses
     question.responses.push(response);
+    persistQuiz(chatId, quiz);
 
     // Provide feedback to user
     let feedback;
     if (isCorrect) {
       if (isFirst) {
-        feedback = `🎯 First & Correct! +${pointsEarned} pts`;
+        feedback = tr(quiz, "answer_first", { points: pointsEarned });
         if (streakBonus > 0) {
-          feedback += ` (${participant.streak} streak!)`;
+          feedback += tr(quiz, "answer_streak", { streak: participant.streak });
         }
       } else {
-        feedback = `✅ Correct! +${pointsEarned} pts`;
+        feedback = tr(quiz, "answer_correct", { points: pointsEarned });
         if (streakBonus > 0) {
-          feedback += ` (${participant.streak} streak!)`;
+          feedback += tr(quiz, "answer_streak", { streak: participant.streak });
         }
       }
+    } else if (pointsEarned > 0) {
+      feedback = tr(quiz, "answer_partial", { points: pointsEarned });
     } else {
-      feedback = "❌ Wrong answer! Streak reset.";
+      feedback = tr(quiz, "answer_wrong");
     }
 
-    await ctx.answerCbQuery(feedback);
+    await sendAnswerFeedback(ctx, feedback);
 
     return {
       success: true,
@@ -1205,6 +1571,285 @@ async function processAnswer(ctx, chatId, userId, questionIndex, answerIndex) {
   }
 }
 
+/**
+ * Get the question a player can still pick options for, answering the callback otherwise
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {number} questionIndex - Question index
+ * @returns {Promise<Object|null>} { quiz, question }, or null if picking isn't possible
+ */
+async function getSelectableQuestion(ctx, chatId, userId, questionIndex) {
+  const quiz = activeQuizzes.get(chatId);
+  if (quiz && quiz.status === "paused") {
+    await ctx.answerCbQuery(tr(quiz, "answer_paused"));
+    return null;
+  }
+
+  const question = quiz && quiz.questions[questionIndex];
+  if (
+    !question ||
+    quiz.status !== "running" ||
+    quiz.currentQuestionIndex !== questionIndex ||
+    !SELECTION_TYPES.includes(getQuestionType(question))
+  ) {
+    await ctx.answerCbQuery();
+    return null;
+  }
+
+  const participant = quiz.participants.get(userId);
+  if (participant && participant.responses.some((r) => r.questionIndex === questionIndex)) {
+    await ctx.answerCbQuery(tr(quiz, "answer_already"));
+    return null;
+  }
+
+  question.selections = question.selections || {};
+  return { quiz, question };
+}
+
+/**
+ * Toggle an option in a player's picks for a multi-select or ordering question
+ * Picks are kept per player until they submit, since the keyboard is shared by the group.
+ * Ordering questions keep the picks in the order they were tapped, as shown positions.
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {number} questionIndex - Question index
+ * @param {number} answerIndex - Option index, or the shown position for ordering questions
+ * @returns {Promise<Object>} Result object
+ */
+async function toggleSelection(ctx, chatId, userId, questionIndex, answerIndex) {
+  try {
+    const selectable = await getSelectableQuestion(ctx, chatId, userId, questionIndex);
+    if (!selectable) {
+      return { success: false };
+    }
+
+    const { quiz, question } = selectable;
+    if (answerIndex < 0 || answerIndex >= question.options.length) {
+      await ctx.answerCbQuery();
+      return { success: false };
+    }
+
+    const ordering = getQuestionType(question) === QUESTION_TYPES.ORDERING;
+    const picks = question.selections[userId] || [];
+    if (picks.includes(answerIndex)) {
+      question.selections[userId] = picks.filter((index) => index !== answerIndex);
+    } else {
+      question.selections[userId] = ordering
+        ? [...picks, answerIndex]
+        : [...picks, answerIndex].sort((a, b) => a - b);
+    }
+    persistQuiz(chatId, quiz);
+
+    const selected = question.selections[userId];
+    let feedback = tr(quiz, "selection_none");
+    if (selected.length > 0 && ordering) {
+      feedback = tr(quiz, "selection_order", {
+        items: selected.map((index) => ANSWER_LABELS[index]).join(" → "),
+      });
+    } else if (selected.length > 0) {
+      feedback = tr(quiz, "selection_picked", {
+        options: selected.map((index) => ANSWER_LABELS[index]).join(", "),
+      });
+    }
+    await ctx.answerCbQuery(feedback);
+
+    return { success: true, selected };
+  } catch (error) {
+    logger.error("Error in toggleSelection:", error);
+    return {
+      success: false,
+      message: "An error occurred while processing your answer.",
+    };
+  }
+}
+
+/**
+ * Submit a player's picks for a multi-select or ordering question
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {number} questionIndex - Question index
+ * @returns {Promise<Object>} Result object from processAnswer
+ */
+async function submitSelection(ctx, chatId, userId, questionIndex) {
+  try {
+    const selectable = await getSelectableQuestion(ctx, chatId, userId, questionIndex);
+    if (!selectable) {
+      return { success: false };
+    }
+
+    const { quiz, question } = selectable;
+    const picks = question.selections[userId] || [];
+    if (getQuestionType(question) === QUESTION_TYPES.ORDERING) {
+      if (picks.length < question.options.length) {
+        await ctx.answerCbQuery(
+          tr(quiz, "selection_incomplete", { count: question.options.length })
+        );
+        return { success: false };
+      }
+
+      delete question.selections[userId];
+      const order = picks.map((position) => question.displayOrder[position]);
+      return await processAnswer(ctx, chatId, userId, questionIndex, order);
+    }
+
+    if (picks.length === 0) {
+      await ctx.answerCbQuery(tr(quiz, "selection_empty"));
+      return { success: false };
+    }
+
+    delete question.selections[userId];
+    return await processAnswer(ctx, chatId, userId, questionIndex, picks);
+  } catch (error) {
+    logger.error("Error in submitSelection:", error);
+    return {
+      success: false,
+      message: "An error occurred while processing your answer.",
+    };
+  }
+}
+
+/**
+ * Handle a tap on an answer button: answers right away, or toggles the option for
+ * multi-select and ordering questions
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @param {number} userId - User ID
+ * @param {number} questionIndex - Question index
+ * @param {number} answerIndex - Option index
+ * @returns {Promise<Object>} Result object
+ */
+async function handleAnswerButton(ctx, chatId, userId, questionIndex, answerIndex) {
+  const quiz = activeQuizzes.get(chatId);
+  const question = quiz && quiz.questions[questionIndex];
+
+  if (question && SELECTION_TYPES.includes(getQuestionType(question))) {
+    return await toggleSelection(ctx, chatId, userId, questionIndex, answerIndex);
+  }
+  return await processAnswer(ctx, chatId, userId, questionIndex, answerIndex);
+}
+
+/**
+ * Handle a message in a group: counts it as an answer when it replies to the current
+ * question and that is a free-text or numeric question. Only the first reply of each player
+ * during the question counts (for numeric questions, the first one that is a number); later
+ * replies, other messages, and messages sent before the question or while it's paused, are
+ * ignored.
+ * @param {Object} ctx - Telegram context
+ * @returns {Promise<Object>} Result object, with handled false if the message isn't an answer
+ */
+async function handleTextAnswer(ctx) {
+  const chatId = ctx.chat.id;
+  const quiz = activeQuizzes.get(chatId);
+  const questionIndex = quiz ? quiz.currentQuestionIndex : -1;
+  const question = quiz && quiz.questions[questionIndex];
+
+  if (
+    !question ||
+    quiz.status !== "running" ||
+    !TYPED_ANSWER_TYPES.includes(getQuestionType(question)) ||
+    ctx.message.text.startsWith("/") ||
+    ctx.message.date < quiz.questionPostedAt ||
+    !ctx.message.reply_to_message ||
+    ctx.message.reply_to_message.message_id !== quiz.messages.question
+  ) {
+    return { success: false, handled: false };
+  }
+
+  const participant = quiz.participants.get(ctx.from.id);
+  if (participant && participant.responses.some((r) => r.questionIndex === questionIndex)) {
+    return { success: false, handled: false };
+  }
+
+  const result = await processAnswer(ctx, chatId, ctx.from.id, questionIndex, ctx.message.text);
+  return { ...result, handled: true };
+}
+
+/**
+ * Skip the current question, voiding any points awarded for it
+ * @param {Object} ctx - Telegram context
+ * @param {number} chatId - Chat ID
+ * @returns {Promise<Object>} Result object
+ */
+async function skipQuestion(ctx, chatId) {
+  try {
+    const quiz = activeQuizzes.get(chatId);
+    if (!quiz || (quiz.status !== "running" && quiz.status !== "paused")) {
+      return {
+        success: false,
+        message: "There is no question in progress to skip.",
+      };
+    }
+
+    // Stop the question timer before anything else can score
+    clearTimers(quiz);
+    quiz.status = "intermission";
+
+    const questionIndex = quiz.currentQuestionIndex;
+    const question = quiz.questions[questionIndex];
+
+    // Void points and restore streaks of everyone who answered
+    for (const response of question.responses || []) {
+      const participant = quiz.participants.get(response.userId);
+      if (!participant) continue;
+
+      participant.score = roundPoints(participant.score - (response.points || 0));
+      if (response.isCorrect) {
+        participant.correctAnswers--;
+      }
+      participant.streak = response.previousStreak;
+      participant.maxStreak = response.previousMaxStreak;
+      participant.responses = participant.responses.filter(
+        (r) => r.questionIndex !== questionIndex
+      );
+
+      // Players who only answered the skipped question didn't take part
+      if (participant.responses.length === 0) {
+        quiz.participants.delete(response.userId);
+      }
+    }
+
+    question.responses = [];
+    question.selections = {};
+    question.firstCorrectAnswer = null;
+    question.skipped = true;
+
+    // Disable keyboard buttons
+    try {
+      await ctx.telegram.editMessageReplyMarkup(
+        chatId,
+        quiz.messages.question,
+        null,
+        { inline_keyboard: [] }
+      );
+    } catch (error) {
+      logger.error("Failed to disable keyboard:", error);
+    }
+
+    trackMessage(
+      quiz,
+      await ctx.replyWithHTML(
+        `<b>⏭️ ${tr(quiz, "skipped_title", { number: questionIndex + 1 })} ⏭️</b>\n\n` +
+          tr(quiz, "skipped_body")
+      )
+    );
+
+    logger.info(`Question ${questionIndex + 1} skipped in chat ${chatId}`);
+
+    await nextQuestion(ctx, chatId);
+
+    return { success: true };
+  } catch (error) {
+    logger.error("Error in skipQuestion:", error);
+    return {
+      success: false,
+      message: "An error occurred while skipping the question.",
+    };
+  }
+}
+
 /**
  * Calculate and display quiz results with HTML formatting
  * @param {Object} quiz - Quiz state object
@@ -1232,55 +1877,59 @@ function calculateResults(quiz) {
       return a.lastResponseTime - b.lastResponseTime;
     });
 
-    const topPerformers = participants.slice(0, 10);
+    const topPerformers = participants.slice(0, quiz.settings.leaderboardSize || 10);
     let leaderboard = "";
 
     if (topPerformers.length > 0) {
       // Champion section
       if (topPerformers.length >= 1) {
         const champion = topPerformers[0];
-        const displayName = champion.username
-          ? `@${champion.username}`
-          : champion.firstName;
+        const displayName = utils.escapeHTML(
+          champion.username ? `@${champion.username}` : champion.firstName
+        );
 
         const winPercent = Math.round(
           (champion.correctAnswers / quiz.questions.length) * 100
         );
 
         leaderboard +=
-          `${UI.ICONS.CROWN} <b>CHAMPION</b> ${UI.ICONS.CROWN}\n` +
+          `${UI.ICONS.CROWN} <b>${tr(quiz, "results_champion")}</b> ${UI.ICONS.CROWN}\n` +
           `${UI.ICONS.MEDAL_GOLD} <b>${displayName}</b> ${UI.ICONS.MEDAL_GOLD}\n` +
-          `${champion.score} points (${champion.correctAnswers}/${quiz.questions.length} correct)\n` +
-          `Win rate: ${winPercent}%\n`;
+          `${tr(quiz, "results_points", {
+            score: champion.score,
+            correct: champion.correctAnswers,
+            total: quiz.questions.length,
+          })}\n` +
+          `${tr(quiz, "results_win_rate", { percent: winPercent })}\n`;
 
         if (champion.maxStreak >= 2) {
-          leaderboard += `🔥 Best streak: ${champion.maxStreak} questions\n`;
+          leaderboard += `🔥 ${tr(quiz, "results_best_streak", { count: champion.maxStreak })}\n`;
         }
         leaderboard += "\n";
       }
 
       // Podium finishers
       if (topPerformers.length >= 2) {
-        leaderboard += `<b>🏆 PODIUM FINISHERS 🏆</b>\n`;
+        leaderboard += `<b>🏆 ${tr(quiz, "results_podium")} 🏆</b>\n`;
 
         const silver = topPerformers[1];
-        const silverName = silver.username
-          ? `@${silver.username}`
-          : silver.firstName;
-        leaderboard += `${UI.ICONS.MEDAL_SILVER} <b>${silverName}</b> - ${silver.score} pts`;
+        const silverName = utils.escapeHTML(
+          silver.username ? `@${silver.username}` : silver.firstName
+        );
+        leaderboard += `${UI.ICONS.MEDAL_SILVER} <b>${silverName}</b> - ${silver.score} ${tr(quiz, "points_short")}`;
         if (silver.maxStreak >= 2) {
-          leaderboard += ` (${silver.maxStreak} streak)`;
+          leaderboard += ` ${tr(quiz, "results_streak", { count: silver.maxStreak })}`;
         }
         leaderboard += "\n";
 
         if (topPerformers.length >= 3) {
           const bronze = topPerformers[2];
-          const bronzeName = bronze.username
-            ? `@${bronze.username}`
-            : bronze.firstName;
-          leaderboard += `${UI.ICONS.MEDAL_BRONZE} <b>${bronzeName}</b> - ${bronze.score} pts`;
+          const bronzeName = utils.escapeHTML(
+            bronze.username ? `@${bronze.username}` : bronze.firstName
+          );
+          leaderboard += `${UI.ICONS.MEDAL_BRONZE} <b>${bronzeName}</b> - ${bronze.score} ${tr(quiz, "points_short")}`;
           if (bronze.maxStreak >= 2) {
-            leaderboard += ` (${bronze.maxStreak} streak)`;
+            leaderboard += ` ${tr(quiz, "results_streak", { count: bronze.maxStreak })}`;
           }
           leaderboard += "\n";
         }
@@ -1289,39 +1938,39 @@ function calculateResults(quiz) {
 
       // Other participants
       if (topPerformers.length > 3) {
-        leaderboard += `<b>OTHER FINISHERS</b>\n`;
-        for (let i = 3; i < Math.min(topPerformers.length, 7); i++) {
+        leaderboard += `<b>${tr(quiz, "results_others")}</b>\n`;
+        for (let i = 3; i < topPerformers.length; i++) {
           const player = topPerformers[i];
-          const playerName = player.username
-            ? `@${player.username}`
-            : player.firstName;
-          leaderboard += `${i + 1}. <b>${playerName}</b> - ${player.score} pts`;
+          const playerName = utils.escapeHTML(
+            player.username ? `@${player.username}` : player.firstName
+          );
+          leaderboard += `${i + 1}. <b>${playerName}</b> - ${player.score} ${tr(quiz, "points_short")}`;
           if (player.maxStreak >= 2) {
-            leaderboard += ` (${player.maxStreak} streak)`;
+            leaderboard += ` ${tr(quiz, "results_streak", { count: player.maxStreak })}`;
           }
           leaderboard += "\n";
         }
       }
     } else {
-      leaderboard = "😢 No participants in this quiz!";
+      leaderboard = tr(quiz, "results_empty");
     }
 
     // Enhanced statistics
     let stats = "";
     if (participants.length > 0) {
-      stats += `<b>📊 QUIZ STATS 📊</b>\n\n`;
-      stats += `👥 <b>Players:</b> ${participants.length}\n`;
+      stats += `<b>📊 ${tr(quiz, "results_stats")} 📊</b>\n\n`;
+      stats += `👥 <b>${tr(quiz, "results_players")}</b> ${participants.length}\n`;
 
       const totalScore = participants.reduce((sum, p) => sum + p.score, 0);
       const avgScore = totalScore / participants.length;
-      stats += `🎯 <b>Avg Score:</b> ${avgScore.toFixed(1)} points\n`;
+      stats += `🎯 <b>${tr(quiz, "results_avg_score")}</b> ${avgScore.toFixed(1)} ${tr(quiz, "results_points_word")}\n`;
 
       const totalCorrect = participants.reduce(
         (sum, p) => sum + p.correctAnswers,
         0
       );
       const avgCorrect = totalCorrect / participants.length;
-      stats += `✅ <b>Avg Correct:</b> ${avgCorrect.toFixed(1)}/${
+      stats += `✅ <b>${tr(quiz, "results_avg_correct")}</b> ${avgCorrect.toFixed(1)}/${
         quiz.questions.length
       }\n`;
 
@@ -1331,10 +1980,10 @@ function calculateResults(quiz) {
         const streakChampion = participants.find(
           (p) => p.maxStreak === maxStreak
         );
-        const streakName = streakChampion.username
-          ? `@${streakChampion.username}`
-          : streakChampion.firstName;
-        stats += `🔥 <b>Longest Streak:</b> ${streakName} (${maxStreak} questions)\n`;
+        const streakName = utils.escapeHTML(
+          streakChampion.username ? `@${streakChampion.username}` : streakChampion.firstName
+        );
+        stats += `🔥 <b>${tr(quiz, "results_longest_streak")}</b> ${streakName} (${maxStreak} ${tr(quiz, "results_questions_word")})\n`;
       }
 
       // Quiz duration
@@ -1342,16 +1991,16 @@ function calculateResults(quiz) {
         const durationMs = quiz.endTime - quiz.startTime;
         const durationMin = Math.floor(durationMs / 60000);
         const durationSec = Math.floor((durationMs % 60000) / 1000);
-        stats += `\n⏱️ <b>Quiz Time:</b> ${durationMin}m ${durationSec}s\n`;
+        stats += `\n⏱️ <b>${tr(quiz, "results_time")}</b> ${durationMin}m ${durationSec}s\n`;
       }
     }
 
     const groupMessage =
-      `🏆 <b>QUIZ COMPLETE!</b> 🏆\n` +
-      `"${quiz.title}"\n\n` +
+      `🏆 <b>${tr(quiz, "results_title")}</b> 🏆\n` +
+      `"${utils.escapeHTML(quiz.title)}"\n\n` +
       `${leaderboard}\n` +
       `${stats.length > 0 ? "━━━━━━━━━━━━━━━━\n\n" + stats : ""}\n` +
-      `🎊 Thanks for playing! Use /start_quiz to play again.`;
+      tr(quiz, "results_thanks");
 
     return { groupMessage, parse_mode: "HTML" };
   } catch (error) {
@@ -1376,6 +2025,10 @@ async function endQuiz(ctx, chatId) {
     // Update quiz status and end time
     quiz.status = "completed";
     quiz.endTime = Date.now();
+    persistQuiz(chatId, quiz);
+
+    // Remove question and leaderboard messages if the group wants a tidy chat
+    await cleanupQuizMessages(ctx, chatId, quiz);
 
     // Calculate and show results
     const results = calculateResults(quiz);
@@ -1415,25 +2068,6 @@ async function isAdmin(ctx, chatId, userId) {
   }
 }
 
-/**
- * Helper function to create a new participant record - updated for first winner scoring
- * @param {number} userId - User ID
- * @param {string} firstName - User first name
- * @param {string} username - Username (optional)
- * @returns {Object} New participant object
- */
-function createParticipant(userId, firstName, username) {
-  return {
-    userId,
-    firstName,
-    username,
-    correctAnswers: 0, // Total number of correct answers
-    score: 0, // Score (1 point per first correct answer)
-    responses: [], // All responses from this participant
-    lastResponseTime: 0, // Time of last response (for tiebreakers)
-  };
-}
-
 /**
  * Get the status of a quiz in a chat
  * @param {number} chatId - Chat ID
@@ -1443,6 +2077,121 @@ function getQuizStatus(chatId) {
   return activeQuizzes.get(chatId);
 }
 
+/**
+ * Snapshot a quiz to disk so it survives a restart. Completed quizzes
+ * have their snapshot removed.
+ * @param {number} chatId - Chat ID
+ * @param {Object} quiz - Quiz state object
+ * @returns {Promise<void>}
+ */
+function persistQuiz(chatId, quiz) {
+  if (quiz.status === "completed") {
+    return gameStore.deleteGame(chatId);
+  }
+
+  // Timer handles can't be saved; deadlines are used to re-arm them
+  const { timers, participants, ...state } = quiz;
+  return gameStore.saveGame(chatId, {
+    ...state,
+    chatId,
+    participants: Array.from(participants.values()),
+    savedAt: Date.now(),
+  });
+}
+
+/**
+ * Restore games saved before a restart and re-arm their timers
+ * @param {Object} telegram - Telegraf telegram API instance
+ * @returns {Promise<number>} Number of games resumed
+ */
+async function restoreActiveQuizzes(telegram) {
+  const games = await gameStore.loadGames();
+  let restored = 0;
+
+  for (const snapshot of games) {
+    const chatId = snapshot.chatId;
+
+    try {
+      const ctx = utils.createChatContext(telegram, chatId, { id: snapshot.adminId });
+      const { savedAt, ...state } = snapshot;
+      const quiz = {
+        ...createNewQuiz(snapshot.adminId),
+        ...state,
+        participants: new Map(
+          snapshot.participants.map((participant) => [participant.userId, participant])
+        ),
+        timers: { question: null, intermission: null, countdown: null },
+      };
+
+      if (quiz.status === "completed") {
+        await gameStore.deleteGame(chatId);
+        continue;
+      }
+
+      // Too much time has passed for the game to make sense anymore
+      if (Date.now() - savedAt > MAX_RESTORE_AGE) {
+        await gameStore.deleteGame(chatId);
+        await ctx
+          .replyWithHTML(
+            `<b>⚠️ ${tr(quiz, "restored_expired_title")}</b>\n\n` +
+              tr(quiz, "restored_expired_body", { title: utils.escapeHTML(quiz.title) })
+          )
+          .catch((error) => logger.error("Failed to send expired notice:", error));
+        continue;
+      }
+
+      let notice =
+        `<b>♻️ ${tr(quiz, "restored_title")} ♻️</b>\n\n` +
+        tr(quiz, "restored_body", { title: utils.escapeHTML(quiz.title) });
+      if (quiz.status === "paused") {
+        notice += `\n\n${tr(quiz, "restored_paused")}`;
+      }
+
+      // A chat the bot can't post in anymore (removed from the group, chat deleted) would
+      // otherwise keep a game with no timers and block new quizzes there after every restart
+      let noticeMessage;
+      try {
+        noticeMessage = await ctx.replyWithHTML(notice);
+      } catch (error) {
+        logger.error(`Dropped quiz in chat ${chatId}, the chat can't be reached:`, error);
+        await gameStore.deleteGame(chatId);
+        continue;
+      }
+
+      activeQuizzes.set(chatId, quiz);
+      trackMessage(quiz, noticeMessage);
+
+      // Re-arm timers from the saved wall-clock deadlines
+      if (quiz.status === "setup") {
+        quiz.timers.countdown = setTimeout(() => nextQuestion(ctx, chatId), 3000);
+      } else if (quiz.status === "running") {
+        const remaining = quiz.questionDeadline - Date.now();
+        if (remaining > 0) {
+          armQuestionTimer(ctx, chatId, quiz, remaining);
+        } else {
+          await handleQuestionTimeout(ctx, chatId, quiz.currentQuestionIndex);
+        }
+      } else if (quiz.status === "intermission") {
+        const remaining = quiz.intermissionDeadline
+          ? quiz.intermissionDeadline - Date.now()
+          : quiz.settings.intermissionTime * 1000;
+        quiz.timers.intermission = setTimeout(
+          () => nextQuestion(ctx, chatId),
+          Math.max(remaining, 3000)
+        );
+      }
+
+      persistQuiz(chatId, quiz);
+      restored++;
+    } catch (error) {
+      logger.error(`Error restoring quiz in chat ${chatId}:`, error);
+    }
+  }
+
+  logger.info(`Restored ${restored} active quizzes`);
+  return restored;
+}
+
 /**
  * Clear all timers for a quiz
  * @param {Object} quiz - Quiz state object
@@ -1463,8 +2212,16 @@ module.exports = {
   loadAndStartQuiz,
   nextQuestion,
   processAnswer,
+  handleAnswerButton,
+  submitSelection,
+  handleTextAnswer,
   endQuiz,
+  skipQuestion,
+  pauseQuiz,
+  resumeQuiz,
+  extendQuestion,
   isAdmin,
   getQuizStatus,
+  restoreActiveQuizzes,
   runSimpleTimer,
 };
@@ -0,0 +1,214 @@
+/**
+ * Zano Quiz - Quiz Revision History
+ * Keeps a bounded list of earlier versions of each quiz so edits can be reviewed and undone
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const logger = require("./logger");
+const { migrateQuiz } = require("./quizSchema");
+
+/**
+ * Constants for Quiz History
+ */
+const HISTORY_DIR = path.join(__dirname, "../data/history");
+const MAX_REVISIONS = 20; // Oldest revisions are dropped beyond this
+
+/**
+ * Create necessary directories if they don't exist
+ * @returns {Promise<void>}
+ */
+async function ensureHistoryDir() {
+  try {
+    await fs.mkdir(HISTORY_DIR, { recursive: true });
+  } catch (error) {
+    logger.error("Error creating history directory:", error);
+    throw new Error("Failed to create history directory. Check file permissions.");
+  }
+}
+
+/**
+ * Copy the versioned fields of a quiz (title, category, timer settings and questions)
+ * @param {Object} quiz - Quiz data
+ * @returns {Object} Snapshot of the tracked fields
+ */
+function takeSnapshot(quiz) {
+  return JSON.parse(
+    JSON.stringify({
+      schemaVersion: quiz.schemaVersion,
+      title: quiz.title,
+      category: quiz.category || "Uncategorized",
+      settings: quiz.settings || {},
+      questions: quiz.questions || [],
+    })
+  );
+}
+
+/**
+ * Upgrade a stored snapshot to the current schema, so restoring it doesn't bring back
+ * missing settings the quiz migrations have since filled in
+ * @param {Object} snapshot - Snapshot as stored
+ * @returns {Object} Snapshot at the current schema version
+ */
+function upgradeSnapshot(snapshot) {
+  const quiz = { ...snapshot };
+  migrateQuiz(quiz);
+  return takeSnapshot(quiz);
+}
+
+/**
+ * Describe what changed between two snapshots
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {Array<string>} Human readable change lines (empty if nothing changed)
+ */
+function describeChanges(before, after) {
+  const changes = [];
+
+  if (before.title !== after.title) {
+    changes.push(`Title: "${before.title}" → "${after.title}"`);
+  }
+
+  if (before.category !== after.category) {
+    changes.push(`Category: ${before.category} → ${after.category}`);
+  }
+
+  const timerBefore = before.settings.questionTime;
+  const timerAfter = after.settings.questionTime;
+  if (timerBefore !== timerAfter) {
+    changes.push(`Timer: ${timerBefore}s → ${timerAfter}s`);
+  }
+
+  const questionsBefore = before.questions || [];
+  const questionsAfter = after.questions || [];
+  if (questionsBefore.length !== questionsAfter.length) {
+    changes.push(`Questions: ${questionsBefore.length} → ${questionsAfter.length}`);
+  }
+
+  let edited = 0;
+  for (let i = 0; i < Math.min(questionsBefore.length, questionsAfter.length); i++) {
+    if (JSON.stringify(questionsBefore[i]) !== JSON.stringify(questionsAfter[i])) {
+      edited++;
+    }
+  }
+  if (edited > 0) {
+    changes.push(`${edited} question${edited !== 1 ? "s" : ""} edited`);
+  }
+
+  return changes;
+}
+
+/**
+ * Get the revisions of a quiz
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<Array<Object>>} Revisions, oldest first
+ */
+async function getHistory(quizId) {
+  try {
+    const data = await fs.readFile(path.join(HISTORY_DIR, `${quizId}.json`), "utf8");
+    const revisions = JSON.parse(data).revisions || [];
+    return revisions.map((revision) => ({
+      ...revision,
+      snapshot: upgradeSnapshot(revision.snapshot),
+    }));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error(`Error reading history for quiz ${quizId}:`, error);
+    }
+    return [];
+  }
+}
+
+/**
+ * Get a single revision of a quiz
+ * @param {string} quizId - Quiz ID
+ * @param {number} version - Revision number
+ * @returns {Promise<Object|null>} Revision or null if it isn't kept anymore
+ */
+async function getRevision(quizId, version) {
+  const revisions = await getHistory(quizId);
+  return revisions.find((revision) => revision.version === version) || null;
+}
+
+/**
+ * Write the revisions of a quiz
+ * @param {string} quizId - Quiz ID
+ * @param {Array<Object>} revisions - Revisions, oldest first
+ * @returns {Promise<void>}
+ */
+async function writeHistory(quizId, revisions) {
+  await ensureHistoryDir();
+  const historyPath = path.join(HISTORY_DIR, `${quizId}.json`);
+  const tempPath = `${historyPath}.tmp`;
+
+  await fs.writeFile(tempPath, JSON.stringify({ quizId, revisions }, null, 2));
+  await fs.rename(tempPath, historyPath);
+}
+
+/**
+ * Record an update of a quiz as a new revision.
+ * Must be called while the quiz is locked for writing.
+ * @param {Object} previous - Quiz data before the update
+ * @param {Object} updated - Quiz data after the update
+ * @param {number} userId - ID of the user who made the change
+ * @param {string} note - Optional note, e.g. which version was restored
+ * @returns {Promise<Object|null>} The new revision, or null if no tracked field changed
+ */
+async function recordRevision(previous, updated, userId, note = null) {
+  const before = takeSnapshot(previous);
+  const after = takeSnapshot(updated);
+  const changes = describeChanges(before, after);
+
+  if (changes.length === 0) {
+    return null;
+  }
+
+  const revisions = await getHistory(updated.id);
+
+  // The first edit also keeps the version it started from
+  if (revisions.length === 0) {
+    revisions.push({
+      version: 1,
+      createdAt: previous.updatedAt || previous.createdAt,
+      changedBy: previous.creator,
+      note: "Original version",
+      changes: [],
+      snapshot: before,
+    });
+  }
+
+  const revision = {
+    version: revisions[revisions.length - 1].version + 1,
+    createdAt: updated.updatedAt,
+    changedBy: userId,
+    note,
+    changes,
+    snapshot: after,
+  };
+  revisions.push(revision);
+
+  await writeHistory(updated.id, revisions.slice(-MAX_REVISIONS));
+  return revision;
+}
+
+/**
+ * Delete the history of a quiz
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<void>}
+ */
+async function deleteHistory(quizId) {
+  try {
+    await fs.unlink(path.join(HISTORY_DIR, `${quizId}.json`));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error(`Error deleting history for quiz ${quizId}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  getHistory,
+  getRevision,
+  recordRevision,
+  deleteHistory,
+  MAX_REVISIONS,
+};
@@ -1,83 +1,115 @@
 /**
  * Zano Quiz - Quiz Storage and Management Module
- * Handles the persistence of quizzes to the filesystem with enhanced privacy
+ * Handles the persistence of quizzes through the configured store with enhanced privacy
  */
-const fs = require("fs").promises;
-const path = require("path");
 const { v4: uuidv4 } = require("uuid");
+const { getQuizStore } = require("./storage");
+const quizHistory = require("./quizHistory");
+const quizTrash = require("./quizTrash");
+const { migrateQuiz, validateQuiz } = require("./quizSchema");
+const { QUIZ_CONSTRAINTS } = require("./constants");
 const logger = require("./logger");
 
 /**
  * Constants for Quiz Management
  */
-const QUIZ_DIR = path.join(__dirname, "../data/quizzes");
-const MAX_QUIZZES_PER_USER = 100; // Limit quizzes per user
+const MAX_QUIZZES_PER_USER = 100; // Limit quizzes per user (deleted quizzes don't count)
+const TRASH_SWEEP_INTERVAL = 6 * 60 * 60 * 1000; // Check for expired deleted quizzes every 6 hours
 
 /**
- * Create necessary directories if they don't exist
+ * Tail of the mutation queue of each quiz (quizId -> Promise)
+ */
+const quizLocks = new Map();
+
+/**
+ * Run a read-modify-write of a quiz after any mutation already queued for it
+ * @param {string} quizId - Quiz ID
+ * @param {Function} task - Async function performing the mutation
+ * @returns {Promise<*>} Result of the task
+ */
+function withQuizLock(quizId, task) {
+  const previous = quizLocks.get(quizId) || Promise.resolve();
+  const result = previous.then(task);
+  const tail = result.catch(() => {});
+
+  quizLocks.set(quizId, tail);
+  tail.then(() => {
+    if (quizLocks.get(quizId) === tail) {
+      quizLocks.delete(quizId);
+    }
+  });
+  return result;
+}
+
+/**
+ * Upgrade a list of loaded quizzes to the current schema
+ * @param {Array} quizzes - Quizzes as stored
+ * @returns {Array} The quizzes that could be upgraded, upgraded in place; the others are
+ *   left out so one bad document doesn't break the whole listing
+ */
+function migrateAll(quizzes) {
+  return quizzes.filter((quiz) => {
+    try {
+      migrateQuiz(quiz);
+      return true;
+    } catch (error) {
+      logger.error(`Skipped quiz ${quiz.id || "(no id)"} that could not be upgraded:`, error);
+      return false;
+    }
+  });
+}
+
+/**
+ * Sort quizzes by last update (newest first)
+ * @param {Array} quizzes - Quizzes to sort in place
+ * @returns {Array} The sorted quizzes
+ */
+function sortByRecent(quizzes) {
+  return quizzes.sort((a, b) => {
+    // Default to createdAt if updatedAt doesn't exist
+    const dateA = b.updatedAt || b.createdAt;
+    const dateB = a.updatedAt || a.createdAt;
+    return dateA - dateB;
+  });
+}
+
+/**
+ * Open the quiz store and load its index, so the first listing isn't slow
  * @returns {Promise<void>}
  */
-async function ensureQuizDir() {
+async function initStorage() {
   try {
-    await fs.mkdir(QUIZ_DIR, { recursive: true });
+    await getQuizStore().init();
   } catch (error) {
-    logger.error("Error creating quiz directory:", error);
-    throw new Error("Failed to create quiz directory. Check file permissions.");
+    logger.error("Error initializing quiz storage:", error);
   }
 }
 
 /**
- * Save a quiz to the file system
+ * Save a quiz to the quiz store
  * @param {Object} quizData - Quiz data to save
  * @returns {Promise<string>} - ID of the saved quiz
  */
 async function saveQuiz(quizData) {
   try {
-    // Ensure directory exists
-    await ensureQuizDir();
-
     // Validate quiz data
-    if (!quizData || !quizData.id || !quizData.creator || !quizData.questions) {
+    if (!quizData || !quizData.id || !quizData.creator) {
       throw new Error("Invalid quiz data");
     }
 
-    // Validate quiz has questions
-    if (!Array.isArray(quizData.questions) || quizData.questions.length === 0) {
-      throw new Error("Quiz must have at least one question");
+    // Make sure the title, questions and settings are usable
+    const problems = validateQuiz(quizData);
+    if (problems.length > 0) {
+      throw new Error(`Invalid quiz data: ${problems.join("; ")}`);
     }
 
-    // Make sure quiz questions have all required fields
-    quizData.questions.forEach((question, index) => {
-      if (
-        !question.text ||
-        !Array.isArray(question.options) ||
-        question.correctAnswer === undefined
-      ) {
-        throw new Error(`Invalid question data at index ${index}`);
-      }
-    });
+    // Fill in defaults and stamp the current schema version
+    migrateQuiz(quizData);
 
-    // Set updated timestamp
-    quizData.updatedAt = Date.now();
-    
-    // Ensure shared status is defined
-    if (quizData.shared === undefined) {
-      quizData.shared = false;
-    }
-    
-    // Ensure sharedWith array exists
-    if (!Array.isArray(quizData.sharedWith)) {
-      quizData.sharedWith = [];
-    }
-    
-    // Ensure category exists
-    if (!quizData.category) {
-      quizData.category = "Uncategorized";
-    }
+    // Set updated timestamp, always moving forward so it can serve as a version
+    quizData.updatedAt = Math.max(Date.now(), (quizData.updatedAt || 0) + 1);
 
-    // Write quiz to file
-    const quizPath = path.join(QUIZ_DIR, `${quizData.id}.json`);
-    await fs.writeFile(quizPath, JSON.stringify(quizData, null, 2));
+    await getQuizStore().save(quizData);
 
     logger.info(`Quiz saved with ID: ${quizData.id}`);
     return quizData.id;
@@ -95,16 +127,21 @@ async function saveQuiz(quizData) {
  */
 async function getQuiz(quizId, requestingUserId = null) {
   try {
-    const quizPath = path.join(QUIZ_DIR, `${quizId}.json`);
-    const quizData = await fs.readFile(quizPath, "utf8");
-    const quiz = JSON.parse(quizData);
-    
+    const quiz = await getQuizStore().get(quizId);
+    if (!quiz) {
+      logger.warn(`Quiz not found: ${quizId}`);
+      return null;
+    }
+
+    // Older documents are upgraded in memory; the next save persists it
+    migrateQuiz(quiz);
+
     // If requesting user ID is provided, verify access
     if (requestingUserId !== null) {
       const hasAccess = 
         quiz.creator === requestingUserId || 
         quiz.shared === true || 
-        (Array.isArray(quiz.sharedWith) && quiz.sharedWith.includes(requestingUserId));
+        quiz.sharedWith.includes(requestingUserId);
       
       if (!hasAccess) {
         logger.warn(`Unauthorized quiz access attempt: User ${requestingUserId} tried to access quiz ${quizId}`);
@@ -114,11 +151,6 @@ async function getQuiz(quizId, requestingUserId = null) {
     
     return quiz;
   } catch (error) {
-    if (error.code === "ENOENT") {
-      logger.warn(`Quiz not found: ${quizId}`);
-      return null;
-    }
-
     logger.error(`Error reading quiz ${quizId}:`, error);
     return null;
   }
@@ -131,43 +163,12 @@ async function getQuiz(quizId, requestingUserId = null) {
  */
 async function getQuizzesByCreator(creatorId) {
   try {
-    // Ensure directory exists
-    await ensureQuizDir();
-
-    // Get all quiz files
-    const files = await fs.readdir(QUIZ_DIR);
-    const quizzes = [];
-
-    // Read and filter quizzes by creator
-    for (const file of files) {
-      if (file.endsWith(".json")) {
-        try {
-          const quizPath = path.join(QUIZ_DIR, file);
-          const quizData = await fs.readFile(quizPath, "utf8");
-          const quiz = JSON.parse(quizData);
-
-          if (quiz.creator === creatorId) {
-            quizzes.push(quiz);
-          }
-        } catch (fileErr) {
-          logger.error(`Error reading quiz file ${file}:`, fileErr);
-          // Continue to next file
-        }
-      }
-    }
-
-    // Sort by creation date (newest first)
-    quizzes.sort((a, b) => {
-      // Default to createdAt if updatedAt doesn't exist
-      const dateA = b.updatedAt || b.createdAt;
-      const dateB = a.updatedAt || a.createdAt;
-      return dateA - dateB;
-    });
+    const quizzes = sortByRecent(migrateAll(await getQuizStore().listByCreator(creatorId)));
 
     logger.info(`Found ${quizzes.length} quizzes for creator ${creatorId}`);
     return quizzes;
   } catch (error) {
-    logger.error("Error reading quizzes directory:", error);
+    logger.error("Error listing quizzes:", error);
     return [];
   }
 }
@@ -179,47 +180,12 @@ async function getQuizzesByCreator(creatorId) {
  */
 async function getQuizzesSharedWithUser(userId) {
   try {
-    // Ensure directory exists
-    await ensureQuizDir();
-
-    // Get all quiz files
-    const files = await fs.readdir(QUIZ_DIR);
-    const quizzes = [];
-
-    // Read and filter quizzes that are shared with the user
-    for (const file of files) {
-      if (file.endsWith(".json")) {
-        try {
-          const quizPath = path.join(QUIZ_DIR, file);
-          const quizData = await fs.readFile(quizPath, "utf8");
-          const quiz = JSON.parse(quizData);
-
-          // Check if quiz is publicly shared or specifically shared with this user
-          if (
-            quiz.creator !== userId && // Not created by this user
-            (quiz.shared === true || // Publicly shared
-             (Array.isArray(quiz.sharedWith) && quiz.sharedWith.includes(userId))) // Shared with this user
-          ) {
-            quizzes.push(quiz);
-          }
-        } catch (fileErr) {
-          logger.error(`Error reading quiz file ${file}:`, fileErr);
-          // Continue to next file
-        }
-      }
-    }
-
-    // Sort by creation date (newest first)
-    quizzes.sort((a, b) => {
-      const dateA = b.updatedAt || b.createdAt;
-      const dateB = a.updatedAt || a.createdAt;
-      return dateA - dateB;
-    });
+    const quizzes = sortByRecent(migrateAll(await getQuizStore().listSharedWith(userId)));
 
     logger.info(`Found ${quizzes.length} quizzes shared with user ${userId}`);
     return quizzes;
   } catch (error) {
-    logger.error("Error reading quizzes directory:", error);
+    logger.error("Error listing quizzes:", error);
     return [];
   }
 }
@@ -233,59 +199,56 @@ async function getQuizzesSharedWithUser(userId) {
  * @returns {Promise<Object>} - Result object with success flag and message
  */
 async function shareQuiz(quizId, creatorId, isPublic = false, userIds = []) {
-  try {
-    // Get quiz data first
-    const quiz = await getQuiz(quizId);
-
-    // Check if quiz exists and belongs to the creator
-    if (!quiz) {
-      return { success: false, message: "Quiz not found." };
-    }
+  return withQuizLock(quizId, async () => {
+    try {
+      // Get quiz data first
+      const quiz = await getQuiz(quizId);
+
+      // Check if quiz exists and belongs to the creator
+      if (!quiz) {
+        return { success: false, message: "Quiz not found." };
+      }
 
-    if (quiz.creator !== creatorId) {
-      logger.warn(
-        `Unauthorized share attempt for quiz ${quizId} by user ${creatorId}`
-      );
-      return {
-        success: false,
-        message: "You don't have permission to share this quiz.",
-      };
-    }
+      if (quiz.creator !== creatorId) {
+        logger.warn(
+          `Unauthorized share attempt for quiz ${quizId} by user ${creatorId}`
+        );
+        return {
+          success: false,
+          message: "You don't have permission to share this quiz.",
+        };
+      }
 
-    // Update sharing settings
-    quiz.shared = isPublic;
+      // Update sharing settings
+      quiz.shared = isPublic;
     
-    if (!isPublic && Array.isArray(userIds) && userIds.length > 0) {
-      // Ensure shared with array exists
-      if (!Array.isArray(quiz.sharedWith)) {
-        quiz.sharedWith = [];
+      if (!isPublic && Array.isArray(userIds) && userIds.length > 0) {
+        // Add new users while preventing duplicates
+        userIds.forEach(userId => {
+          if (!quiz.sharedWith.includes(userId)) {
+            quiz.sharedWith.push(userId);
+          }
+        });
       }
-      
-      // Add new users while preventing duplicates
-      userIds.forEach(userId => {
-        if (!quiz.sharedWith.includes(userId)) {
-          quiz.sharedWith.push(userId);
-        }
-      });
-    }
 
-    // Save the updated quiz
-    await saveQuiz(quiz);
+      // Save the updated quiz
+      await saveQuiz(quiz);
 
-    logger.info(`Quiz ${quizId} sharing updated by creator ${creatorId}`);
-    return { 
-      success: true, 
-      message: isPublic 
-        ? "Quiz is now publicly shared." 
-        : `Quiz shared with ${userIds.length} users.` 
-    };
-  } catch (error) {
-    logger.error(`Error sharing quiz ${quizId}:`, error);
-    return {
-      success: false,
-      message: "Error sharing quiz. Please try again later.",
-    };
-  }
+      logger.info(`Quiz ${quizId} sharing updated by creator ${creatorId}`);
+      return { 
+        success: true, 
+        message: isPublic 
+          ? "Quiz is now publicly shared." 
+          : `Quiz shared with ${userIds.length} users.` 
+      };
+    } catch (error) {
+      logger.error(`Error sharing quiz ${quizId}:`, error);
+      return {
+        success: false,
+        message: "Error sharing quiz. Please try again later.",
+      };
+    }
+  });
 }
 
 /**
@@ -296,94 +259,221 @@ async function shareQuiz(quizId, creatorId, isPublic = false, userIds = []) {
  * @returns {Promise<Object>} - Result object with success flag and message
  */
 async function unshareQuiz(quizId, creatorId, userIds = []) {
-  try {
-    // Get quiz data first
-    const quiz = await getQuiz(quizId);
+  return withQuizLock(quizId, async () => {
+    try {
+      // Get quiz data first
+      const quiz = await getQuiz(quizId);
+
+      // Check if quiz exists and belongs to the creator
+      if (!quiz) {
+        return { success: false, message: "Quiz not found." };
+      }
 
-    // Check if quiz exists and belongs to the creator
-    if (!quiz) {
-      return { success: false, message: "Quiz not found." };
-    }
+      if (quiz.creator !== creatorId) {
+        logger.warn(
+          `Unauthorized unshare attempt for quiz ${quizId} by user ${creatorId}`
+        );
+        return {
+          success: false,
+          message: "You don't have permission to modify this quiz's sharing.",
+        };
+      }
+
+      // If no specific users provided, make quiz completely private
+      if (!Array.isArray(userIds) || userIds.length === 0) {
+        quiz.shared = false;
+        quiz.sharedWith = [];
+      } else {
+        // Remove specific users from sharedWith array
+        quiz.sharedWith = quiz.sharedWith.filter(
+          userId => !userIds.includes(userId)
+        );
+      }
 
-    if (quiz.creator !== creatorId) {
-      logger.warn(
-        `Unauthorized unshare attempt for quiz ${quizId} by user ${creatorId}`
-      );
+      // Save the updated quiz
+      await saveQuiz(quiz);
+
+      logger.info(`Quiz ${quizId} sharing updated by creator ${creatorId}`);
+      return { 
+        success: true, 
+        message: "Quiz sharing updated successfully." 
+      };
+    } catch (error) {
+      logger.error(`Error updating quiz sharing ${quizId}:`, error);
       return {
         success: false,
-        message: "You don't have permission to modify this quiz's sharing.",
+        message: "Error updating quiz sharing. Please try again later.",
       };
     }
+  });
+}
 
-    // If no specific users provided, make quiz completely private
-    if (!Array.isArray(userIds) || userIds.length === 0) {
-      quiz.shared = false;
-      quiz.sharedWith = [];
-    } else {
-      // Remove specific users from sharedWith array
-      if (Array.isArray(quiz.sharedWith)) {
-        quiz.sharedWith = quiz.sharedWith.filter(
-          userId => !userIds.includes(userId)
+/**
+ * Move a quiz to its creator's trash if it belongs to the specified creator.
+ * It can be restored until the trash retention runs out.
+ * @param {string} quizId - ID of the quiz to delete
+ * @param {number} creatorId - ID of the requesting user
+ * @returns {Promise<Object>} - Result object with success flag and message
+ */
+async function deleteQuiz(quizId, creatorId) {
+  return withQuizLock(quizId, async () => {
+    try {
+      // Get quiz data first
+      const quiz = await getQuiz(quizId);
+
+      // Check if quiz exists and belongs to the creator
+      if (!quiz) {
+        return { success: false, message: "Quiz not found." };
+      }
+
+      if (quiz.creator !== creatorId) {
+        logger.warn(
+          `Unauthorized delete attempt for quiz ${quizId} by user ${creatorId}`
         );
+        return {
+          success: false,
+          message: "You don't have permission to delete this quiz.",
+        };
       }
-    }
 
-    // Save the updated quiz
-    await saveQuiz(quiz);
+      // Trash first so a failed removal never loses the quiz
+      await quizTrash.addToTrash(quiz);
+      await getQuizStore().remove(quizId);
 
-    logger.info(`Quiz ${quizId} sharing updated by creator ${creatorId}`);
-    return { 
-      success: true, 
-      message: "Quiz sharing updated successfully." 
-    };
+      logger.info(`Quiz ${quizId} moved to trash by creator ${creatorId}`);
+      return {
+        success: true,
+        message: "Quiz moved to Recently deleted. You can restore it for 30 days.",
+      };
+    } catch (error) {
+      logger.error(`Error deleting quiz ${quizId}:`, error);
+      return {
+        success: false,
+        message: "Error deleting quiz. Please try again later.",
+      };
+    }
+  });
+}
+
+/**
+ * Get the quizzes a user deleted that can still be restored
+ * @param {number} userId - ID of the user
+ * @returns {Promise<Array>} - Trash entries ({quiz, deletedAt, expiresAt}), most recent first
+ */
+async function getDeletedQuizzes(userId) {
+  try {
+    const now = Date.now();
+    const entries = await quizTrash.getTrash(userId);
+    return entries
+      .filter((entry) => entry.expiresAt > now)
+      .map((entry) => {
+        migrateQuiz(entry.quiz);
+        return entry;
+      });
   } catch (error) {
-    logger.error(`Error updating quiz sharing ${quizId}:`, error);
-    return {
-      success: false,
-      message: "Error updating quiz sharing. Please try again later.",
-    };
+    logger.error(`Error reading deleted quizzes of user ${userId}:`, error);
+    return [];
   }
 }
 
 /**
- * Delete a quiz by ID if it belongs to the specified creator
- * @param {string} quizId - ID of the quiz to delete
- * @param {number} creatorId - ID of the requesting user
+ * Restore a quiz from the user's trash
+ * @param {string} quizId - ID of the deleted quiz
+ * @param {number} userId - ID of the requesting user
  * @returns {Promise<Object>} - Result object with success flag and message
  */
-async function deleteQuiz(quizId, creatorId) {
-  try {
-    // Get quiz data first
-    const quiz = await getQuiz(quizId);
+async function restoreDeletedQuiz(quizId, userId) {
+  return withQuizLock(quizId, async () => {
+    try {
+      const entry = await quizTrash.getTrashEntry(userId, quizId);
 
-    // Check if quiz exists and belongs to the creator
-    if (!quiz) {
-      return { success: false, message: "Quiz not found." };
+      if (!entry || entry.expiresAt <= Date.now()) {
+        return { success: false, message: "This quiz is no longer in your trash." };
+      }
+
+      if (await hasReachedQuizLimit(userId)) {
+        return {
+          success: false,
+          message: `You already have ${MAX_QUIZZES_PER_USER} quizzes. Delete one before restoring this quiz.`,
+        };
+      }
+
+      await saveQuiz(entry.quiz);
+      await quizTrash.removeFromTrash(userId, quizId);
+
+      logger.info(`Quiz ${quizId} restored from trash by user ${userId}`);
+      return { success: true, message: `"${entry.quiz.title}" was restored.` };
+    } catch (error) {
+      logger.error(`Error restoring quiz ${quizId} from trash:`, error);
+      return {
+        success: false,
+        message: "Error restoring quiz. Please try again later.",
+      };
     }
+  });
+}
+
+/**
+ * Permanently delete a quiz from the user's trash
+ * @param {string} quizId - ID of the deleted quiz
+ * @param {number} userId - ID of the requesting user
+ * @returns {Promise<Object>} - Result object with success flag and message
+ */
+async function deleteQuizForever(quizId, userId) {
+  return withQuizLock(quizId, async () => {
+    try {
+      if (!(await quizTrash.removeFromTrash(userId, quizId))) {
+        return { success: false, message: "This quiz is no longer in your trash." };
+      }
 
-    if (quiz.creator !== creatorId) {
-      logger.warn(
-        `Unauthorized delete attempt for quiz ${quizId} by user ${creatorId}`
-      );
+      await quizHistory.deleteHistory(quizId);
+
+      logger.info(`Quiz ${quizId} permanently deleted by user ${userId}`);
+      return { success: true, message: "Quiz deleted forever." };
+    } catch (error) {
+      logger.error(`Error permanently deleting quiz ${quizId}:`, error);
       return {
         success: false,
-        message: "You don't have permission to delete this quiz.",
+        message: "Error deleting quiz. Please try again later.",
       };
     }
+  });
+}
+
+/**
+ * Permanently delete every trashed quiz past its retention
+ * @returns {Promise<number>} - Number of quizzes purged
+ */
+async function purgeExpiredQuizzes() {
+  let purged = 0;
+
+  try {
+    const expired = await quizTrash.getExpiredEntries();
 
-    // Delete the quiz file
-    const quizPath = path.join(QUIZ_DIR, `${quizId}.json`);
-    await fs.unlink(quizPath);
+    for (const entry of expired) {
+      const result = await deleteQuizForever(entry.quiz.id, entry.quiz.creator);
+      if (result.success) {
+        purged++;
+      }
+    }
 
-    logger.info(`Quiz ${quizId} deleted by creator ${creatorId}`);
-    return { success: true, message: "Quiz deleted successfully." };
+    if (purged > 0) {
+      logger.info(`Purged ${purged} expired quizzes from the trash`);
+    }
   } catch (error) {
-    logger.error(`Error deleting quiz ${quizId}:`, error);
-    return {
-      success: false,
-      message: "Error deleting quiz. Please try again later.",
-    };
+    logger.error("Error purging expired quizzes:", error);
   }
+
+  return purged;
+}
+
+/**
+ * Purge expired trash now and then periodically
+ * @returns {Object} Interval handle
+ */
+function startTrashSweep() {
+  purgeExpiredQuizzes();
+  return setInterval(purgeExpiredQuizzes, TRASH_SWEEP_INTERVAL);
 }
 
 /**
@@ -438,57 +528,251 @@ async function copyQuiz(quizId, userId, newTitle = null) {
 }
 
 /**
- * Update an existing quiz
- * @param {string} quizId - ID of the quiz to update
- * @param {Object} updatedData - New quiz data to apply
+ * Create a new quiz from imported questions
+ * @param {Object} creator - Creator info ({ id, firstName, username })
+ * @param {Object} quizFields - Quiz fields (title, questions, optional category and settings)
+ * @returns {Promise<Object>} - Result object with success flag, message and new quiz ID
+ */
+async function createImportedQuiz(creator, quizFields) {
+  try {
+    if (await hasReachedQuizLimit(creator.id)) {
+      return {
+        success: false,
+        message: `You've reached the limit of ${MAX_QUIZZES_PER_USER} quizzes. Delete some quizzes before importing new ones.`,
+      };
+    }
+
+    if (quizFields.questions.length > QUIZ_CONSTRAINTS.MAX_QUESTIONS) {
+      return {
+        success: false,
+        message: `A quiz can have at most ${QUIZ_CONSTRAINTS.MAX_QUESTIONS} questions, this import has ${quizFields.questions.length}.`,
+      };
+    }
+
+    const newQuiz = {
+      ...quizFields,
+      category: quizFields.category || "Uncategorized",
+      id: uuidv4(),
+      creator: creator.id,
+      creatorName: creator.firstName || null,
+      creatorUsername: creator.username || null,
+      createdAt: Date.now(),
+      shared: false,
+      sharedWith: [],
+    };
+
+    await saveQuiz(newQuiz);
+
+    logger.info(
+      `Quiz ${newQuiz.id} imported by user ${creator.id} with ${newQuiz.questions.length} questions`
+    );
+    return {
+      success: true,
+      message: "Quiz imported successfully.",
+      quizId: newQuiz.id,
+    };
+  } catch (error) {
+    logger.error(`Error importing quiz for user ${creator.id}:`, error);
+    return {
+      success: false,
+      message: "Error importing quiz. Please try again later.",
+    };
+  }
+}
+
+/**
+ * Add imported questions to the end of an existing quiz
+ * @param {string} quizId - ID of the quiz
+ * @param {Array<Object>} questions - Questions to add
  * @param {number} creatorId - ID of the requesting user
- * @returns {Promise<Object>} - Result object with success flag and message
+ * @returns {Promise<Object>} - Result object with success flag, message and new question count
  */
-async function updateQuiz(quizId, updatedData, creatorId) {
+async function appendQuestions(quizId, questions, creatorId) {
   try {
-    // Get quiz data first
     const quiz = await getQuiz(quizId);
 
-    // Check if quiz exists and belongs to the creator
-    if (!quiz) {
+    if (!quiz || quiz.creator !== creatorId) {
       return { success: false, message: "Quiz not found." };
     }
 
-    if (quiz.creator !== creatorId) {
-      logger.warn(
-        `Unauthorized update attempt for quiz ${quizId} by user ${creatorId}`
-      );
+    const total = quiz.questions.length + questions.length;
+    if (total > QUIZ_CONSTRAINTS.MAX_QUESTIONS) {
       return {
         success: false,
-        message: "You don't have permission to update this quiz.",
+        message:
+          `"${quiz.title}" has ${quiz.questions.length} questions; adding ${questions.length} ` +
+          `would go over the limit of ${QUIZ_CONSTRAINTS.MAX_QUESTIONS}.`,
       };
     }
 
-    // Ensure critical properties can't be changed
-    const protectedProps = {
-      id: quiz.id,
-      creator: quiz.creator,
-      createdAt: quiz.createdAt,
+    // Based on the version read above, so a concurrent edit isn't overwritten
+    const result = await updateQuiz(
+      quizId,
+      { questions: [...quiz.questions, ...questions] },
+      creatorId,
+      {
+        expectedUpdatedAt: quiz.updatedAt,
+        note: `Imported ${questions.length} question${questions.length !== 1 ? "s" : ""}`,
+      }
+    );
+
+    return result.success ? { ...result, questionCount: total } : result;
+  } catch (error) {
+    logger.error(`Error appending questions to quiz ${quizId}:`, error);
+    return {
+      success: false,
+      message: "Error adding questions. Please try again later.",
     };
+  }
+}
+
+/**
+ * Update an existing quiz
+ * @param {string} quizId - ID of the quiz to update
+ * @param {Object} updatedData - New quiz data to apply
+ * @param {number} creatorId - ID of the requesting user
+ * @param {Object} options - Update options
+ * @param {number} options.expectedUpdatedAt - updatedAt of the version the edit was based on;
+ *   the update is rejected if the quiz changed since
+ * @param {string} options.note - Note stored with the revision
+ * @returns {Promise<Object>} - Result object with success flag, message and new updatedAt
+ */
+async function updateQuiz(quizId, updatedData, creatorId, options = {}) {
+  return withQuizLock(quizId, async () => {
+    try {
+      // Get quiz data first
+      const quiz = await getQuiz(quizId);
+
+      // Check if quiz exists and belongs to the creator
+      if (!quiz) {
+        return { success: false, message: "Quiz not found." };
+      }
+
+      if (quiz.creator !== creatorId) {
+        logger.warn(
+          `Unauthorized update attempt for quiz ${quizId} by user ${creatorId}`
+        );
+        return {
+          success: false,
+          message: "You don't have permission to update this quiz.",
+        };
+      }
+
+      // Reject edits made against an older version of the quiz
+      const { expectedUpdatedAt } = options;
+      if (
+        expectedUpdatedAt !== undefined &&
+        expectedUpdatedAt !== null &&
+        quiz.updatedAt !== expectedUpdatedAt
+      ) {
+        logger.warn(`Stale update rejected for quiz ${quizId} by user ${creatorId}`);
+        return {
+          success: false,
+          conflict: true,
+          message:
+            "This quiz was changed somewhere else since you opened it. " +
+            "Your edit was not saved, please review the latest version and try again.",
+        };
+      }
+
+      // Ensure critical properties can't be changed
+      const protectedProps = {
+        id: quiz.id,
+        creator: quiz.creator,
+        createdAt: quiz.createdAt,
+      };
+
+      // Merge updated data with existing quiz, keeping protected properties
+      const updatedQuiz = {
+        ...quiz,
+        ...updatedData,
+        ...protectedProps,
+        updatedAt: quiz.updatedAt,
+      };
+
+      // Save the updated quiz
+      await saveQuiz(updatedQuiz);
+
+      // Keep the change in the history; a failure here doesn't undo the update
+      try {
+        await quizHistory.recordRevision(quiz, updatedQuiz, creatorId, options.note);
+      } catch (historyError) {
+        logger.error(`Error recording history for quiz ${quizId}:`, historyError);
+      }
+
+      logger.info(`Quiz ${quizId} updated by creator ${creatorId}`);
+      return {
+        success: true,
+        message: "Quiz updated successfully.",
+        updatedAt: updatedQuiz.updatedAt,
+      };
+    } catch (error) {
+      logger.error(`Error updating quiz ${quizId}:`, error);
+      return {
+        success: false,
+        message: "Error updating quiz. Please try again later.",
+      };
+    }
+  });
+}
 
-    // Merge updated data with existing quiz, keeping protected properties
-    const updatedQuiz = {
-      ...quiz,
-      ...updatedData,
-      ...protectedProps,
-      updatedAt: Date.now(),
+/**
+ * Get the revision history of a quiz
+ * @param {string} quizId - ID of the quiz
+ * @param {number} creatorId - ID of the requesting user
+ * @returns {Promise<Object>} - Result object with success flag, message, quiz and revisions (newest first)
+ */
+async function getQuizHistory(quizId, creatorId) {
+  const quiz = await getQuiz(quizId);
+
+  if (!quiz) {
+    return { success: false, message: "Quiz not found." };
+  }
+
+  if (quiz.creator !== creatorId) {
+    return {
+      success: false,
+      message: "You don't have permission to view this quiz's history.",
     };
+  }
+
+  const revisions = await quizHistory.getHistory(quizId);
+  return { success: true, quiz, revisions: revisions.reverse() };
+}
 
-    // Save the updated quiz
-    await saveQuiz(updatedQuiz);
+/**
+ * Restore an earlier revision of a quiz as a new version
+ * @param {string} quizId - ID of the quiz
+ * @param {number} version - Revision number to restore
+ * @param {number} creatorId - ID of the requesting user
+ * @returns {Promise<Object>} - Result object with success flag and message
+ */
+async function restoreQuizRevision(quizId, version, creatorId) {
+  try {
+    const revision = await quizHistory.getRevision(quizId, version);
 
-    logger.info(`Quiz ${quizId} updated by creator ${creatorId}`);
-    return { success: true, message: "Quiz updated successfully." };
+    if (!revision) {
+      return {
+        success: false,
+        message: "That version is no longer available.",
+      };
+    }
+
+    const result = await updateQuiz(quizId, revision.snapshot, creatorId, {
+      note: `Restored version ${version}`,
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    logger.info(`Quiz ${quizId} restored to version ${version} by creator ${creatorId}`);
+    return { ...result, message: `Version ${version} restored.` };
   } catch (error) {
-    logger.error(`Error updating quiz ${quizId}:`, error);
+    logger.error(`Error restoring quiz ${quizId} version ${version}:`, error);
     return {
       success: false,
-      message: "Error updating quiz. Please try again later.",
+      message: "Error restoring this version. Please try again later.",
     };
   }
 }
@@ -499,8 +783,12 @@ async function updateQuiz(quizId, updatedData, creatorId) {
  * @returns {Promise<number>} - Number of quizzes
  */
 async function getQuizCountByCreator(creatorId) {
-  const quizzes = await getQuizzesByCreator(creatorId);
-  return quizzes.length;
+  try {
+    return await getQuizStore().countByCreator(creatorId);
+  } catch (error) {
+    logger.error(`Error counting quizzes for creator ${creatorId}:`, error);
+    return 0;
+  }
 }
 
 /**
@@ -521,11 +809,7 @@ async function hasReachedQuizLimit(creatorId) {
  */
 async function getQuizzesByCategory(category, userId) {
   try {
-    // Get all quizzes for this user
-    const userQuizzes = await getQuizzesByCreator(userId);
-    
-    // Filter by category
-    return userQuizzes.filter(quiz => quiz.category === category);
+    return sortByRecent(migrateAll(await getQuizStore().listByCreator(userId, { category })));
   } catch (error) {
     logger.error(`Error getting quizzes by category ${category}:`, error);
     return [];
@@ -539,24 +823,7 @@ async function getQuizzesByCategory(category, userId) {
  */
 async function getUserCategories(userId) {
   try {
-    // Get all quizzes for this user
-    const userQuizzes = await getQuizzesByCreator(userId);
-    
-    // Group by category
-    const categories = {};
-    userQuizzes.forEach(quiz => {
-      const category = quiz.category || "Uncategorized";
-      if (!categories[category]) {
-        categories[category] = 0;
-      }
-      categories[category]++;
-    });
-    
-    // Convert to array format
-    return Object.keys(categories).map(category => ({
-      category,
-      count: categories[category]
-    }));
+    return await getQuizStore().categoriesByCreator(userId);
   } catch (error) {
     logger.error(`Error getting categories for user ${userId}:`, error);
     return [];
@@ -616,6 +883,7 @@ async function searchQuizzes(query, userId) {
 }
 
 module.exports = {
+  initStorage,
   saveQuiz,
   getQuiz,
   getQuizzesByCreator,
@@ -623,8 +891,17 @@ module.exports = {
   shareQuiz,
   unshareQuiz,
   deleteQuiz,
+  getDeletedQuizzes,
+  restoreDeletedQuiz,
+  deleteQuizForever,
+  purgeExpiredQuizzes,
+  startTrashSweep,
   copyQuiz,
+  createImportedQuiz,
+  appendQuestions,
   updateQuiz,
+  getQuizHistory,
+  restoreQuizRevision,
   getQuizCountByCreator,
   hasReachedQuizLimit,
   getQuizzesByCategory,
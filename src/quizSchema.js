@@ -0,0 +1,344 @@
+/**
+ * Zano Quiz - Quiz Schema Migrations
+ * Upgrades stored quiz documents to the current shape, one version step at a time
+ *
+ * Current shape (schemaVersion 2):
+ *   id, creator, creatorName (string|null), creatorUsername (string|null), title, category,
+ *   questions [{ type, text, options, correctAnswer }] (type is optional, see getQuestionType;
+ *     multi-select questions have a list of option indexes as correctAnswer and may set
+ *     partialCredit; free-text questions have acceptedAnswers and an optional typoTolerance
+ *     instead of options and correctAnswer; numeric questions have correctValue, tolerance
+ *     and an optional closestWins instead; ordering questions list their options in the
+ *     correct order, have no correctAnswer and may set partialCredit; any question may have
+ *     an explanation and a sourceUrl shown with the answer),
+ *   settings { questionTime, intermissionTime },
+ *   shared (boolean), sharedWith (number[]), originalQuizId (string|null),
+ *   createdAt, updatedAt, schemaVersion
+ */
+const { QUIZ_CONSTRAINTS, QUESTION_TYPES, TRUE_FALSE_OPTIONS } = require("./constants");
+
+/**
+ * Defaults used when a stored quiz is missing a setting
+ */
+const DEFAULT_QUESTION_TIME = 15;
+const DEFAULT_INTERMISSION_TIME = 3;
+
+/**
+ * Smallest and largest value of each timer setting, in seconds
+ */
+const TIMER_LIMITS = {
+  questionTime: [QUIZ_CONSTRAINTS.MIN_TIMER, QUIZ_CONSTRAINTS.MAX_TIMER],
+  intermissionTime: [0, QUIZ_CONSTRAINTS.MAX_TIMER],
+};
+
+/**
+ * Ordered migrations; the one at index i upgrades a quiz from version i to i + 1.
+ * Documents written before versioning existed are version 0.
+ */
+const MIGRATIONS = [
+  // 0 -> 1: sharing, category and origin fields are always present
+  (quiz) => {
+    quiz.shared = quiz.shared === true;
+    quiz.sharedWith = Array.isArray(quiz.sharedWith)
+      ? [...new Set(quiz.sharedWith.map(Number).filter(Number.isInteger))]
+      : [];
+    quiz.category = quiz.category || "Uncategorized";
+    quiz.creatorName = quiz.creatorName || null;
+    quiz.creatorUsername = quiz.creatorUsername || null;
+    quiz.originalQuizId = quiz.originalQuizId || null;
+  },
+
+  // 1 -> 2: timer settings and timestamps are always present
+  (quiz) => {
+    const settings = quiz.settings || {};
+    quiz.settings = {
+      ...settings,
+      questionTime: Number(settings.questionTime) || DEFAULT_QUESTION_TIME,
+      intermissionTime: Number(settings.intermissionTime) || DEFAULT_INTERMISSION_TIME,
+    };
+    quiz.createdAt = quiz.createdAt || quiz.updatedAt || Date.now();
+    quiz.updatedAt = quiz.updatedAt || quiz.createdAt;
+  },
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Get the schema version of a stored quiz
+ * @param {Object} quiz - Quiz data
+ * @returns {number} Schema version (0 for unversioned documents)
+ */
+function getSchemaVersion(quiz) {
+  return Number.isInteger(quiz.schemaVersion) ? quiz.schemaVersion : 0;
+}
+
+/**
+ * Get the type of a question
+ * @param {Object} question - Question data
+ * @returns {string} One of QUESTION_TYPES; questions without a type are multiple choice
+ */
+function getQuestionType(question) {
+  return (question && question.type) || QUESTION_TYPES.MULTIPLE_CHOICE;
+}
+
+/**
+ * Check that a question's correctAnswer fits its type and options
+ * @param {Object} question - Question with an options array
+ * @returns {boolean} Whether correctAnswer is valid
+ */
+function hasValidCorrectAnswer(question) {
+  const isOptionIndex = (value) =>
+    Number.isInteger(value) && value >= 0 && value < question.options.length;
+
+  if (getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT) {
+    const answers = question.correctAnswer;
+    return (
+      Array.isArray(answers) &&
+      answers.length > 0 &&
+      answers.every(isOptionIndex) &&
+      new Set(answers).size === answers.length
+    );
+  }
+
+  return isOptionIndex(question.correctAnswer);
+}
+
+/**
+ * Check the accepted answers and typo tolerance of a free-text question
+ * @param {Object} question - Free-text question
+ * @returns {string|null} Problem description, or null if the question is valid
+ */
+function checkFreeTextAnswers(question) {
+  const answers = question.acceptedAnswers;
+  if (
+    !Array.isArray(answers) ||
+    answers.length === 0 ||
+    answers.some((answer) => typeof answer !== "string" || answer.trim() === "")
+  ) {
+    return "needs at least one non-empty accepted answer";
+  }
+  if (answers.length > QUIZ_CONSTRAINTS.MAX_ACCEPTED_ANSWERS) {
+    return `has more than ${QUIZ_CONSTRAINTS.MAX_ACCEPTED_ANSWERS} accepted answers`;
+  }
+
+  const tolerance = question.typoTolerance;
+  if (
+    tolerance !== undefined &&
+    !(Number.isInteger(tolerance) && tolerance >= 0 && tolerance <= QUIZ_CONSTRAINTS.MAX_TYPO_TOLERANCE)
+  ) {
+    return `has a typoTolerance that isn't a number from 0 to ${QUIZ_CONSTRAINTS.MAX_TYPO_TOLERANCE}`;
+  }
+  return null;
+}
+
+/**
+ * Check the correct value and tolerance of a numeric question
+ * @param {Object} question - Numeric question
+ * @returns {string|null} Problem description, or null if the question is valid
+ */
+function checkNumericAnswer(question) {
+  if (typeof question.correctValue !== "number" || !Number.isFinite(question.correctValue)) {
+    return "needs a number as correctValue";
+  }
+  if (
+    typeof question.tolerance !== "number" ||
+    !Number.isFinite(question.tolerance) ||
+    question.tolerance < 0
+  ) {
+    return "needs a tolerance of 0 or more";
+  }
+  if (question.closestWins !== undefined && typeof question.closestWins !== "boolean") {
+    return "has a closestWins that isn't true or false";
+  }
+  return null;
+}
+
+/**
+ * Check the items and scoring of an ordering question
+ * @param {Object} question - Ordering question with an options array
+ * @returns {string|null} Problem description, or null if the question is valid
+ */
+function checkOrderItems(question) {
+  const { MIN_ORDER_ITEMS, MAX_ORDER_ITEMS } = QUIZ_CONSTRAINTS;
+  if (question.options.length < MIN_ORDER_ITEMS || question.options.length > MAX_ORDER_ITEMS) {
+    return `needs ${MIN_ORDER_ITEMS} to ${MAX_ORDER_ITEMS} items to put in order`;
+  }
+  if (question.partialCredit !== undefined && typeof question.partialCredit !== "boolean") {
+    return "has a partialCredit that isn't true or false";
+  }
+  return null;
+}
+
+/**
+ * Read a source link for a question
+ * @param {string} text - Link as typed, such as "https://en.wikipedia.org/wiki/Moon"
+ * @returns {string|null} The normalized http(s) URL, or null if the text isn't one
+ */
+function parseSourceUrl(text) {
+  try {
+    const url = new URL(String(text || "").trim());
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the optional explanation and source link of a question
+ * @param {Object} question - Question data
+ * @returns {string|null} Problem description, or null if they're valid
+ */
+function checkQuestionNotes(question) {
+  if (question.explanation !== undefined && typeof question.explanation !== "string") {
+    return "has an explanation that isn't text";
+  }
+  if (question.sourceUrl !== undefined && parseSourceUrl(question.sourceUrl) === null) {
+    return "has a sourceUrl that isn't an http or https link";
+  }
+  return null;
+}
+
+/**
+ * Upgrade a quiz to the current schema in place
+ * @param {Object} quiz - Quiz data
+ * @returns {boolean} Whether any migration was applied
+ */
+function migrateQuiz(quiz) {
+  const version = getSchemaVersion(quiz);
+
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Quiz ${quiz.id} has schema version ${version}, newer than supported version ${CURRENT_SCHEMA_VERSION}`
+    );
+  }
+
+  for (let step = version; step < CURRENT_SCHEMA_VERSION; step++) {
+    MIGRATIONS[step](quiz);
+  }
+
+  quiz.schemaVersion = CURRENT_SCHEMA_VERSION;
+  return version !== CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Check a timer setting against its limits
+ * @param {string} name - Setting name (questionTime or intermissionTime)
+ * @param {*} value - Setting value
+ * @returns {string|null} Problem description, or null if the value is valid
+ */
+function checkTimerSetting(name, value) {
+  const [min, max] = TIMER_LIMITS[name];
+  const seconds = Number(value);
+  return seconds >= min && seconds <= max
+    ? null
+    : `settings.${name} must be from ${min} to ${max} seconds`;
+}
+
+/**
+ * Check the content of a quiz (title, questions, settings) before it's stored
+ * @param {Object} quiz - Quiz data at the current schema version
+ * @returns {Array<string>} Problems found, empty if the quiz is valid
+ */
+function validateQuiz(quiz) {
+  const problems = [];
+
+  if (typeof quiz.title !== "string" || quiz.title.trim() === "") {
+    problems.push("title is missing");
+  } else if (quiz.title.trim().length < QUIZ_CONSTRAINTS.TITLE_MIN_LENGTH) {
+    problems.push(`title must be at least ${QUIZ_CONSTRAINTS.TITLE_MIN_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+    problems.push("quiz must have at least one question");
+    return problems;
+  }
+
+  quiz.questions.forEach((question, index) => {
+    const label = `question ${index + 1}`;
+
+    if (!question || typeof question !== "object") {
+      problems.push(`${label} is not an object`);
+      return;
+    }
+    if (typeof question.text !== "string" || question.text.trim() === "") {
+      problems.push(`${label} has no text`);
+    }
+    const notesProblem = checkQuestionNotes(question);
+    if (notesProblem) {
+      problems.push(`${label} ${notesProblem}`);
+    }
+
+    const type = getQuestionType(question);
+    if (!Object.values(QUESTION_TYPES).includes(type)) {
+      problems.push(`${label} has an unknown type "${type}"`);
+      return;
+    }
+    if (type === QUESTION_TYPES.FREE_TEXT || type === QUESTION_TYPES.NUMERIC) {
+      const problem =
+        type === QUESTION_TYPES.FREE_TEXT
+          ? checkFreeTextAnswers(question)
+          : checkNumericAnswer(question);
+      if (problem) {
+        problems.push(`${label} ${problem}`);
+      }
+      return;
+    }
+    if (
+      type === QUESTION_TYPES.TRUE_FALSE &&
+      (!Array.isArray(question.options) || question.options.length !== TRUE_FALSE_OPTIONS.length)
+    ) {
+      problems.push(`${label} is a true/false question and needs exactly 2 options`);
+      return;
+    }
+
+    if (
+      !Array.isArray(question.options) ||
+      question.options.length < 2 ||
+      question.options.some((option) => typeof option !== "string" || option.trim() === "")
+    ) {
+      problems.push(`${label} needs at least 2 non-empty options`);
+    } else if (question.options.length > QUIZ_CONSTRAINTS.MAX_OPTIONS) {
+      problems.push(`${label} has more than ${QUIZ_CONSTRAINTS.MAX_OPTIONS} options`);
+    } else if (type === QUESTION_TYPES.ORDERING) {
+      const problem = checkOrderItems(question);
+      if (problem) {
+        problems.push(`${label} ${problem}`);
+      }
+    } else if (!hasValidCorrectAnswer(question)) {
+      problems.push(
+        type === QUESTION_TYPES.MULTI_SELECT
+          ? `${label} has no valid correctAnswer (a list of different option indexes from 0)`
+          : `${label} has no valid correctAnswer (an option index from 0)`
+      );
+    } else if (question.partialCredit !== undefined && typeof question.partialCredit !== "boolean") {
+      problems.push(`${label} has a partialCredit that isn't true or false`);
+    }
+  });
+
+  if (quiz.settings !== undefined) {
+    const settings = quiz.settings || {};
+    Object.keys(TIMER_LIMITS).forEach((name) => {
+      const problem = settings[name] !== undefined && checkTimerSetting(name, settings[name]);
+      if (problem) {
+        problems.push(problem);
+      }
+    });
+  }
+
+  return problems;
+}
+
+module.exports = {
+  migrateQuiz,
+  validateQuiz,
+  getSchemaVersion,
+  getQuestionType,
+  hasValidCorrectAnswer,
+  checkFreeTextAnswers,
+  checkNumericAnswer,
+  checkOrderItems,
+  parseSourceUrl,
+  checkQuestionNotes,
+  checkTimerSetting,
+  CURRENT_SCHEMA_VERSION,
+};
@@ -0,0 +1,142 @@
+/**
+ * Zano Quiz - Quiz Trash
+ * Holds deleted quizzes for a while so they can be restored
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const logger = require("./logger");
+
+/**
+ * Constants for the Trash
+ */
+const TRASH_DIR = path.join(__dirname, "../data/trash");
+const TRASH_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Directory holding one user's deleted quizzes
+ * @param {number} userId - Owner ID
+ * @returns {string} Directory path
+ */
+function userTrashDir(userId) {
+  return path.join(TRASH_DIR, String(userId));
+}
+
+/**
+ * Put a deleted quiz in its owner's trash
+ * @param {Object} quiz - Quiz data
+ * @returns {Promise<Object>} Trash entry
+ */
+async function addToTrash(quiz) {
+  const deletedAt = Date.now();
+  const entry = {
+    quiz,
+    deletedAt,
+    expiresAt: deletedAt + TRASH_RETENTION,
+  };
+
+  const dir = userTrashDir(quiz.creator);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${quiz.id}.json`), JSON.stringify(entry, null, 2));
+  return entry;
+}
+
+/**
+ * Get one entry from a user's trash
+ * @param {number} userId - Owner ID
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<Object|null>} Trash entry or null if not in the trash
+ */
+async function getTrashEntry(userId, quizId) {
+  try {
+    const data = await fs.readFile(path.join(userTrashDir(userId), `${quizId}.json`), "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error(`Error reading trash entry ${quizId} of user ${userId}:`, error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Get the trash of a user
+ * @param {number} userId - Owner ID
+ * @returns {Promise<Array<Object>>} Trash entries, most recently deleted first
+ */
+async function getTrash(userId) {
+  let files;
+  try {
+    files = await fs.readdir(userTrashDir(userId));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error(`Error reading trash of user ${userId}:`, error);
+    }
+    return [];
+  }
+
+  const entries = [];
+  for (const file of files) {
+    if (!file.endsWith(".json")) continue;
+
+    const entry = await getTrashEntry(userId, file.replace(/\.json$/, ""));
+    if (entry) {
+      entries.push(entry);
+    }
+  }
+
+  return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Remove an entry from a user's trash
+ * @param {number} userId - Owner ID
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<boolean>} Whether an entry was removed
+ */
+async function removeFromTrash(userId, quizId) {
+  try {
+    await fs.unlink(path.join(userTrashDir(userId), `${quizId}.json`));
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+}
+
+/**
+ * Find trash entries whose retention has passed
+ * @param {number} now - Current timestamp
+ * @returns {Promise<Array<Object>>} Expired entries
+ */
+async function getExpiredEntries(now = Date.now()) {
+  let userDirs;
+  try {
+    userDirs = await fs.readdir(TRASH_DIR);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error("Error reading trash directory:", error);
+    }
+    return [];
+  }
+
+  const expired = [];
+  for (const userDir of userDirs) {
+    const entries = await getTrash(userDir);
+    entries.forEach((entry) => {
+      if (entry.expiresAt <= now) {
+        expired.push(entry);
+      }
+    });
+  }
+
+  return expired;
+}
+
+module.exports = {
+  addToTrash,
+  getTrashEntry,
+  getTrash,
+  removeFromTrash,
+  getExpiredEntries,
+  TRASH_RETENTION,
+};
@@ -8,23 +8,16 @@ const quizManager = require("./quizManager");
 const utils = require("./utils");
 const logger = require("./logger");
 const { UI } = require("./handlers");
-
-/**
- * Constants for quiz creation
- */
-const QUIZ_CONSTRAINTS = {
-  TITLE_MIN_LENGTH: 3,
-  TITLE_MAX_LENGTH: 100,
-  MIN_TIMER: 5,
-  MAX_TIMER: 60,
-  MIN_QUESTIONS: 1,
-  MAX_QUESTIONS: 50,
-  MIN_OPTIONS: 2,
-  MAX_OPTIONS: 4,
-  QUESTION_MIN_LENGTH: 5,
-  QUESTION_MAX_LENGTH: 255,
-  OPTION_MAX_LENGTH: 100,
-};
+const {
+  QUIZ_CONSTRAINTS,
+  ANSWER_LABELS,
+  QUESTION_TYPES,
+  TYPED_ANSWER_TYPES,
+  TRUE_FALSE_OPTIONS,
+  DEFAULT_TYPO_TOLERANCE,
+} = require("./constants");
+const { getQuestionType, parseSourceUrl } = require("./quizSchema");
+const { parseNumber } = require("./answerMatching");
 
 /**
  * Available quiz categories
@@ -314,13 +307,13 @@ const quizCreationScene = new Scenes.WizardScene(
             ctx.wizard.state.currentQuestion = {
               index: 0,
               text: "",
-              options: ["", "", "", ""],
-              stage: "text", // text -> options -> correct
+              options: [],
+              stage: "type", // type -> text -> options -> correct
               currentOption: 0
             };
             
             // Go to question text prompt
-            await promptForQuestionText(ctx);
+            await promptForQuestionType(ctx);
             
             return ctx.wizard.next(); // Move to question creation step
           }
@@ -359,13 +352,13 @@ const quizCreationScene = new Scenes.WizardScene(
           ctx.wizard.state.currentQuestion = {
             index: 0,
             text: "",
-            options: ["", "", "", ""],
-            stage: "text", // text -> options -> correct
+            options: [],
+            stage: "type", // type -> text -> options -> correct
             currentOption: 0
           };
           
           // Go to question text prompt
-          await promptForQuestionText(ctx);
+          await promptForQuestionType(ctx);
           
           return ctx.wizard.next(); // Move to question creation step
         } else {
@@ -407,6 +400,19 @@ const quizCreationScene = new Scenes.WizardScene(
       const currentQuestion = ctx.wizard.state.currentQuestion;
       
       // Process input based on the current stage of question creation
+      if (currentQuestion.stage === "type") {
+        if (!ctx.message || !ctx.message.text) {
+          await ctx.reply(
+            `${UI.ICONS.ERROR} Please choose a question type from the buttons.`
+          );
+          return;
+        }
+        
+        // Typing the question right away makes it a multiple choice question
+        currentQuestion.type = QUESTION_TYPES.MULTIPLE_CHOICE;
+        currentQuestion.stage = "text";
+      }
+      
       if (currentQuestion.stage === "text") {
         // Process question text input
         if (!ctx.message || !ctx.message.text) {
@@ -436,6 +442,37 @@ const quizCreationScene = new Scenes.WizardScene(
         // Save question text
         currentQuestion.text = questionText;
         
+        // True/false questions have fixed options
+        if (currentQuestion.type === QUESTION_TYPES.TRUE_FALSE) {
+          currentQuestion.options = [...TRUE_FALSE_OPTIONS];
+          currentQuestion.stage = "correct";
+          await promptForCorrectAnswer(ctx, currentQuestion);
+          return;
+        }
+        
+        // Free-text questions take accepted answers instead of options
+        if (currentQuestion.type === QUESTION_TYPES.FREE_TEXT) {
+          currentQuestion.acceptedAnswers = [];
+          currentQuestion.stage = "answers";
+          await promptForAcceptedAnswer(ctx, currentQuestion);
+          return;
+        }
+        
+        // Numeric questions take the correct number instead of options
+        if (currentQuestion.type === QUESTION_TYPES.NUMERIC) {
+          currentQuestion.stage = "value";
+          await promptForCorrectValue(ctx);
+          return;
+        }
+        
+        // Ordering questions take their items in the correct order
+        if (currentQuestion.type === QUESTION_TYPES.ORDERING) {
+          currentQuestion.options = [];
+          currentQuestion.stage = "items";
+          await promptForOrderItem(ctx, currentQuestion);
+          return;
+        }
+        
         // Move to options stage
         currentQuestion.stage = "options";
         currentQuestion.currentOption = 0;
@@ -476,8 +513,8 @@ const quizCreationScene = new Scenes.WizardScene(
         // Move to next option or to correct answer selection
         currentQuestion.currentOption++;
         
-        if (currentQuestion.currentOption < 4) {
-          // Prompt for next option
+        if (currentQuestion.currentOption < QUIZ_CONSTRAINTS.MAX_OPTIONS) {
+          // Prompt for next option, offering to stop once there are enough
           await promptForOption(ctx, currentQuestion.currentOption);
         } else {
           // All options provided, move to correct answer selection
@@ -487,7 +524,114 @@ const quizCreationScene = new Scenes.WizardScene(
         
         return;
       }
+      else if (currentQuestion.stage === "answers") {
+        // Process accepted answer input
+        if (!ctx.message || !ctx.message.text) {
+          await ctx.reply(
+            `${UI.ICONS.ERROR} Please send an accepted answer.`
+          );
+          return;
+        }
+        
+        const answerText = ctx.message.text.trim();
+        const error = validateOptionText(answerText, "Answer");
+        if (error) {
+          await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+          return;
+        }
+        
+        if (!currentQuestion.acceptedAnswers.includes(answerText)) {
+          currentQuestion.acceptedAnswers.push(answerText);
+        }
+        
+        if (currentQuestion.acceptedAnswers.length < QUIZ_CONSTRAINTS.MAX_ACCEPTED_ANSWERS) {
+          await promptForAcceptedAnswer(ctx, currentQuestion);
+        } else {
+          currentQuestion.stage = "tolerance";
+          await promptForTypoTolerance(ctx, currentQuestion);
+        }
+        return;
+      }
+      else if (currentQuestion.stage === "items") {
+        // Process the next item of an ordering question
+        if (!ctx.message || !ctx.message.text) {
+          await ctx.reply(
+            `${UI.ICONS.ERROR} Please send the text of the next item.`
+          );
+          return;
+        }
+        
+        const itemText = ctx.message.text.trim();
+        const error = validateOptionText(itemText, "Item");
+        if (error) {
+          await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+          return;
+        }
+        
+        currentQuestion.options.push(itemText);
+        
+        if (currentQuestion.options.length < QUIZ_CONSTRAINTS.MAX_ORDER_ITEMS) {
+          await promptForOrderItem(ctx, currentQuestion);
+        } else {
+          currentQuestion.stage = "scoring";
+          await promptForScoring(ctx, currentQuestion);
+        }
+        return;
+      }
+      else if (currentQuestion.stage === "tolerance") {
+        await ctx.reply(
+          `${UI.ICONS.INFO} Please choose how many typos to allow using the buttons above.`
+        );
+        return;
+      }
+      else if (currentQuestion.stage === "value" || currentQuestion.stage === "margin") {
+        // Process the correct number, then how far off an answer may be
+        const value = ctx.message && ctx.message.text ? parseNumber(ctx.message.text) : null;
+        if (value === null || (currentQuestion.stage === "margin" && value < 0)) {
+          await ctx.reply(
+            `${UI.ICONS.ERROR} Please send a number` +
+            (currentQuestion.stage === "margin" ? ` of 0 or more.` : `, for example "330".`)
+          );
+          return;
+        }
+        
+        if (currentQuestion.stage === "value") {
+          currentQuestion.correctValue = value;
+          currentQuestion.stage = "margin";
+          await promptForNumericTolerance(ctx, currentQuestion);
+        } else {
+          currentQuestion.tolerance = value;
+          currentQuestion.stage = "bonus";
+          await promptForNumericBonus(ctx, currentQuestion);
+        }
+        return;
+      }
+      else if (currentQuestion.stage === "bonus") {
+        await ctx.reply(
+          `${UI.ICONS.INFO} Please choose who gets the bonus point using the buttons above.`
+        );
+        return;
+      }
       else if (currentQuestion.stage === "correct") {
+        // Multi-select questions also take a typed list such as "A, C"
+        if (currentQuestion.type === QUESTION_TYPES.MULTI_SELECT) {
+          const picks = ctx.message && ctx.message.text
+            ? parseOptionList(ctx.message.text, currentQuestion.options.length)
+            : null;
+          if (!picks) {
+            await ctx.reply(
+              `${UI.ICONS.ERROR} Tap the correct options and then "Done", ` +
+              `or send their letters (for example "A, C").`
+            );
+            return;
+          }
+          
+          currentQuestion.correctPicks = picks;
+          currentQuestion.stage = "scoring";
+          await promptForScoring(ctx, currentQuestion);
+          return;
+        }
+        
         // Process correct answer selection
         let correctIndex = -1;
         
@@ -499,83 +643,96 @@ const quizCreationScene = new Scenes.WizardScene(
             correctIndex = parseInt(data.replace("correct_", ""));
           }
         } else if (ctx.message && ctx.message.text) {
-          // Handle text input (A, B, C, D)
-          const letterMap = { A: 0, B: 1, C: 2, D: 3 };
+          // Handle text input (a letter, the option number or True/False)
           const letter = ctx.message.text.trim().toUpperCase();
+          const trueFalseIndex = TRUE_FALSE_OPTIONS.findIndex(
+            (option) => option.toUpperCase() === letter || option[0] === letter
+          );
           
-          if (letterMap[letter] !== undefined) {
-            correctIndex = letterMap[letter];
+          if (currentQuestion.type === QUESTION_TYPES.TRUE_FALSE && trueFalseIndex !== -1) {
+            correctIndex = trueFalseIndex;
+          } else if (ANSWER_LABELS.includes(letter)) {
+            correctIndex = ANSWER_LABELS.indexOf(letter);
           } else {
             // Try to parse as number
             const num = parseInt(ctx.message.text.trim());
-            if (!isNaN(num) && num >= 1 && num <= 4) {
+            if (!isNaN(num) && num >= 1) {
               correctIndex = num - 1;
             }
           }
         }
         
-        if (correctIndex < 0 || correctIndex > 3) {
+        const optionCount = currentQuestion.options.length;
+        if (correctIndex < 0 || correctIndex >= optionCount) {
           await ctx.reply(
-            `${UI.COLORS.ERROR} Please select a valid answer option (A, B, C, D or 1, 2, 3, 4).`
+            currentQuestion.type === QUESTION_TYPES.TRUE_FALSE
+              ? `${UI.ICONS.ERROR} Please answer True or False.`
+              : `${UI.ICONS.ERROR} Please select a valid answer option ` +
+                `(${ANSWER_LABELS.slice(0, optionCount).join(", ")} or 1-${optionCount}).`
           );
           return;
         }
         
         // Complete the question
-        const completedQuestion = {
+        return await addCompletedQuestion(ctx, {
+          type: currentQuestion.type,
           text: currentQuestion.text,
           options: [...currentQuestion.options],
           correctAnswer: correctIndex
-        };
-        
-        // Add to quiz
-        ctx.wizard.state.quizData.questions.push(completedQuestion);
-        
-        // Show question preview
-        await showQuestionPreview(ctx, completedQuestion, ctx.wizard.state.quizData.questions.length);
-        
-        // Check if maximum questions reached
-        if (ctx.wizard.state.quizData.questions.length >= QUIZ_CONSTRAINTS.MAX_QUESTIONS) {
-          await ctx.replyWithHTML(
-            formatHTML(
-              `Maximum Questions Reached`,
-              `You've reached the maximum limit of ${QUIZ_CONSTRAINTS.MAX_QUESTIONS} questions.\n\n` +
-              `Your quiz is now complete! Saving...`,
-              UI.COLORS.SUCCESS
-            )
+        });
+      }
+      else if (currentQuestion.stage === "scoring") {
+        await ctx.reply(
+          `${UI.ICONS.INFO} Please choose how this question is scored using the buttons above.`
+        );
+        return;
+      }
+      else if (currentQuestion.stage === "explanation") {
+        // Process the optional explanation; a link on its own is taken as the source
+        if (!ctx.message || !ctx.message.text) {
+          await ctx.reply(
+            `${UI.ICONS.ERROR} Please send the explanation, or tap "Skip".`
           );
-          
-          // Save and complete the quiz
-          return await finalizeQuiz(ctx);
+          return;
         }
         
-        // Prepare for next question
-        await ctx.replyWithHTML(
-          formatHTML(
-            `Question Added!`,
-            `Question ${ctx.wizard.state.quizData.questions.length} has been added to your quiz.\n\n` +
-            `Would you like to add another question or finish the quiz?`,
-            UI.ICONS.SUCCESS
-          ),
-          Markup.inlineKeyboard([
-            [
-              Markup.button.callback(`${UI.ICONS.CREATE} Add Another Question`, `add_question`),
-              Markup.button.callback(`${UI.ICONS.SUCCESS} Finish Quiz`, `finish_quiz`)
-            ]
-          ])
-        );
+        const input = ctx.message.text.trim();
+        const completedQuestion = currentQuestion.completed;
+        const sourceUrl = parseSourceUrl(input);
+        if (sourceUrl) {
+          const error = validateSourceUrl(input);
+          if (error) {
+            await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+            return;
+          }
+          completedQuestion.sourceUrl = sourceUrl;
+          return await saveCompletedQuestion(ctx, completedQuestion);
+        }
         
-        // Reset current question state
-        ctx.wizard.state.currentQuestion = {
-          index: ctx.wizard.state.quizData.questions.length,
-          text: "",
-          options: ["", "", "", ""],
-          stage: "pending", // pending -> text -> options -> correct
-          currentOption: 0
-        };
+        const error = validateExplanation(input);
+        if (error) {
+          await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+          return;
+        }
         
+        completedQuestion.explanation = input;
+        currentQuestion.stage = "source";
+        await promptForSourceUrl(ctx);
         return;
       }
+      else if (currentQuestion.stage === "source") {
+        // Process the optional source link
+        const input = ctx.message && ctx.message.text ? ctx.message.text.trim() : "";
+        const error = validateSourceUrl(input);
+        if (error) {
+          await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+          return;
+        }
+        
+        const completedQuestion = currentQuestion.completed;
+        completedQuestion.sourceUrl = parseSourceUrl(input);
+        return await saveCompletedQuestion(ctx, completedQuestion);
+      }
       else if (currentQuestion.stage === "pending") {
         // Waiting for user to choose add question or finish
         if (ctx.callbackQuery) {
@@ -585,8 +742,8 @@ const quizCreationScene = new Scenes.WizardScene(
             await ctx.answerCbQuery("Adding new question...");
             
             // Start new question
-            currentQuestion.stage = "text";
-            await promptForQuestionText(ctx);
+            currentQuestion.stage = "type";
+            await promptForQuestionType(ctx);
             return;
           }
           else if (data === "finish_quiz") {
@@ -614,12 +771,12 @@ const quizCreationScene = new Scenes.WizardScene(
         ctx.wizard.state.currentQuestion = {
           index: ctx.wizard.state.quizData.questions.length,
           text: "",
-          options: ["", "", "", ""],
-          stage: "text",
+          options: [],
+          stage: "type",
           currentOption: 0
         };
         
-        await promptForQuestionText(ctx);
+        await promptForQuestionType(ctx);
       } catch (e) {
         logger.error("Failed to recover from error:", e);
         return ctx.scene.leave();
@@ -628,6 +785,52 @@ const quizCreationScene = new Scenes.WizardScene(
   }
 );
 
+/**
+ * Button labels for the question types offered in the wizard
+ */
+const QUESTION_TYPE_BUTTONS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: "🔤 Multiple Choice",
+  [QUESTION_TYPES.TRUE_FALSE]: "✅ True / False",
+  [QUESTION_TYPES.MULTI_SELECT]: "☑️ Multiple Select",
+  [QUESTION_TYPES.FREE_TEXT]: "✍️ Typed Answer",
+  [QUESTION_TYPES.NUMERIC]: "🔢 Number",
+  [QUESTION_TYPES.ORDERING]: "🔀 Put in Order",
+};
+
+/**
+ * Prompt for the type of the next question
+ * @param {Object} ctx - Telegram context
+ */
+async function promptForQuestionType(ctx) {
+  const questionNumber = ctx.wizard.state.currentQuestion.index + 1;
+  
+  await ctx.replyWithHTML(
+    formatHTML(
+      `Question ${questionNumber}`,
+      `What kind of question is question ${questionNumber}?\n\n` +
+      `You can also just type the question text to add a multiple choice question.\n\n` +
+      `${UI.ICONS.INFO} Type "done" at any time to finish creating questions.`,
+      UI.ICONS.CREATE
+    ),
+    Markup.inlineKeyboard(
+      Object.entries(QUESTION_TYPE_BUTTONS).map(([type, label]) => [
+        Markup.button.callback(label, `qtype_${type}`),
+      ])
+    )
+  );
+}
+
+/**
+ * Example question text for each question type
+ */
+const QUESTION_EXAMPLES = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: "Who was the first person to walk on the moon?",
+  [QUESTION_TYPES.TRUE_FALSE]: "The Great Wall of China is visible from the Moon.",
+  [QUESTION_TYPES.FREE_TEXT]: "What is the capital of Australia?",
+  [QUESTION_TYPES.NUMERIC]: "How tall is the Eiffel Tower in meters?",
+  [QUESTION_TYPES.ORDERING]: "Put these planets in order, closest to the Sun first.",
+};
+
 /**
  * Prompt for question text
  * @param {Object} ctx - Telegram context
@@ -639,40 +842,256 @@ async function promptForQuestionText(ctx) {
     formatHTML(
       `Question ${questionNumber}`,
       `Please enter the text for question ${questionNumber}:\n\n` +
-      `Example: "Who was the first person to walk on the moon?"\n\n` +
+      `Example: "${QUESTION_EXAMPLES[ctx.wizard.state.currentQuestion.type] ||
+        QUESTION_EXAMPLES[QUESTION_TYPES.MULTIPLE_CHOICE]}"\n\n` +
       `${UI.ICONS.INFO} Type "done" at any time to finish creating questions.`,
       UI.ICONS.CREATE
     )
   );
 }
 
+/**
+ * Example answers shown when asking for each option
+ */
+const OPTION_EXAMPLES = [
+  "Neil Armstrong",
+  "Buzz Aldrin",
+  "Yuri Gagarin",
+  "John Glenn",
+  "Michael Collins",
+  "Alan Shepard",
+  "Valentina Tereshkova",
+  "Sally Ride",
+];
+
 /**
  * Prompt for answer option
  * @param {Object} ctx - Telegram context
  * @param {number} optionIndex - Current option index
  */
 async function promptForOption(ctx, optionIndex) {
-  const letters = ["A", "B", "C", "D"];
-  const letter = letters[optionIndex];
+  const letter = ANSWER_LABELS[optionIndex];
+  const canFinish = optionIndex >= QUIZ_CONSTRAINTS.MIN_OPTIONS;
   
   await ctx.replyWithHTML(
     formatHTML(
       `Option ${letter}`,
       `Please enter the text for answer option ${letter}:\n\n` +
-      `Example: "${optionIndex === 0 ? 'Neil Armstrong' : optionIndex === 1 ? 'Buzz Aldrin' : optionIndex === 2 ? 'Yuri Gagarin' : 'John Glenn'}"`,
+      `Example: "${OPTION_EXAMPLES[optionIndex]}"` +
+      (canFinish
+        ? `\n\n${UI.ICONS.INFO} Questions can have up to ${QUIZ_CONSTRAINTS.MAX_OPTIONS} options. ` +
+          `Tap "Done with Options" if this question has all its options.`
+        : ""),
+      UI.ICONS.CREATE
+    ),
+    canFinish
+      ? Markup.inlineKeyboard([
+          [Markup.button.callback(`${UI.ICONS.SUCCESS} Done with Options`, "options_done")],
+        ])
+      : undefined
+  );
+}
+
+/**
+ * Example items of an ordering question, in the correct order
+ */
+const ORDER_ITEM_EXAMPLES = ["Mercury", "Venus", "Earth", "Mars", "Jupiter", "Saturn"];
+
+/**
+ * Prompt for the next item of an ordering question
+ * @param {Object} ctx - Telegram context
+ * @param {Object} question - Current question data
+ */
+async function promptForOrderItem(ctx, question) {
+  const items = question.options;
+  const canFinish = items.length >= QUIZ_CONSTRAINTS.MIN_ORDER_ITEMS;
+  
+  await ctx.replyWithHTML(
+    formatHTML(
+      `Item ${items.length + 1}`,
+      (items.length === 0
+        ? `Send the items in the correct order, one message each, starting with the first one.`
+        : `<b>Order so far:</b>\n` +
+          items.map((item, i) => `${i + 1}. ${item}`).join("\n") +
+          `\n\nPlease enter item ${items.length + 1}:`) +
+      `\n\nExample: "${ORDER_ITEM_EXAMPLES[items.length]}"\n\n` +
+      `${UI.ICONS.INFO} Players see the items shuffled. Questions can have ` +
+      `${QUIZ_CONSTRAINTS.MIN_ORDER_ITEMS} to ${QUIZ_CONSTRAINTS.MAX_ORDER_ITEMS} items.`,
+      UI.ICONS.CREATE
+    ),
+    canFinish
+      ? Markup.inlineKeyboard([
+          [Markup.button.callback(`${UI.ICONS.SUCCESS} Done with Items`, "items_done")],
+        ])
+      : undefined
+  );
+}
+
+/**
+ * Prompt for an accepted answer of a free-text question
+ * @param {Object} ctx - Telegram context
+ * @param {Object} question - Current question data
+ */
+async function promptForAcceptedAnswer(ctx, question) {
+  const answers = question.acceptedAnswers;
+  
+  await ctx.replyWithHTML(
+    formatHTML(
+      answers.length === 0 ? `Accepted Answer` : `Another Accepted Answer?`,
+      (answers.length === 0
+        ? `Please enter the answer players have to type:\n\nExample: "Canberra"`
+        : `<b>Accepted so far:</b> ${answers.join(" / ")}\n\n` +
+          `Send another spelling or answer that should also count, ` +
+          `or tap "Done with Answers".`) +
+      `\n\n${UI.ICONS.INFO} Case, accents, punctuation and extra spaces are ignored when answers are compared.`,
+      UI.ICONS.CREATE
+    ),
+    answers.length > 0
+      ? Markup.inlineKeyboard([
+          [Markup.button.callback(`${UI.ICONS.SUCCESS} Done with Answers`, "answers_done")],
+        ])
+      : undefined
+  );
+}
+
+/**
+ * Labels for the typo tolerance choices
+ * @param {number} tolerance - Typos allowed
+ * @returns {string} Button label
+ */
+function typoToleranceLabel(tolerance) {
+  if (tolerance === 0) return "Exact spelling";
+  return tolerance === 1 ? "1 typo" : `${tolerance} typos`;
+}
+
+/**
+ * Ask how many typos a free-text answer may contain
+ * @param {Object} ctx - Telegram context
+ * @param {Object} question - Current question data
+ */
+async function promptForTypoTolerance(ctx, question) {
+  const buttons = [];
+  for (let i = 0; i <= QUIZ_CONSTRAINTS.MAX_TYPO_TOLERANCE; i++) {
+    buttons.push(Markup.button.callback(typoToleranceLabel(i), `typo_${i}`));
+  }
+  
+  await ctx.replyWithHTML(
+    formatHTML(
+      `Typo Tolerance`,
+      `<b>Accepted answers:</b> ${question.acceptedAnswers.join(" / ")}\n\n` +
+      `How many typos (wrong, missing or extra letters) may an answer have and still count?\n\n` +
+      `${UI.ICONS.INFO} Short answers always need more exact spelling: one typo is allowed ` +
+      `per 4 letters of the answer.`,
+      UI.ICONS.INFO
+    ),
+    Markup.inlineKeyboard([buttons.slice(0, 2), buttons.slice(2)])
+  );
+}
+
+/**
+ * Prompt for the correct number of a numeric question
+ * @param {Object} ctx - Telegram context
+ */
+async function promptForCorrectValue(ctx) {
+  await ctx.replyWithHTML(
+    formatHTML(
+      `Correct Answer`,
+      `Please enter the correct number:\n\nExample: "330"`,
       UI.ICONS.CREATE
     )
   );
 }
 
+/**
+ * Label for the tolerance of a numeric question
+ * @param {number} tolerance - Largest difference that still counts as correct
+ * @returns {string} Tolerance label
+ */
+function numericToleranceLabel(tolerance) {
+  return tolerance === 0 ? "Exact answers only" : `± ${tolerance}`;
+}
+
+/**
+ * Ask how far off an answer to a numeric question may be and still count
+ * @param {Object} ctx - Telegram context
+ * @param {Object} question - Current question data
+ */
+async function promptForNumericTolerance(ctx, question) {
+  await ctx.replyWithHTML(
+    formatHTML(
+      `Tolerance`,
+      `<b>Correct answer:</b> ${question.correctValue}\n\n` +
+      `How far off may an answer be and still count as correct? ` +
+      `Send a number, for example "10" to accept anything from ` +
+      `${question.correctValue - 10} to ${question.correctValue + 10}.`,
+      UI.ICONS.INFO
+    ),
+    Markup.inlineKeyboard([
+      [Markup.button.callback(`🎯 ${numericToleranceLabel(0)}`, "margin_0")],
+    ])
+  );
+}
+
+/**
+ * Ask who gets the bonus point of a numeric question
+ * @param {Object} ctx - Telegram context
+ * @param {Object} question - Current question data
+ */
+async function promptForNumericBonus(ctx, question) {
+  await ctx.replyWithHTML(
+    formatHTML(
+      `Bonus Point`,
+      `<b>Correct answer:</b> ${question.correctValue} (${numericToleranceLabel(question.tolerance)})\n\n` +
+      `<b>First correct:</b> the first player within the tolerance gets the bonus point.\n` +
+      `<b>Closest guess:</b> the player closest to the correct answer gets the bonus point ` +
+      `when time runs out, even if nobody is within the tolerance. Good for estimation rounds.`,
+      UI.ICONS.INFO
+    ),
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback(`⚡ First Correct`, "nbonus_first"),
+        Markup.button.callback(`📏 Closest Guess`, "nbonus_closest"),
+      ],
+    ])
+  );
+}
+
+/**
+ * Split option buttons into rows of four
+ * @param {Array<Object>} buttons - One button per option
+ * @returns {Array<Array<Object>>} Keyboard rows
+ */
+function optionButtonRows(buttons) {
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 4) {
+    rows.push(buttons.slice(i, i + 4));
+  }
+  return rows;
+}
+
 /**
  * Prompt for correct answer selection
  * @param {Object} ctx - Telegram context
  * @param {Object} question - Current question data
  */
 async function promptForCorrectAnswer(ctx, question) {
+  if (question.type === QUESTION_TYPES.TRUE_FALSE) {
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Select Correct Answer`,
+        `<b>Question:</b> ${question.text}\n\n` +
+        `Is this statement true or false?`,
+        UI.ICONS.INFO
+      ),
+      Markup.inlineKeyboard([
+        TRUE_FALSE_OPTIONS.map((option, i) => Markup.button.callback(option, `correct_${i}`)),
+      ])
+    );
+    return;
+  }
+
   const options = question.options;
-  const letters = ["A", "B", "C", "D"];
+  const letters = ANSWER_LABELS.slice(0, options.length);
   
   let message = formatHTML(
     `Select Correct Answer`,
@@ -682,15 +1101,25 @@ async function promptForCorrectAnswer(ctx, question) {
   );
   
   // Format options
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < options.length; i++) {
     message += `<b>${letters[i]}.</b> ${options[i]}\n`;
   }
   
-  message += `\nWhich option is the correct answer? Select A, B, C, or D:`;
+  if (question.type === QUESTION_TYPES.MULTI_SELECT) {
+    question.correctPicks = question.correctPicks || [];
+    message +=
+      `\nWhich options are correct? Tap each correct option and then "Done", ` +
+      `or send their letters (for example "A, C"):`;
+    
+    await ctx.replyWithHTML(message, multiSelectKeyboard(question));
+    return;
+  }
+  
+  message += `\nWhich option is the correct answer? Select ${letters.slice(0, -1).join(", ")} or ${letters[letters.length - 1]}:`;
   
   // Create buttons for options
   const buttons = [];
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < options.length; i++) {
     buttons.push(Markup.button.callback(
       `Option ${letters[i]}`,
       `correct_${i}`
@@ -699,42 +1128,277 @@ async function promptForCorrectAnswer(ctx, question) {
   
   await ctx.replyWithHTML(
     message,
-    Markup.inlineKeyboard([buttons])
+    Markup.inlineKeyboard(optionButtonRows(buttons))
   );
 }
 
 /**
- * Show preview of a question
- * @param {Object} ctx - Telegram context
- * @param {Object} question - Question data
- * @param {number} questionNumber - Question number
+ * Keyboard for picking the correct options of a multi-select question
+ * @param {Object} question - Current question data
+ * @returns {Object} Inline keyboard
  */
-async function showQuestionPreview(ctx, question, questionNumber) {
-  const letters = ["A", "B", "C", "D"];
-  const correctLetter = letters[question.correctAnswer];
-  
-  let message = formatHTML(
-    `Question ${questionNumber} Preview`,
-    `<b>Question:</b> ${question.text}\n\n`,
-    UI.ICONS.SUCCESS
+function multiSelectKeyboard(question) {
+  const buttons = question.options.map((option, i) =>
+    Markup.button.callback(
+      `${question.correctPicks.includes(i) ? "✅" : "⬜"} ${ANSWER_LABELS[i]}`,
+      `mcorrect_${i}`
+    )
   );
   
-  // Format options, highlighting correct answer
-  for (let i = 0; i < 4; i++) {
-    const isCorrect = i === question.correctAnswer;
-    message += isCorrect 
-      ? `<b>${letters[i]}. ${question.options[i]}</b> ✅\n` 
-      : `${letters[i]}. ${question.options[i]}\n`;
-  }
-  
-  await ctx.replyWithHTML(message);
+  return Markup.inlineKeyboard([
+    ...optionButtonRows(buttons),
+    [Markup.button.callback(`${UI.ICONS.SUCCESS} Done`, "mcorrect_done")],
+  ]);
 }
 
 /**
- * Handle "done" command to finish quiz
- * @param {Object} ctx - Telegram context
+ * Read a list of options such as "A, C" or "1 3"
+ * @param {string} text - User input
+ * @param {number} optionCount - Number of options in the question
+ * @returns {Array<number>|null} Sorted option indexes, or null if the list isn't valid
+ */
+function parseOptionList(text, optionCount) {
+  const parts = text.trim().toUpperCase().split(/[\s,;]+/).filter(Boolean);
+  const picks = [];
+  
+  for (const part of parts) {
+    const index = ANSWER_LABELS.includes(part) ? ANSWER_LABELS.indexOf(part) : parseInt(part) - 1;
+    if (isNaN(index) || index < 0 || index >= optionCount) {
+      return null;
+    }
+    if (!picks.includes(index)) {
+      picks.push(index);
+    }
+  }
+  
+  return picks.length > 0 ? picks.sort((a, b) => a - b) : null;
+}
+
+/**
+ * Read the new order of an ordering question's items, such as "2 1 3" or "2, 1, 3"
+ * @param {string} text - User input
+ * @param {number} itemCount - Number of items in the question
+ * @returns {Array<number>|null} Item indexes in the new order, or null if the input doesn't
+ *   list every item exactly once
+ */
+function parseItemOrder(text, itemCount) {
+  const order = text
+    .trim()
+    .split(/[\s,;>→-]+/)
+    .filter(Boolean)
+    .map((part) => parseInt(part) - 1);
+
+  const valid =
+    order.length === itemCount &&
+    order.every((i) => Number.isInteger(i) && i >= 0 && i < itemCount) &&
+    new Set(order).size === itemCount;
+  return valid ? order : null;
+}
+
+/**
+ * Ask how a multi-select or ordering question is scored
+ * @param {Object} ctx - Telegram context
+ * @param {Object} question - Current question data
+ */
+async function promptForScoring(ctx, question) {
+  let explanation;
+  if (question.type === QUESTION_TYPES.ORDERING) {
+    explanation =
+      `<b>Correct order:</b>\n` +
+      question.options.map((item, i) => `${i + 1}. ${item}`).join("\n") +
+      `\n\n<b>All or nothing:</b> players only score if every item is in the right place.\n` +
+      `<b>Partial credit:</b> players score a share of the point for each item in the right place.`;
+  } else {
+    explanation =
+      `<b>Correct options:</b> ${question.correctPicks.map((i) => ANSWER_LABELS[i]).join(", ")}\n\n` +
+      `<b>All or nothing:</b> players only score if they pick exactly these options.\n` +
+      `<b>Partial credit:</b> players score a share of the point for each correct pick, ` +
+      `minus one share for each wrong pick.`;
+  }
+  
+  await ctx.replyWithHTML(
+    formatHTML(`Scoring`, explanation, UI.ICONS.INFO),
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback(`🎯 All or Nothing`, "mscore_all"),
+        Markup.button.callback(`🧮 Partial Credit`, "mscore_partial"),
+      ],
+    ])
+  );
+}
+
+/**
+ * Take a finished question and ask for its optional explanation before adding it
+ * @param {Object} ctx - Telegram context
+ * @param {Object} completedQuestion - Question data
+ */
+async function addCompletedQuestion(ctx, completedQuestion) {
+  const currentQuestion = ctx.wizard.state.currentQuestion;
+  currentQuestion.completed = completedQuestion;
+  currentQuestion.stage = "explanation";
+  await promptForExplanation(ctx);
+}
+
+/**
+ * Prompt for the optional explanation of a finished question
+ * @param {Object} ctx - Telegram context
+ */
+async function promptForExplanation(ctx) {
+  await ctx.replyWithHTML(
+    formatHTML(
+      `Explanation (Optional)`,
+      `Send a short explanation of the answer. Players see it when the answer is revealed.\n\n` +
+      `Example: "Neil Armstrong stepped onto the Moon on July 20, 1969, during Apollo 11."\n\n` +
+      `${UI.ICONS.INFO} To add only a source link, send the link instead. ` +
+      `Tap "Skip" to add the question without an explanation.`,
+      UI.ICONS.INFO
+    ),
+    Markup.inlineKeyboard([[Markup.button.callback("⏭️ Skip", "expl_skip")]])
+  );
+}
+
+/**
+ * Prompt for the optional source link of a finished question
+ * @param {Object} ctx - Telegram context
+ */
+async function promptForSourceUrl(ctx) {
+  await ctx.replyWithHTML(
+    formatHTML(
+      `Source Link (Optional)`,
+      `Send a link where players can read more, starting with https://\n\n` +
+      `Example: "https://en.wikipedia.org/wiki/Apollo_11"`,
+      UI.ICONS.INFO
+    ),
+    Markup.inlineKeyboard([[Markup.button.callback("⏭️ Skip", "src_skip")]])
+  );
+}
+
+/**
+ * Add a finished question to the quiz and offer to add another one
+ * @param {Object} ctx - Telegram context
+ * @param {Object} completedQuestion - Question data
+ */
+async function saveCompletedQuestion(ctx, completedQuestion) {
+  // Add to quiz
+  ctx.wizard.state.quizData.questions.push(completedQuestion);
+  
+  // Show question preview
+  await showQuestionPreview(ctx, completedQuestion, ctx.wizard.state.quizData.questions.length);
+  
+  // Check if maximum questions reached
+  if (ctx.wizard.state.quizData.questions.length >= QUIZ_CONSTRAINTS.MAX_QUESTIONS) {
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Maximum Questions Reached`,
+        `You've reached the maximum limit of ${QUIZ_CONSTRAINTS.MAX_QUESTIONS} questions.\n\n` +
+        `Your quiz is now complete! Saving...`,
+        UI.COLORS.SUCCESS
+      )
+    );
+    
+    // Save and complete the quiz
+    return await finalizeQuiz(ctx);
+  }
+  
+  // Prepare for next question
+  await ctx.replyWithHTML(
+    formatHTML(
+      `Question Added!`,
+      `Question ${ctx.wizard.state.quizData.questions.length} has been added to your quiz.\n\n` +
+      `Would you like to add another question or finish the quiz?`,
+      UI.ICONS.SUCCESS
+    ),
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback(`${UI.ICONS.CREATE} Add Another Question`, `add_question`),
+        Markup.button.callback(`${UI.ICONS.SUCCESS} Finish Quiz`, `finish_quiz`)
+      ]
+    ])
+  );
+  
+  // Reset current question state for the next question
+  ctx.wizard.state.currentQuestion = {
+    index: ctx.wizard.state.quizData.questions.length,
+    text: "",
+    options: [],
+    stage: "pending", // pending -> type -> text -> options -> correct
+    currentOption: 0
+  };
+}
+
+/**
+ * Show preview of a question
+ * @param {Object} ctx - Telegram context
+ * @param {Object} question - Question data
+ * @param {number} questionNumber - Question number
+ */
+async function showQuestionPreview(ctx, question, questionNumber) {
+  let message = formatHTML(
+    `Question ${questionNumber} Preview`,
+    `<b>Question:</b> ${question.text}\n\n`,
+    UI.ICONS.SUCCESS
+  );
+  
+  if (question.type === QUESTION_TYPES.TRUE_FALSE) {
+    message += `<b>Answer:</b> ${question.options[question.correctAnswer]} ✅\n`;
+    await ctx.replyWithHTML(message + questionNotesText(question));
+    return;
+  }
+  
+  if (question.type === QUESTION_TYPES.FREE_TEXT) {
+    message +=
+      `<b>Accepted answers:</b> ${question.acceptedAnswers.join(" / ")} ✅\n` +
+      `<b>Typo tolerance:</b> ${typoToleranceLabel(question.typoTolerance)}\n`;
+    await ctx.replyWithHTML(message + questionNotesText(question));
+    return;
+  }
+  
+  if (question.type === QUESTION_TYPES.NUMERIC) {
+    message +=
+      `<b>Answer:</b> ${question.correctValue} ✅\n` +
+      `<b>Tolerance:</b> ${numericToleranceLabel(question.tolerance)}\n` +
+      `<b>Bonus point:</b> ${question.closestWins ? "Closest guess" : "First correct"}\n`;
+    await ctx.replyWithHTML(message + questionNotesText(question));
+    return;
+  }
+  
+  if (question.type === QUESTION_TYPES.ORDERING) {
+    message +=
+      `<b>Correct order:</b>\n` +
+      question.options.map((item, i) => `${i + 1}. ${item}`).join("\n") +
+      `\n\n<b>Scoring:</b> ${question.partialCredit ? "Partial credit" : "All or nothing"}\n`;
+    await ctx.replyWithHTML(message + questionNotesText(question));
+    return;
+  }
+  
+  // Format options, highlighting correct answers
+  const multiSelect = question.type === QUESTION_TYPES.MULTI_SELECT;
+  for (let i = 0; i < question.options.length; i++) {
+    const isCorrect = multiSelect ? question.correctAnswer.includes(i) : i === question.correctAnswer;
+    message += isCorrect 
+      ? `<b>${ANSWER_LABELS[i]}. ${question.options[i]}</b> ✅\n` 
+      : `${ANSWER_LABELS[i]}. ${question.options[i]}\n`;
+  }
+  
+  if (multiSelect) {
+    message += `\n<b>Scoring:</b> ${question.partialCredit ? "Partial credit" : "All or nothing"}\n`;
+  }
+  
+  await ctx.replyWithHTML(message + questionNotesText(question));
+}
+
+/**
+ * Handle "done" command to finish quiz
+ * @param {Object} ctx - Telegram context
  */
 async function handleDoneCommand(ctx) {
+  // A finished question that was waiting for its explanation is kept
+  const currentQuestion = ctx.wizard.state.currentQuestion;
+  if (currentQuestion.completed) {
+    ctx.wizard.state.quizData.questions.push(currentQuestion.completed);
+    currentQuestion.completed = null;
+  }
+  
   // Check if we have enough questions
   if (
     ctx.wizard.state.quizData.questions.length <
@@ -750,8 +1414,8 @@ async function handleDoneCommand(ctx) {
     );
     
     // Reset to asking for question text
-    ctx.wizard.state.currentQuestion.stage = "text";
-    await promptForQuestionText(ctx);
+    ctx.wizard.state.currentQuestion.stage = "type";
+    await promptForQuestionType(ctx);
     return;
   }
 
@@ -881,13 +1545,13 @@ timerActions.forEach((time) => {
       ctx.wizard.state.currentQuestion = {
         index: 0,
         text: "",
-        options: ["", "", "", ""],
-        stage: "text", // text -> options -> correct
+        options: [],
+        stage: "type", // type -> text -> options -> correct
         currentOption: 0
       };
       
       // Go to question text prompt
-      await promptForQuestionText(ctx);
+      await promptForQuestionType(ctx);
       
       ctx.wizard.next();
     } catch (error) {
@@ -919,8 +1583,8 @@ quizCreationScene.action("add_question", async (ctx) => {
     await ctx.answerCbQuery("Adding new question...");
     
     // Update current question state
-    ctx.wizard.state.currentQuestion.stage = "text";
-    await promptForQuestionText(ctx);
+    ctx.wizard.state.currentQuestion.stage = "type";
+    await promptForQuestionType(ctx);
   } catch (error) {
     logger.error("Error in add question handler:", error);
     await ctx.answerCbQuery("An error occurred. Please try again.");
@@ -938,68 +1602,121 @@ quizCreationScene.action("finish_quiz", async (ctx) => {
   }
 });
 
+// Question type selection
+quizCreationScene.action(/^qtype_(\w+)$/, async (ctx) => {
+  try {
+    const type = ctx.match[1];
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (!currentQuestion || currentQuestion.stage !== "type" || !QUESTION_TYPE_BUTTONS[type]) {
+      await ctx.answerCbQuery("This question type can't be selected now");
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    currentQuestion.type = type;
+    currentQuestion.stage = "text";
+    await promptForQuestionText(ctx);
+  } catch (error) {
+    logger.error("Error in question type handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Finish adding options once the question has enough of them
+quizCreationScene.action("options_done", async (ctx) => {
+  try {
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (
+      !currentQuestion ||
+      currentQuestion.stage !== "options" ||
+      currentQuestion.options.length < QUIZ_CONSTRAINTS.MIN_OPTIONS
+    ) {
+      await ctx.answerCbQuery(
+        `A question needs at least ${QUIZ_CONSTRAINTS.MIN_OPTIONS} options`
+      );
+      return;
+    }
+
+    await ctx.answerCbQuery(`${currentQuestion.options.length} options added`);
+    currentQuestion.stage = "correct";
+    await promptForCorrectAnswer(ctx, currentQuestion);
+  } catch (error) {
+    logger.error("Error in done with options handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Finish adding the items of an ordering question
+quizCreationScene.action("items_done", async (ctx) => {
+  try {
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (
+      !currentQuestion ||
+      currentQuestion.stage !== "items" ||
+      currentQuestion.options.length < QUIZ_CONSTRAINTS.MIN_ORDER_ITEMS
+    ) {
+      await ctx.answerCbQuery(
+        `A question needs at least ${QUIZ_CONSTRAINTS.MIN_ORDER_ITEMS} items`
+      );
+      return;
+    }
+
+    await ctx.answerCbQuery(`${currentQuestion.options.length} items added`);
+    currentQuestion.stage = "scoring";
+    await promptForScoring(ctx, currentQuestion);
+  } catch (error) {
+    logger.error("Error in done with items handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Add a finished question without an explanation or without a source link
+quizCreationScene.action(/^(expl|src)_skip$/, async (ctx) => {
+  try {
+    const stage = ctx.match[1] === "expl" ? "explanation" : "source";
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (!currentQuestion || currentQuestion.stage !== stage || !currentQuestion.completed) {
+      await ctx.answerCbQuery("This question is no longer being added");
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    await saveCompletedQuestion(ctx, currentQuestion.completed);
+  } catch (error) {
+    logger.error("Error in skip explanation handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
 // Correct answer selection actions
-for (let i = 0; i < 4; i++) {
+for (let i = 0; i < QUIZ_CONSTRAINTS.MAX_OPTIONS; i++) {
   quizCreationScene.action(`correct_${i}`, async (ctx) => {
     try {
-      const letter = ["A", "B", "C", "D"][i];
-      await ctx.answerCbQuery(`Option ${letter} selected as correct answer`);
-      
       // Complete the question with the selected correct answer
       const currentQuestion = ctx.wizard.state.currentQuestion;
+      if (
+        !currentQuestion ||
+        currentQuestion.stage !== "correct" ||
+        currentQuestion.type === QUESTION_TYPES.MULTI_SELECT ||
+        i >= currentQuestion.options.length
+      ) {
+        await ctx.answerCbQuery("This question is no longer being added");
+        return;
+      }
+
+      const label =
+        currentQuestion.type === QUESTION_TYPES.TRUE_FALSE
+          ? currentQuestion.options[i]
+          : `Option ${ANSWER_LABELS[i]}`;
+      await ctx.answerCbQuery(`${label} selected as correct answer`);
       
       // Create completed question
-      const completedQuestion = {
+      await addCompletedQuestion(ctx, {
+        type: currentQuestion.type,
         text: currentQuestion.text,
         options: [...currentQuestion.options],
         correctAnswer: i
-      };
-      
-      // Add to quiz
-      ctx.wizard.state.quizData.questions.push(completedQuestion);
-      
-      // Show question preview
-      await showQuestionPreview(ctx, completedQuestion, ctx.wizard.state.quizData.questions.length);
-      
-      // Check if maximum questions reached
-      if (ctx.wizard.state.quizData.questions.length >= QUIZ_CONSTRAINTS.MAX_QUESTIONS) {
-        await ctx.replyWithHTML(
-          formatHTML(
-            `Maximum Questions Reached`,
-            `You've reached the maximum limit of ${QUIZ_CONSTRAINTS.MAX_QUESTIONS} questions.\n\n` +
-            `Your quiz is now complete! Saving...`,
-            UI.COLORS.SUCCESS
-          )
-        );
-        
-        // Save and complete the quiz
-        return await finalizeQuiz(ctx);
-      }
-      
-      // Prepare for next question
-      await ctx.replyWithHTML(
-        formatHTML(
-          `Question Added!`,
-          `Question ${ctx.wizard.state.quizData.questions.length} has been added to your quiz.\n\n` +
-          `Would you like to add another question or finish the quiz?`,
-          UI.ICONS.SUCCESS
-        ),
-        Markup.inlineKeyboard([
-          [
-            Markup.button.callback(`${UI.ICONS.CREATE} Add Another Question`, `add_question`),
-            Markup.button.callback(`${UI.ICONS.SUCCESS} Finish Quiz`, `finish_quiz`)
-          ]
-        ])
-      );
-      
-      // Reset current question state for potential next question
-      ctx.wizard.state.currentQuestion = {
-        index: ctx.wizard.state.quizData.questions.length,
-        text: "",
-        options: ["", "", "", ""],
-        stage: "pending", // pending -> text -> options -> correct
-        currentOption: 0
-      };
+      });
     } catch (error) {
       logger.error("Error in correct answer selection handler:", error);
       await ctx.answerCbQuery("An error occurred. Please try again.");
@@ -1007,6 +1724,1739 @@ for (let i = 0; i < 4; i++) {
   });
 }
 
+// Finish the accepted answers of a free-text question
+quizCreationScene.action("answers_done", async (ctx) => {
+  try {
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (
+      !currentQuestion ||
+      currentQuestion.stage !== "answers" ||
+      currentQuestion.acceptedAnswers.length === 0
+    ) {
+      await ctx.answerCbQuery("This question is no longer being added");
+      return;
+    }
+    
+    await ctx.answerCbQuery();
+    currentQuestion.stage = "tolerance";
+    await promptForTypoTolerance(ctx, currentQuestion);
+  } catch (error) {
+    logger.error("Error in done with answers handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Typo tolerance choice for free-text questions
+quizCreationScene.action(/^typo_(\d+)$/, async (ctx) => {
+  try {
+    const typoTolerance = parseInt(ctx.match[1]);
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (
+      !currentQuestion ||
+      currentQuestion.stage !== "tolerance" ||
+      typoTolerance > QUIZ_CONSTRAINTS.MAX_TYPO_TOLERANCE
+    ) {
+      await ctx.answerCbQuery("This question is no longer being added");
+      return;
+    }
+    
+    await ctx.answerCbQuery(`${typoToleranceLabel(typoTolerance)} selected`);
+    await addCompletedQuestion(ctx, {
+      type: currentQuestion.type,
+      text: currentQuestion.text,
+      acceptedAnswers: [...currentQuestion.acceptedAnswers],
+      typoTolerance
+    });
+  } catch (error) {
+    logger.error("Error in typo tolerance handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Exact answers only for numeric questions
+quizCreationScene.action("margin_0", async (ctx) => {
+  try {
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (!currentQuestion || currentQuestion.stage !== "margin") {
+      await ctx.answerCbQuery("This question is no longer being added");
+      return;
+    }
+    
+    await ctx.answerCbQuery();
+    currentQuestion.tolerance = 0;
+    currentQuestion.stage = "bonus";
+    await promptForNumericBonus(ctx, currentQuestion);
+  } catch (error) {
+    logger.error("Error in numeric tolerance handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Bonus point choice for numeric questions
+quizCreationScene.action(/^nbonus_(first|closest)$/, async (ctx) => {
+  try {
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (!currentQuestion || currentQuestion.stage !== "bonus") {
+      await ctx.answerCbQuery("This question is no longer being added");
+      return;
+    }
+    
+    const closestWins = ctx.match[1] === "closest";
+    await ctx.answerCbQuery(closestWins ? "Closest guess selected" : "First correct selected");
+    
+    await addCompletedQuestion(ctx, {
+      type: currentQuestion.type,
+      text: currentQuestion.text,
+      correctValue: currentQuestion.correctValue,
+      tolerance: currentQuestion.tolerance,
+      closestWins
+    });
+  } catch (error) {
+    logger.error("Error in numeric bonus handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Multi-select correct option toggles
+quizCreationScene.action(/^mcorrect_(\d+)$/, async (ctx) => {
+  try {
+    const i = parseInt(ctx.match[1]);
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (
+      !currentQuestion ||
+      currentQuestion.stage !== "correct" ||
+      currentQuestion.type !== QUESTION_TYPES.MULTI_SELECT ||
+      i >= currentQuestion.options.length
+    ) {
+      await ctx.answerCbQuery("This question is no longer being added");
+      return;
+    }
+    
+    const picks = currentQuestion.correctPicks || [];
+    currentQuestion.correctPicks = picks.includes(i)
+      ? picks.filter((pick) => pick !== i)
+      : [...picks, i].sort((a, b) => a - b);
+    
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(multiSelectKeyboard(currentQuestion).reply_markup);
+  } catch (error) {
+    logger.error("Error in multi-select toggle handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+quizCreationScene.action("mcorrect_done", async (ctx) => {
+  try {
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (
+      !currentQuestion ||
+      currentQuestion.stage !== "correct" ||
+      currentQuestion.type !== QUESTION_TYPES.MULTI_SELECT
+    ) {
+      await ctx.answerCbQuery("This question is no longer being added");
+      return;
+    }
+    
+    if (!currentQuestion.correctPicks || currentQuestion.correctPicks.length === 0) {
+      await ctx.answerCbQuery("Pick at least one correct option first");
+      return;
+    }
+    
+    await ctx.answerCbQuery();
+    currentQuestion.stage = "scoring";
+    await promptForScoring(ctx, currentQuestion);
+  } catch (error) {
+    logger.error("Error in multi-select done handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Multi-select and ordering scoring choice
+quizCreationScene.action(/^mscore_(all|partial)$/, async (ctx) => {
+  try {
+    const currentQuestion = ctx.wizard.state.currentQuestion;
+    if (!currentQuestion || currentQuestion.stage !== "scoring") {
+      await ctx.answerCbQuery("This question is no longer being added");
+      return;
+    }
+    
+    const partialCredit = ctx.match[1] === "partial";
+    await ctx.answerCbQuery(partialCredit ? "Partial credit selected" : "All or nothing selected");
+    
+    if (currentQuestion.type === QUESTION_TYPES.ORDERING) {
+      return await addCompletedQuestion(ctx, {
+        type: currentQuestion.type,
+        text: currentQuestion.text,
+        options: [...currentQuestion.options],
+        partialCredit
+      });
+    }
+    
+    await addCompletedQuestion(ctx, {
+      type: currentQuestion.type,
+      text: currentQuestion.text,
+      options: [...currentQuestion.options],
+      correctAnswer: [...currentQuestion.correctPicks],
+      partialCredit
+    });
+  } catch (error) {
+    logger.error("Error in multi-select scoring handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+/**
+ * Short label for the correct answer of a question
+ * @param {Object} question - Question data
+ * @returns {string} Option letter(s), the answer itself for true/false, free-text and
+ *   numeric questions, or the first item for ordering questions
+ */
+function correctAnswerLabel(question) {
+  const type = getQuestionType(question);
+  if (type === QUESTION_TYPES.TRUE_FALSE) {
+    return question.options[question.correctAnswer];
+  }
+  if (type === QUESTION_TYPES.MULTI_SELECT) {
+    return question.correctAnswer.map((i) => ANSWER_LABELS[i]).join(", ");
+  }
+  if (type === QUESTION_TYPES.FREE_TEXT) {
+    return question.acceptedAnswers[0];
+  }
+  if (type === QUESTION_TYPES.NUMERIC) {
+    return String(question.correctValue);
+  }
+  if (type === QUESTION_TYPES.ORDERING) {
+    return `${question.options[0]} → …`;
+  }
+  return ANSWER_LABELS[question.correctAnswer];
+}
+
+/**
+ * Smallest and largest number of options a question can have
+ * @param {Object} question - Question data
+ * @returns {Object} { min, max, noun } where noun is what the options are called
+ */
+function optionLimits(question) {
+  return getQuestionType(question) === QUESTION_TYPES.ORDERING
+    ? { min: QUIZ_CONSTRAINTS.MIN_ORDER_ITEMS, max: QUIZ_CONSTRAINTS.MAX_ORDER_ITEMS, noun: "items" }
+    : { min: QUIZ_CONSTRAINTS.MIN_OPTIONS, max: QUIZ_CONSTRAINTS.MAX_OPTIONS, noun: "options" };
+}
+
+/**
+ * Name of an option in editor messages: "option B", or "item 2" for ordering questions
+ * @param {Object} question - Question data
+ * @param {number} optionIndex - Option index
+ * @returns {string} Option name
+ */
+function optionName(question, optionIndex) {
+  return getQuestionType(question) === QUESTION_TYPES.ORDERING
+    ? `item ${optionIndex + 1}`
+    : `option ${ANSWER_LABELS[optionIndex]}`;
+}
+
+/**
+ * Check whether an option is (one of) the correct answer(s) of a question
+ * @param {Object} question - Question data
+ * @param {number} optionIndex - Option index
+ * @returns {boolean} Whether the option is correct
+ */
+function isCorrectOption(question, optionIndex) {
+  return getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT
+    ? question.correctAnswer.includes(optionIndex)
+    : question.correctAnswer === optionIndex;
+}
+
+/**
+ * Validate question text against the quiz constraints
+ * @param {string} text - Question text
+ * @returns {string|null} Error message or null if valid
+ */
+function validateQuestionText(text) {
+  if (text.length < QUIZ_CONSTRAINTS.QUESTION_MIN_LENGTH) {
+    return `Question text is too short. Please provide at least ${QUIZ_CONSTRAINTS.QUESTION_MIN_LENGTH} characters.`;
+  }
+  if (text.length > QUIZ_CONSTRAINTS.QUESTION_MAX_LENGTH) {
+    return `Question text is too long. Maximum length is ${QUIZ_CONSTRAINTS.QUESTION_MAX_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Validate answer option text against the quiz constraints
+ * @param {string} text - Option text
+ * @param {string} label - What the text is, for error messages
+ * @returns {string|null} Error message or null if valid
+ */
+function validateOptionText(text, label = "Option") {
+  if (text.length < 1) {
+    return `${label} text cannot be empty. Please provide some text.`;
+  }
+  if (text.length > QUIZ_CONSTRAINTS.OPTION_MAX_LENGTH) {
+    return `${label} text is too long. Maximum length is ${QUIZ_CONSTRAINTS.OPTION_MAX_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Scene for editing the questions of an existing quiz
+ * Entered with { quizId } as the initial scene state
+ */
+const questionEditorScene = new Scenes.BaseScene("edit_questions");
+
+/**
+ * Validate the explanation of a question
+ * @param {string} text - Explanation
+ * @returns {string|null} Error message or null if valid
+ */
+function validateExplanation(text) {
+  if (text.length > QUIZ_CONSTRAINTS.EXPLANATION_MAX_LENGTH) {
+    return `Explanation is too long. Maximum length is ${QUIZ_CONSTRAINTS.EXPLANATION_MAX_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Validate the source link of a question
+ * @param {string} text - Link as typed
+ * @returns {string|null} Error message or null if valid
+ */
+function validateSourceUrl(text) {
+  if (!parseSourceUrl(text)) {
+    return `Please send a link starting with http:// or https://.`;
+  }
+  if (text.length > QUIZ_CONSTRAINTS.SOURCE_URL_MAX_LENGTH) {
+    return `Link is too long. Maximum length is ${QUIZ_CONSTRAINTS.SOURCE_URL_MAX_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Explanation and source link lines of a question, for previews and the editor
+ * @param {Object} question - Question data
+ * @returns {string} Lines to append, empty if the question has neither
+ */
+function questionNotesText(question) {
+  let text = "";
+  if (question.explanation) {
+    text += `\n<b>Explanation:</b> ${utils.escapeHTML(question.explanation)}\n`;
+  }
+  if (question.sourceUrl) {
+    text += `${question.explanation ? "" : "\n"}<b>Source:</b> ${utils.escapeHTML(question.sourceUrl)}\n`;
+  }
+  return text;
+}
+
+/**
+ * Load the quiz being edited and verify the user owns it
+ * @param {Object} ctx - Telegram context
+ * @returns {Promise<Object|null>} Quiz data or null if unavailable
+ */
+async function loadEditableQuiz(ctx) {
+  const quiz = await quizManager.getQuiz(ctx.scene.state.quizId, ctx.from.id);
+
+  if (!quiz || quiz.creator !== ctx.from.id) {
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Quiz Not Found`,
+        `This quiz no longer exists or you don't have permission to edit it.`,
+        UI.ICONS.ERROR
+      )
+    );
+    await ctx.scene.leave();
+    return null;
+  }
+
+  return quiz;
+}
+
+/**
+ * Persist edited questions through the quiz manager.
+ * The edit is checked against the version last shown to the user, so
+ * question numbers the user picked can't point at a changed quiz.
+ * @param {Object} ctx - Telegram context
+ * @param {Object} quiz - Quiz data with the edited question list
+ * @returns {Promise<boolean>} Whether the update succeeded
+ */
+async function saveEditedQuestions(ctx, quiz) {
+  const result = await quizManager.updateQuiz(
+    ctx.scene.state.quizId,
+    { questions: quiz.questions },
+    ctx.from.id,
+    { expectedUpdatedAt: ctx.scene.state.shownUpdatedAt }
+  );
+
+  if (!result.success) {
+    await ctx.replyWithHTML(
+      formatHTML(`Update Failed`, result.message, UI.ICONS.ERROR)
+    );
+
+    // Show the current version so the user can redo the edit
+    if (result.conflict) {
+      const latest = await loadEditableQuiz(ctx);
+      if (latest) {
+        await showQuestionList(ctx, latest);
+      }
+    }
+    return false;
+  }
+
+  quiz.updatedAt = result.updatedAt;
+  return true;
+}
+
+/**
+ * Show the list of questions in the quiz being edited
+ * @param {Object} ctx - Telegram context
+ * @param {Object} quiz - Quiz data
+ */
+async function showQuestionList(ctx, quiz) {
+  ctx.scene.state.awaiting = null;
+  ctx.scene.state.shownUpdatedAt = quiz.updatedAt;
+
+  let message = formatHTML(
+    `Edit Questions: ${quiz.title}`,
+    `Your quiz has ${quiz.questions.length} question${quiz.questions.length !== 1 ? "s" : ""}. ` +
+      `Select a question to edit it:\n`,
+    UI.ICONS.EDIT
+  );
+
+  quiz.questions.forEach((question, index) => {
+    const text =
+      question.text.length > 40
+        ? question.text.substring(0, 37) + "..."
+        : question.text;
+    message += `\n<b>${index + 1}.</b> ${text} (✅ ${correctAnswerLabel(question)})`;
+  });
+
+  // Question buttons, 5 per row
+  const buttons = [];
+  const questionsPerRow = 5;
+
+  for (let i = 0; i < quiz.questions.length; i += questionsPerRow) {
+    const row = [];
+    for (let j = 0; j < questionsPerRow && i + j < quiz.questions.length; j++) {
+      row.push(Markup.button.callback(`Q${i + j + 1}`, `eq_view_${i + j}`));
+    }
+    buttons.push(row);
+  }
+
+  if (quiz.questions.length < QUIZ_CONSTRAINTS.MAX_QUESTIONS) {
+    buttons.push([
+      Markup.button.callback(
+        `${UI.ICONS.CREATE} Add Question`,
+        `eq_insert_${quiz.questions.length}`
+      ),
+    ]);
+  }
+
+  buttons.push([
+    Markup.button.callback(`${UI.ICONS.SUCCESS} Done Editing`, "eq_done"),
+  ]);
+
+  await ctx.replyWithHTML(message, Markup.inlineKeyboard(buttons));
+}
+
+/**
+ * Show a single question with its editing actions
+ * @param {Object} ctx - Telegram context
+ * @param {Object} quiz - Quiz data
+ * @param {number} index - Question index
+ */
+async function showQuestionDetail(ctx, quiz, index) {
+  ctx.scene.state.awaiting = null;
+  ctx.scene.state.shownUpdatedAt = quiz.updatedAt;
+
+  const question = quiz.questions[index];
+  if (!question) {
+    return await showQuestionList(ctx, quiz);
+  }
+
+  let message = formatHTML(
+    `Question ${index + 1}/${quiz.questions.length}`,
+    `<b>Question:</b> ${question.text}\n\n`,
+    UI.ICONS.EDIT
+  );
+
+  if (getQuestionType(question) === QUESTION_TYPES.FREE_TEXT) {
+    return await showFreeTextQuestionDetail(ctx, quiz, index, message);
+  }
+  if (getQuestionType(question) === QUESTION_TYPES.NUMERIC) {
+    return await showNumericQuestionDetail(ctx, quiz, index, message);
+  }
+
+  // True/false questions have fixed options, so only the answer can change
+  const isTrueFalse = getQuestionType(question) === QUESTION_TYPES.TRUE_FALSE;
+  const isMultiSelect = getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT;
+  const isOrdering = getQuestionType(question) === QUESTION_TYPES.ORDERING;
+  const limits = optionLimits(question);
+
+  if (isTrueFalse) {
+    message += `<b>Type:</b> True / False\n<b>Answer:</b> ${correctAnswerLabel(question)} ✅\n`;
+  } else if (isOrdering) {
+    message +=
+      `<b>Type:</b> Put in Order\n<b>Correct order:</b>\n` +
+      question.options.map((item, i) => `${i + 1}. ${item}`).join("\n") + `\n`;
+  } else {
+    question.options.forEach((option, i) => {
+      message += isCorrectOption(question, i)
+        ? `<b>${ANSWER_LABELS[i]}. ${option}</b> ✅\n`
+        : `${ANSWER_LABELS[i]}. ${option}\n`;
+    });
+  }
+
+  if (isMultiSelect) {
+    message += `\n<b>Type:</b> Multiple Select\n`;
+  }
+  if (isMultiSelect || isOrdering) {
+    message += `<b>Scoring:</b> ${question.partialCredit ? "Partial credit" : "All or nothing"}\n`;
+  }
+  message += questionNotesText(question);
+
+  const optionButtons = isTrueFalse
+    ? []
+    : question.options.map((option, i) =>
+        Markup.button.callback(
+          `Edit ${isOrdering ? i + 1 : ANSWER_LABELS[i]}`,
+          `eq_opt_${index}_${i}`
+        )
+      );
+
+  const optionCountButtons = isTrueFalse ? [] : [
+    question.options.length < limits.max
+      ? Markup.button.callback(`➕ Add ${isOrdering ? "Item" : "Option"}`, `eq_addopt_${index}`)
+      : null,
+    question.options.length > limits.min
+      ? Markup.button.callback(`➖ Remove ${isOrdering ? "Item" : "Option"}`, `eq_rmopt_${index}`)
+      : null,
+  ].filter(Boolean);
+
+  let correctLabel = `${UI.ICONS.SUCCESS} Change Correct ${isMultiSelect ? "Answers" : "Answer"}`;
+  if (isOrdering) {
+    correctLabel = "🔀 Change Order";
+  }
+
+  const buttons = [
+    [Markup.button.callback(`${UI.ICONS.EDIT} Edit Question Text`, `eq_text_${index}`)],
+    ...optionButtonRows(optionButtons),
+    optionCountButtons,
+    [Markup.button.callback(correctLabel, `eq_correct_${index}`)],
+    isMultiSelect || isOrdering
+      ? [
+          Markup.button.callback(
+            question.partialCredit ? "🎯 Use All or Nothing" : "🧮 Use Partial Credit",
+            `eq_mscore_${index}`
+          ),
+        ]
+      : [],
+    questionNotesRow(question, index),
+    ...questionNavigationRows(quiz, index),
+  ].filter((row) => row.length > 0);
+
+  await ctx.replyWithHTML(message, Markup.inlineKeyboard(buttons));
+}
+
+/**
+ * Buttons to edit the explanation and source link of a question
+ * @param {Object} question - Question data
+ * @param {number} index - Question index
+ * @returns {Array<Object>} Keyboard row
+ */
+function questionNotesRow(question, index) {
+  return [
+    Markup.button.callback(
+      question.explanation ? "💡 Edit Explanation" : "💡 Add Explanation",
+      `eq_expl_${index}`
+    ),
+    Markup.button.callback(question.sourceUrl ? "🔗 Edit Source" : "🔗 Add Source", `eq_src_${index}`),
+  ];
+}
+
+/**
+ * Buttons shared by every question detail view: move, insert, delete and back
+ * @param {Object} quiz - Quiz data
+ * @param {number} index - Question index
+ * @returns {Array<Array<Object>>} Keyboard rows
+ */
+function questionNavigationRows(quiz, index) {
+  const moveButtons = [];
+  if (index > 0) {
+    moveButtons.push(Markup.button.callback("⬆️ Move Up", `eq_up_${index}`));
+  }
+  if (index < quiz.questions.length - 1) {
+    moveButtons.push(
+      Markup.button.callback("⬇️ Move Down", `eq_down_${index}`)
+    );
+  }
+
+  return [
+    moveButtons,
+    [
+      quiz.questions.length < QUIZ_CONSTRAINTS.MAX_QUESTIONS
+        ? Markup.button.callback(`${UI.ICONS.CREATE} Insert After`, `eq_insert_${index + 1}`)
+        : null,
+      quiz.questions.length > QUIZ_CONSTRAINTS.MIN_QUESTIONS
+        ? Markup.button.callback(`${UI.ICONS.DELETE} Delete`, `eq_delete_${index}`)
+        : null,
+    ].filter(Boolean),
+    [Markup.button.callback(`${UI.ICONS.BACK} Back to Questions`, "eq_list")],
+  ];
+}
+
+/**
+ * Show the detail view of a free-text question
+ * @param {Object} ctx - Telegram context
+ * @param {Object} quiz - Quiz data
+ * @param {number} index - Question index
+ * @param {string} message - Message so far, with the question text
+ */
+async function showFreeTextQuestionDetail(ctx, quiz, index, message) {
+  const question = quiz.questions[index];
+  const tolerance =
+    question.typoTolerance !== undefined ? question.typoTolerance : DEFAULT_TYPO_TOLERANCE;
+
+  message +=
+    `<b>Type:</b> Typed Answer\n<b>Accepted answers:</b>\n` +
+    question.acceptedAnswers.map((answer, i) => `${i + 1}. ${answer}`).join("\n") +
+    `\n\n<b>Typo tolerance:</b> ${typoToleranceLabel(tolerance)}\n` +
+    questionNotesText(question);
+
+  const nextTolerance = (tolerance + 1) % (QUIZ_CONSTRAINTS.MAX_TYPO_TOLERANCE + 1);
+  const buttons = [
+    [Markup.button.callback(`${UI.ICONS.EDIT} Edit Question Text`, `eq_text_${index}`)],
+    [
+      question.acceptedAnswers.length < QUIZ_CONSTRAINTS.MAX_ACCEPTED_ANSWERS
+        ? Markup.button.callback("➕ Add Answer", `eq_addans_${index}`)
+        : null,
+      question.acceptedAnswers.length > 1
+        ? Markup.button.callback("➖ Remove Answer", `eq_rmans_${index}`)
+        : null,
+    ].filter(Boolean),
+    [Markup.button.callback(`🔤 Switch to ${typoToleranceLabel(nextTolerance)}`, `eq_typo_${index}`)],
+    questionNotesRow(question, index),
+    ...questionNavigationRows(quiz, index),
+  ].filter((row) => row.length > 0);
+
+  await ctx.replyWithHTML(message, Markup.inlineKeyboard(buttons));
+}
+
+/**
+ * Show the detail view of a numeric question
+ * @param {Object} ctx - Telegram context
+ * @param {Object} quiz - Quiz data
+ * @param {number} index - Question index
+ * @param {string} message - Message so far, with the question text
+ */
+async function showNumericQuestionDetail(ctx, quiz, index, message) {
+  const question = quiz.questions[index];
+
+  message +=
+    `<b>Type:</b> Number\n` +
+    `<b>Answer:</b> ${question.correctValue} ✅\n` +
+    `<b>Tolerance:</b> ${numericToleranceLabel(question.tolerance)}\n` +
+    `<b>Bonus point:</b> ${question.closestWins ? "Closest guess" : "First correct"}\n` +
+    questionNotesText(question);
+
+  const buttons = [
+    [Markup.button.callback(`${UI.ICONS.EDIT} Edit Question Text`, `eq_text_${index}`)],
+    [
+      Markup.button.callback("🔢 Edit Answer", `eq_value_${index}`),
+      Markup.button.callback("📏 Edit Tolerance", `eq_margin_${index}`),
+    ],
+    [
+      Markup.button.callback(
+        question.closestWins ? "⚡ Bonus to First Correct" : "📏 Bonus to Closest Guess",
+        `eq_nbonus_${index}`
+      ),
+    ],
+    questionNotesRow(question, index),
+    ...questionNavigationRows(quiz, index),
+  ].filter((row) => row.length > 0);
+
+  await ctx.replyWithHTML(message, Markup.inlineKeyboard(buttons));
+}
+
+/**
+ * Prompt for the correct answer of a question being edited or inserted
+ * @param {Object} ctx - Telegram context
+ * @param {Object} question - Question data
+ * @param {string} actionPrefix - Callback prefix for the option buttons
+ */
+async function promptForEditorCorrectAnswer(ctx, question, actionPrefix) {
+  let message = formatHTML(
+    `Select Correct Answer`,
+    `<b>Question:</b> ${question.text}\n\n`,
+    UI.ICONS.INFO
+  );
+
+  question.options.forEach((option, i) => {
+    message += `<b>${ANSWER_LABELS[i]}.</b> ${option}\n`;
+  });
+
+  message += `\nWhich option is the correct answer?`;
+
+  const isTrueFalse = getQuestionType(question) === QUESTION_TYPES.TRUE_FALSE;
+  const buttons = question.options.map((option, i) =>
+    Markup.button.callback(isTrueFalse ? option : `Option ${ANSWER_LABELS[i]}`, `${actionPrefix}_${i}`)
+  );
+
+  await ctx.replyWithHTML(message, Markup.inlineKeyboard(optionButtonRows(buttons)));
+}
+
+/**
+ * Keyboard for picking the correct options of a multi-select question in the editor
+ * @param {Object} question - Question data
+ * @param {number} index - Question index
+ * @param {Array<number>} picks - Options picked so far
+ * @returns {Object} Inline keyboard
+ */
+function editorMultiSelectKeyboard(question, index, picks) {
+  const buttons = question.options.map((option, i) =>
+    Markup.button.callback(`${picks.includes(i) ? "✅" : "⬜"} ${ANSWER_LABELS[i]}`, `eq_mpick_${i}`)
+  );
+
+  return Markup.inlineKeyboard([
+    ...optionButtonRows(buttons),
+    [
+      Markup.button.callback(`${UI.ICONS.SUCCESS} Save`, "eq_msave"),
+      Markup.button.callback("Cancel", `eq_view_${index}`),
+    ],
+  ]);
+}
+
+// Show the question list when the editor is opened
+questionEditorScene.enter(async (ctx) => {
+  try {
+    const quiz = await loadEditableQuiz(ctx);
+    if (quiz) {
+      await showQuestionList(ctx, quiz);
+    }
+  } catch (error) {
+    logger.error("Error entering question editor:", error);
+    await ctx.reply(
+      `${UI.ICONS.ERROR} An error occurred while opening the question editor.`
+    );
+    return ctx.scene.leave();
+  }
+});
+
+// Back to question list
+questionEditorScene.action("eq_list", async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
+    const quiz = await loadEditableQuiz(ctx);
+    if (quiz) {
+      await showQuestionList(ctx, quiz);
+    }
+  } catch (error) {
+    logger.error("Error in question list handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// View a single question
+questionEditorScene.action(/^eq_view_(\d+)$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
+    const quiz = await loadEditableQuiz(ctx);
+    if (quiz) {
+      await showQuestionDetail(ctx, quiz, parseInt(ctx.match[1]));
+    }
+  } catch (error) {
+    logger.error("Error in view question handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Edit question text
+questionEditorScene.action(/^eq_text_(\d+)$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery("Enter new question text...");
+    ctx.scene.state.awaiting = { type: "text", index: parseInt(ctx.match[1]) };
+
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Edit Question Text`,
+        `Please enter the new text for question ${parseInt(ctx.match[1]) + 1}.\n\n` +
+          `${UI.ICONS.INFO} The text should be between ${QUIZ_CONSTRAINTS.QUESTION_MIN_LENGTH}-${QUIZ_CONSTRAINTS.QUESTION_MAX_LENGTH} characters.`,
+        UI.ICONS.EDIT
+      )
+    );
+  } catch (error) {
+    logger.error("Error in edit question text handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Edit a single answer option
+questionEditorScene.action(/^eq_opt_(\d+)_(\d+)$/, async (ctx) => {
+  try {
+    const index = parseInt(ctx.match[1]);
+    const option = parseInt(ctx.match[2]);
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = quiz.questions[index];
+    if (!question || !question.options || option >= question.options.length) {
+      await ctx.answerCbQuery("Question not found");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    const name = optionName(question, option);
+    await ctx.answerCbQuery(`Enter new text for ${name}...`);
+    ctx.scene.state.awaiting = { type: "option", index, option };
+
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Edit ${name[0].toUpperCase()}${name.substring(1)}`,
+        `Please enter the new text for ${name} of question ${index + 1}.\n\n` +
+          `${UI.ICONS.INFO} Maximum length is ${QUIZ_CONSTRAINTS.OPTION_MAX_LENGTH} characters.`,
+        UI.ICONS.EDIT
+      )
+    );
+  } catch (error) {
+    logger.error("Error in edit option handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Add an answer option to a question
+questionEditorScene.action(/^eq_addopt_(\d+)$/, async (ctx) => {
+  try {
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const index = parseInt(ctx.match[1]);
+    const question = quiz.questions[index];
+    if (!question) {
+      await ctx.answerCbQuery("Question not found");
+      return await showQuestionList(ctx, quiz);
+    }
+    if (getQuestionType(question) === QUESTION_TYPES.TRUE_FALSE) {
+      await ctx.answerCbQuery("True/false questions always have two options");
+      return;
+    }
+    if (TYPED_ANSWER_TYPES.includes(getQuestionType(question))) {
+      await ctx.answerCbQuery("This question has no options");
+      return;
+    }
+    const limits = optionLimits(question);
+    if (question.options.length >= limits.max) {
+      await ctx.answerCbQuery(`This question can have at most ${limits.max} ${limits.noun}`);
+      return;
+    }
+
+    const name = optionName(question, question.options.length);
+    await ctx.answerCbQuery(`Enter the text for ${name}...`);
+    ctx.scene.state.awaiting = { type: "addoption", index };
+
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Add ${name[0].toUpperCase()}${name.substring(1)}`,
+        `Please enter the text for the new ${name} of question ${index + 1}.` +
+          (getQuestionType(question) === QUESTION_TYPES.ORDERING
+            ? ` It's added as the last item of the correct order.`
+            : "") +
+          `\n\n` +
+          `${UI.ICONS.INFO} Maximum length is ${QUIZ_CONSTRAINTS.OPTION_MAX_LENGTH} characters.`,
+        UI.ICONS.CREATE
+      )
+    );
+  } catch (error) {
+    logger.error("Error in add option handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Ask which answer option to remove
+questionEditorScene.action(/^eq_rmopt_(\d+)$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const index = parseInt(ctx.match[1]);
+    const question = quiz.questions[index];
+    if (!question || TYPED_ANSWER_TYPES.includes(getQuestionType(question))) {
+      return await showQuestionList(ctx, quiz);
+    }
+
+    if (getQuestionType(question) === QUESTION_TYPES.ORDERING) {
+      const buttons = question.options.map((item, i) =>
+        Markup.button.callback(`Remove ${i + 1}`, `eq_delopt_${index}_${i}`)
+      );
+
+      return await ctx.replyWithHTML(
+        formatHTML(
+          `Remove an Item`,
+          `Which item of question ${index + 1} should be removed?`,
+          UI.COLORS.WARNING
+        ),
+        Markup.inlineKeyboard([
+          ...optionButtonRows(buttons),
+          [Markup.button.callback("Cancel", `eq_view_${index}`)],
+        ])
+      );
+    }
+
+    // Correct answers can't be removed, so they aren't offered
+    const buttons = question.options
+      .map((option, i) =>
+        isCorrectOption(question, i)
+          ? null
+          : Markup.button.callback(`Remove ${ANSWER_LABELS[i]}`, `eq_delopt_${index}_${i}`)
+      )
+      .filter(Boolean);
+
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Remove an Option`,
+        `Which option of question ${index + 1} should be removed? ` +
+          `To remove the correct answer, choose another correct answer first.`,
+        UI.COLORS.WARNING
+      ),
+      Markup.inlineKeyboard([
+        ...optionButtonRows(buttons),
+        [Markup.button.callback("Cancel", `eq_view_${index}`)],
+      ])
+    );
+  } catch (error) {
+    logger.error("Error in remove option handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Remove an answer option
+questionEditorScene.action(/^eq_delopt_(\d+)_(\d+)$/, async (ctx) => {
+  try {
+    const index = parseInt(ctx.match[1]);
+    const option = parseInt(ctx.match[2]);
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = quiz.questions[index];
+    if (
+      !question ||
+      TYPED_ANSWER_TYPES.includes(getQuestionType(question)) ||
+      option >= question.options.length ||
+      isCorrectOption(question, option) ||
+      question.options.length <= optionLimits(question).min
+    ) {
+      await ctx.answerCbQuery("This option can't be removed");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    question.options.splice(option, 1);
+    if (getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT) {
+      question.correctAnswer = question.correctAnswer.map((i) => (i > option ? i - 1 : i));
+    } else if (getQuestionType(question) !== QUESTION_TYPES.ORDERING && option < question.correctAnswer) {
+      question.correctAnswer--;
+    }
+
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery("Option removed");
+      await showQuestionDetail(ctx, quiz, index);
+    }
+  } catch (error) {
+    logger.error("Error in confirm remove option handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Add an accepted answer to a free-text question
+questionEditorScene.action(/^eq_addans_(\d+)$/, async (ctx) => {
+  try {
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const index = parseInt(ctx.match[1]);
+    const question = quiz.questions[index];
+    if (!question || getQuestionType(question) !== QUESTION_TYPES.FREE_TEXT) {
+      await ctx.answerCbQuery("Question not found");
+      return await showQuestionList(ctx, quiz);
+    }
+    if (question.acceptedAnswers.length >= QUIZ_CONSTRAINTS.MAX_ACCEPTED_ANSWERS) {
+      await ctx.answerCbQuery(
+        `A question can have at most ${QUIZ_CONSTRAINTS.MAX_ACCEPTED_ANSWERS} accepted answers`
+      );
+      return;
+    }
+
+    await ctx.answerCbQuery("Enter the accepted answer...");
+    ctx.scene.state.awaiting = { type: "addanswer", index };
+
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Add Accepted Answer`,
+        `Please enter another answer that should count for question ${index + 1}.\n\n` +
+          `${UI.ICONS.INFO} Maximum length is ${QUIZ_CONSTRAINTS.OPTION_MAX_LENGTH} characters.`,
+        UI.ICONS.CREATE
+      )
+    );
+  } catch (error) {
+    logger.error("Error in add accepted answer handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Ask which accepted answer to remove
+questionEditorScene.action(/^eq_rmans_(\d+)$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const index = parseInt(ctx.match[1]);
+    const question = quiz.questions[index];
+    if (!question || getQuestionType(question) !== QUESTION_TYPES.FREE_TEXT) {
+      return await showQuestionList(ctx, quiz);
+    }
+
+    const buttons = question.acceptedAnswers.map((answer, i) => [
+      Markup.button.callback(`Remove "${answer.substring(0, 40)}"`, `eq_delans_${index}_${i}`),
+    ]);
+
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Remove an Accepted Answer`,
+        `Which accepted answer of question ${index + 1} should be removed?`,
+        UI.COLORS.WARNING
+      ),
+      Markup.inlineKeyboard([
+        ...buttons,
+        [Markup.button.callback("Cancel", `eq_view_${index}`)],
+      ])
+    );
+  } catch (error) {
+    logger.error("Error in remove accepted answer handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Remove an accepted answer
+questionEditorScene.action(/^eq_delans_(\d+)_(\d+)$/, async (ctx) => {
+  try {
+    const index = parseInt(ctx.match[1]);
+    const answer = parseInt(ctx.match[2]);
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = quiz.questions[index];
+    if (
+      !question ||
+      getQuestionType(question) !== QUESTION_TYPES.FREE_TEXT ||
+      answer >= question.acceptedAnswers.length ||
+      question.acceptedAnswers.length <= 1
+    ) {
+      await ctx.answerCbQuery("This answer can't be removed");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    question.acceptedAnswers.splice(answer, 1);
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery("Answer removed");
+      await showQuestionDetail(ctx, quiz, index);
+    }
+  } catch (error) {
+    logger.error("Error in confirm remove accepted answer handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Cycle the typo tolerance of a free-text question
+questionEditorScene.action(/^eq_typo_(\d+)$/, async (ctx) => {
+  try {
+    const index = parseInt(ctx.match[1]);
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = quiz.questions[index];
+    if (!question || getQuestionType(question) !== QUESTION_TYPES.FREE_TEXT) {
+      await ctx.answerCbQuery("Question not found");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    const tolerance =
+      question.typoTolerance !== undefined ? question.typoTolerance : DEFAULT_TYPO_TOLERANCE;
+    question.typoTolerance = (tolerance + 1) % (QUIZ_CONSTRAINTS.MAX_TYPO_TOLERANCE + 1);
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery(`${typoToleranceLabel(question.typoTolerance)} allowed`);
+      await showQuestionDetail(ctx, quiz, index);
+    }
+  } catch (error) {
+    logger.error("Error in typo tolerance handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Ask for a new correct number or tolerance of a numeric question
+questionEditorScene.action(/^eq_(value|margin)_(\d+)$/, async (ctx) => {
+  try {
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const field = ctx.match[1];
+    const index = parseInt(ctx.match[2]);
+    const question = quiz.questions[index];
+    if (!question || getQuestionType(question) !== QUESTION_TYPES.NUMERIC) {
+      await ctx.answerCbQuery("Question not found");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    await ctx.answerCbQuery(field === "value" ? "Enter the correct number..." : "Enter the tolerance...");
+    ctx.scene.state.awaiting = { type: field, index };
+
+    await ctx.replyWithHTML(
+      field === "value"
+        ? formatHTML(
+            `Edit Answer`,
+            `<b>Current answer:</b> ${question.correctValue}\n\n` +
+              `Please enter the new correct number for question ${index + 1}.`,
+            UI.ICONS.EDIT
+          )
+        : formatHTML(
+            `Edit Tolerance`,
+            `<b>Current tolerance:</b> ${numericToleranceLabel(question.tolerance)}\n\n` +
+              `How far off may an answer to question ${index + 1} be and still count? ` +
+              `Send a number, or 0 for exact answers only.`,
+            UI.ICONS.EDIT
+          )
+    );
+  } catch (error) {
+    logger.error("Error in edit numeric answer handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Edit the explanation or source link of a question
+questionEditorScene.action(/^eq_(expl|src)_(\d+)$/, async (ctx) => {
+  try {
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const isExplanation = ctx.match[1] === "expl";
+    const index = parseInt(ctx.match[2]);
+    const question = quiz.questions[index];
+    if (!question) {
+      await ctx.answerCbQuery("Question not found");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    await ctx.answerCbQuery(isExplanation ? "Enter the explanation..." : "Enter the source link...");
+    ctx.scene.state.awaiting = { type: isExplanation ? "explanation" : "source", index };
+
+    const current = isExplanation ? question.explanation : question.sourceUrl;
+    const buttons = [];
+    if (current) {
+      buttons.push([
+        Markup.button.callback(
+          `${UI.ICONS.DELETE} Remove ${isExplanation ? "Explanation" : "Source"}`,
+          `eq_no${ctx.match[1]}_${index}`
+        ),
+      ]);
+    }
+    buttons.push([Markup.button.callback("Cancel", `eq_view_${index}`)]);
+
+    await ctx.replyWithHTML(
+      isExplanation
+        ? formatHTML(
+            `Edit Explanation`,
+            (current ? `<b>Current explanation:</b> ${utils.escapeHTML(current)}\n\n` : "") +
+              `Please enter the explanation for question ${index + 1}. ` +
+              `Players see it when the answer is revealed.\n\n` +
+              `${UI.ICONS.INFO} Maximum length is ${QUIZ_CONSTRAINTS.EXPLANATION_MAX_LENGTH} characters.`,
+            UI.ICONS.EDIT
+          )
+        : formatHTML(
+            `Edit Source`,
+            (current ? `<b>Current source:</b> ${utils.escapeHTML(current)}\n\n` : "") +
+              `Please enter a link where players can read more about question ${index + 1}, ` +
+              `starting with https://`,
+            UI.ICONS.EDIT
+          ),
+      Markup.inlineKeyboard(buttons)
+    );
+  } catch (error) {
+    logger.error("Error in edit explanation handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Remove the explanation or source link of a question
+questionEditorScene.action(/^eq_no(expl|src)_(\d+)$/, async (ctx) => {
+  try {
+    const index = parseInt(ctx.match[2]);
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = quiz.questions[index];
+    if (!question) {
+      await ctx.answerCbQuery("Question not found");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    const isExplanation = ctx.match[1] === "expl";
+    delete question[isExplanation ? "explanation" : "sourceUrl"];
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery(isExplanation ? "Explanation removed" : "Source removed");
+      await showQuestionDetail(ctx, quiz, index);
+    }
+  } catch (error) {
+    logger.error("Error in remove explanation handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Switch who gets the bonus point of a numeric question
+questionEditorScene.action(/^eq_nbonus_(\d+)$/, async (ctx) => {
+  try {
+    const index = parseInt(ctx.match[1]);
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = quiz.questions[index];
+    if (!question || getQuestionType(question) !== QUESTION_TYPES.NUMERIC) {
+      await ctx.answerCbQuery("Question not found");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    question.closestWins = !question.closestWins;
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery(
+        question.closestWins ? "The closest guess gets the bonus" : "The first correct answer gets the bonus"
+      );
+      await showQuestionDetail(ctx, quiz, index);
+    }
+  } catch (error) {
+    logger.error("Error in numeric bonus handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Choose a new correct answer
+questionEditorScene.action(/^eq_correct_(\d+)$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const index = parseInt(ctx.match[1]);
+    const question = quiz.questions[index];
+    if (!question || TYPED_ANSWER_TYPES.includes(getQuestionType(question))) {
+      return await showQuestionList(ctx, quiz);
+    }
+
+    if (getQuestionType(question) === QUESTION_TYPES.ORDERING) {
+      ctx.scene.state.awaiting = { type: "order", index };
+
+      return await ctx.replyWithHTML(
+        formatHTML(
+          `Change Order`,
+          `<b>Question:</b> ${question.text}\n\n` +
+            question.options.map((item, i) => `<b>${i + 1}.</b> ${item}`).join("\n") +
+            `\n\nSend the item numbers in the new correct order, for example ` +
+            `"${question.options.map((item, i) => i + 1).reverse().join(" ")}".`,
+          UI.ICONS.INFO
+        ),
+        Markup.inlineKeyboard([[Markup.button.callback("Cancel", `eq_view_${index}`)]])
+      );
+    }
+
+    if (getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT) {
+      const picks = [...question.correctAnswer];
+      ctx.scene.state.awaiting = { type: "multicorrect", index, picks };
+
+      return await ctx.replyWithHTML(
+        formatHTML(
+          `Select Correct Answers`,
+          `<b>Question:</b> ${question.text}\n\n` +
+            question.options.map((option, i) => `<b>${ANSWER_LABELS[i]}.</b> ${option}`).join("\n") +
+            `\n\nTap every correct option and then "Save", or send their letters (for example "A, C").`,
+          UI.ICONS.INFO
+        ),
+        editorMultiSelectKeyboard(question, index, picks)
+      );
+    }
+
+    await promptForEditorCorrectAnswer(ctx, question, `eq_setcorrect_${index}`);
+  } catch (error) {
+    logger.error("Error in change correct answer handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Toggle a correct option of a multi-select question
+questionEditorScene.action(/^eq_mpick_(\d+)$/, async (ctx) => {
+  try {
+    const option = parseInt(ctx.match[1]);
+    const awaiting = ctx.scene.state.awaiting;
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = awaiting && awaiting.type === "multicorrect" ? quiz.questions[awaiting.index] : null;
+    if (!question || option >= question.options.length) {
+      await ctx.answerCbQuery("This selection is no longer active");
+      return;
+    }
+
+    awaiting.picks = awaiting.picks.includes(option)
+      ? awaiting.picks.filter((pick) => pick !== option)
+      : [...awaiting.picks, option].sort((a, b) => a - b);
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(
+      editorMultiSelectKeyboard(question, awaiting.index, awaiting.picks).reply_markup
+    );
+  } catch (error) {
+    logger.error("Error in multi-select pick handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Save the correct options of a multi-select question
+questionEditorScene.action("eq_msave", async (ctx) => {
+  try {
+    const awaiting = ctx.scene.state.awaiting;
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = awaiting && awaiting.type === "multicorrect" ? quiz.questions[awaiting.index] : null;
+    if (!question) {
+      await ctx.answerCbQuery("This selection is no longer active");
+      return;
+    }
+    if (awaiting.picks.length === 0) {
+      await ctx.answerCbQuery("Pick at least one correct option");
+      return;
+    }
+
+    question.correctAnswer = [...awaiting.picks];
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery("Correct answers saved");
+      await showQuestionDetail(ctx, quiz, awaiting.index);
+    }
+  } catch (error) {
+    logger.error("Error in save correct answers handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Switch a multi-select question between all-or-nothing and partial credit
+questionEditorScene.action(/^eq_mscore_(\d+)$/, async (ctx) => {
+  try {
+    const index = parseInt(ctx.match[1]);
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = quiz.questions[index];
+    const type = getQuestionType(question);
+    if (!question || (type !== QUESTION_TYPES.MULTI_SELECT && type !== QUESTION_TYPES.ORDERING)) {
+      await ctx.answerCbQuery("Question not found");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    question.partialCredit = !question.partialCredit;
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery(question.partialCredit ? "Partial credit enabled" : "All or nothing enabled");
+      await showQuestionDetail(ctx, quiz, index);
+    }
+  } catch (error) {
+    logger.error("Error in multi-select scoring handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Save a new correct answer
+questionEditorScene.action(/^eq_setcorrect_(\d+)_(\d+)$/, async (ctx) => {
+  try {
+    const index = parseInt(ctx.match[1]);
+    const correctAnswer = parseInt(ctx.match[2]);
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = quiz.questions[index];
+    if (
+      !question ||
+      getQuestionType(question) === QUESTION_TYPES.MULTI_SELECT ||
+      TYPED_ANSWER_TYPES.includes(getQuestionType(question)) ||
+      correctAnswer >= question.options.length
+    ) {
+      await ctx.answerCbQuery("Invalid selection");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    question.correctAnswer = correctAnswer;
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery(`Option ${ANSWER_LABELS[correctAnswer]} is now correct`);
+      await showQuestionDetail(ctx, quiz, index);
+    }
+  } catch (error) {
+    logger.error("Error in set correct answer handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Move a question up or down
+questionEditorScene.action(/^eq_(up|down)_(\d+)$/, async (ctx) => {
+  try {
+    const index = parseInt(ctx.match[2]);
+    const target = ctx.match[1] === "up" ? index - 1 : index + 1;
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    if (!quiz.questions[index] || !quiz.questions[target]) {
+      await ctx.answerCbQuery("Question can't be moved further");
+      return;
+    }
+
+    [quiz.questions[index], quiz.questions[target]] = [
+      quiz.questions[target],
+      quiz.questions[index],
+    ];
+
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery(`Moved to position ${target + 1}`);
+      await showQuestionDetail(ctx, quiz, target);
+    }
+  } catch (error) {
+    logger.error("Error in move question handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Ask for delete confirmation
+questionEditorScene.action(/^eq_delete_(\d+)$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery("Confirming deletion...");
+    const index = parseInt(ctx.match[1]);
+
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Delete Question ${index + 1}?`,
+        `Are you sure you want to delete this question? This action cannot be undone.`,
+        UI.COLORS.DANGER
+      ),
+      Markup.inlineKeyboard([
+        [
+          Markup.button.callback(`${UI.ICONS.DELETE} Yes, Delete`, `eq_confirmdel_${index}`),
+          Markup.button.callback("Cancel", `eq_view_${index}`),
+        ],
+      ])
+    );
+  } catch (error) {
+    logger.error("Error in delete question handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Delete a question
+questionEditorScene.action(/^eq_confirmdel_(\d+)$/, async (ctx) => {
+  try {
+    const index = parseInt(ctx.match[1]);
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    if (quiz.questions.length <= QUIZ_CONSTRAINTS.MIN_QUESTIONS) {
+      await ctx.answerCbQuery(
+        `A quiz needs at least ${QUIZ_CONSTRAINTS.MIN_QUESTIONS} question`
+      );
+      return;
+    }
+
+    if (!quiz.questions[index]) {
+      await ctx.answerCbQuery("Question not found");
+      return await showQuestionList(ctx, quiz);
+    }
+
+    quiz.questions.splice(index, 1);
+
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery("Question deleted");
+      await showQuestionList(ctx, quiz);
+    }
+  } catch (error) {
+    logger.error("Error in confirm delete question handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Start inserting a new question at a position
+questionEditorScene.action(/^eq_insert_(\d+)$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery("Adding new question...");
+    const position = parseInt(ctx.match[1]);
+
+    ctx.scene.state.awaiting = {
+      type: "new",
+      position,
+      stage: "text",
+      draft: { text: "", options: [] },
+    };
+
+    await ctx.replyWithHTML(
+      formatHTML(
+        `New Question ${position + 1}`,
+        `Please enter the text for the new question.\n\n` +
+          `${UI.ICONS.INFO} Use /cancel to close the editor without adding it.`,
+        UI.ICONS.CREATE
+      )
+    );
+  } catch (error) {
+    logger.error("Error in insert question handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Finish the options of a new question
+questionEditorScene.action("eq_newopts_done", async (ctx) => {
+  try {
+    const awaiting = ctx.scene.state.awaiting;
+    if (
+      !awaiting ||
+      awaiting.type !== "new" ||
+      awaiting.stage !== "options" ||
+      awaiting.draft.options.length < QUIZ_CONSTRAINTS.MIN_OPTIONS
+    ) {
+      await ctx.answerCbQuery("This question is no longer being added");
+      return;
+    }
+
+    await ctx.answerCbQuery();
+    awaiting.stage = "correct";
+    await promptForEditorCorrectAnswer(ctx, awaiting.draft, "eq_newcorrect");
+  } catch (error) {
+    logger.error("Error in new question options handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Save the correct answer of a new question and insert it
+questionEditorScene.action(/^eq_newcorrect_(\d+)$/, async (ctx) => {
+  try {
+    const awaiting = ctx.scene.state.awaiting;
+    if (!awaiting || awaiting.type !== "new" || awaiting.stage !== "correct") {
+      await ctx.answerCbQuery("This question is no longer being added");
+      return;
+    }
+
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    if (quiz.questions.length >= QUIZ_CONSTRAINTS.MAX_QUESTIONS) {
+      await ctx.answerCbQuery(
+        `Maximum of ${QUIZ_CONSTRAINTS.MAX_QUESTIONS} questions reached`
+      );
+      return await showQuestionList(ctx, quiz);
+    }
+
+    const newQuestion = {
+      text: awaiting.draft.text,
+      options: [...awaiting.draft.options],
+      correctAnswer: parseInt(ctx.match[1]),
+    };
+    const position = Math.min(awaiting.position, quiz.questions.length);
+    quiz.questions.splice(position, 0, newQuestion);
+
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.answerCbQuery("Question added");
+      await showQuestionDetail(ctx, quiz, position);
+    }
+  } catch (error) {
+    logger.error("Error in new question correct answer handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+// Close the editor
+questionEditorScene.action("eq_done", async (ctx) => {
+  try {
+    await ctx.answerCbQuery("Closing question editor...");
+    const quizId = ctx.scene.state.quizId;
+    await ctx.scene.leave();
+
+    await ctx.replyWithHTML(
+      formatHTML(
+        `Questions Saved`,
+        `All your changes have been saved.`,
+        UI.ICONS.SUCCESS
+      ),
+      Markup.inlineKeyboard([
+        [Markup.button.callback(`${UI.ICONS.EDIT} Continue Editing`, `edit_quiz_${quizId}`)],
+        [Markup.button.callback(`${UI.ICONS.LIST} Back to My Quizzes`, "my_quizzes")],
+      ])
+    );
+  } catch (error) {
+    logger.error("Error in close question editor handler:", error);
+    await ctx.answerCbQuery("An error occurred. Please try again.");
+  }
+});
+
+questionEditorScene.command("cancel", async (ctx) => {
+  await ctx.reply(`${UI.ICONS.INFO} Question editor closed.`);
+  return ctx.scene.leave();
+});
+
+// Text input for pending edits
+questionEditorScene.on("text", async (ctx, next) => {
+  const awaiting = ctx.scene.state.awaiting;
+
+  // Let commands and unrelated messages fall through to the regular handlers
+  if (!awaiting || ctx.message.text.startsWith("/")) {
+    return next();
+  }
+
+  try {
+    const input = ctx.message.text.trim();
+
+    if (awaiting.type === "new") {
+      const draft = awaiting.draft;
+
+      if (awaiting.stage === "text") {
+        const error = validateQuestionText(input);
+        if (error) {
+          return await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+        }
+
+        draft.text = input;
+        awaiting.stage = "options";
+        return await ctx.replyWithHTML(
+          formatHTML(
+            `Option ${ANSWER_LABELS[0]}`,
+            `Please enter the text for answer option ${ANSWER_LABELS[0]}:`,
+            UI.ICONS.CREATE
+          )
+        );
+      }
+
+      if (awaiting.stage === "options") {
+        const error = validateOptionText(input);
+        if (error) {
+          return await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+        }
+
+        draft.options.push(input);
+        if (draft.options.length < QUIZ_CONSTRAINTS.MAX_OPTIONS) {
+          const letter = ANSWER_LABELS[draft.options.length];
+          const canFinish = draft.options.length >= QUIZ_CONSTRAINTS.MIN_OPTIONS;
+          return await ctx.replyWithHTML(
+            formatHTML(
+              `Option ${letter}`,
+              `Please enter the text for answer option ${letter}:`,
+              UI.ICONS.CREATE
+            ),
+            canFinish
+              ? Markup.inlineKeyboard([
+                  [Markup.button.callback(`${UI.ICONS.SUCCESS} Done with Options`, "eq_newopts_done")],
+                ])
+              : undefined
+          );
+        }
+
+        awaiting.stage = "correct";
+        return await promptForEditorCorrectAnswer(ctx, draft, "eq_newcorrect");
+      }
+
+      return await ctx.reply(
+        `${UI.ICONS.INFO} Please select the correct answer from the buttons above.`
+      );
+    }
+
+    const quiz = await loadEditableQuiz(ctx);
+    if (!quiz) return;
+
+    const question = quiz.questions[awaiting.index];
+    if (!question) {
+      return await showQuestionList(ctx, quiz);
+    }
+
+    if (awaiting.type === "text") {
+      const error = validateQuestionText(input);
+      if (error) {
+        return await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+      }
+      question.text = input;
+    } else if (awaiting.type === "option") {
+      const error = validateOptionText(input);
+      if (error) {
+        return await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+      }
+      question.options[awaiting.option] = input;
+    } else if (awaiting.type === "addoption") {
+      const error = validateOptionText(input);
+      if (error) {
+        return await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+      }
+      const limits = optionLimits(question);
+      if (question.options.length >= limits.max) {
+        ctx.scene.state.awaiting = null;
+        return await ctx.reply(
+          `${UI.ICONS.ERROR} This question can have at most ${limits.max} ${limits.noun}.`
+        );
+      }
+      question.options.push(input);
+    } else if (awaiting.type === "addanswer") {
+      const error = validateOptionText(input, "Answer");
+      if (error) {
+        return await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+      }
+      if (question.acceptedAnswers.length >= QUIZ_CONSTRAINTS.MAX_ACCEPTED_ANSWERS) {
+        ctx.scene.state.awaiting = null;
+        return await ctx.reply(
+          `${UI.ICONS.ERROR} A question can have at most ${QUIZ_CONSTRAINTS.MAX_ACCEPTED_ANSWERS} accepted answers.`
+        );
+      }
+      question.acceptedAnswers.push(input);
+    } else if (awaiting.type === "value" || awaiting.type === "margin") {
+      const value = parseNumber(input);
+      if (value === null || (awaiting.type === "margin" && value < 0)) {
+        return await ctx.reply(
+          `${UI.ICONS.ERROR} Please send a number${awaiting.type === "margin" ? " of 0 or more" : ""}.`
+        );
+      }
+      question[awaiting.type === "value" ? "correctValue" : "tolerance"] = value;
+    } else if (awaiting.type === "explanation") {
+      const error = validateExplanation(input);
+      if (error) {
+        return await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+      }
+      question.explanation = input;
+    } else if (awaiting.type === "source") {
+      const error = validateSourceUrl(input);
+      if (error) {
+        return await ctx.reply(`${UI.ICONS.ERROR} ${error}`);
+      }
+      question.sourceUrl = parseSourceUrl(input);
+    } else if (awaiting.type === "order") {
+      const order = parseItemOrder(input, question.options.length);
+      if (!order) {
+        return await ctx.reply(
+          `${UI.ICONS.ERROR} Please send each item number once, in the new correct order ` +
+            `(for example "2 1 3").`
+        );
+      }
+      question.options = order.map((i) => question.options[i]);
+    } else if (awaiting.type === "multicorrect") {
+      const picks = parseOptionList(input, question.options.length);
+      if (!picks) {
+        return await ctx.reply(
+          `${UI.ICONS.ERROR} Please send the letters of the correct options (for example "A, C").`
+        );
+      }
+      question.correctAnswer = picks;
+    }
+
+    if (await saveEditedQuestions(ctx, quiz)) {
+      await ctx.reply(`${UI.ICONS.SUCCESS} Question ${awaiting.index + 1} updated.`);
+      await showQuestionDetail(ctx, quiz, awaiting.index);
+    }
+  } catch (error) {
+    logger.error("Error processing question editor input:", error);
+    ctx.scene.state.awaiting = null;
+    await ctx.reply(
+      `${UI.ICONS.ERROR} An error occurred while updating the question.`
+    );
+  }
+});
+
 // Cancel action
 quizCreationScene.command("cancel", async (ctx) => {
   await ctx.reply(`${UI.ICONS.INFO} Quiz creation cancelled.`);
@@ -1032,4 +3482,6 @@ quizCreationScene.command("help", async (ctx) => {
 
 module.exports = {
   quizCreationScene,
+  questionEditorScene,
+  QUIZ_CONSTRAINTS,
 };
\ No newline at end of file
@@ -0,0 +1,800 @@
+/**
+ * Zano Quiz - Quiz Scheduling Module
+ * Persists one-off and recurring quiz schedules to the filesystem, sends
+ * reminders and starts quizzes automatically when they are due
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const quizManager = require("./quizManager");
+const utils = require("./utils");
+const logger = require("./logger");
+
+/**
+ * Constants for Scheduling
+ */
+const SCHEDULE_DIR = path.join(__dirname, "../data/schedules");
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || "UTC";
+const REMINDER_MINUTES = [60, 10, 1]; // Reminders sent before the start time
+const MISSED_GRACE_MS = 5 * 60 * 1000; // Late starts allowed after a restart
+const MAX_TIMER_DELAY = 2147483647; // Largest delay setTimeout accepts
+const MAX_SCHEDULES_PER_CHAT = 20;
+const DAY_LABELS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * Pending timers (scheduleId -> timeout handle)
+ */
+const scheduleTimers = new Map();
+
+/**
+ * Loaded schedules (scheduleId -> schedule)
+ */
+const schedules = new Map();
+
+/**
+ * Telegram API and quiz start function, provided by init()
+ */
+let telegramApi = null;
+let startQuizFn = null;
+
+/**
+ * Create necessary directories if they don't exist
+ * @returns {Promise<void>}
+ */
+async function ensureScheduleDir() {
+  try {
+    await fs.mkdir(SCHEDULE_DIR, { recursive: true });
+  } catch (error) {
+    logger.error("Error creating schedule directory:", error);
+    throw new Error("Failed to create schedule directory. Check file permissions.");
+  }
+}
+
+/**
+ * Save a schedule to the file system
+ * @param {Object} schedule - Schedule to save
+ * @returns {Promise<void>}
+ */
+async function saveSchedule(schedule) {
+  await ensureScheduleDir();
+  schedule.updatedAt = Date.now();
+
+  const schedulePath = path.join(SCHEDULE_DIR, `${schedule.id}.json`);
+  await fs.writeFile(schedulePath, JSON.stringify(schedule, null, 2));
+}
+
+/**
+ * Remove a schedule from memory, timers and the file system
+ * @param {string} scheduleId - ID of the schedule
+ * @returns {Promise<void>}
+ */
+async function removeSchedule(scheduleId) {
+  clearScheduleTimer(scheduleId);
+  schedules.delete(scheduleId);
+
+  try {
+    await fs.unlink(path.join(SCHEDULE_DIR, `${scheduleId}.json`));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error(`Error deleting schedule ${scheduleId}:`, error);
+    }
+  }
+}
+
+/**
+ * Check whether a time zone name is supported
+ * @param {string} timeZone - IANA time zone name (e.g. "Europe/Berlin")
+ * @returns {boolean} Whether the time zone is valid
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar fields of a timestamp in a time zone
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} Year, month (1-12), day, hour, minute, second and weekday (0 = Sunday)
+ */
+function getZonedParts(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+
+  const values = {};
+  parts.forEach((part) => {
+    values[part.type] = part.value;
+  });
+
+  return {
+    year: parseInt(values.year),
+    month: parseInt(values.month),
+    day: parseInt(values.day),
+    hour: parseInt(values.hour),
+    minute: parseInt(values.minute),
+    second: parseInt(values.second),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(values.weekday),
+  };
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a timestamp
+ * @param {Object} fields - Year, month (1-12), day, hour and minute
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Unix timestamp in milliseconds
+ */
+function zonedTimeToTimestamp({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offset of the zone at the guessed instant, corrected once for DST changes
+  const offsetAt = (timestamp) => {
+    const parts = getZonedParts(timestamp, timeZone);
+    const zonedAsUtc = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    );
+    return zonedAsUtc - Math.floor(timestamp / 1000) * 1000;
+  };
+
+  const firstOffset = offsetAt(wallClock);
+  const secondOffset = offsetAt(wallClock - firstOffset);
+  return wallClock - secondOffset;
+}
+
+/**
+ * Parse a schedule date/time from command arguments
+ * Accepts "YYYY-MM-DD HH:MM" or just "HH:MM" (next occurrence)
+ * @param {Array<string>} args - Arguments after the quiz ID
+ * @param {string} timeZone - Time zone to interpret the time in
+ * @returns {Object} Result object with success flag and startAt or message
+ */
+function parseScheduleTime(args, timeZone) {
+  const dateArg = args.find((arg) => /^\d{4}-\d{2}-\d{2}$/.test(arg));
+  const timeArg = args.find((arg) => /^\d{1,2}:\d{2}$/.test(arg));
+
+  if (!timeArg) {
+    return {
+      success: false,
+      message: "Please provide a start time in 24-hour HH:MM format.",
+    };
+  }
+
+  const [hour, minute] = timeArg.split(":").map((value) => parseInt(value));
+  if (hour > 23 || minute > 59) {
+    return { success: false, message: `"${timeArg}" is not a valid time.` };
+  }
+
+  let year;
+  let month;
+  let day;
+
+  if (dateArg) {
+    [year, month, day] = dateArg.split("-").map((value) => parseInt(value));
+
+    // Reject dates like 2025-02-31 that Date.UTC would roll over
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (
+      check.getUTCFullYear() !== year ||
+      check.getUTCMonth() !== month - 1 ||
+      check.getUTCDate() !== day
+    ) {
+      return { success: false, message: `"${dateArg}" is not a valid date.` };
+    }
+  } else {
+    ({ year, month, day } = getZonedParts(Date.now(), timeZone));
+  }
+
+  let startAt = zonedTimeToTimestamp({ year, month, day, hour, minute }, timeZone);
+
+  // Without a date, a time that already passed today means tomorrow
+  if (!dateArg && startAt <= Date.now()) {
+    const tomorrow = getZonedParts(startAt + 24 * 60 * 60 * 1000, timeZone);
+    startAt = zonedTimeToTimestamp({ ...tomorrow, hour, minute }, timeZone);
+  }
+
+  if (startAt <= Date.now()) {
+    return { success: false, message: "The start time must be in the future." };
+  }
+
+  return { success: true, startAt };
+}
+
+/**
+ * Parse the days of a recurrence
+ * Accepts "daily", "weekdays", "weekends", day names shortened to at least two
+ * letters ("su", "sun", "monday"), day numbers (0 = Sunday) and ranges
+ * ("mon-fri", "mo-fr", "1-5"), comma-separated
+ * @param {string} spec - Day specification
+ * @returns {Array<number>|null} Sorted weekday numbers or null if invalid
+ */
+function parseRecurrenceDays(spec) {
+  const value = spec.toLowerCase();
+
+  if (value === "daily" || value === "everyday" || value === "*") {
+    return [0, 1, 2, 3, 4, 5, 6];
+  }
+  if (value === "weekdays") return [1, 2, 3, 4, 5];
+  if (value === "weekends") return [0, 6];
+
+  const toDay = (part) => {
+    if (/^[0-6]$/.test(part)) return parseInt(part);
+    // Two letters are enough to tell every day apart ("tu" and "th", "sa" and "su")
+    const index = DAY_LABELS.findIndex((label) => label.toLowerCase().startsWith(part));
+    return part.length >= 2 ? index : -1;
+  };
+
+  const days = new Set();
+  for (const part of value.split(",").filter((item) => item.length > 0)) {
+    const [from, to] = part.split("-");
+    const start = toDay(from);
+    const end = to === undefined ? start : toDay(to);
+
+    if (start === -1 || end === -1) return null;
+
+    // Ranges may wrap around the week (e.g. "fri-mon")
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+
+  return days.size > 0 ? Array.from(days).sort((a, b) => a - b) : null;
+}
+
+/**
+ * Describe a recurrence in words
+ * @param {Object} recurrence - Recurrence with days, hour and minute
+ * @returns {string} Description (e.g. "Every weekday at 20:00")
+ */
+function describeRecurrence(recurrence) {
+  const time = `${String(recurrence.hour).padStart(2, "0")}:${String(
+    recurrence.minute
+  ).padStart(2, "0")}`;
+  const key = recurrence.days.join(",");
+
+  let days;
+  if (key === "0,1,2,3,4,5,6") days = "Every day";
+  else if (key === "1,2,3,4,5") days = "Every weekday";
+  else if (key === "0,6") days = "Every weekend day";
+  else days = `Every ${recurrence.days.map((day) => DAY_LABELS[day]).join(", ")}`;
+
+  return `${days} at ${time}`;
+}
+
+/**
+ * Get the next occurrence of a recurrence after a point in time
+ * @param {Object} recurrence - Recurrence with days, hour and minute
+ * @param {string} timeZone - Time zone the recurrence is defined in
+ * @param {number} after - Unix timestamp in milliseconds
+ * @returns {number} Unix timestamp of the next occurrence
+ */
+function getNextOccurrence(recurrence, timeZone, after = Date.now()) {
+  const today = getZonedParts(after, timeZone);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    // Calendar arithmetic on the zoned date, independent of DST
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (!recurrence.days.includes(date.getUTCDay())) continue;
+
+    const occurrence = zonedTimeToTimestamp(
+      {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: recurrence.hour,
+        minute: recurrence.minute,
+      },
+      timeZone
+    );
+
+    if (occurrence > after) return occurrence;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the quiz a schedule will start next and store its ID and title
+ * @param {Object} schedule - Schedule object
+ * @returns {Promise<Object|null>} Quiz data or null if none is available
+ */
+async function refreshNextQuiz(schedule) {
+  if (schedule.type !== "recurring") {
+    return await quizManager.getQuiz(schedule.quizId, schedule.createdBy.id);
+  }
+
+  let candidates;
+  if (schedule.source.type === "category") {
+    // Oldest first so new quizzes join the end of the rotation
+    candidates = (
+      await quizManager.getQuizzesByCategory(schedule.source.category, schedule.createdBy.id)
+    )
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((quiz) => quiz.id);
+  } else {
+    candidates = schedule.source.quizIds;
+  }
+
+  // Skip quizzes that were deleted or are no longer accessible
+  for (let attempt = 0; attempt < candidates.length; attempt++) {
+    const index = (schedule.rotationIndex + attempt) % candidates.length;
+    const quiz = await quizManager.getQuiz(candidates[index], schedule.createdBy.id);
+
+    if (quiz) {
+      schedule.rotationIndex = index;
+      schedule.quizId = quiz.id;
+      schedule.quizTitle = quiz.title;
+      return quiz;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Clear the pending timer of a schedule
+ * @param {string} scheduleId - ID of the schedule
+ */
+function clearScheduleTimer(scheduleId) {
+  if (scheduleTimers.has(scheduleId)) {
+    clearTimeout(scheduleTimers.get(scheduleId));
+    scheduleTimers.delete(scheduleId);
+  }
+}
+
+/**
+ * Get the next event (reminder or start) of a schedule
+ * @param {Object} schedule - Schedule object
+ * @returns {Object} Event with type, time and reminder minutes
+ */
+function getNextEvent(schedule) {
+  const now = Date.now();
+
+  const reminders = REMINDER_MINUTES.filter(
+    (minutes) =>
+      !schedule.remindersSent.includes(minutes) &&
+      schedule.startAt - minutes * 60000 > now
+  ).sort((a, b) => b - a);
+
+  if (reminders.length > 0) {
+    return {
+      type: "reminder",
+      minutes: reminders[0],
+      time: schedule.startAt - reminders[0] * 60000,
+    };
+  }
+
+  return { type: "start", time: schedule.startAt };
+}
+
+/**
+ * Arm the timer for the next event of a schedule
+ * @param {Object} schedule - Schedule object
+ */
+function armSchedule(schedule) {
+  clearScheduleTimer(schedule.id);
+
+  const event = getNextEvent(schedule);
+  const delay = Math.max(0, event.time - Date.now());
+
+  // Long delays are re-armed in steps since setTimeout can't wait that long
+  if (delay > MAX_TIMER_DELAY) {
+    scheduleTimers.set(
+      schedule.id,
+      setTimeout(() => armSchedule(schedule), MAX_TIMER_DELAY)
+    );
+    return;
+  }
+
+  scheduleTimers.set(
+    schedule.id,
+    setTimeout(() => {
+      scheduleTimers.delete(schedule.id);
+      const handler = event.type === "reminder" ? sendReminder : runSchedule;
+      handler(schedule, event).catch((error) =>
+        logger.error(`Error handling schedule ${schedule.id}:`, error)
+      );
+    }, delay)
+  );
+}
+
+/**
+ * Send a reminder for an upcoming scheduled quiz
+ * @param {Object} schedule - Schedule object
+ * @param {Object} event - Reminder event
+ */
+async function sendReminder(schedule, event) {
+  if (!schedules.has(schedule.id)) return;
+
+  if (schedule.type === "recurring") {
+    await refreshNextQuiz(schedule);
+  }
+
+  const timeText = event.minutes === 1 ? "1 minute" : `${event.minutes} minutes`;
+
+  try {
+    await telegramApi.sendMessage(
+      schedule.chatId,
+      `<b>⏰ Quiz Reminder</b>\n\n` +
+        `"<b>${schedule.quizTitle}</b>" starts in <b>${timeText}</b>!\n` +
+        `🕒 ${utils.formatDateTime(schedule.startAt, schedule.timeZone)}\n\n` +
+        `Get ready to play!`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    logger.error(`Failed to send reminder for schedule ${schedule.id}:`, error);
+  }
+
+  schedule.remindersSent.push(event.minutes);
+  await saveSchedule(schedule);
+  armSchedule(schedule);
+}
+
+/**
+ * Start a scheduled quiz
+ * @param {Object} schedule - Schedule object
+ */
+async function runSchedule(schedule) {
+  if (!schedules.has(schedule.id)) return;
+
+  if (schedule.type === "recurring") {
+    return await runRecurringSchedule(schedule);
+  }
+
+  // Remove first so a slow start can never run twice
+  await removeSchedule(schedule.id);
+
+  logger.info(`Starting scheduled quiz ${schedule.quizId} in chat ${schedule.chatId}`);
+
+  const ctx = utils.createChatContext(telegramApi, schedule.chatId, schedule.createdBy);
+  await startQuizFn(ctx, schedule.chatId, schedule.quizId);
+}
+
+/**
+ * Start the current quiz of a recurring schedule and arm the next occurrence
+ * @param {Object} schedule - Recurring schedule object
+ */
+async function runRecurringSchedule(schedule) {
+  const quizData = await refreshNextQuiz(schedule);
+
+  // Advance before starting so a slow start can never run twice
+  advanceRecurringSchedule(schedule);
+  if (quizData) {
+    schedule.rotationIndex += 1;
+  }
+  await saveSchedule(schedule);
+  armSchedule(schedule);
+
+  if (!quizData) {
+    logger.warn(`Recurring schedule ${schedule.id} has no quiz available`);
+    try {
+      await telegramApi.sendMessage(
+        schedule.chatId,
+        `<b>⚠️ Recurring Quiz Skipped</b>\n\n` +
+          `None of the quizzes for "${describeRecurrence(schedule.recurrence)}" are available anymore.\n\n` +
+          `Use /recurring_quiz to review this group's recurring quizzes.`,
+        { parse_mode: "HTML" }
+      );
+    } catch (error) {
+      logger.error(`Failed to notify skipped schedule ${schedule.id}:`, error);
+    }
+    return;
+  }
+
+  logger.info(`Starting recurring quiz ${quizData.id} in chat ${schedule.chatId}`);
+
+  const ctx = utils.createChatContext(telegramApi, schedule.chatId, schedule.createdBy);
+  await startQuizFn(ctx, schedule.chatId, quizData.id);
+
+  await refreshNextQuiz(schedule);
+  await saveSchedule(schedule);
+}
+
+/**
+ * Move a recurring schedule to its next occurrence
+ * @param {Object} schedule - Recurring schedule object
+ */
+function advanceRecurringSchedule(schedule) {
+  schedule.startAt = getNextOccurrence(schedule.recurrence, schedule.timeZone);
+  schedule.remindersSent = [];
+}
+
+/**
+ * Notify a chat that a schedule was missed while the bot was offline
+ * @param {Object} schedule - Schedule object
+ */
+async function handleMissedSchedule(schedule) {
+  await removeSchedule(schedule.id);
+
+  logger.warn(`Scheduled quiz ${schedule.id} was missed while the bot was offline`);
+
+  try {
+    await telegramApi.sendMessage(
+      schedule.chatId,
+      `<b>⚠️ Scheduled Quiz Missed</b>\n\n` +
+        `"<b>${schedule.quizTitle}</b>" was scheduled for ` +
+        `${utils.formatDateTime(schedule.startAt, schedule.timeZone)} but the bot was offline.\n\n` +
+        `An admin can start it now with /start_quiz ${schedule.quizId}`,
+      { parse_mode: "HTML" }
+    );
+  } catch (error) {
+    logger.error(`Failed to notify missed schedule ${schedule.id}:`, error);
+  }
+}
+
+/**
+ * Load all schedules from disk and arm their timers
+ * @param {Object} telegram - Telegraf telegram API instance
+ * @param {Function} startQuiz - Function (ctx, chatId, quizId) that starts a quiz
+ * @returns {Promise<number>} Number of pending schedules restored
+ */
+async function init(telegram, startQuiz) {
+  telegramApi = telegram;
+  startQuizFn = startQuiz;
+
+  try {
+    await ensureScheduleDir();
+    const files = await fs.readdir(SCHEDULE_DIR);
+
+    for (const file of files) {
+      if (!file.endsWith(".json")) continue;
+
+      try {
+        const data = await fs.readFile(path.join(SCHEDULE_DIR, file), "utf8");
+        const schedule = JSON.parse(data);
+        schedules.set(schedule.id, schedule);
+
+        if (schedule.type === "recurring") {
+          if (schedule.paused) continue;
+
+          // Occurrences missed while offline are skipped, not replayed
+          if (schedule.startAt < Date.now() - MISSED_GRACE_MS) {
+            logger.warn(`Recurring schedule ${schedule.id} missed an occurrence while offline`);
+            advanceRecurringSchedule(schedule);
+            await saveSchedule(schedule);
+          }
+          armSchedule(schedule);
+        } else if (schedule.startAt < Date.now() - MISSED_GRACE_MS) {
+          await handleMissedSchedule(schedule);
+        } else {
+          armSchedule(schedule);
+        }
+      } catch (fileErr) {
+        logger.error(`Error reading schedule file ${file}:`, fileErr);
+        // Continue to next file
+      }
+    }
+
+    logger.info(`Restored ${schedules.size} scheduled quizzes`);
+    return schedules.size;
+  } catch (error) {
+    logger.error("Error restoring scheduled quizzes:", error);
+    return 0;
+  }
+}
+
+/**
+ * Schedule a quiz to start in a chat
+ * @param {Object} options - Schedule options
+ * @param {number} options.chatId - Chat ID
+ * @param {Object} options.quiz - Quiz data (id and title are used)
+ * @param {number} options.startAt - Start time as Unix timestamp in milliseconds
+ * @param {string} options.timeZone - Time zone the schedule was entered in
+ * @param {Object} options.user - Telegram user creating the schedule
+ * @returns {Promise<Object>} Result object with success flag, message and schedule
+ */
+async function createSchedule({ chatId, quiz, startAt, timeZone, user }) {
+  try {
+    if (getSchedulesForChat(chatId).length >= MAX_SCHEDULES_PER_CHAT) {
+      return {
+        success: false,
+        message: `This group already has ${MAX_SCHEDULES_PER_CHAT} pending quizzes. Cancel some with /cancel_quiz first.`,
+      };
+    }
+
+    const schedule = {
+      id: uuidv4(),
+      type: "once",
+      chatId,
+      quizId: quiz.id,
+      quizTitle: quiz.title,
+      startAt,
+      timeZone,
+      remindersSent: [],
+      createdBy: {
+        id: user.id,
+        firstName: user.first_name,
+        username: user.username,
+      },
+      createdAt: Date.now(),
+    };
+
+    await saveSchedule(schedule);
+    schedules.set(schedule.id, schedule);
+    armSchedule(schedule);
+
+    logger.info(`Quiz ${quiz.id} scheduled in chat ${chatId} for ${new Date(startAt).toISOString()}`);
+    return { success: true, message: "Quiz scheduled.", schedule };
+  } catch (error) {
+    logger.error(`Error scheduling quiz ${quiz.id}:`, error);
+    return {
+      success: false,
+      message: "Error scheduling quiz. Please try again later.",
+    };
+  }
+}
+
+/**
+ * Create a recurring schedule for a chat
+ * @param {Object} options - Schedule options
+ * @param {number} options.chatId - Chat ID
+ * @param {Object} options.recurrence - Recurrence with days, hour and minute
+ * @param {string} options.timeZone - Time zone the recurrence is defined in
+ * @param {Object} options.source - { type: "quizzes", quizIds } or { type: "category", category }
+ * @param {Object} options.user - Telegram user creating the schedule
+ * @returns {Promise<Object>} Result object with success flag, message and schedule
+ */
+async function createRecurringSchedule({ chatId, recurrence, timeZone, source, user }) {
+  try {
+    if (getSchedulesForChat(chatId).length >= MAX_SCHEDULES_PER_CHAT) {
+      return {
+        success: false,
+        message: `This group already has ${MAX_SCHEDULES_PER_CHAT} scheduled quizzes. Cancel some with /cancel_quiz first.`,
+      };
+    }
+
+    const schedule = {
+      id: uuidv4(),
+      type: "recurring",
+      chatId,
+      recurrence,
+      source,
+      rotationIndex: 0,
+      paused: false,
+      startAt: getNextOccurrence(recurrence, timeZone),
+      timeZone,
+      remindersSent: [],
+      createdBy: {
+        id: user.id,
+        firstName: user.first_name,
+        username: user.username,
+      },
+      createdAt: Date.now(),
+    };
+
+    if (!(await refreshNextQuiz(schedule))) {
+      return {
+        success: false,
+        message: "None of the selected quizzes could be found.",
+      };
+    }
+
+    await saveSchedule(schedule);
+    schedules.set(schedule.id, schedule);
+    armSchedule(schedule);
+
+    logger.info(`Recurring schedule ${schedule.id} created in chat ${chatId}`);
+    return { success: true, message: "Recurring quiz scheduled.", schedule };
+  } catch (error) {
+    logger.error("Error creating recurring schedule:", error);
+    return {
+      success: false,
+      message: "Error scheduling quiz. Please try again later.",
+    };
+  }
+}
+
+/**
+ * Pause or resume a recurring schedule
+ * @param {string} scheduleId - ID of the schedule
+ * @param {number} chatId - Chat the request came from (for verification)
+ * @param {boolean} paused - Whether the schedule should be paused
+ * @returns {Promise<Object>} Result object with success flag and message
+ */
+async function setSchedulePaused(scheduleId, chatId, paused) {
+  const schedule = schedules.get(scheduleId);
+
+  if (!schedule || schedule.chatId !== chatId || schedule.type !== "recurring") {
+    return { success: false, message: "Recurring quiz not found." };
+  }
+
+  schedule.paused = paused;
+
+  if (paused) {
+    clearScheduleTimer(scheduleId);
+  } else {
+    advanceRecurringSchedule(schedule);
+    await refreshNextQuiz(schedule);
+    armSchedule(schedule);
+  }
+
+  await saveSchedule(schedule);
+
+  logger.info(`Schedule ${scheduleId} ${paused ? "paused" : "resumed"} in chat ${chatId}`);
+  return {
+    success: true,
+    message: paused ? "Recurring quiz paused" : "Recurring quiz resumed",
+    schedule,
+  };
+}
+
+/**
+ * Get pending schedules for a chat, soonest first
+ * @param {number} chatId - Chat ID
+ * @returns {Array<Object>} Pending schedules
+ */
+function getSchedulesForChat(chatId) {
+  return Array.from(schedules.values())
+    .filter((schedule) => schedule.chatId === chatId)
+    .sort((a, b) => a.startAt - b.startAt);
+}
+
+/**
+ * Get a pending schedule by ID
+ * @param {string} scheduleId - ID of the schedule
+ * @returns {Object|undefined} Schedule or undefined if not found
+ */
+function getSchedule(scheduleId) {
+  return schedules.get(scheduleId);
+}
+
+/**
+ * Cancel a pending schedule
+ * @param {string} scheduleId - ID of the schedule
+ * @param {number} chatId - Chat the request came from (for verification)
+ * @returns {Promise<Object>} Result object with success flag and message
+ */
+async function cancelSchedule(scheduleId, chatId) {
+  const schedule = schedules.get(scheduleId);
+
+  if (!schedule || schedule.chatId !== chatId) {
+    return { success: false, message: "Scheduled quiz not found." };
+  }
+
+  await removeSchedule(scheduleId);
+
+  logger.info(`Schedule ${scheduleId} cancelled in chat ${chatId}`);
+  return {
+    success: true,
+    message:
+      schedule.type === "recurring"
+        ? `"${describeRecurrence(schedule.recurrence)}" will no longer start quizzes automatically.`
+        : `"${schedule.quizTitle}" will no longer start automatically.`,
+    schedule,
+  };
+}
+
+module.exports = {
+  init,
+  createSchedule,
+  createRecurringSchedule,
+  setSchedulePaused,
+  cancelSchedule,
+  getSchedule,
+  getSchedulesForChat,
+  parseScheduleTime,
+  parseRecurrenceDays,
+  describeRecurrence,
+  getNextOccurrence,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToTimestamp,
+  DEFAULT_TIMEZONE,
+};
@@ -0,0 +1,209 @@
+/**
+ * Zano Quiz - Filesystem Quiz Store
+ * Keeps each quiz as a JSON file in data/quizzes, with an in-memory
+ * metadata index so listings only read the files they return
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const { createQuizIndex } = require("./quizIndex");
+const logger = require("../logger");
+
+/**
+ * Constants for the Filesystem Store
+ */
+const QUIZ_DIR = path.join(__dirname, "../../data/quizzes");
+
+/**
+ * Counter keeping temp file names unique within this process
+ */
+let tempCounter = 0;
+
+/**
+ * Create necessary directories if they don't exist
+ * @returns {Promise<void>}
+ */
+async function ensureQuizDir() {
+  try {
+    await fs.mkdir(QUIZ_DIR, { recursive: true });
+  } catch (error) {
+    logger.error("Error creating quiz directory:", error);
+    throw new Error("Failed to create quiz directory. Check file permissions.");
+  }
+}
+
+/**
+ * Read every quiz file
+ * @returns {Promise<Array>} All quizzes
+ */
+async function readAllQuizzes() {
+  await ensureQuizDir();
+
+  const files = await fs.readdir(QUIZ_DIR);
+  const quizzes = [];
+
+  for (const file of files) {
+    if (!file.endsWith(".json")) continue;
+
+    try {
+      const quizData = await fs.readFile(path.join(QUIZ_DIR, file), "utf8");
+      quizzes.push(JSON.parse(quizData));
+    } catch (fileErr) {
+      logger.error(`Error reading quiz file ${file}:`, fileErr);
+      // Continue to next file
+    }
+  }
+
+  return quizzes;
+}
+
+/**
+ * Read a single quiz file
+ * @param {string} quizId - Quiz ID
+ * @returns {Promise<Object|null>} Quiz data or null if the file doesn't exist
+ */
+async function readQuiz(quizId) {
+  try {
+    const quizData = await fs.readFile(path.join(QUIZ_DIR, `${quizId}.json`), "utf8");
+    return JSON.parse(quizData);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Write a quiz file atomically: write a temp file, then rename it over the old one
+ * @param {Object} quiz - Quiz data
+ * @returns {Promise<void>}
+ */
+async function writeQuiz(quiz) {
+  const quizPath = path.join(QUIZ_DIR, `${quiz.id}.json`);
+  const tempPath = `${quizPath}.${process.pid}.${++tempCounter}.tmp`;
+
+  try {
+    await fs.writeFile(tempPath, JSON.stringify(quiz, null, 2));
+    await fs.rename(tempPath, quizPath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Create a quiz store backed by JSON files
+ * @returns {Object} Quiz store
+ */
+function createFileStore() {
+  const index = createQuizIndex();
+  let indexLoaded = null;
+
+  /**
+   * Build the index from disk once; later calls wait for the same load
+   * @returns {Promise<void>}
+   */
+  function loadIndex() {
+    if (!indexLoaded) {
+      indexLoaded = readAllQuizzes().then((quizzes) => {
+        quizzes.forEach((quiz) => {
+          if (quiz.id && quiz.creator) {
+            index.set(quiz);
+          }
+        });
+        logger.info(`Quiz index loaded with ${index.size} quizzes`);
+      });
+      // Allow a retry if the first load failed
+      indexLoaded.catch(() => {
+        indexLoaded = null;
+      });
+    }
+    return indexLoaded;
+  }
+
+  /**
+   * Read the files behind a list of index entries
+   * @param {Array<Object>} entries - Index entries
+   * @returns {Promise<Array>} Quizzes that still exist
+   */
+  async function readEntries(entries) {
+    const quizzes = [];
+
+    for (const entry of entries) {
+      try {
+        const quiz = await readQuiz(entry.id);
+        if (quiz) {
+          quizzes.push(quiz);
+        } else {
+          // File was removed outside the bot
+          index.delete(entry.id);
+        }
+      } catch (fileErr) {
+        logger.error(`Error reading quiz file ${entry.id}.json:`, fileErr);
+        // Continue to next file
+      }
+    }
+
+    return quizzes;
+  }
+
+  return {
+    name: "file",
+
+    async init() {
+      await loadIndex();
+    },
+
+    async get(quizId) {
+      return readQuiz(quizId);
+    },
+
+    async save(quiz) {
+      await loadIndex();
+      await writeQuiz(quiz);
+      index.set(quiz);
+    },
+
+    async remove(quizId) {
+      await loadIndex();
+      index.delete(quizId);
+
+      try {
+        await fs.unlink(path.join(QUIZ_DIR, `${quizId}.json`));
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    },
+
+    async listByCreator(creatorId, { category } = {}) {
+      await loadIndex();
+      return readEntries(index.byCreator(creatorId, category));
+    },
+
+    async listSharedWith(userId) {
+      await loadIndex();
+      return readEntries(index.sharedWith(userId));
+    },
+
+    async countByCreator(creatorId) {
+      await loadIndex();
+      return index.countByCreator(creatorId);
+    },
+
+    async categoriesByCreator(creatorId) {
+      await loadIndex();
+      return index.categoriesByCreator(creatorId);
+    },
+
+    async listAll() {
+      return readAllQuizzes();
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = {
+  createFileStore,
+  QUIZ_DIR,
+};
@@ -0,0 +1,57 @@
+/**
+ * Zano Quiz - Quiz Storage
+ * Picks the quiz store used by quizManager from the QUIZ_STORAGE setting
+ *
+ * Every store implements the same async interface:
+ *   init(), get(id), save(quiz), remove(id) -> boolean,
+ *   listByCreator(creatorId, { category }), listSharedWith(userId),
+ *   countByCreator(creatorId), categoriesByCreator(creatorId) -> [{category, count}],
+ *   listAll(), close()
+ */
+const { createFileStore } = require("./fileStore");
+const { createSqliteStore } = require("./sqliteStore");
+const logger = require("../logger");
+
+/**
+ * Available store factories by name
+ */
+const STORES = {
+  file: createFileStore,
+  sqlite: createSqliteStore,
+};
+
+const DEFAULT_STORE = "file";
+
+let activeStore = null;
+
+/**
+ * Create a store by name
+ * @param {string} name - Store name (file or sqlite)
+ * @returns {Object} Quiz store
+ */
+function createStore(name) {
+  const factory = STORES[name];
+  if (!factory) {
+    throw new Error(`Unknown quiz storage "${name}". Use one of: ${Object.keys(STORES).join(", ")}`);
+  }
+  return factory();
+}
+
+/**
+ * Get the configured quiz store, creating it on first use
+ * @returns {Object} Quiz store
+ */
+function getQuizStore() {
+  if (!activeStore) {
+    const name = (process.env.QUIZ_STORAGE || DEFAULT_STORE).toLowerCase();
+    activeStore = createStore(name);
+    logger.info(`Using ${name} quiz storage`);
+  }
+  return activeStore;
+}
+
+module.exports = {
+  getQuizStore,
+  createStore,
+  STORES,
+};
@@ -0,0 +1,167 @@
+/**
+ * Zano Quiz - Quiz Metadata Index
+ * Keeps the listing fields of every quiz in memory so lookups by creator
+ * or sharing don't have to read every quiz file
+ */
+
+/**
+ * Build the index entry of a quiz
+ * @param {Object} quiz - Quiz data
+ * @returns {Object} Metadata entry
+ */
+function toEntry(quiz) {
+  return {
+    id: quiz.id,
+    creator: quiz.creator,
+    title: quiz.title,
+    category: quiz.category || "Uncategorized",
+    shared: quiz.shared === true,
+    sharedWith: Array.isArray(quiz.sharedWith) ? [...quiz.sharedWith] : [],
+    questionCount: Array.isArray(quiz.questions) ? quiz.questions.length : 0,
+    createdAt: quiz.createdAt,
+    updatedAt: quiz.updatedAt,
+  };
+}
+
+/**
+ * Add an ID to the set stored under a key
+ * @param {Map} map - Map of key -> Set of IDs
+ * @param {*} key - Key
+ * @param {string} id - Quiz ID
+ */
+function addToSet(map, key, id) {
+  if (!map.has(key)) {
+    map.set(key, new Set());
+  }
+  map.get(key).add(id);
+}
+
+/**
+ * Remove an ID from the set stored under a key
+ * @param {Map} map - Map of key -> Set of IDs
+ * @param {*} key - Key
+ * @param {string} id - Quiz ID
+ */
+function removeFromSet(map, key, id) {
+  const ids = map.get(key);
+  if (!ids) return;
+
+  ids.delete(id);
+  if (ids.size === 0) {
+    map.delete(key);
+  }
+}
+
+/**
+ * Create an empty quiz index
+ * @returns {Object} Quiz index
+ */
+function createQuizIndex() {
+  const entries = new Map(); // quizId -> entry
+  const byCreator = new Map(); // creatorId -> Set of quiz IDs
+  const bySharedUser = new Map(); // userId -> Set of quiz IDs
+  const publicIds = new Set();
+
+  const index = {
+    /**
+     * Add or replace the entry of a quiz
+     * @param {Object} quiz - Quiz data
+     */
+    set(quiz) {
+      index.delete(quiz.id);
+
+      const entry = toEntry(quiz);
+      entries.set(entry.id, entry);
+      addToSet(byCreator, entry.creator, entry.id);
+      entry.sharedWith.forEach((userId) => addToSet(bySharedUser, userId, entry.id));
+      if (entry.shared) {
+        publicIds.add(entry.id);
+      }
+    },
+
+    /**
+     * Remove the entry of a quiz
+     * @param {string} quizId - Quiz ID
+     */
+    delete(quizId) {
+      const entry = entries.get(quizId);
+      if (!entry) return;
+
+      entries.delete(quizId);
+      removeFromSet(byCreator, entry.creator, quizId);
+      entry.sharedWith.forEach((userId) => removeFromSet(bySharedUser, userId, quizId));
+      publicIds.delete(quizId);
+    },
+
+    /**
+     * Get the entries of a creator's quizzes
+     * @param {number} creatorId - Creator ID
+     * @param {string} category - Optional category filter
+     * @returns {Array<Object>} Metadata entries
+     */
+    byCreator(creatorId, category = null) {
+      const ids = byCreator.get(creatorId) || [];
+      return [...ids]
+        .map((id) => entries.get(id))
+        .filter((entry) => !category || entry.category === category);
+    },
+
+    /**
+     * Get the entries of quizzes another user can see through sharing
+     * @param {number} userId - User ID
+     * @returns {Array<Object>} Metadata entries
+     */
+    sharedWith(userId) {
+      const ids = new Set([...publicIds, ...(bySharedUser.get(userId) || [])]);
+      return [...ids]
+        .map((id) => entries.get(id))
+        .filter((entry) => entry.creator !== userId);
+    },
+
+    /**
+     * Count a creator's quizzes
+     * @param {number} creatorId - Creator ID
+     * @returns {number} Number of quizzes
+     */
+    countByCreator(creatorId) {
+      return (byCreator.get(creatorId) || new Set()).size;
+    },
+
+    /**
+     * Count a creator's quizzes per category
+     * @param {number} creatorId - Creator ID
+     * @returns {Array<Object>} Array of {category, count} objects
+     */
+    categoriesByCreator(creatorId) {
+      const counts = {};
+      index.byCreator(creatorId).forEach((entry) => {
+        counts[entry.category] = (counts[entry.category] || 0) + 1;
+      });
+
+      return Object.keys(counts).map((category) => ({
+        category,
+        count: counts[category],
+      }));
+    },
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+      entries.clear();
+      byCreator.clear();
+      bySharedUser.clear();
+      publicIds.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+
+  return index;
+}
+
+module.exports = {
+  createQuizIndex,
+};
@@ -0,0 +1,188 @@
+/**
+ * Zano Quiz - SQLite Quiz Store
+ * Keeps quizzes in an embedded SQLite database indexed for the common listings
+ */
+const fs = require("fs");
+const path = require("path");
+const logger = require("../logger");
+
+/**
+ * Constants for the SQLite Store
+ */
+const DEFAULT_DB_PATH = path.join(__dirname, "../../data/quizzes.db");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS quizzes (
+    id TEXT PRIMARY KEY,
+    creator INTEGER NOT NULL,
+    shared INTEGER NOT NULL DEFAULT 0,
+    category TEXT NOT NULL DEFAULT 'Uncategorized',
+    created_at INTEGER,
+    updated_at INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_quizzes_creator_category ON quizzes (creator, category);
+  CREATE INDEX IF NOT EXISTS idx_quizzes_shared ON quizzes (shared);
+
+  CREATE TABLE IF NOT EXISTS quiz_shares (
+    quiz_id TEXT NOT NULL REFERENCES quizzes (id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL,
+    PRIMARY KEY (quiz_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_quiz_shares_user ON quiz_shares (user_id);
+`;
+
+/**
+ * Parse the stored JSON of each row
+ * @param {Array<Object>} rows - Rows with a data column
+ * @returns {Array<Object>} Quizzes
+ */
+function parseRows(rows) {
+  const quizzes = [];
+
+  rows.forEach((row) => {
+    try {
+      quizzes.push(JSON.parse(row.data));
+    } catch (error) {
+      logger.error("Error parsing stored quiz:", error);
+      // Continue to next row
+    }
+  });
+
+  return quizzes;
+}
+
+/**
+ * Create a quiz store backed by SQLite
+ * @param {string} dbPath - Database file path
+ * @returns {Object} Quiz store
+ */
+function createSqliteStore(dbPath = process.env.SQLITE_PATH || DEFAULT_DB_PATH) {
+  let db = null;
+  let statements = null;
+
+  /**
+   * Open the database and prepare statements on first use
+   * @returns {Object} Prepared statements
+   */
+  function open() {
+    if (statements) return statements;
+
+    // Loaded here so the filesystem store works without the native module
+    const Database = require("better-sqlite3");
+
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    db = new Database(dbPath);
+    db.pragma("journal_mode = WAL");
+    db.pragma("foreign_keys = ON");
+    db.exec(SCHEMA);
+
+    statements = {
+      get: db.prepare("SELECT data FROM quizzes WHERE id = ?"),
+      upsert: db.prepare(`
+        INSERT INTO quizzes (id, creator, shared, category, created_at, updated_at, data)
+        VALUES (@id, @creator, @shared, @category, @createdAt, @updatedAt, @data)
+        ON CONFLICT (id) DO UPDATE SET
+          creator = excluded.creator,
+          shared = excluded.shared,
+          category = excluded.category,
+          created_at = excluded.created_at,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      clearShares: db.prepare("DELETE FROM quiz_shares WHERE quiz_id = ?"),
+      addShare: db.prepare("INSERT OR IGNORE INTO quiz_shares (quiz_id, user_id) VALUES (?, ?)"),
+      remove: db.prepare("DELETE FROM quizzes WHERE id = ?"),
+      byCreator: db.prepare("SELECT data FROM quizzes WHERE creator = ?"),
+      byCreatorCategory: db.prepare("SELECT data FROM quizzes WHERE creator = ? AND category = ?"),
+      sharedWith: db.prepare(`
+        SELECT data FROM quizzes
+        WHERE creator != @userId
+          AND (shared = 1 OR id IN (SELECT quiz_id FROM quiz_shares WHERE user_id = @userId))
+      `),
+      countByCreator: db.prepare("SELECT COUNT(*) AS count FROM quizzes WHERE creator = ?"),
+      categoriesByCreator: db.prepare(
+        "SELECT category, COUNT(*) AS count FROM quizzes WHERE creator = ? GROUP BY category"
+      ),
+      all: db.prepare("SELECT data FROM quizzes"),
+    };
+
+    // Row and share list are written together or not at all
+    statements.save = db.transaction((quiz) => {
+      statements.upsert.run({
+        id: quiz.id,
+        creator: quiz.creator,
+        shared: quiz.shared === true ? 1 : 0,
+        category: quiz.category || "Uncategorized",
+        createdAt: quiz.createdAt || null,
+        updatedAt: quiz.updatedAt || null,
+        data: JSON.stringify(quiz),
+      });
+
+      statements.clearShares.run(quiz.id);
+      (Array.isArray(quiz.sharedWith) ? quiz.sharedWith : []).forEach((userId) => {
+        statements.addShare.run(quiz.id, userId);
+      });
+    });
+
+    logger.info(`SQLite quiz store opened at ${dbPath}`);
+    return statements;
+  }
+
+  return {
+    name: "sqlite",
+
+    async init() {
+      open();
+    },
+
+    async get(quizId) {
+      const row = open().get.get(quizId);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async save(quiz) {
+      open().save(quiz);
+    },
+
+    async remove(quizId) {
+      return open().remove.run(quizId).changes > 0;
+    },
+
+    async listByCreator(creatorId, { category } = {}) {
+      const rows = category
+        ? open().byCreatorCategory.all(creatorId, category)
+        : open().byCreator.all(creatorId);
+      return parseRows(rows);
+    },
+
+    async listSharedWith(userId) {
+      return parseRows(open().sharedWith.all({ userId }));
+    },
+
+    async countByCreator(creatorId) {
+      return open().countByCreator.get(creatorId).count;
+    },
+
+    async categoriesByCreator(creatorId) {
+      return open().categoriesByCreator.all(creatorId);
+    },
+
+    async listAll() {
+      return parseRows(open().all.all());
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+        statements = null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createSqliteStore,
+  DEFAULT_DB_PATH,
+};
@@ -265,6 +265,26 @@ function createPaginationButtons(actionPrefix, currentPage, totalPages) {
   return buttons;
 }
 
+/**
+ * Get the items for one page of a list
+ * @param {Array} items - Full list of items
+ * @param {number} page - Requested page number (1-based, clamped to valid range)
+ * @param {number} perPage - Number of items per page
+ * @returns {Object} Page items, clamped page number, total pages and item offset
+ */
+function paginate(items, page, perPage) {
+  const totalPages = Math.max(1, Math.ceil(items.length / perPage));
+  const currentPage = Math.min(Math.max(1, page || 1), totalPages);
+  const offset = (currentPage - 1) * perPage;
+
+  return {
+    items: items.slice(offset, offset + perPage),
+    page: currentPage,
+    totalPages,
+    offset,
+  };
+}
+
 /**
  * Format a question with options for display
  * @param {Object} question - Question object
@@ -425,14 +445,72 @@ function formatDate(timestamp) {
   });
 }
 
+/**
+ * Format a timestamp as a date and time in a time zone
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {string} timeZone - IANA time zone name (e.g. "Europe/Berlin")
+ * @returns {string} Formatted date and time (e.g. "Mar 5, 2025, 18:30 UTC")
+ */
+function formatDateTime(timestamp, timeZone = "UTC") {
+  return new Date(timestamp).toLocaleString("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    timeZoneName: "short",
+  });
+}
+
+/**
+ * Escape text for use in an HTML formatted message
+ * @param {string} text - Text that may contain <, > or &
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Build a minimal context for sending messages to a chat outside of an update
+ * (scheduled starts, restored games)
+ * @param {Object} telegram - Telegraf telegram API instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User the action is performed for ({ id, firstName, username })
+ * @returns {Object} Context-like object accepted by quiz and handler functions
+ */
+function createChatContext(telegram, chatId, user) {
+  return {
+    telegram,
+    chat: { id: chatId, type: "group" },
+    from: {
+      id: user.id,
+      first_name: user.firstName,
+      username: user.username,
+    },
+    reply: (text, extra = {}) => telegram.sendMessage(chatId, text, extra),
+    replyWithHTML: (text, extra = {}) =>
+      telegram.sendMessage(chatId, text, { parse_mode: "HTML", ...extra }),
+  };
+}
+
 module.exports = {
   createAnswerKeyboard,
   createDetailedAnswerKeyboard,
   formatTime,
   formatDate,
+  formatDateTime,
+  escapeHTML,
+  createChatContext,
   createProgressBar,
   formatPercentage,
   createPaginationButtons,
+  paginate,
   formatQuestion,
   createTimerDisplay,
   UI_CONSTANTS,